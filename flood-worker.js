@@ -0,0 +1,360 @@
+// =====================================================
+// GeoVision - Flood Scenario Worker
+// Reads the elevation model and floods it off the main thread
+// =====================================================
+
+// The elevation model is { width, height, bounds, projection, elevations }.
+// `bounds` is [west, south, east, north]; rows run from north to south and
+// are evenly spaced in latitude ('latlon') or in Web Mercator ('mercator').
+// Cells without data hold NaN.
+let dem = null;
+
+self.addEventListener('message', async event => {
+    const message = event.data;
+    try {
+        if (message.type === 'load') {
+            dem = message.format === 'terrain-rgb'
+                ? await readTerrainRgbTiles(message.tiles)
+                : readGeoTiff(message.buffer);
+            self.postMessage({
+                id: message.id,
+                dem: { width: dem.width, height: dem.height, bounds: dem.bounds, projection: dem.projection }
+            });
+        } else if (message.type === 'flood') {
+            if (!dem) throw new Error('No elevation model loaded');
+            const result = floodFill(message.scenario);
+            self.postMessage(Object.assign({ id: message.id }, result), [result.depths.buffer, result.image.buffer]);
+        }
+    } catch (error) {
+        self.postMessage({ id: message.id, error: error.message });
+    }
+});
+
+// =====================================================
+// GeoTIFF
+// =====================================================
+// Uncompressed, single-band GeoTIFFs in geographic WGS84 coordinates, in
+// strips or tiles, with integer or floating point samples. This covers
+// exports such as `gdal_translate -co COMPRESS=NONE`.
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 16: 8 };
+
+function readGeoTiff(buffer) {
+    const view = new DataView(buffer);
+    const order = view.getUint16(0);
+    if (order !== 0x4949 && order !== 0x4D4D) throw new Error('Not a TIFF file');
+    const little = order === 0x4949;
+    if (view.getUint16(2, little) !== 42) throw new Error('BigTIFF files are not supported');
+
+    const tags = readTiffDirectory(view, view.getUint32(4, little), little);
+    const tag = (id, fallback) => (tags.has(id) ? tags.get(id) : fallback);
+
+    const width = tag(256)[0];
+    const height = tag(257)[0];
+    const bits = tag(258, [1])[0];
+    const format = tag(339, [1])[0];
+    if (tag(259, [1])[0] !== 1) throw new Error('Compressed GeoTIFFs are not supported; save the file without compression');
+    if (tag(277, [1])[0] !== 1) throw new Error('The elevation model must have a single band');
+
+    const scale = tag(33550);
+    const tiepoint = tag(33922);
+    if (!scale || !tiepoint) throw new Error('The GeoTIFF has no georeferencing');
+    const geoKeys = readGeoKeys(tag(34735, []));
+    if (geoKeys.has(3072) || (geoKeys.has(2048) && geoKeys.get(2048) !== 4326)) {
+        throw new Error('The elevation model must be in WGS84 longitude and latitude (EPSG:4326)');
+    }
+
+    const west = tiepoint[3] - tiepoint[0] * scale[0];
+    const north = tiepoint[4] + tiepoint[1] * scale[1];
+    // GDAL_NODATA is text; compare it at the precision of the samples
+    const nodataText = tags.has(42113) ? parseFloat(tags.get(42113)) : NaN;
+    const nodata = format === 3 && bits === 32 ? Math.fround(nodataText) : nodataText;
+
+    const readSample = getSampleReader(view, bits, format, little);
+    const sampleBytes = bits / 8;
+    const elevations = new Float32Array(width * height);
+    const store = (index, offset) => {
+        const value = readSample(offset);
+        elevations[index] = value === nodata ? NaN : value;
+    };
+
+    if (tags.has(322)) {
+        const tileWidth = tag(322)[0];
+        const tileHeight = tag(323)[0];
+        const offsets = tag(324);
+        const across = Math.ceil(width / tileWidth);
+        offsets.forEach((start, tile) => {
+            const top = Math.floor(tile / across) * tileHeight;
+            const left = (tile % across) * tileWidth;
+            for (let row = 0; row < tileHeight && top + row < height; row++) {
+                for (let col = 0; col < tileWidth && left + col < width; col++) {
+                    store((top + row) * width + left + col, start + (row * tileWidth + col) * sampleBytes);
+                }
+            }
+        });
+    } else {
+        const offsets = tag(273);
+        const rowsPerStrip = tag(278, [height])[0];
+        offsets.forEach((start, strip) => {
+            for (let row = strip * rowsPerStrip; row < Math.min(height, (strip + 1) * rowsPerStrip); row++) {
+                for (let col = 0; col < width; col++) {
+                    store(row * width + col, start + ((row - strip * rowsPerStrip) * width + col) * sampleBytes);
+                }
+            }
+        });
+    }
+
+    return {
+        width: width,
+        height: height,
+        bounds: [west, north - height * scale[1], west + width * scale[0], north],
+        projection: 'latlon',
+        elevations: elevations
+    };
+}
+
+// Tag id -> array of values, or a string for ASCII tags
+function readTiffDirectory(view, offset, little) {
+    const tags = new Map();
+    const count = view.getUint16(offset, little);
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const id = view.getUint16(entry, little);
+        const type = view.getUint16(entry + 2, little);
+        const length = view.getUint32(entry + 4, little);
+        const size = (TIFF_TYPE_SIZES[type] || 1) * length;
+        const start = size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+
+        if (type === 2) {
+            let text = '';
+            for (let j = 0; j < length; j++) {
+                const code = view.getUint8(start + j);
+                if (!code) break;
+                text += String.fromCharCode(code);
+            }
+            tags.set(id, text);
+            continue;
+        }
+
+        const values = [];
+        for (let j = 0; j < length; j++) {
+            switch (type) {
+                case 3: values.push(view.getUint16(start + j * 2, little)); break;
+                case 4: values.push(view.getUint32(start + j * 4, little)); break;
+                case 12: values.push(view.getFloat64(start + j * 8, little)); break;
+                case 16: values.push(Number(view.getBigUint64(start + j * 8, little))); break;
+                default: values.push(view.getUint8(start + j));
+            }
+        }
+        tags.set(id, values);
+    }
+    return tags;
+}
+
+// GeoKeyDirectory: a header of four shorts, then four per key. Only keys
+// stored directly in the directory are read.
+function readGeoKeys(directory) {
+    const keys = new Map();
+    for (let i = 4; i + 3 < directory.length; i += 4) {
+        if (directory[i + 1] === 0) keys.set(directory[i], directory[i + 3]);
+    }
+    return keys;
+}
+
+// SampleFormat 1 is unsigned, 2 signed and 3 floating point
+function getSampleReader(view, bits, format, little) {
+    const readers = {
+        '1:8': offset => view.getUint8(offset),
+        '1:16': offset => view.getUint16(offset, little),
+        '1:32': offset => view.getUint32(offset, little),
+        '2:8': offset => view.getInt8(offset),
+        '2:16': offset => view.getInt16(offset, little),
+        '2:32': offset => view.getInt32(offset, little),
+        '3:32': offset => view.getFloat32(offset, little),
+        '3:64': offset => view.getFloat64(offset, little)
+    };
+    const reader = readers[`${format}:${bits}`];
+    if (!reader) throw new Error(`Unsupported sample type (format ${format}, ${bits} bits)`);
+    return reader;
+}
+
+// =====================================================
+// Terrain-RGB
+// =====================================================
+// Tiles are { x, y, z, blob } covering a rectangle of Web Mercator tiles at
+// one zoom level. Heights are -10000 + (R * 65536 + G * 256 + B) * 0.1 m.
+async function readTerrainRgbTiles(tiles) {
+    if (!tiles.length) throw new Error('No elevation tiles');
+
+    const z = tiles[0].z;
+    const minX = Math.min(...tiles.map(tile => tile.x));
+    const maxX = Math.max(...tiles.map(tile => tile.x));
+    const minY = Math.min(...tiles.map(tile => tile.y));
+    const maxY = Math.max(...tiles.map(tile => tile.y));
+
+    let size = 0;
+    let width = 0;
+    let elevations = null;
+    for (const tile of tiles) {
+        const bitmap = await createImageBitmap(tile.blob);
+        if (!elevations) {
+            size = bitmap.width;
+            width = (maxX - minX + 1) * size;
+            elevations = new Float32Array(width * (maxY - minY + 1) * size).fill(NaN);
+        }
+        const canvas = new OffscreenCanvas(size, size);
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0, size, size);
+        const pixels = context.getImageData(0, 0, size, size).data;
+
+        const left = (tile.x - minX) * size;
+        const top = (tile.y - minY) * size;
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const i = (row * size + col) * 4;
+                if (pixels[i + 3] === 0) continue;
+                elevations[(top + row) * width + left + col] = -10000 + (pixels[i] * 65536 + pixels[i + 1] * 256 + pixels[i + 2]) * 0.1;
+            }
+        }
+    }
+
+    const tileLon = x => x / 2 ** z * 360 - 180;
+    const tileLat = y => Math.atan(Math.sinh(Math.PI * (1 - 2 * y / 2 ** z))) * 180 / Math.PI;
+    return {
+        width: width,
+        height: elevations.length / width,
+        bounds: [tileLon(minX), tileLat(maxY + 1), tileLon(maxX + 1), tileLat(minY)],
+        projection: 'mercator',
+        elevations: elevations
+    };
+}
+
+// =====================================================
+// Flood Fill
+// =====================================================
+// Floods the model from its seeds through every cell lower than the water
+// surface, moving between edge-sharing cells only, so water does not leak
+// through the corners of levees and ridges.
+//
+// scenario.mode 'surge' raises the sea to `levelM` above mean sea level and
+// seeds the fill with the sea: cells at or below 0 m, or without data, on
+// the edge of the model. 'river' seeds it at `seeds` ([lat, lon] pairs) with
+// the surface `levelM` above the ground at the first seed.
+//
+// Returns the depth of water over land in each cell (0 when dry), an RGBA
+// image of the depths coloured by `scenario.depthColors`, and totals.
+function floodFill(scenario) {
+    const { width, height, elevations } = dem;
+    const ground = index => (isNaN(elevations[index]) ? 0 : elevations[index]);
+
+    let seeds = [];
+    let surfaceM;
+    if (scenario.mode === 'river') {
+        seeds = scenario.seeds.map(([lat, lon]) => getCellIndex(lat, lon)).filter(index => index !== null);
+        if (!seeds.length) throw new Error('The river seed is outside the elevation model');
+        surfaceM = ground(seeds[0]) + scenario.levelM;
+    } else {
+        for (let col = 0; col < width; col++) seeds.push(col, (height - 1) * width + col);
+        for (let row = 1; row < height - 1; row++) seeds.push(row * width, row * width + width - 1);
+        seeds = seeds.filter(index => ground(index) <= 0);
+        if (!seeds.length) throw new Error('The elevation model has no sea along its edges');
+        surfaceM = scenario.levelM;
+    }
+
+    const flooded = new Uint8Array(width * height);
+    const queue = new Int32Array(width * height);
+    let head = 0;
+    let tail = 0;
+    seeds.forEach(index => {
+        if (flooded[index]) return;
+        flooded[index] = 1;
+        queue[tail++] = index;
+    });
+
+    while (head < tail) {
+        const index = queue[head++];
+        const row = Math.floor(index / width);
+        const col = index % width;
+        const neighbours = [
+            row > 0 ? index - width : -1,
+            row < height - 1 ? index + width : -1,
+            col > 0 ? index - 1 : -1,
+            col < width - 1 ? index + 1 : -1
+        ];
+        neighbours.forEach(next => {
+            if (next < 0 || flooded[next] || ground(next) >= surfaceM) return;
+            flooded[next] = 1;
+            queue[tail++] = next;
+        });
+    }
+
+    const colors = scenario.depthColors.map(band => Object.assign({}, band, { rgb: parseHexColor(band.color) }));
+    const alpha = Math.round(scenario.opacity * 255);
+    const depths = new Float32Array(width * height);
+    const image = new Uint8ClampedArray(width * height * 4);
+    let cells = 0;
+    let areaKm2 = 0;
+    let maxDepthM = 0;
+
+    for (let row = 0; row < height; row++) {
+        const cellAreaKm2 = getCellAreaKm2(row);
+        for (let col = 0; col < width; col++) {
+            const index = row * width + col;
+            // Only flooded land counts; the sea itself is not inundation
+            if (!flooded[index] || isNaN(elevations[index]) || elevations[index] <= 0) continue;
+
+            const depth = surfaceM - elevations[index];
+            depths[index] = depth;
+            cells++;
+            areaKm2 += cellAreaKm2;
+            maxDepthM = Math.max(maxDepthM, depth);
+
+            let band = colors[0];
+            colors.forEach(c => {
+                if (depth >= c.minM) band = c;
+            });
+            image[index * 4] = band.rgb[0];
+            image[index * 4 + 1] = band.rgb[1];
+            image[index * 4 + 2] = band.rgb[2];
+            image[index * 4 + 3] = alpha;
+        }
+    }
+
+    return { depths, image, width, height, surfaceM, cells, areaKm2, maxDepthM };
+}
+
+// Index of the cell containing a point, or null outside the model
+function getCellIndex(lat, lon) {
+    const [west, south, east, north] = dem.bounds;
+    if (lon < west || lon >= east || lat <= south || lat > north) return null;
+
+    const col = Math.floor((lon - west) / (east - west) * dem.width);
+    const row = Math.floor(projectLat(north, lat) / projectLat(north, south) * dem.height);
+    return row * dem.width + col;
+}
+
+// Distance south of `north` in the model's row units (degrees or Mercator)
+function projectLat(north, lat) {
+    return dem.projection === 'mercator' ? mercatorY(north) - mercatorY(lat) : north - lat;
+}
+
+function mercatorY(lat) {
+    return Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360));
+}
+
+function getCellAreaKm2(row) {
+    const [west, south, east, north] = dem.bounds;
+    const latAt = fraction => {
+        if (dem.projection !== 'mercator') return north - fraction * (north - south);
+        const y = mercatorY(north) - fraction * (mercatorY(north) - mercatorY(south));
+        return (2 * Math.atan(Math.exp(y)) - Math.PI / 2) * 180 / Math.PI;
+    };
+    const top = latAt(row / dem.height);
+    const bottom = latAt((row + 1) / dem.height);
+    const widthKm = (east - west) / dem.width * 111.32 * Math.cos((top + bottom) / 2 * Math.PI / 180);
+    return widthKm * (top - bottom) * 110.574;
+}
+
+function parseHexColor(color) {
+    const hex = color.replace('#', '');
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
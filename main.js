@@ -6,17 +6,350 @@
 // Global Variables
 let map;
 let markers = [];
+let selectionMarker = null;
+let savedSites = [];
+let savedSiteLayer;
 let hazardLayer;
+let hazardSubLayers = [];
+let hazardDataReady = null;
+let scoringProfiles = [];
+let activeScoringProfileId = localStorage.getItem('geovision.scoringProfile');
+let scoringProfilesReady = null;
+let infrastructureAreas = [];
+let infrastructureDataReady = null;
+let adminUnits = [];
+let populationGrid = null;
+let exposureDataReady = null;
+let volcanoes = [];
+let typhoons = [];
+let typhoonLayer;
+let typhoonDataReady = null;
+let historicalEvents = [];
+let historyDataReady = null;
+let historyLayer;
+let historyFilter = { type: 'all', spanYears: 0, toYear: null };
+let historyAnimationTimer = null;
+let evacuationCenters = [];
+let roadNetwork = null;
+let evacuationDataReady = null;
+let evacuationLayer;
+let evacuationRouteLayer;
+let evacuationRoutes = [];
+let floodWorker = null;
+let floodModelReady = null;
+let floodScenario = null;
+let floodLayer;
+let mitigationCatalog = null;
+let mitigationCatalogReady = null;
+let mitigationPlan = [];
+let mitigationLayer;
+let mitigation3DLayer;
+let activeEvents = [];
+let activeEventLayer;
+let feedRefreshTimer = null;
+let feedLoadInProgress = false;
+let failedFeedNames = [];
+let activeEventMarkers = new Map();
+let userPosition = null;
 let is3DMode = false;
 let osmb;
 let currentLocation = null;
+let drawnAreaLayer;
+let drawnAreas = [];
+let currentArea = null;
+let drawState = null;
 let chatMessages = [];
+let chatSessions = [];
+let activeChatSession = null;
+let watches = [];
+let watchLayer;
+let alertLog = [];
 
 // Configuration
 const config = {
     defaultCenter: [12.8797, 121.7740], // Philippines center
     defaultZoom: 6,
-    apiEndpoint: 'https://api.anthropic.com/v1/messages'
+    apiEndpoint: 'https://api.anthropic.com/v1/messages',
+
+    // AI VISION chat. Users can change the provider, key and model from the
+    // chat settings; these are the defaults. Claude needs an API key, so new
+    // users start on the offline assistant and switch when they enter one.
+    chat: {
+        defaultProvider: 'offline',
+        model: 'claude-sonnet-4-20250514',
+        maxTokens: 1024,
+        maxToolTurns: 6,
+        mockEndpoint: 'http://localhost:8787/v1/messages'
+    },
+
+    // Map tile layers. `role` 'base' layers are the selectable base maps;
+    // 'overlay' layers draw on top at `opacity`. `type` is 'xyz', 'wms' or
+    // 'wmts'. Users can add their own sources from the layers panel.
+    defaultBaseLayer: 'street',
+    tileLayers: {
+        street: {
+            name: 'Street map',
+            role: 'base',
+            type: 'xyz',
+            url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+            attribution: '© OpenStreetMap contributors',
+            maxZoom: 19
+        },
+        satellite: {
+            name: 'Satellite',
+            role: 'base',
+            type: 'xyz',
+            url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+            attribution: 'Tiles &copy; Esri',
+            maxZoom: 19
+        },
+        terrain: {
+            name: 'Terrain',
+            role: 'base',
+            type: 'xyz',
+            url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+            subdomains: 'abc',
+            attribution: '© OpenStreetMap contributors, SRTM | Style: © OpenTopoMap (CC-BY-SA)',
+            maxZoom: 17
+        },
+        hillshade: {
+            name: 'Hillshade',
+            role: 'overlay',
+            type: 'xyz',
+            url: 'https://server.arcgisonline.com/ArcGIS/rest/services/Elevation/World_Hillshade/MapServer/tile/{z}/{y}/{x}',
+            attribution: 'Hillshade &copy; Esri',
+            maxZoom: 19,
+            maxNativeZoom: 16,
+            opacity: 0.5
+        },
+        labels: {
+            name: 'Place labels',
+            role: 'overlay',
+            type: 'xyz',
+            url: 'https://server.arcgisonline.com/ArcGIS/rest/services/Reference/World_Boundaries_and_Places/MapServer/tile/{z}/{y}/{x}',
+            attribution: 'Labels &copy; Esri',
+            maxZoom: 19
+        }
+    },
+
+    // Offline mode. `tileCache` must match TILE_CACHE in sw.js. Tile
+    // downloads are capped at `maxTiles` per area and `maxZoom`, as the OSM
+    // tile policy discourages bulk downloading.
+    offline: {
+        serviceWorkerUrl: 'sw.js',
+        tileCache: 'geovision-tiles',
+        maxTiles: 2500,
+        maxZoom: 17,
+        concurrency: 2
+    },
+
+    scoringProfilesUrl: 'data/scoring-profiles.json',
+    // Polygons with an `infrastructure` rating (High, Moderate or Low) for
+    // the infrastructure factor of the resilience score
+    infrastructureUrl: 'data/infrastructure.geojson',
+
+    // Place search. `provider` picks the geocoder from `geocoders`. Nominatim
+    // responses are cached and requests spaced `minIntervalMs` apart, as its
+    // usage policy requires. Below `minZoomForViewBias` results are biased
+    // to `defaultViewbox` ([west, south, east, north], the Philippines)
+    // rather than the visible map.
+    geocoding: {
+        provider: 'nominatim',
+        nominatimUrl: 'https://nominatim.openstreetmap.org',
+        mockUrl: 'data/geocoder/places.json',
+        minIntervalMs: 1000,
+        cacheSize: 200,
+        debounceMs: 350,
+        maxResults: 6,
+        minZoomForViewBias: 8,
+        defaultViewbox: [116.9, 4.5, 126.6, 21.2]
+    },
+
+    // Site assessment report. The map snapshot spans `mapRadiusKm` either
+    // side of the site and is drawn from the hazard data, with the
+    // `landLayerId` source as the land mass. Active events within
+    // `eventRadiusKm` are listed.
+    report: {
+        mapRadiusKm: 20,
+        eventRadiusKm: 300,
+        maxEvents: 10,
+        landLayerId: 'coastline'
+    },
+
+    // Drawn-area analysis. Hazards are sampled on a `sampleGrid` x
+    // `sampleGrid` grid over the area's bounds; a hazard counts toward the
+    // area score at the highest level covering at least `minHazardShare`.
+    areaAnalysis: {
+        sampleGrid: 24,
+        minHazardShare: 0.1
+    },
+
+    // Population exposure. Admin units are polygons with a census
+    // `population`; the grid holds people per cell. Population is reported
+    // within each of `radiiKm`, and the count within `scoreRadiusKm` feeds
+    // the exposure factor of the resilience score.
+    exposure: {
+        adminUnitsUrl: 'data/exposure/admin-units.geojson',
+        populationGridUrl: 'data/exposure/population-grid.json',
+        radiiKm: [1, 5, 10],
+        scoreRadiusKm: 5
+    },
+
+    // Tropical cyclone tracks. `type` selects the parser in trackAdapters:
+    // 'ibtracs-csv' for IBTrACS best tracks, 'atcf' for JTWC a-decks and
+    // b-decks. Files describing the same storm are merged by ATCF id. The
+    // forecast cone is swept by a circle of `coneRadiiKm` (by forecast hour).
+    // Storms count as active for `activeHours` after their latest position,
+    // which for a storm with a forecast is the time the forecast was issued.
+    typhoons: {
+        sources: [
+            { id: 'ibtracs', name: 'IBTrACS', type: 'ibtracs-csv', url: 'data/typhoons/ibtracs-sample.csv' },
+            { id: 'jtwc', name: 'JTWC', type: 'atcf', url: 'data/typhoons/awp252026.dat' }
+        ],
+        coneRadiiKm: { 0: 0, 12: 55, 24: 85, 36: 115, 48: 150, 72: 220, 96: 300, 120: 390 },
+        activeHours: 48
+    },
+
+    // Historical event catalog. `type` selects the parser in historyAdapters:
+    // 'usgs-csv' for USGS earthquake catalog exports, 'geojson' for points
+    // with `type`, `name`, `time` and optional `magnitude`, `windKt` and
+    // `location` properties. The info panel summarizes events within
+    // `radiusKm`, with the recurrence of earthquakes of at least each of
+    // `recurrenceMagnitudes`. The time slider plays one year per `stepMs`.
+    history: {
+        sources: [
+            { id: 'usgs-history', name: 'USGS', type: 'usgs-csv', url: 'data/history/earthquakes.csv' },
+            { id: 'landfalls-floods', name: 'GeoVision sample catalog', type: 'geojson', url: 'data/history/events.geojson' }
+        ],
+        radiusKm: 100,
+        recurrenceMagnitudes: [6, 7],
+        stepMs: 800
+    },
+
+    // Evacuation routing. Centers are GeoJSON points with a `capacity`; roads
+    // come from an OpenStreetMap XML extract, at `speedsKmh` by highway class
+    // unless a way has a `maxspeed`. Other highway classes are not routable.
+    // Roads entering a high-level zone of the `avoidSources` hazard layers
+    // are closed and centers inside one are not offered. Locations and
+    // centers more than `maxSnapKm` from a road are not routed; the way to
+    // the nearest road is walked at `walkingKmh`.
+    evacuation: {
+        centersUrl: 'data/evacuation/centers.geojson',
+        roadsUrl: 'data/evacuation/legazpi-roads.osm',
+        avoidSources: ['flood', 'landslide', 'volcanic'],
+        speedsKmh: { trunk: 60, primary: 50, secondary: 40, tertiary: 30, unclassified: 25, residential: 20, service: 10, track: 10 },
+        walkingKmh: 4,
+        maxSnapKm: 2,
+        maxCenters: 3
+    },
+
+    // Flood scenarios. `dem` is an uncompressed GeoTIFF in WGS84
+    // ({ type: 'geotiff', url }) or Terrain-RGB tiles ({ type: 'terrain-rgb',
+    // url, zoom, bounds: [west, south, east, north] }), at most
+    // `maxTerrainTiles` of them. River floods start from one of `riverSeeds`
+    // or the selected location. Flooded cells take the colour of the deepest
+    // `depthColors` band they reach.
+    flood: {
+        workerUrl: 'flood-worker.js',
+        dem: { type: 'geotiff', url: 'data/elevation/tacloban-dem.tif' },
+        riverSeeds: [
+            { id: 'tacloban-sample-river', name: 'River south of Tacloban (sample)', lat: 11.1833, lon: 124.99 }
+        ],
+        defaultLevelM: 5,
+        maxLevelM: 30,
+        maxTerrainTiles: 64,
+        opacity: 0.65,
+        depthColors: [
+            { minM: 0, color: '#c6dbef' },
+            { minM: 0.5, color: '#6baed6' },
+            { minM: 1.5, color: '#2171b5' },
+            { minM: 3, color: '#08306b' }
+        ]
+    },
+
+    // Mitigation planner: the catalog of interventions with their unit
+    // costs, effects on the resilience score and 3D dimensions
+    mitigation: {
+        catalogUrl: 'data/mitigation/interventions.json'
+    },
+
+    // Proximity alerts. Every feed update is checked against the rules of
+    // each watch; `withinKm: null` means the event's area must cover the
+    // watch. New watches start with `defaultRules`. The newest `maxHistory`
+    // alerts are kept, plus older ones whose events are still in the feeds.
+    alerts: {
+        maxHistory: 200,
+        toastSeconds: 12,
+        defaultRules: [
+            { eventType: 'Earthquake', minMagnitude: 4.5, minSignal: null, minSeverity: null, withinKm: 100 },
+            { eventType: 'Typhoon', minMagnitude: null, minSignal: 2, minSeverity: null, withinKm: null }
+        ]
+    },
+
+    // PHIVOLCS volcano alert levels, indexed by level. Each sets the hazard
+    // level of a volcano's permanent danger zone and, when `extended` is set,
+    // adds the extended danger zone at that level.
+    volcanoAlertLevels: [
+        { name: 'Normal', permanent: 'moderate', extended: null },
+        { name: 'Low-level unrest', permanent: 'high', extended: null },
+        { name: 'Increasing unrest', permanent: 'high', extended: 'moderate' },
+        { name: 'Magmatic unrest', permanent: 'high', extended: 'high' },
+        { name: 'Hazardous eruption imminent', permanent: 'high', extended: 'high' },
+        { name: 'Hazardous eruption', permanent: 'high', extended: 'high' }
+    ],
+
+    // IndexedDB database for chat sessions and other saved data
+    database: { name: 'geovision', version: 3 },
+
+    // Hazard layer sources. Each entry becomes its own toggleable layer inside
+    // hazardLayer. Use `url` for a local GeoJSON file or `data` for a bundled
+    // FeatureCollection. Features are styled by their `level` property.
+    // `adapter` names an entry in hazardSourceAdapters for files in another
+    // format, such as the volcano registry.
+    //
+    // `analysis` controls how identifyHazards() queries the source:
+    //   mode 'contains' - the point must fall inside a polygon
+    //   mode 'distance' - distance to the nearest line or polygon edge
+    //   mode 'boundary' - distance to a polygon outline, even from inside it
+    // `bufferKm` maps a level to the distance within which it applies. A
+    // feature's own `level` caps the result (defaults to high).
+    // `keywords` let the offline assistant recognize the layer in chat.
+    hazardSources: [
+        { id: 'faults', name: 'Active Faults', hazard: 'Earthquake', url: 'data/hazards/active-faults.geojson',
+            keywords: ['fault', 'earthquake', 'seismic'],
+            analysis: { mode: 'distance', bufferKm: { high: 5, moderate: 25 } } },
+        { id: 'typhoon', name: 'Typhoon Exposure', hazard: 'Typhoon', url: 'data/hazards/typhoon-exposure.geojson',
+            keywords: ['typhoon', 'storm', 'wind'],
+            analysis: { mode: 'contains' } },
+        { id: 'flood', name: 'Flood Zones', hazard: 'Flooding', url: 'data/hazards/flood-zones.geojson',
+            keywords: ['flood'],
+            analysis: { mode: 'contains', bufferKm: { moderate: 2 } } },
+        { id: 'coastline', name: 'Coastline', hazard: 'Tsunami', url: 'data/hazards/coastline.geojson', showOnMap: false,
+            analysis: { mode: 'boundary', bufferKm: { high: 1, moderate: 5 } } },
+        { id: 'landslide', name: 'Landslide Susceptibility', hazard: 'Landslide', url: 'data/hazards/landslide-susceptibility.geojson',
+            keywords: ['landslide'],
+            analysis: { mode: 'contains' } },
+        { id: 'volcanic', name: 'Volcanic Danger Zones', hazard: 'Volcanic', url: 'data/volcanoes/registry.json', adapter: 'volcano-registry',
+            keywords: ['volcan', 'eruption'],
+            analysis: { mode: 'contains', bufferKm: { moderate: 10 } } }
+    ],
+
+    // Active hazard feeds. `type` selects the adapter in feedAdapters; `url`
+    // can be a local file or any endpoint serving the same format.
+    feeds: [
+        { id: 'usgs', name: 'USGS Earthquakes', type: 'usgs-geojson', url: 'data/feeds/usgs-earthquakes.geojson' },
+        { id: 'pagasa-cap', name: 'PAGASA Bulletins', type: 'cap-xml', url: 'data/feeds/cap-typhoon-signal.xml' },
+        { id: 'phivolcs-cap', name: 'PHIVOLCS Bulletins', type: 'cap-xml', url: 'data/feeds/cap-volcano-mayon.xml' },
+        { id: 'gdacs', name: 'GDACS', type: 'gdacs-rss', url: 'data/feeds/gdacs-rss.xml' }
+    ],
+    feedRefreshInterval: 5 * 60 * 1000, // 5 minutes
+    maxActiveEvents: 50
+};
+
+const hazardLevelColors = {
+    high: '#d9534f',
+    moderate: '#f0ad4e',
+    low: '#5cb85c'
 };
 
 // =====================================================
@@ -24,9 +357,23 @@ const config = {
 // =====================================================
 document.addEventListener('DOMContentLoaded', () => {
     initializeMap();
+    initializeOfflineMode();
+    loadScoringProfiles();
+    loadInfrastructureData();
+    loadExposureData();
+    loadTyphoonTracks();
+    loadEventHistory();
+    loadEvacuationData();
+    loadMitigationCatalog();
     initializeEventListeners();
+    initializeChatStore();
+    loadSavedSites();
+    loadWatches();
     loadActiveHazards();
+    feedRefreshTimer = setInterval(loadActiveHazards, config.feedRefreshInterval);
+    requestUserPosition();
     showWelcomeMessage();
+    initializeUrlState();
 });
 
 // =====================================================
@@ -36,14 +383,49 @@ function initializeMap() {
     // Initialize Leaflet map
     map = L.map('map').setView(config.defaultCenter, config.defaultZoom);
 
-    // Add base tile layer (OpenStreetMap)
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '© OpenStreetMap contributors',
-        maxZoom: 19
-    }).addTo(map);
+    // Initialize hazard layer. Hazard zones get their own pane so the
+    // overlay's opacity can be set as a whole.
+    map.createPane('hazards');
+    hazardLayer = L.layerGroup();
+    typhoonLayer = L.layerGroup();
+    historyLayer = L.layerGroup();
+    evacuationLayer = L.layerGroup();
+
+    // Base map and overlays, restored from the URL when present
+    initializeLayerManager();
+
+    // Markers for events from the active hazard feeds
+    activeEventLayer = L.layerGroup().addTo(map);
 
-    // Initialize hazard layer
-    hazardLayer = L.layerGroup().addTo(map);
+    // Areas drawn for area analysis
+    drawnAreaLayer = L.featureGroup().addTo(map);
+    initializeDrawControl();
+
+    // Saved sites and the panel to manage them
+    savedSiteLayer = L.layerGroup().addTo(map);
+    initializeSitesControl();
+
+    // Evacuation routes from the selected location
+    evacuationRouteLayer = L.layerGroup().addTo(map);
+
+    // Time slider for the historical event catalog
+    initializeHistoryControl();
+
+    // Flood scenario overlay and the panel to run scenarios
+    floodLayer = L.layerGroup().addTo(map);
+    initializeFloodControl();
+
+    // Planned mitigation measures, extruded alongside the 3D buildings, and
+    // the planner panel
+    map.createPane('mitigation3d');
+    mitigationLayer = L.layerGroup().addTo(map);
+    mitigation3DLayer = L.layerGroup().addTo(map);
+    map.on('moveend zoomend', renderMitigation3D);
+    initializePlannerControl();
+
+    // Watched locations and areas, and the alerts panel
+    watchLayer = L.layerGroup().addTo(map);
+    initializeAlertsControl();
 
     // Add click event to map
     map.on('click', handleMapClick);
@@ -57,10 +439,7 @@ function initializeMap() {
 // =====================================================
 function initializeEventListeners() {
     // Search functionality
-    document.getElementById('searchBtn').addEventListener('click', performSearch);
-    document.getElementById('searchInput').addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') performSearch();
-    });
+    initializeSearch();
 
     // Map controls
     document.getElementById('toggle3D').addEventListener('click', toggle3DView);
@@ -71,12 +450,35 @@ function initializeEventListeners() {
     document.getElementById('closeInfo').addEventListener('click', () => {
         document.getElementById('infoPanel').style.display = 'none';
     });
+
+    // Info panel content is re-rendered on every analysis, so delegate
+    document.getElementById('infoPanelContent').addEventListener('change', (e) => {
+        if (e.target.id === 'scoringProfileSelect') setScoringProfile(e.target.value);
+    });
+    document.getElementById('infoPanelContent').addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="save-site"]')) saveCurrentLocationAsSite();
+        if (e.target.closest('[data-action="generate-report"]')) generateSiteReport();
+        if (e.target.closest('[data-action="copy-link"]')) copyLocationLink();
+        if (e.target.closest('[data-action="watch-location"]')) startWatchDraft('location');
+        if (e.target.closest('[data-action="watch-area"]')) startWatchDraft('area');
+
+        if (e.target.closest('[data-action="show-past-events"]') && currentLocation) {
+            showPastEventsNear(currentLocation.lat, currentLocation.lon);
+        }
+
+        const route = e.target.closest('[data-action="show-evacuation-route"]');
+        if (route) focusEvacuationRoute(Number(route.dataset.routeIndex));
+    });
     
     document.getElementById('closeChat').addEventListener('click', () => {
         document.getElementById('aiChatPanel').style.display = 'none';
     });
 
     document.getElementById('refreshHazards').addEventListener('click', loadActiveHazards);
+    document.getElementById('disasterList').addEventListener('click', (e) => {
+        const item = e.target.closest('.disaster-item');
+        if (item) flyToEvent(item.dataset.eventId);
+    });
 
     // Chat functionality
     document.getElementById('sendChat').addEventListener('click', sendChatMessage);
@@ -93,6 +495,9 @@ function initializeEventListeners() {
     // Expand chat
     document.getElementById('expandChat').addEventListener('click', openFullScreenChat);
 
+    // Chat provider settings
+    initializeChatSettings();
+
     // Modal controls
     document.getElementById('closeModal').addEventListener('click', closeFullScreenChat);
     document.getElementById('modalSendChat').addEventListener('click', () => sendChatMessage(true));
@@ -102,59 +507,675 @@ function initializeEventListeners() {
     document.getElementById('modalAttachImage').addEventListener('click', () => {
         document.getElementById('modalImageInput').click();
     });
-    document.getElementById('modalImageInput').addEventListener('change', (e) => handleImageUpload(e, true));
+    document.getElementById('modalImageInput').addEventListener('change', handleImageUpload);
 }
 
 // =====================================================
 // Search Functionality
 // =====================================================
+// The search box accepts place names, which go to the active geocoder, and
+// coordinates in any of the formats parseCoordinateInput() understands.
+// Suggestions appear in a dropdown as the user types.
+const searchState = { query: '', results: [], activeIndex: -1, timer: null, controller: null };
+
+function initializeSearch() {
+    const input = document.getElementById('searchInput');
+    const list = document.createElement('ul');
+    list.id = 'searchResults';
+    list.className = 'search-results';
+    list.setAttribute('role', 'listbox');
+    list.hidden = true;
+    input.parentElement.appendChild(list);
+
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('aria-controls', 'searchResults');
+    input.addEventListener('input', scheduleSearchSuggestions);
+    input.addEventListener('keydown', handleSearchKeydown);
+    input.addEventListener('blur', hideSearchResults);
+
+    // mousedown rather than click, so the input doesn't blur and hide the
+    // list before the selection registers
+    list.addEventListener('mousedown', (e) => {
+        const item = e.target.closest('[data-index]');
+        if (!item) return;
+        e.preventDefault();
+        selectSearchResult(Number(item.dataset.index));
+    });
+
+    document.getElementById('searchBtn').addEventListener('click', performSearch);
+}
+
+function scheduleSearchSuggestions() {
+    const query = document.getElementById('searchInput').value.trim();
+    clearTimeout(searchState.timer);
+    cancelPendingSearch();
+
+    if (query.length < 3) {
+        hideSearchResults();
+        return;
+    }
+    searchState.timer = setTimeout(() => updateSearchSuggestions(query), config.geocoding.debounceMs);
+}
+
+async function updateSearchSuggestions(query) {
+    const controller = new AbortController();
+    searchState.controller = controller;
+
+    try {
+        const results = await searchPlaces(query, { signal: controller.signal });
+        if (controller.signal.aborted) return;
+        searchState.query = query;
+        renderSearchResults(results, -1);
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.warn('Search suggestions failed:', error);
+        renderSearchMessage('Search is unavailable right now.');
+    }
+}
+
+function cancelPendingSearch() {
+    if (searchState.controller) searchState.controller.abort();
+    searchState.controller = null;
+}
+
+function handleSearchKeydown(e) {
+    const count = searchState.results.length;
+    const listVisible = !document.getElementById('searchResults').hidden;
+
+    if (e.key === 'ArrowDown' && listVisible && count) {
+        e.preventDefault();
+        setActiveSearchResult((searchState.activeIndex + 1) % count);
+    } else if (e.key === 'ArrowUp' && listVisible && count) {
+        e.preventDefault();
+        setActiveSearchResult((searchState.activeIndex - 1 + count) % count);
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        performSearch();
+    } else if (e.key === 'Escape') {
+        hideSearchResults();
+    }
+}
+
+// Enter or the search button. Picks the highlighted suggestion, or the first
+// one when the list already shows results for this query; otherwise searches
+// now and goes straight to a single match or offers the matches to pick from.
 async function performSearch() {
     const query = document.getElementById('searchInput').value.trim();
     if (!query) return;
 
+    clearTimeout(searchState.timer);
+    const listVisible = !document.getElementById('searchResults').hidden;
+    if (listVisible && searchState.query === query && searchState.results.length) {
+        selectSearchResult(Math.max(searchState.activeIndex, 0));
+        return;
+    }
+
+    cancelPendingSearch();
     showLoading(true);
 
     try {
-        // Use Nominatim API for geocoding
-        const response = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}`);
-        const results = await response.json();
-
-        if (results.length > 0) {
-            const location = results[0];
-            const lat = parseFloat(location.lat);
-            const lon = parseFloat(location.lon);
+        const results = await searchPlaces(query);
+        searchState.query = query;
 
-            map.setView([lat, lon], 13);
-            
-            // Add marker
-            const marker = L.marker([lat, lon]).addTo(map);
-            marker.bindPopup(location.display_name).openPopup();
-            markers.push(marker);
-
-            // Load location info
-            loadLocationInfo(lat, lon, location.display_name);
+        if (results.length === 1) {
+            searchState.results = results;
+            selectSearchResult(0);
+        } else if (results.length) {
+            renderSearchResults(results, 0);
         } else {
-            alert('Location not found. Please try a different search term.');
+            renderSearchMessage('No places found. Try a different name or coordinates.');
         }
     } catch (error) {
         console.error('Search error:', error);
-        alert('Error performing search. Please try again.');
+        renderSearchMessage('Error performing search. Please try again.');
     } finally {
         showLoading(false);
     }
 }
 
+function selectSearchResult(index) {
+    const result = searchState.results[index];
+    if (!result) return;
+
+    hideSearchResults();
+    document.getElementById('searchInput').value = result.displayName;
+    searchState.query = result.displayName;
+    showPlace(result.lat, result.lon, result.displayName);
+}
+
+function renderSearchResults(results, activeIndex) {
+    searchState.results = results;
+    if (!results.length) {
+        renderSearchMessage('No places found.');
+        return;
+    }
+
+    const list = document.getElementById('searchResults');
+    list.innerHTML = results.map((result, index) => `
+        <li class="search-result" role="option" data-index="${index}">
+            <span class="search-result-name">${escapeHtml(result.displayName)}</span>
+            ${result.type ? `<span class="search-result-type">${escapeHtml(result.type)}</span>` : ''}
+        </li>
+    `).join('');
+    list.hidden = false;
+    setActiveSearchResult(activeIndex);
+}
+
+function renderSearchMessage(message) {
+    const list = document.getElementById('searchResults');
+    searchState.results = [];
+    searchState.activeIndex = -1;
+    list.innerHTML = `<li class="search-message">${escapeHtml(message)}</li>`;
+    list.hidden = false;
+}
+
+function setActiveSearchResult(index) {
+    searchState.activeIndex = index;
+    document.querySelectorAll('#searchResults .search-result').forEach(item => {
+        const active = Number(item.dataset.index) === index;
+        item.classList.toggle('active', active);
+        item.setAttribute('aria-selected', active ? 'true' : 'false');
+    });
+}
+
+function hideSearchResults() {
+    const list = document.getElementById('searchResults');
+    list.hidden = true;
+    searchState.activeIndex = -1;
+}
+
+// Results for a query as [{ lat, lon, displayName, type }]. Coordinates are
+// parsed locally; a short Plus Code followed by a place name ("HXXM+RM
+// Manila") is recovered around that place; anything else goes to the
+// geocoder.
+async function searchPlaces(query, options = {}) {
+    const center = map.getCenter();
+    const coordinate = parseCoordinateInput(query, center.lat, center.lng);
+    if (coordinate) return [coordinate];
+
+    const localPlusCode = query.match(/^([23456789CFGHJMPQRVWX]{4,6}\+[23456789CFGHJMPQRVWX]*)[\s,]+(.+)$/i);
+    if (localPlusCode) {
+        const [locality] = await getGeocoder().search(localPlusCode[2], {
+            viewbox: getSearchViewbox(), limit: 1, signal: options.signal
+        });
+        const recovered = locality && parseCoordinateInput(localPlusCode[1], locality.lat, locality.lon);
+        if (recovered) {
+            recovered.displayName = `${localPlusCode[1].toUpperCase()}, ${locality.displayName}`;
+            return [recovered];
+        }
+    }
+
+    return getGeocoder().search(query, {
+        viewbox: getSearchViewbox(),
+        limit: config.geocoding.maxResults,
+        signal: options.signal
+    });
+}
+
+// The best match for a query, or null. Used by the assistant's tools.
+async function geocodePlace(query) {
+    const results = await searchPlaces(query);
+    return results[0] || null;
+}
+
+// Searches favour the visible map once zoomed in, and the Philippines
+// before that. Results outside the box are still returned.
+function getSearchViewbox() {
+    if (map.getZoom() < config.geocoding.minZoomForViewBias) {
+        return config.geocoding.defaultViewbox;
+    }
+    const bounds = map.getBounds();
+    return [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
+}
+
+function showPlace(lat, lon, displayName) {
+    map.setView([lat, lon], 13);
+
+    const marker = setSelectionMarker(lat, lon, displayName);
+    marker.openPopup();
+
+    // Load location info
+    return loadLocationInfo(lat, lon, displayName);
+}
+
+// The marker for the selected location. There is only ever one; markers
+// added with addMarker() stay until cleared from the sites panel.
+function setSelectionMarker(lat, lon, label) {
+    if (selectionMarker) map.removeLayer(selectionMarker);
+
+    selectionMarker = L.marker([lat, lon]).addTo(map);
+    if (label) {
+        selectionMarker.bindPopup(renderMarkdown(label));
+    }
+    return selectionMarker;
+}
+
+function addMarker(lat, lon, label) {
+    const marker = L.marker([lat, lon]).addTo(map);
+    if (label) {
+        marker.bindPopup(renderMarkdown(label));
+    }
+    markers.push(marker);
+    return marker;
+}
+
+// =====================================================
+// Geocoders
+// =====================================================
+// Each geocoder provides:
+//   search(query, { viewbox, limit, signal }) -> [{ lat, lon, displayName, type }]
+//   reverse(lat, lon) -> { displayName } or null
+// The active one is config.geocoding.provider, unless localStorage
+// 'geovision.geocoder' names another (e.g. 'mock' for offline testing).
+const geocoders = {
+    nominatim: {
+        name: 'OpenStreetMap Nominatim',
+        async search(query, options) {
+            const params = new URLSearchParams({
+                format: 'json',
+                q: query,
+                limit: options.limit,
+                viewbox: options.viewbox.join(','),
+                bounded: 0
+            });
+            const results = await nominatimRequest(`search?${params}`, options.signal);
+            return results.map(result => ({
+                lat: parseFloat(result.lat),
+                lon: parseFloat(result.lon),
+                displayName: result.display_name,
+                type: formatPropertyName(result.type || '')
+            }));
+        },
+        async reverse(lat, lon) {
+            const params = new URLSearchParams({ format: 'json', lat, lon });
+            const result = await nominatimRequest(`reverse?${params}`);
+            return result && result.display_name ? { displayName: result.display_name } : null;
+        }
+    },
+    mock: {
+        name: 'Bundled gazetteer',
+        async search(query, options) {
+            const places = await loadMockGazetteer();
+            const needle = query.toLowerCase();
+            const [west, south, east, north] = options.viewbox;
+            const centerLat = (south + north) / 2;
+            const centerLon = (west + east) / 2;
+
+            // Name prefix matches first, then other substring matches, each
+            // ordered by distance from the search area
+            return places
+                .map(place => ({
+                    place,
+                    rank: place.name.toLowerCase().startsWith(needle) ? 0 :
+                        place.displayName.toLowerCase().includes(needle) ? 1 : -1,
+                    distance: haversineDistance(centerLat, centerLon, place.lat, place.lon)
+                }))
+                .filter(match => match.rank >= 0)
+                .sort((a, b) => a.rank - b.rank || a.distance - b.distance)
+                .slice(0, options.limit)
+                .map(({ place }) => ({
+                    lat: place.lat,
+                    lon: place.lon,
+                    displayName: place.displayName,
+                    type: formatPropertyName(place.type)
+                }));
+        },
+        async reverse(lat, lon) {
+            const places = await loadMockGazetteer();
+            let nearest = null;
+            let nearestKm = 25;
+            places.forEach(place => {
+                const distanceKm = haversineDistance(lat, lon, place.lat, place.lon);
+                if (distanceKm < nearestKm) {
+                    nearest = place;
+                    nearestKm = distanceKm;
+                }
+            });
+            return nearest ? { displayName: nearest.displayName } : null;
+        }
+    }
+};
+
+function getGeocoder() {
+    return geocoders[localStorage.getItem('geovision.geocoder')] || geocoders[config.geocoding.provider];
+}
+
+let mockGazetteer = null;
+
+function loadMockGazetteer() {
+    if (!mockGazetteer) {
+        mockGazetteer = fetch(config.geocoding.mockUrl)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => data.places || [])
+            .catch(error => {
+                mockGazetteer = null;
+                throw error;
+            });
+    }
+    return mockGazetteer;
+}
+
+// Nominatim allows at most one request per second, so requests wait their
+// turn in a queue. Responses are kept in a small LRU cache keyed by URL;
+// a repeated query shares the pending request.
+const nominatimCache = new Map();
+let nominatimQueue = Promise.resolve();
+let nominatimLastRequest = 0;
+
+function nominatimRequest(path, signal) {
+    if (nominatimCache.has(path)) {
+        const cached = nominatimCache.get(path);
+        nominatimCache.delete(path);
+        nominatimCache.set(path, cached);
+        return cached;
+    }
+
+    const request = nominatimQueue.then(async () => {
+        // A suggestion superseded while queued never reaches the server
+        throwIfAborted(signal);
+        const wait = nominatimLastRequest + config.geocoding.minIntervalMs - Date.now();
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        throwIfAborted(signal);
+
+        nominatimLastRequest = Date.now();
+        const response = await fetch(`${config.geocoding.nominatimUrl}/${path}`, { signal });
+        if (!response.ok) throw new Error(`Nominatim returned HTTP ${response.status}`);
+        return response.json();
+    });
+
+    nominatimCache.set(path, request);
+    if (nominatimCache.size > config.geocoding.cacheSize) {
+        nominatimCache.delete(nominatimCache.keys().next().value);
+    }
+
+    // Failures aren't cached, and mustn't stall the requests queued behind
+    request.catch(() => {
+        if (nominatimCache.get(path) === request) nominatimCache.delete(path);
+    });
+    nominatimQueue = request.catch(() => {});
+    return request;
+}
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new DOMException('Search cancelled', 'AbortError');
+    }
+}
+
+// =====================================================
+// Coordinate Parsing
+// =====================================================
+// Recognizes decimal degrees ("14.5995, 120.9842", "14.5995N 120.9842E"),
+// degrees-minutes-seconds ("14°35'58"N 120°59'3"E", "N14 35.97 E120 59.05"),
+// Plus Codes ("7Q62HXXM+RM", or "HXXM+RM" near the reference point), MGRS
+// ("51P TS 82848 14992") and UTM ("51P 282848 1614992"). Returns a search
+// result or null when the text isn't a coordinate.
+function parseCoordinateInput(text, referenceLat, referenceLon) {
+    const input = text.trim().toUpperCase();
+    return parsePlusCode(input, referenceLat, referenceLon) ||
+        parseMgrs(input) ||
+        parseUtm(input) ||
+        parseLatLon(input);
+}
+
+function coordinateResult(lat, lon, type, label) {
+    if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return {
+        lat,
+        lon,
+        displayName: label ? `${label} (${formatCoordinates(lat, lon)})` : formatCoordinates(lat, lon),
+        type
+    };
+}
+
+function parseLatLon(input) {
+    const text = input
+        .replace(/[′’]/g, "'")
+        .replace(/[″”]|''/g, '"')
+        .replace(/º/g, '°');
+
+    // Split into latitude and longitude: at a comma or semicolon, after an
+    // N/S suffix or before an E/W prefix, or down the middle of the numbers
+    let parts = text.split(/\s*[,;]\s*/);
+    if (parts.length !== 2) {
+        const hemispheres = text.match(/^([NS]?[^NSEW]+[NS]|[NS][^NSEW]+)\s*([EW]?[^NSEW]+[EW]?)$/);
+        const numbers = text.split(/\s+/);
+        if (hemispheres) {
+            parts = [hemispheres[1], hemispheres[2]];
+        } else if (/^[\d\s.°'"+-]+$/.test(text) && [2, 4, 6].includes(numbers.length)) {
+            parts = [numbers.slice(0, numbers.length / 2).join(' '), numbers.slice(numbers.length / 2).join(' ')];
+        } else {
+            return null;
+        }
+    }
+
+    const lat = parseCoordinatePart(parts[0], 'N', 'S');
+    const lon = parseCoordinatePart(parts[1], 'E', 'W');
+    if (lat === null || lon === null) return null;
+    return coordinateResult(lat, lon, 'Coordinates');
+}
+
+// One axis in decimal degrees, degrees and minutes, or degrees, minutes and
+// seconds, with an optional sign or hemisphere letter.
+function parseCoordinatePart(part, positive, negative) {
+    const match = part.trim().match(/^([NSEW])?\s*([^NSEW]+?)\s*([NSEW])?$/);
+    if (!match || (match[1] && match[3])) return null;
+
+    const hemisphere = match[1] || match[3];
+    if (hemisphere && hemisphere !== positive && hemisphere !== negative) return null;
+
+    const body = match[2];
+    const numbers = body.match(/[+-]?\d+(?:\.\d+)?/g);
+    if (!numbers || numbers.length > 3) return null;
+    if (body.replace(/[+-]?\d+(?:\.\d+)?/g, '').replace(/[\s°'"]/g, '') !== '') return null;
+    if (numbers.slice(1).some(number => /^[+-]/.test(number))) return null;
+    if (numbers.length > 1 && numbers.slice(0, -1).some(number => number.includes('.'))) return null;
+
+    const [degrees, minutes = 0, seconds = 0] = numbers.map(Number);
+    if (minutes >= 60 || seconds >= 60) return null;
+
+    const negativeSign = numbers[0].startsWith('-');
+    if (negativeSign && hemisphere) return null;
+
+    const value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+    return negativeSign || hemisphere === negative ? -value : value;
+}
+
+// Open Location Code (Plus Code). Full codes have eight digits before the
+// "+"; shorter ones are completed from the reference point, as in the
+// reference implementation's recoverNearest().
+const PLUS_CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+
+function parsePlusCode(input, referenceLat, referenceLon) {
+    const match = input.match(/^([23456789CFGHJMPQRVWX]{2,8})(0*)\+([23456789CFGHJMPQRVWX]*)$/);
+    if (!match) return null;
+
+    const [, digits, padding, refinement] = match;
+    const prefixLength = digits.length + padding.length;
+    if (prefixLength % 2 !== 0 || (padding && refinement) || refinement.length === 1) return null;
+
+    if (prefixLength === 8) {
+        const area = decodePlusCode(digits + refinement);
+        return coordinateResult(area.lat, area.lon, 'Plus Code', input);
+    }
+
+    if (padding || referenceLat === undefined) return null;
+
+    // Short code: borrow the leading digits from the reference point, then
+    // shift by one cell if that lands more than half a cell away
+    const resolution = 20 ** (2 - (8 - prefixLength) / 2);
+    const area = decodePlusCode(encodePlusCodePrefix(referenceLat, referenceLon, 8 - prefixLength) + digits + refinement);
+    let lat = area.lat;
+    let lon = area.lon;
+
+    if (referenceLat + resolution / 2 < lat && lat - resolution >= -90) {
+        lat -= resolution;
+    } else if (referenceLat - resolution / 2 > lat && lat + resolution <= 90) {
+        lat += resolution;
+    }
+    if (referenceLon + resolution / 2 < lon) {
+        lon -= resolution;
+    } else if (referenceLon - resolution / 2 > lon) {
+        lon += resolution;
+    }
+    return coordinateResult(lat, ((lon + 540) % 360) - 180, 'Plus Code', input);
+}
+
+// Centre of the cell a code (without the "+") describes
+function decodePlusCode(code) {
+    let south = -90;
+    let west = -180;
+    let latSize = 400;
+    let lonSize = 400;
+
+    // Pairs of digits refine latitude and longitude by 20 each step...
+    for (let i = 0; i < Math.min(code.length, 10); i += 2) {
+        latSize /= 20;
+        lonSize /= 20;
+        south += PLUS_CODE_ALPHABET.indexOf(code[i]) * latSize;
+        west += PLUS_CODE_ALPHABET.indexOf(code[i + 1]) * lonSize;
+    }
+    // ...then single digits pick a cell from a 4 x 5 grid
+    for (let i = 10; i < code.length; i++) {
+        const index = PLUS_CODE_ALPHABET.indexOf(code[i]);
+        latSize /= 5;
+        lonSize /= 4;
+        south += Math.floor(index / 4) * latSize;
+        west += (index % 4) * lonSize;
+    }
+    return { lat: Math.min(south + latSize / 2, 90), lon: west + lonSize / 2 };
+}
+
+function encodePlusCodePrefix(lat, lon, length) {
+    let latValue = Math.min(Math.max(lat, -90), 90 - 1e-9) + 90;
+    let lonValue = ((lon + 180) % 360 + 360) % 360;
+    let resolution = 20;
+    let code = '';
+    for (let i = 0; i < length; i += 2) {
+        const latDigit = Math.floor(latValue / resolution);
+        const lonDigit = Math.floor(lonValue / resolution);
+        code += PLUS_CODE_ALPHABET[latDigit] + PLUS_CODE_ALPHABET[lonDigit];
+        latValue -= latDigit * resolution;
+        lonValue -= lonDigit * resolution;
+        resolution /= 20;
+    }
+    return code;
+}
+
+// MGRS: zone and latitude band, two letters naming the 100 km square, then
+// an even number of digits split between easting and northing.
+const MGRS_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+// Lowest northing in each band, used to pick the right 2,000 km cycle of
+// row letters
+const MGRS_BAND_MIN_NORTHING = [1.1, 2.0, 2.8, 3.7, 4.6, 5.5, 6.4, 7.3, 8.2, 9.1,
+    0, 0.8, 1.7, 2.6, 3.5, 4.4, 5.3, 6.2, 7.0, 7.9].map(millions => millions * 1000000);
+
+function parseMgrs(input) {
+    const match = input.replace(/\s+/g, '').match(/^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d*)$/);
+    if (!match || match[5].length % 2 !== 0 || match[5].length > 10) return null;
+
+    const zone = parseInt(match[1], 10);
+    if (zone < 1 || zone > 60) return null;
+
+    const columns = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'][(zone - 1) % 3];
+    const column = columns.indexOf(match[3]);
+    if (column < 0) return null;
+
+    // Row letters cycle every 2,000 km; even zones start five letters in
+    const rows = 'ABCDEFGHJKLMNPQRSTUV';
+    const row = (rows.indexOf(match[4]) - (zone % 2 === 0 ? 5 : 0) + 20) % 20;
+
+    const band = MGRS_BANDS.indexOf(match[2]);
+    let northing100k = row * 100000;
+    while (northing100k < MGRS_BAND_MIN_NORTHING[band]) northing100k += 2000000;
+
+    // Digits give the square's corner; use the centre of the cell they describe
+    const precision = match[5].length / 2;
+    const cellSize = 10 ** (5 - precision);
+    const easting = (column + 1) * 100000 + (precision ? parseInt(match[5].slice(0, precision), 10) * cellSize : 0) + cellSize / 2;
+    const northing = northing100k + (precision ? parseInt(match[5].slice(precision), 10) * cellSize : 0) + cellSize / 2;
+
+    const position = utmToLatLon(zone, easting, northing, band < MGRS_BANDS.indexOf('N'));
+    return coordinateResult(position.lat, position.lon, 'MGRS', input);
+}
+
+// UTM: zone, latitude band (or N/S hemisphere) then easting and northing in
+// metres. "S" is a northern band but is also widely written for the southern
+// hemisphere; the band reading is tried first.
+function parseUtm(input) {
+    const match = input.match(/^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*(?:M?E)?[\s,]+(\d+(?:\.\d+)?)\s*(?:M?N)?$/);
+    if (!match) return null;
+
+    const zone = parseInt(match[1], 10);
+    const easting = parseFloat(match[3]);
+    const northing = parseFloat(match[4]);
+    if (zone < 1 || zone > 60 || easting < 100000 || easting > 900000 || northing > 10000000) return null;
+
+    const band = MGRS_BANDS.indexOf(match[2]);
+    let position = utmToLatLon(zone, easting, northing, band < MGRS_BANDS.indexOf('N'));
+    if (match[2] === 'S' && (position.lat < 32 || position.lat >= 40)) {
+        position = utmToLatLon(zone, easting, northing, true);
+    }
+    return coordinateResult(position.lat, position.lon, 'UTM', input);
+}
+
+// Inverse transverse Mercator on the WGS84 ellipsoid (Snyder's series)
+function utmToLatLon(zone, easting, northing, southern) {
+    const a = 6378137;
+    const f = 1 / 298.257223563;
+    const k0 = 0.9996;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+    const x = easting - 500000;
+    const y = southern ? northing - 10000000 : northing;
+
+    const mu = y / k0 / (a * (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256));
+    const phi1 = mu +
+        (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+        (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+        (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+        (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+    const sinPhi = Math.sin(phi1);
+    const cosPhi = Math.cos(phi1);
+    const tanPhi = Math.tan(phi1);
+    const n1 = a / Math.sqrt(1 - e2 * sinPhi ** 2);
+    const t1 = tanPhi ** 2;
+    const c1 = ep2 * cosPhi ** 2;
+    const r1 = a * (1 - e2) / (1 - e2 * sinPhi ** 2) ** 1.5;
+    const d = x / (n1 * k0);
+
+    const lat = phi1 - (n1 * tanPhi / r1) * (
+        d ** 2 / 2 -
+        (5 + 3 * t1 + 10 * c1 - 4 * c1 ** 2 - 9 * ep2) * d ** 4 / 24 +
+        (61 + 90 * t1 + 298 * c1 + 45 * t1 ** 2 - 252 * ep2 - 3 * c1 ** 2) * d ** 6 / 720);
+    const lon = (d -
+        (1 + 2 * t1 + c1) * d ** 3 / 6 +
+        (5 - 2 * c1 + 28 * t1 - 3 * c1 ** 2 + 8 * ep2 + 24 * t1 ** 2) * d ** 5 / 120) / cosPhi;
+
+    return {
+        lat: lat * 180 / Math.PI,
+        lon: (zone - 1) * 6 - 180 + 3 + lon * 180 / Math.PI
+    };
+}
+
 // =====================================================
 // Map Click Handler
 // =====================================================
 async function handleMapClick(e) {
+    // Clicks place vertices while an area is being drawn
+    if (drawState) return;
+
     const lat = e.latlng.lat;
     const lon = e.latlng.lng;
 
-    // Add marker
-    clearMarkers();
-    const marker = L.marker([lat, lon]).addTo(map);
-    markers.push(marker);
+    // Move the selection marker
+    setSelectionMarker(lat, lon);
 
     // Load location info
     await loadLocationInfo(lat, lon);
@@ -165,6 +1186,9 @@ async function handleMapClick(e) {
 // =====================================================
 async function loadLocationInfo(lat, lon, placeName = null) {
     currentLocation = { lat, lon, placeName };
+    currentArea = null;
+    clearEvacuationRoutes();
+    setUrlParam('loc', formatLatLonParam(lat, lon), true);
     
     const infoPanel = document.getElementById('infoPanel');
     const infoPanelContent = document.getElementById('infoPanelContent');
@@ -175,19 +1199,26 @@ async function loadLocationInfo(lat, lon, placeName = null) {
     try {
         // Reverse geocoding if no place name
         if (!placeName) {
-            const geoResponse = await fetch(`https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}`);
-            const geoData = await geoResponse.json();
-            placeName = geoData.display_name || 'Unknown Location';
+            const place = await getGeocoder().reverse(lat, lon);
+            placeName = place ? place.displayName : 'Unknown Location';
+            currentLocation.placeName = placeName;
         }
 
         // Generate comprehensive location analysis
         const analysis = await analyzeLocation(lat, lon, placeName);
         
         infoPanelContent.innerHTML = analysis;
+        updatePlannerViews();
 
     } catch (error) {
         console.error('Error loading location info:', error);
         infoPanelContent.innerHTML = '<p class="placeholder-text">Error loading location information</p>';
+    } finally {
+        // Active event distances are measured from the selected location
+        if (!feedLoadInProgress) {
+            updateEventDistances();
+            renderDisasterList();
+        }
     }
 }
 
@@ -195,35 +1226,40 @@ async function loadLocationInfo(lat, lon, placeName = null) {
 // Analyze Location (Simulated AI Analysis)
 // =====================================================
 async function analyzeLocation(lat, lon, placeName) {
-    // This simulates comprehensive location analysis
-    // In production, this would integrate with real APIs and AI services
-    
-    const locationData = {
+    // Hazard and resilience figures come from the loaded hazard layers
+    await Promise.all([hazardDataReady, scoringProfilesReady, infrastructureDataReady, exposureDataReady, typhoonDataReady, historyDataReady, evacuationDataReady]);
+
+    const assessment = assessLocation(lat, lon);
+    const evacuation = findEvacuationRoutes(lat, lon);
+
+    const locationData = Object.assign({
         name: placeName,
-        coordinates: `${lat.toFixed(4)}°, ${lon.toFixed(4)}°`,
-        population: estimatePopulation(placeName),
-        hazards: identifyHazards(lat, lon),
-        infrastructure: 'Moderate',
-        resilience: calculateResilience(lat, lon)
-    };
+        coordinates: formatCoordinates(lat, lon)
+    }, assessment);
+
+    if (currentLocation) {
+        currentLocation.resilienceInputs = assessment.resilience.inputs;
+        currentLocation.exposure = assessment.exposure;
+        // Unless another location was selected in the meantime
+        if (currentLocation.lat === lat && currentLocation.lon === lon) showEvacuationRoutes(evacuation);
+    }
 
     return `
         <div class="location-header">
-            <h3 class="location-title">${locationData.name}</h3>
-            <p class="location-subtitle">${locationData.coordinates}</p>
+            <h3 class="location-title">${escapeHtml(locationData.name)}</h3>
+            <p class="location-subtitle">${escapeHtml(locationData.coordinates)}</p>
+            <button type="button" class="save-site-btn" data-action="save-site">★ Save site</button>
+            <button type="button" class="save-site-btn" data-action="generate-report">Generate report</button>
+            <button type="button" class="save-site-btn" data-action="copy-link" title="Copy a link to this view">🔗 Copy link</button>
+            <button type="button" class="save-site-btn" data-action="watch-location" title="Get alerts for events near this location">🔔 Watch</button>
         </div>
 
         <div class="info-section">
             <h3>Demographics</h3>
-            <div class="info-grid">
-                <div class="info-item">
-                    <div class="info-label">Population</div>
-                    <div class="info-value">${locationData.population}</div>
-                </div>
-                <div class="info-item">
-                    <div class="info-label">Infrastructure</div>
-                    <div class="info-value">${locationData.infrastructure}</div>
-                </div>
+            ${renderExposureSection(locationData.exposure)}
+            <div class="info-item">
+                <div class="info-label">Infrastructure</div>
+                <div class="info-value">${escapeHtml(locationData.infrastructure || 'Unknown')}</div>
             </div>
         </div>
 
@@ -232,19 +1268,28 @@ async function analyzeLocation(lat, lon, placeName) {
             <div class="hazard-list">
                 ${locationData.hazards.map(hazard => `
                     <div class="hazard-item">
-                        <span class="hazard-name">${hazard.name}</span>
-                        <span class="hazard-badge ${hazard.level}">${hazard.level.toUpperCase()}</span>
+                        <div class="hazard-details">
+                            <span class="hazard-name">${escapeHtml(hazard.name)}</span>
+                            <span class="hazard-evidence">${escapeHtml(hazard.evidence)}</span>
+                        </div>
+                        <span class="hazard-badge ${escapeHtml(hazard.level)}">${escapeHtml(hazard.level.toUpperCase())}</span>
                     </div>
                 `).join('')}
             </div>
         </div>
 
-        <div class="info-section">
-            <h3>Resilience Score</h3>
-            <div class="info-item">
-                <div class="info-label">Overall Resilience</div>
-                <div class="info-value">${locationData.resilience}/100</div>
-            </div>
+        ${renderTyphoonSection(lat, lon)}
+
+        ${renderPastEventsSection(lat, lon)}
+
+        ${renderEvacuationSection(evacuation)}
+
+        <div class="info-section" id="floodSection" ${floodScenario ? '' : 'hidden'}>
+            ${renderFloodSection(lat, lon)}
+        </div>
+
+        <div class="info-section" id="resilienceSection">
+            ${renderResilienceSection(locationData.resilience)}
         </div>
 
         <div class="info-section">
@@ -257,268 +1302,7225 @@ async function analyzeLocation(lat, lon, placeName) {
     `;
 }
 
-// =====================================================
-// Hazard Identification
-// =====================================================
-function identifyHazards(lat, lon) {
-    const hazards = [];
-    
-    // Philippines-specific hazard zones (simplified)
-    // In production, this would use real hazard data
-    
-    // Earthquake risk (higher near fault lines)
-    if (Math.abs(lat - 14.5995) < 2 || Math.abs(lat - 10.3157) < 2) {
-        hazards.push({ name: 'Earthquake', level: 'high' });
-    } else {
-        hazards.push({ name: 'Earthquake', level: 'moderate' });
-    }
-    
-    // Typhoon risk (coastal areas)
-    if (lon > 121 && lon < 126) {
-        hazards.push({ name: 'Typhoon', level: 'high' });
-    } else {
-        hazards.push({ name: 'Typhoon', level: 'moderate' });
-    }
-    
-    // Flooding risk
-    if (lat < 15 && lat > 10) {
-        hazards.push({ name: 'Flooding', level: 'moderate' });
-    } else {
-        hazards.push({ name: 'Flooding', level: 'low' });
-    }
-    
-    // Tsunami risk (coastal)
-    const isCoastal = Math.random() > 0.5; // Simplified
-    if (isCoastal) {
-        hazards.push({ name: 'Tsunami', level: 'moderate' });
-    }
-    
-    // Landslide risk (mountainous areas)
-    if (lat > 16 || (lat > 6 && lat < 10)) {
-        hazards.push({ name: 'Landslide', level: 'moderate' });
-    }
+// Hazards, exposure and resilience for a point, scored the same way wherever
+// a location is shown. Await the hazard, scoring, infrastructure and exposure
+// data first.
+function assessLocation(lat, lon) {
+    const hazards = identifyHazards(lat, lon);
+    const exposure = computeExposure(lat, lon);
+    const infrastructure = getInfrastructureRating(lat, lon);
+    const resilience = calculateResilience(lat, lon, Object.assign({
+        hazards: hazards,
+        infrastructure: infrastructure
+    }, getExposureInputs(exposure)));
 
-    return hazards;
+    return { hazards, exposure, infrastructure, resilience };
 }
 
-// =====================================================
-// Load Hazard Zones
-// =====================================================
-function loadHazardZones() {
-    // Add sample hazard zones (circles)
-    // In production, this would load real hazard polygon data
-    
-    const hazardZones = [
-        { lat: 14.5995, lon: 120.9842, radius: 50000, level: 'high', name: 'Metro Manila Earthquake Zone' },
-        { lat: 13.4145, lon: 123.4135, radius: 40000, level: 'high', name: 'Bicol Volcanic Zone' },
-        { lat: 10.3157, lon: 123.8854, radius: 35000, level: 'moderate', name: 'Cebu Fault Line' },
-        { lat: 7.0731, lon: 125.6128, radius: 30000, level: 'moderate', name: 'Davao Seismic Zone' }
-    ];
-
-    hazardZones.forEach(zone => {
-        const color = zone.level === 'high' ? '#d9534f' : 
-                     zone.level === 'moderate' ? '#f0ad4e' : '#5cb85c';
-        
-        L.circle([zone.lat, zone.lon], {
-            radius: zone.radius,
-            color: color,
-            fillColor: color,
-            fillOpacity: 0.2,
-            weight: 2
-        }).addTo(hazardLayer).bindPopup(`<strong>${zone.name}</strong><br>Risk Level: ${zone.level.toUpperCase()}`);
-    });
+// Active events ordered by distance from a point
+function findNearestEvents(lat, lon, limit, maxDistanceKm = Infinity) {
+    return activeEvents
+        .map(event => ({
+            event: event,
+            distanceKm: haversineDistance(lat, lon, event.lat, event.lon),
+            bearing: calculateBearing(lat, lon, event.lat, event.lon)
+        }))
+        .filter(nearby => nearby.distanceKm <= maxDistanceKm)
+        .sort((a, b) => a.distanceKm - b.distanceKm)
+        .slice(0, limit);
 }
 
 // =====================================================
-// Load Active Hazards
+// Draw Area
 // =====================================================
-async function loadActiveHazards() {
+// A map control to draw a polygon, rectangle or radius buffer. Polygons take
+// a click per vertex and finish on double-click, Enter or a click on the
+// first vertex; rectangles take two opposite corners; buffers take the centre
+// and then a point on the edge. Escape cancels. Other tools draw with the
+// same handlers: they pass an `onFinish` callback for the clicked points and
+// may also use 'line' (finished like a polygon) and 'point' (one click).
+const drawModes = {
+    polygon: { label: '⬠', title: 'Draw a polygon' },
+    rectangle: { label: '▭', title: 'Draw a rectangle' },
+    buffer: { label: '◎', title: 'Draw a radius buffer' }
+};
+
+function initializeDrawControl() {
+    const DrawControl = L.Control.extend({
+        options: { position: 'topleft' },
+        onAdd() {
+            const container = L.DomUtil.create('div', 'leaflet-bar draw-control');
+            Object.keys(drawModes).forEach(mode => {
+                const button = L.DomUtil.create('a', 'draw-button', container);
+                button.href = '#';
+                button.dataset.drawMode = mode;
+                button.title = drawModes[mode].title;
+                button.textContent = drawModes[mode].label;
+            });
+
+            const clear = L.DomUtil.create('a', 'draw-button', container);
+            clear.href = '#';
+            clear.dataset.drawMode = 'clear';
+            clear.title = 'Remove drawn areas';
+            clear.textContent = '✕';
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.on(container, 'click', e => {
+                L.DomEvent.preventDefault(e);
+                const button = e.target.closest('[data-draw-mode]');
+                if (!button) return;
+
+                if (button.dataset.drawMode === 'clear') {
+                    clearDrawnAreas();
+                } else if (drawState && drawState.mode === button.dataset.drawMode) {
+                    cancelDrawing();
+                } else {
+                    startDrawing(button.dataset.drawMode);
+                }
+            });
+            return container;
+        }
+    });
+
+    new DrawControl().addTo(map);
+
+    map.on('click', handleDrawClick);
+    map.on('mousemove', handleDrawMove);
+    map.on('dblclick', () => {
+        if (drawState && isMultiPointDrawing()) finishDrawing();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (!drawState) return;
+        if (e.key === 'Escape') cancelDrawing();
+        if (e.key === 'Enter' && isMultiPointDrawing()) finishDrawing();
+    });
+}
+
+// Polygons and lines take any number of points
+function isMultiPointDrawing() {
+    return drawState.mode === 'polygon' || drawState.mode === 'line';
+}
+
+function startDrawing(mode, onFinish) {
+    cancelDrawing();
+
+    drawState = { mode: mode, points: [], preview: null, onFinish: onFinish || null };
+    map.doubleClickZoom.disable();
+    map.getContainer().classList.add('drawing');
+    document.querySelectorAll('.draw-button').forEach(button => {
+        button.classList.toggle('active', button.dataset.drawMode === mode);
+    });
+}
+
+function cancelDrawing() {
+    if (!drawState) return;
+
+    if (drawState.preview) map.removeLayer(drawState.preview);
+    drawState = null;
+    map.doubleClickZoom.enable();
+    map.getContainer().classList.remove('drawing');
+    document.querySelectorAll('.draw-button, .planner-item').forEach(button => button.classList.remove('active'));
+}
+
+function handleDrawClick(e) {
+    if (!drawState) return;
+
+    const points = drawState.points;
+    const point = map.latLngToContainerPoint(e.latlng);
+
+    if (isMultiPointDrawing() && points.length) {
+        // A double-click also sends two clicks; ignore repeats on the last vertex
+        if (map.latLngToContainerPoint(points[points.length - 1]).distanceTo(point) < 6) return;
+
+        // Clicking the first vertex closes the polygon
+        if (drawState.mode === 'polygon' && points.length >= 3 && map.latLngToContainerPoint(points[0]).distanceTo(point) < 10) {
+            finishDrawing();
+            return;
+        }
+    }
+
+    points.push(e.latlng);
+
+    if (!isMultiPointDrawing() && points.length === (drawState.mode === 'point' ? 1 : 2)) {
+        finishDrawing();
+        return;
+    }
+    updateDrawPreview(e.latlng);
+}
+
+function handleDrawMove(e) {
+    if (drawState && drawState.points.length) updateDrawPreview(e.latlng);
+}
+
+function updateDrawPreview(cursor) {
+    const points = drawState.points;
+    const style = { color: '#4a90e2', weight: 2, dashArray: '4 4', fillOpacity: 0.1, interactive: false };
+    let preview;
+
+    if (drawState.mode === 'polygon') {
+        preview = L.polygon(points.concat([cursor]), style);
+    } else if (drawState.mode === 'line') {
+        preview = L.polyline(points.concat([cursor]), style);
+    } else if (drawState.mode === 'rectangle') {
+        preview = L.rectangle(L.latLngBounds(points[0], cursor), style);
+    } else {
+        preview = L.circle(points[0], Object.assign({ radius: points[0].distanceTo(cursor) }, style));
+    }
+
+    if (drawState.preview) map.removeLayer(drawState.preview);
+    drawState.preview = preview.addTo(map);
+}
+
+function finishDrawing() {
+    const { mode, points, onFinish } = drawState;
+    cancelDrawing();
+
+    if (onFinish) {
+        onFinish(points);
+        return;
+    }
+
+    let area = null;
+    if (mode === 'polygon' && points.length >= 3) {
+        area = createDrawnArea('polygon', { ring: points.map(p => [p.lng, p.lat]) });
+    } else if (mode === 'rectangle' && points.length === 2) {
+        const bounds = L.latLngBounds(points[0], points[1]);
+        area = createDrawnArea('rectangle', {
+            ring: [
+                [bounds.getWest(), bounds.getSouth()],
+                [bounds.getEast(), bounds.getSouth()],
+                [bounds.getEast(), bounds.getNorth()],
+                [bounds.getWest(), bounds.getNorth()]
+            ]
+        });
+    } else if (mode === 'buffer' && points.length === 2) {
+        area = createDrawnArea('buffer', {
+            center: { lat: points[0].lat, lon: points[0].lng },
+            radiusKm: haversineDistance(points[0].lat, points[0].lng, points[1].lat, points[1].lng)
+        });
+    }
+
+    if (area) {
+        updateAreaUrl();
+        analyzeArea(area);
+    }
+}
+
+// Builds a drawn area from a ring of [lon, lat] pairs or a buffer centre and
+// radius, and adds it to the map. Buffers are kept as a true circle for
+// analysis; `geometry` holds a polygon outline of every shape.
+function createDrawnArea(shape, { ring, center, radiusKm, id }) {
+    const area = { id: id || createId('area'), shape: shape, report: null };
+    const style = { color: '#4a90e2', weight: 2, fillOpacity: 0.12 };
+
+    if (shape === 'buffer') {
+        area.center = center;
+        area.radiusKm = radiusKm;
+        area.geometry = { type: 'Polygon', coordinates: [circleRing(center.lat, center.lon, radiusKm)] };
+        area.layer = L.circle([center.lat, center.lon], Object.assign({ radius: radiusKm * 1000 }, style));
+    } else {
+        const closed = ring.concat([ring[0]]);
+        area.geometry = { type: 'Polygon', coordinates: [closed] };
+        area.layer = L.polygon(ring.map(([lon, lat]) => [lat, lon]), style);
+    }
+
+    area.layer.on('click', (e) => {
+        // While drawing, let the click through so it places a vertex
+        if (drawState) return;
+        L.DomEvent.stopPropagation(e);
+        analyzeArea(area);
+    });
+    area.layer.addTo(drawnAreaLayer);
+    drawnAreas.push(area);
+    return area;
+}
+
+function clearDrawnAreas() {
+    cancelDrawing();
+    drawnAreaLayer.clearLayers();
+    drawnAreas = [];
+    updateAreaUrl();
+
+    if (currentArea) {
+        currentArea = null;
+        document.getElementById('infoPanel').style.display = 'none';
+    }
+}
+
+function circleRing(lat, lon, radiusKm, segments = 64) {
+    const ring = [];
+    for (let i = 0; i <= segments; i++) {
+        ring.push(offsetPoint(lat, lon, radiusKm, (i % segments) / segments * 360));
+    }
+    return ring;
+}
+
+function areaContains(area, lat, lon) {
+    if (area.shape === 'buffer') {
+        return haversineDistance(area.center.lat, area.center.lon, lat, lon) <= area.radiusKm;
+    }
+    return pointInGeometry(lat, lon, area.geometry);
+}
+
+function getAreaBounds(area) {
+    const ring = area.geometry.coordinates[0];
+    const lats = ring.map(p => p[1]);
+    const lons = ring.map(p => p[0]);
+    return { south: Math.min(...lats), north: Math.max(...lats), west: Math.min(...lons), east: Math.max(...lons) };
+}
+
+// Area of a ring of [lon, lat] pairs on a sphere, in km²
+function ringAreaKm2(ring) {
+    const R = 6371;
+    const toRad = deg => deg * Math.PI / 180;
+    let total = 0;
+
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [lon1, lat1] = ring[i];
+        const [lon2, lat2] = ring[i + 1];
+        total += toRad(lon2 - lon1) * (2 + Math.sin(toRad(lat1)) + Math.sin(toRad(lat2)));
+    }
+    return Math.abs(total * R * R / 2);
+}
+
+// =====================================================
+// Area Analysis
+// =====================================================
+async function analyzeArea(area) {
+    currentArea = area;
+
+    const infoPanel = document.getElementById('infoPanel');
+    const infoPanelContent = document.getElementById('infoPanelContent');
+    infoPanel.style.display = 'block';
+    infoPanelContent.innerHTML = '<div class="loading">Analyzing area...</div>';
+
+    try {
+        await Promise.all([hazardDataReady, scoringProfilesReady, infrastructureDataReady, exposureDataReady]);
+        area.report = computeAreaReport(area);
+
+        // The panel may have moved on to another selection in the meantime
+        if (currentArea === area) {
+            infoPanelContent.innerHTML = renderAreaReport(area.report);
+        }
+    } catch (error) {
+        console.error('Error analyzing area:', error);
+        infoPanelContent.innerHTML = '<p class="placeholder-text">Error analyzing area</p>';
+    }
+}
+
+// Aggregates hazards, population and active events over an area. Hazard
+// shares are the fraction of grid samples inside the area at each level.
+function computeAreaReport(area) {
+    const bounds = getAreaBounds(area);
+    const n = config.areaAnalysis.sampleGrid;
+    const tallies = new Map();
+    let samples = 0;
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            const lat = bounds.south + (i + 0.5) / n * (bounds.north - bounds.south);
+            const lon = bounds.west + (j + 0.5) / n * (bounds.east - bounds.west);
+            if (!areaContains(area, lat, lon)) continue;
+
+            samples++;
+            identifyHazards(lat, lon).forEach(hazard => {
+                const tally = tallies.get(hazard.name) || { high: 0, moderate: 0, low: 0 };
+                tally[hazard.level]++;
+                tallies.set(hazard.name, tally);
+            });
+        }
+    }
+
+    // Population, and how much of it sits in a high zone of each hazard
+    const cells = populationCellsWithin(bounds, (lat, lon) => areaContains(area, lat, lon));
+    const population = Math.round(cells.reduce((sum, cell) => sum + cell.people, 0));
+    const highPopulation = new Map();
+    cells.forEach(cell => {
+        identifyHazards(cell.lat, cell.lon)
+            .filter(hazard => hazard.level === 'high')
+            .forEach(hazard => highPopulation.set(hazard.name, (highPopulation.get(hazard.name) || 0) + cell.people));
+    });
+
+    const hazards = [...tallies.entries()].map(([name, tally]) => {
+        const shares = {
+            high: samples ? tally.high / samples : 0,
+            moderate: samples ? tally.moderate / samples : 0,
+            low: samples ? tally.low / samples : 0
+        };
+        return {
+            name: name,
+            shares: shares,
+            level: ['high', 'moderate', 'low'].find(level => shares[level] >= config.areaAnalysis.minHazardShare) || null,
+            populationInHigh: Math.round(highPopulation.get(name) || 0)
+        };
+    });
+
+    const units = adminUnits
+        .filter(unit => cells.some(cell => pointInGeometry(cell.lat, cell.lon, unit.geometry)))
+        .map(unit => unit.properties.name);
+
+    const center = area.center || (() => {
+        const ring = area.geometry.coordinates[0].slice(0, -1);
+        return {
+            lat: ring.reduce((sum, p) => sum + p[1], 0) / ring.length,
+            lon: ring.reduce((sum, p) => sum + p[0], 0) / ring.length
+        };
+    })();
+
+    const events = activeEvents.filter(event => areaContains(area, event.lat, event.lon));
+
+    // The infrastructure rating covering most of the people in the area, or
+    // the one at its center where no population data reaches
+    const ratingPopulation = new Map();
+    cells.forEach(cell => {
+        const rating = getInfrastructureRating(cell.lat, cell.lon);
+        if (rating) ratingPopulation.set(rating, (ratingPopulation.get(rating) || 0) + cell.people);
+    });
+    const infrastructure = [...ratingPopulation.keys()].sort((a, b) => ratingPopulation.get(b) - ratingPopulation.get(a))[0] ||
+        getInfrastructureRating(center.lat, center.lon);
+
+    // The area is scored like a point, using its dominant hazard levels, the
+    // population inside it and its infrastructure rating
+    const covered = cells.length > 0 || units.length > 0;
+    const resilienceInputs = {
+        hazards: hazards.filter(h => h.level).map(h => ({
+            name: h.name,
+            level: h.level,
+            evidence: `${Math.round(h.shares[h.level] * 100)}% of area ${h.level}`
+        })),
+        infrastructure: infrastructure
+    };
+    if (covered) {
+        resilienceInputs.population = population;
+        resilienceInputs.populationLabel = `${formatPopulation(population)} in area`;
+    }
+
+    return {
+        shape: area.shape,
+        lat: center.lat,
+        lon: center.lon,
+        radiusKm: area.radiusKm || null,
+        areaKm2: area.shape === 'buffer' ? Math.PI * area.radiusKm * area.radiusKm : ringAreaKm2(area.geometry.coordinates[0]),
+        hazards: hazards,
+        population: covered ? population : null,
+        adminUnits: units,
+        events: events,
+        resilienceInputs: resilienceInputs,
+        resilience: calculateResilience(center.lat, center.lon, resilienceInputs)
+    };
+}
+
+function renderAreaReport(report) {
+    const shapeNames = { polygon: 'Polygon', rectangle: 'Rectangle', buffer: `${formatDistance(report.radiusKm)} buffer` };
+    const percent = share => share ? `${Math.round(share * 100)}%` : '-';
+
+    return `
+        <div class="location-header">
+            <h3 class="location-title">Drawn area · ${escapeHtml(shapeNames[report.shape])}</h3>
+            <p class="location-subtitle">${formatArea(report.areaKm2)} · centred on ${formatCoordinates(report.lat, report.lon)}</p>
+            <button type="button" class="save-site-btn" data-action="watch-area" title="Get alerts for events in or near this area">🔔 Watch area</button>
+        </div>
+
+        <div class="info-section">
+            <h3>Hazard Coverage</h3>
+            ${report.hazards.length ? `
+                <table class="area-hazards">
+                    <tr><th>Hazard</th><th>High</th><th>Moderate</th><th>Low</th><th>People in high</th></tr>
+                    ${report.hazards.map(h => `
+                        <tr>
+                            <td>${escapeHtml(h.name)}</td>
+                            <td>${percent(h.shares.high)}</td>
+                            <td>${percent(h.shares.moderate)}</td>
+                            <td>${percent(h.shares.low)}</td>
+                            <td>${report.population !== null ? formatPopulation(h.populationInHigh) : '-'}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            ` : '<p class="placeholder-text">No mapped hazard zones in this area</p>'}
+        </div>
+
+        <div class="info-section">
+            <h3>Exposure</h3>
+            <div class="info-item">
+                <div class="info-label">Population in area</div>
+                <div class="info-value">${report.population !== null ? report.population.toLocaleString() : 'No data'}</div>
+                ${report.adminUnits.length ? `<div class="exposure-note">${report.adminUnits.map(escapeHtml).join(', ')}</div>` : ''}
+            </div>
+        </div>
+
+        <div class="info-section">
+            <h3>Active Events in Area</h3>
+            ${report.events.length ? report.events.map(event => `
+                <div class="area-event">
+                    <strong>${escapeHtml(event.name)}</strong>
+                    <span>${escapeHtml(event.type)} · ${escapeHtml(event.status)} · ${formatEventTime(event.time)}</span>
+                </div>
+            `).join('') : '<p class="placeholder-text">No active events inside this area</p>'}
+        </div>
+
+        <div class="info-section" id="resilienceSection">
+            ${renderResilienceSection(report.resilience)}
+        </div>
+    `;
+}
+
+// Compact form of an area report for the chat context
+function summarizeAreaReport(report) {
+    const round = share => Math.round(share * 100);
+    return {
+        shape: report.shape,
+        center: { lat: report.lat, lon: report.lon },
+        radiusKm: report.radiusKm,
+        areaKm2: Math.round(report.areaKm2 * 10) / 10,
+        hazards: report.hazards.map(h => ({
+            name: h.name,
+            percentHigh: round(h.shares.high),
+            percentModerate: round(h.shares.moderate),
+            percentLow: round(h.shares.low),
+            populationInHigh: report.population !== null ? h.populationInHigh : null
+        })),
+        population: report.population,
+        adminUnits: report.adminUnits,
+        activeEvents: report.events.map(event => ({ type: event.type, name: event.name, status: event.status })),
+        resilience: {
+            score: report.resilience.score,
+            maxScore: report.resilience.maxScore,
+            profile: report.resilience.profile.name
+        }
+    };
+}
+
+function describeAreaReport(report) {
+    const lines = [`The drawn area covers **${formatArea(report.areaKm2)}** around ${formatCoordinates(report.lat, report.lon)}.`, ''];
+
+    if (report.hazards.length) {
+        lines.push('Hazard coverage:');
+        report.hazards.forEach(h => {
+            const shares = ['high', 'moderate', 'low']
+                .filter(level => h.shares[level])
+                .map(level => `${Math.round(h.shares[level] * 100)}% ${level}`);
+            lines.push(`- **${h.name}**: ${shares.join(', ')}`);
+        });
+    } else {
+        lines.push('No mapped hazard zones fall inside it.');
+    }
+
+    lines.push('');
+    lines.push(report.population !== null
+        ? `About **${report.population.toLocaleString()}** people live inside it${report.adminUnits.length ? ` (${report.adminUnits.join(', ')})` : ''}.`
+        : 'It is outside the loaded population datasets.');
+    if (report.events.length) {
+        lines.push(`Active events inside: ${report.events.map(e => e.name).join('; ')}.`);
+    }
+    lines.push(`Area resilience score: **${report.resilience.score}/${report.resilience.maxScore}** (${report.resilience.profile.name}).`);
+
+    return lines.join('\n');
+}
+
+function formatArea(km2) {
+    if (km2 < 1) return `${Math.round(km2 * 100)} ha`;
+    if (km2 < 100) return `${km2.toFixed(1)} km²`;
+    return `${Math.round(km2).toLocaleString()} km²`;
+}
+
+// =====================================================
+// Saved Sites
+// =====================================================
+// A site is { id, name, lat, lon, notes, createdAt, updatedAt }. Sites are
+// kept in the `sites` IndexedDB store and shown as star markers.
+const comparedSiteIds = new Set();
+let editingSiteId = null;
+
+async function loadSavedSites() {
+    try {
+        savedSites = await dbGetAll('sites');
+        savedSites.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    } catch (error) {
+        console.warn('Saved sites unavailable:', error);
+        savedSites = [];
+    }
+    renderSavedSites();
+}
+
+function createSite({ name, lat, lon, notes }) {
+    const now = new Date().toISOString();
+    return {
+        id: createId('site'),
+        name: name || formatCoordinates(lat, lon),
+        lat: lat,
+        lon: lon,
+        notes: notes || '',
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+async function saveSite(site) {
+    site.updatedAt = new Date().toISOString();
+    if (!savedSites.includes(site)) savedSites.push(site);
+    renderSavedSites();
+
+    try {
+        await dbPut('sites', site);
+    } catch (error) {
+        console.warn('Could not save site:', error);
+    }
+    return site;
+}
+
+async function deleteSite(id) {
+    const site = savedSites.find(s => s.id === id);
+    if (!site || !confirm(`Delete the saved site "${site.name}"?`)) return;
+
+    savedSites = savedSites.filter(s => s !== site);
+    comparedSiteIds.delete(id);
+    renderSavedSites();
+
+    try {
+        await dbDelete('sites', id);
+    } catch (error) {
+        console.warn('Could not delete site:', error);
+    }
+}
+
+// Saves the selected location, or opens the existing site at the same spot
+async function saveCurrentLocationAsSite() {
+    if (!currentLocation) return;
+
+    const { lat, lon, placeName } = currentLocation;
+    let site = savedSites.find(s => haversineDistance(s.lat, s.lon, lat, lon) < 0.01);
+    if (!site) {
+        site = await saveSite(createSite({ name: placeName ? placeName.split(',')[0] : null, lat: lat, lon: lon }));
+    }
+
+    editingSiteId = site.id;
+    setSitesPanelOpen(true);
+    renderSavedSites();
+}
+
+function findDuplicateSite(entry) {
+    return savedSites.find(s => s.name === entry.name && haversineDistance(s.lat, s.lon, entry.lat, entry.lon) < 0.001);
+}
+
+function initializeSitesControl() {
+    const SitesControl = L.Control.extend({
+        options: { position: 'topright' },
+        onAdd() {
+            const container = L.DomUtil.create('div', 'sites-control');
+            container.innerHTML = `
+                <button type="button" class="sites-toggle" data-site-action="toggle" title="Saved sites">
+                    ★ Sites <span class="sites-count">0</span>
+                </button>
+                <div class="sites-panel">
+                    <div class="sites-actions">
+                        <button type="button" data-site-action="compare" title="Compare the checked sites">Compare</button>
+                        <button type="button" data-site-action="import" title="Import sites from GeoJSON or CSV">Import</button>
+                        <button type="button" data-site-action="export-geojson" title="Export sites as GeoJSON">GeoJSON</button>
+                        <button type="button" data-site-action="export-csv" title="Export sites as CSV">CSV</button>
+                        <button type="button" data-site-action="clear-markers" title="Remove search and assistant markers">Clear markers</button>
+                    </div>
+                    <input type="file" class="sites-import" accept=".geojson,.json,.csv" hidden>
+                    <div class="sites-list"></div>
+                </div>
+            `;
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            container.addEventListener('click', handleSitesPanelClick);
+            container.addEventListener('change', (e) => {
+                if (e.target.matches('[data-site-compare]')) {
+                    const id = e.target.closest('[data-site-id]').dataset.siteId;
+                    if (e.target.checked) comparedSiteIds.add(id); else comparedSiteIds.delete(id);
+                } else if (e.target.matches('.sites-import') && e.target.files[0]) {
+                    importSites(e.target.files[0]);
+                    e.target.value = '';
+                }
+            });
+            container.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const form = e.target;
+                const site = savedSites.find(s => s.id === form.closest('[data-site-id]').dataset.siteId);
+                if (!site) return;
+
+                site.name = form.elements.name.value.trim() || site.name;
+                site.notes = form.elements.notes.value.trim();
+                editingSiteId = null;
+                saveSite(site);
+            });
+            return container;
+        }
+    });
+
+    new SitesControl().addTo(map);
+}
+
+function handleSitesPanelClick(e) {
+    const button = e.target.closest('[data-site-action]');
+    if (!button) return;
+
+    const item = button.closest('[data-site-id]');
+    const site = item ? savedSites.find(s => s.id === item.dataset.siteId) : null;
+
+    switch (button.dataset.siteAction) {
+        case 'toggle':
+            setSitesPanelOpen(!document.querySelector('.sites-control').classList.contains('open'));
+            break;
+        case 'compare':
+            compareSites(savedSites.filter(s => comparedSiteIds.has(s.id)));
+            break;
+        case 'import':
+            document.querySelector('.sites-import').click();
+            break;
+        case 'export-geojson':
+            exportSites('geojson');
+            break;
+        case 'export-csv':
+            exportSites('csv');
+            break;
+        case 'clear-markers':
+            clearMarkers();
+            break;
+        case 'show':
+            map.setView([site.lat, site.lon], Math.max(map.getZoom(), 13));
+            loadLocationInfo(site.lat, site.lon, site.name);
+            break;
+        case 'edit':
+            editingSiteId = site.id;
+            renderSavedSites();
+            break;
+        case 'cancel':
+            editingSiteId = null;
+            renderSavedSites();
+            break;
+        case 'delete':
+            deleteSite(site.id);
+            break;
+    }
+}
+
+function setSitesPanelOpen(open) {
+    const control = document.querySelector('.sites-control');
+    if (control) control.classList.toggle('open', open);
+}
+
+function renderSavedSites() {
+    savedSiteLayer.clearLayers();
+    savedSites.forEach(site => {
+        L.marker([site.lat, site.lon], {
+            icon: L.divIcon({ className: 'site-marker', html: '★', iconSize: [24, 24], iconAnchor: [12, 12] }),
+            title: site.name
+        })
+            .bindPopup(`<strong>${escapeHtml(site.name)}</strong><br>${formatCoordinates(site.lat, site.lon)}${site.notes ? `<div class="markdown">${renderMarkdown(site.notes)}</div>` : ''}`)
+            .addTo(savedSiteLayer);
+    });
+
+    const count = document.querySelector('.sites-count');
+    const list = document.querySelector('.sites-list');
+    if (!list) return;
+
+    count.textContent = savedSites.length;
+    list.innerHTML = savedSites.length ? savedSites.map(site => site.id === editingSiteId ? `
+        <form class="site-item editing" data-site-id="${escapeHtml(site.id)}">
+            <input type="text" name="name" value="${escapeHtml(site.name)}" placeholder="Name">
+            <textarea name="notes" rows="3" placeholder="Notes">${escapeHtml(site.notes)}</textarea>
+            <div class="site-buttons">
+                <button type="submit">Save</button>
+                <button type="button" data-site-action="cancel">Cancel</button>
+            </div>
+        </form>
+    ` : `
+        <div class="site-item" data-site-id="${escapeHtml(site.id)}">
+            <label class="site-main">
+                <input type="checkbox" data-site-compare ${comparedSiteIds.has(site.id) ? 'checked' : ''}>
+                <span class="site-name">${escapeHtml(site.name)}</span>
+            </label>
+            <div class="site-coords">${formatCoordinates(site.lat, site.lon)}</div>
+            ${site.notes ? `<div class="site-notes">${escapeHtml(site.notes)}</div>` : ''}
+            <div class="site-buttons">
+                <button type="button" data-site-action="show">Show</button>
+                <button type="button" data-site-action="edit">Edit</button>
+                <button type="button" data-site-action="delete">Delete</button>
+            </div>
+        </div>
+    `).join('') : '<p class="placeholder-text">No saved sites. Select a location and click "★ Save site".</p>';
+
+    const editing = list.querySelector('.editing input[name="name"]');
+    if (editing) editing.focus();
+}
+
+// =====================================================
+// Site Comparison
+// =====================================================
+async function compareSites(sites) {
+    if (sites.length < 2) {
+        alert('Check two or more saved sites to compare them.');
+        return;
+    }
+
+    await Promise.all([hazardDataReady, scoringProfilesReady, infrastructureDataReady, exposureDataReady]);
+
+    const summaries = sites.map(summarizeSite);
+    const infoPanel = document.getElementById('infoPanel');
+    infoPanel.style.display = 'block';
+    document.getElementById('infoPanelContent').innerHTML = renderSiteComparison(summaries);
+
+    map.flyToBounds(L.latLngBounds(sites.map(site => [site.lat, site.lon])), { padding: [60, 60], maxZoom: 12 });
+}
+
+function summarizeSite(site) {
+    return Object.assign({
+        site: site,
+        nearestEvents: findNearestEvents(site.lat, site.lon, 2)
+    }, assessLocation(site.lat, site.lon));
+}
+
+function renderSiteComparison(summaries) {
+    const hazardNames = [...new Set(summaries.flatMap(s => s.hazards.map(h => h.name)))];
+    const bestScore = Math.max(...summaries.map(s => s.resilience.score));
+    const cells = render => summaries.map(summary => `<td>${render(summary)}</td>`).join('');
+
+    return `
+        <div class="location-header">
+            <h3 class="location-title">Site Comparison</h3>
+            <p class="location-subtitle">${summaries.length} sites · ${escapeHtml(summaries[0].resilience.profile.name)} scoring profile</p>
+        </div>
+
+        <div class="info-section comparison">
+            <table class="comparison-table">
+                <tr>
+                    <th></th>
+                    ${summaries.map(s => `<th>${escapeHtml(s.site.name)}</th>`).join('')}
+                </tr>
+                ${hazardNames.map(name => `
+                    <tr>
+                        <td class="comparison-label">${escapeHtml(name)}</td>
+                        ${cells(s => {
+                            const hazard = s.hazards.find(h => h.name === name);
+                            return hazard
+                                ? `<span class="hazard-badge ${escapeHtml(hazard.level)}" title="${escapeHtml(hazard.evidence)}">${escapeHtml(hazard.level.toUpperCase())}</span>`
+                                : '-';
+                        })}
+                    </tr>
+                `).join('')}
+                <tr>
+                    <td class="comparison-label">Resilience</td>
+                    ${cells(s => `<span${s.resilience.score === bestScore ? ' class="comparison-best"' : ''}>${s.resilience.score}/${s.resilience.maxScore}</span>`)}
+                </tr>
+                <tr>
+                    <td class="comparison-label">Population</td>
+                    ${cells(s => {
+                        if (!s.exposure.covered) return 'No data';
+                        const unit = s.exposure.adminUnit;
+                        return `${formatPopulation(s.exposure.scorePopulation)} within ${s.exposure.scoreRadiusKm} km` +
+                            (unit ? `<br><small>${escapeHtml(unit.name)}: ${unit.population.toLocaleString()}</small>` : '');
+                    })}
+                </tr>
+                <tr>
+                    <td class="comparison-label">Nearest active events</td>
+                    ${cells(s => s.nearestEvents.length
+                        ? s.nearestEvents.map(n => `${escapeHtml(n.event.name)}<br><small>${formatDistance(n.distanceKm)} ${formatBearing(n.bearing)}</small>`).join('<br>')
+                        : 'None')}
+                </tr>
+                <tr>
+                    <td class="comparison-label">Notes</td>
+                    ${cells(s => s.site.notes ? escapeHtml(s.site.notes) : '-')}
+                </tr>
+            </table>
+        </div>
+    `;
+}
+
+// =====================================================
+// Site Import / Export
+// =====================================================
+function exportSites(format) {
+    if (!savedSites.length) {
+        alert('There are no saved sites to export.');
+        return;
+    }
+
+    const fileName = `geovision-sites-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'csv') {
+        const rows = [['name', 'lat', 'lon', 'notes', 'created_at']].concat(savedSites.map(site => [
+            csvText(site.name), site.lat, site.lon, csvText(site.notes), site.createdAt
+        ]));
+        downloadFile(`${fileName}.csv`, rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n', 'text/csv');
+    } else {
+        const collection = {
+            type: 'FeatureCollection',
+            features: savedSites.map(site => ({
+                type: 'Feature',
+                properties: { name: site.name, notes: site.notes, createdAt: site.createdAt },
+                geometry: { type: 'Point', coordinates: [site.lon, site.lat] }
+            }))
+        };
+        downloadFile(`${fileName}.geojson`, JSON.stringify(collection, null, 2), 'application/geo+json');
+    }
+}
+
+async function importSites(file) {
+    try {
+        const text = await readFile(file, 'readAsText');
+        const isCsv = /\.csv$/i.test(file.name) || !/^\s*[{[]/.test(text);
+        const entries = isCsv ? parseSitesCsv(text) : parseSitesGeoJSON(JSON.parse(text));
+
+        const valid = entries.filter(entry =>
+            isFinite(entry.lat) && isFinite(entry.lon) && Math.abs(entry.lat) <= 90 && Math.abs(entry.lon) <= 180);
+        const added = valid.filter(entry => !findDuplicateSite(entry));
+
+        for (const entry of added) {
+            await saveSite(createSite(entry));
+        }
+
+        const skipped = entries.length - added.length;
+        alert(`Imported ${added.length} site${added.length === 1 ? '' : 's'}` +
+            (skipped ? ` (${skipped} skipped as invalid or already saved)` : '') + '.');
+    } catch (error) {
+        console.error('Error importing sites:', error);
+        alert('Could not import sites. Use a GeoJSON FeatureCollection of points or a CSV with name, lat and lon columns.');
+    }
+}
+
+// Point features; other geometries are ignored
+function parseSitesGeoJSON(data) {
+    const features = data.type === 'FeatureCollection' ? data.features : [data];
+
+    return features
+        .filter(feature => feature && feature.geometry && feature.geometry.type === 'Point')
+        .map(feature => {
+            const props = feature.properties || {};
+            return {
+                name: props.name || props.title || null,
+                lat: Number(feature.geometry.coordinates[1]),
+                lon: Number(feature.geometry.coordinates[0]),
+                notes: props.notes || props.description || ''
+            };
+        });
+}
+
+// The header row names the columns; lat/latitude, lon/lng/longitude and
+// notes/description are recognized in any order
+function parseSitesCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    const column = names => columns.findIndex(name => names.includes(name));
+    const nameIndex = column(['name', 'title']);
+    const latIndex = column(['lat', 'latitude']);
+    const lonIndex = column(['lon', 'lng', 'long', 'longitude']);
+    const notesIndex = column(['notes', 'description']);
+
+    if (latIndex < 0 || lonIndex < 0) throw new Error('CSV has no lat/lon columns');
+
+    return rows.map(row => ({
+        name: nameIndex >= 0 && row[nameIndex] ? parseCsvText(row[nameIndex].trim()) : null,
+        lat: parseFloat(row[latIndex]),
+        lon: parseFloat(row[lonIndex]),
+        notes: notesIndex >= 0 && row[notesIndex] ? parseCsvText(row[notesIndex].trim()) : ''
+    }));
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Spreadsheets run text starting with = + - @ as a formula
+function csvText(value) {
+    return /^[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
+// Removes the quote csvText() adds, so exported sites import unchanged
+function parseCsvText(value) {
+    return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+}
+
+// =====================================================
+// Site Report
+// =====================================================
+// A printable assessment of the selected location, opened in a new window.
+// The report is a single self-contained HTML document (inline styles, an
+// SVG map drawn from the hazard data, no tiles or scripts), so it renders
+// offline and can be saved as HTML or printed to PDF.
+async function generateSiteReport() {
+    if (!currentLocation) return;
+
+    // Open the window straight from the click so pop-up blockers allow it
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+        alert('Allow pop-ups for this site to open the report.');
+        return;
+    }
+    reportWindow.document.write('<p style="font-family: sans-serif">Preparing report...</p>');
+
+    let report;
+    try {
+        await Promise.all([hazardDataReady, scoringProfilesReady, infrastructureDataReady, exposureDataReady]);
+        report = buildSiteReport(currentLocation);
+    } catch (error) {
+        console.error('Error generating site report:', error);
+        reportWindow.document.open();
+        reportWindow.document.write(`<p style="font-family: sans-serif">The report could not be generated: ${escapeHtml(error.message)}</p>`);
+        reportWindow.document.close();
+        return;
+    }
+
+    const doc = reportWindow.document;
+    doc.open();
+    doc.write(renderSiteReport(report, true));
+    doc.close();
+
+    doc.getElementById('printReport').addEventListener('click', () => reportWindow.print());
+    doc.getElementById('downloadReport').addEventListener('click', () => {
+        downloadFile(`${report.fileName}.html`, renderSiteReport(report, false), 'text/html');
+    });
+}
+
+function buildSiteReport(location) {
+    const { lat, lon } = location;
+    const placeName = location.placeName || formatCoordinates(lat, lon);
+    const nearbyEvents = findNearestEvents(lat, lon, config.report.maxEvents, config.report.eventRadiusKm);
+
+    return Object.assign({
+        placeName: placeName,
+        lat: lat,
+        lon: lon,
+        generatedAt: new Date(),
+        fileName: `geovision-report-${slugify(placeName.split(',')[0])}-${new Date().toISOString().slice(0, 10)}`,
+        nearbyEvents: nearbyEvents,
+        answers: getReportAnswers(),
+        mapSvg: renderMapSnapshot(lat, lon, config.report.mapRadiusKm, nearbyEvents.map(n => n.event)),
+        mapLayers: hazardSubLayers.filter(l => l.showOnMap && l.visible).map(l => l.name)
+    }, assessLocation(lat, lon));
+}
+
+// AI answers pinned with 📌 in the current chat session, with the question
+// that preceded each one
+function getReportAnswers() {
+    return chatMessages
+        .map((message, index) => ({ message, index }))
+        .filter(({ message }) => message.type === 'ai' && message.inReport && message.content)
+        .map(({ message, index }) => {
+            const question = chatMessages.slice(0, index).reverse().find(m => m.type === 'user');
+            return { question: question ? question.content : null, answer: message.content, time: message.time };
+        });
+}
+
+function renderSiteReport(report, withToolbar) {
+    const resilience = report.resilience;
+    const exposure = report.exposure;
+    const formatPoints = points => points > 0 ? `+${points}` : `${points}`;
+    const levelBadge = level => `<span class="level ${escapeHtml(level)}">${escapeHtml(level.toUpperCase())}</span>`;
+    const topHazards = report.hazards.filter(h => h.level === 'high');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Site Assessment - ${escapeHtml(report.placeName.split(',')[0])}</title>
+<style>${siteReportStyles}</style>
+</head>
+<body>
+${withToolbar ? `
+<div class="report-toolbar">
+    <button type="button" id="printReport">Print / Save as PDF</button>
+    <button type="button" id="downloadReport">Download HTML</button>
+</div>` : ''}
+<main class="report">
+    <header class="report-header">
+        <p class="report-kicker">GeoVision · Site Assessment Report</p>
+        <h1>${escapeHtml(report.placeName.split(',')[0])}</h1>
+        <p class="report-meta">${escapeHtml(report.placeName)}<br>
+            ${formatCoordinates(report.lat, report.lon)} · Generated ${escapeHtml(formatEventTime(report.generatedAt))} · ${escapeHtml(resilience.profile.name)} scoring profile</p>
+    </header>
+
+    <section class="summary">
+        <div class="summary-item">
+            <div class="summary-label">Resilience score</div>
+            <div class="summary-value">${resilience.score}<small>/${resilience.maxScore}</small></div>
+        </div>
+        <div class="summary-item">
+            <div class="summary-label">Population within ${exposure.scoreRadiusKm} km</div>
+            <div class="summary-value">${exposure.covered ? formatPopulation(exposure.scorePopulation) : 'No data'}</div>
+        </div>
+        <div class="summary-item">
+            <div class="summary-label">High hazards</div>
+            <div class="summary-value">${topHazards.length ? topHazards.map(h => escapeHtml(h.name)).join(', ') : 'None'}</div>
+        </div>
+    </section>
+
+    <section>
+        <h2>Hazard Map</h2>
+        <figure class="map-snapshot">
+            ${report.mapSvg}
+            <figcaption>
+                ${Object.keys(hazardLevelColors).map(level => `<span class="legend-swatch" style="background: ${hazardLevelColors[level]}"></span>${escapeHtml(level.charAt(0).toUpperCase() + level.slice(1))}`).join(' ')}
+                <span class="legend-line"></span>Fault trace
+                <span class="legend-ring"></span>${config.exposure.radiiKm.join(' / ')} km radii
+                <br>Layers: ${report.mapLayers.length ? report.mapLayers.map(escapeHtml).join(', ') : 'none visible'}
+            </figcaption>
+        </figure>
+    </section>
+
+    <section class="page-break">
+        <h2>Hazard Assessment</h2>
+        <table>
+            <thead><tr><th>Hazard</th><th>Level</th><th>Evidence</th></tr></thead>
+            <tbody>
+                ${report.hazards.map(h => `<tr><td>${escapeHtml(h.name)}</td><td>${levelBadge(h.level)}</td><td>${escapeHtml(h.evidence)}</td></tr>`).join('')}
+            </tbody>
+        </table>
+
+        <h2>Resilience Breakdown</h2>
+        <p class="note">${escapeHtml(resilience.profile.description || '')}</p>
+        <table>
+            <thead><tr><th>Factor</th><th>Detail</th><th class="num">Points</th></tr></thead>
+            <tbody>
+                <tr><td>Base score</td><td></td><td class="num">${resilience.baseScore}</td></tr>
+                ${resilience.breakdown.map(item => `<tr><td>${escapeHtml(item.label)}</td><td>${escapeHtml(item.detail)}</td><td class="num">${formatPoints(item.points)}</td></tr>`).join('')}
+                <tr class="total"><td>Resilience score</td><td></td><td class="num">${resilience.score}/${resilience.maxScore}</td></tr>
+            </tbody>
+        </table>
+
+        <h2>Population Exposure</h2>
+        ${exposure.covered ? `
+            <table>
+                <tbody>
+                    ${exposure.adminUnit ? `<tr><td>${escapeHtml(exposure.adminUnit.name)}, ${escapeHtml(exposure.adminUnit.province)} (${escapeHtml(exposure.adminUnit.censusYear)} census)</td><td class="num">${exposure.adminUnit.population.toLocaleString()}</td></tr>` : ''}
+                    ${exposure.radii.map(r => `<tr><td>Within ${r.radiusKm} km</td><td class="num">${r.population.toLocaleString()}</td></tr>`).join('')}
+                </tbody>
+            </table>
+        ` : '<p class="note">This location is outside the loaded population datasets.</p>'}
+    </section>
+
+    <section class="page-break">
+        <h2>Active Events within ${config.report.eventRadiusKm} km</h2>
+        ${report.nearbyEvents.length ? `
+            <table>
+                <thead><tr><th>Event</th><th>Status</th><th class="num">Distance</th><th>Updated</th><th>Source</th></tr></thead>
+                <tbody>
+                    ${report.nearbyEvents.map(({ event, distanceKm, bearing }) => `
+                        <tr>
+                            <td>${escapeHtml(event.name)}<br><small>${escapeHtml(event.type)}</small></td>
+                            <td>${escapeHtml(event.status)}</td>
+                            <td class="num">${formatDistance(distanceKm)} ${formatBearing(bearing)}</td>
+                            <td>${escapeHtml(formatEventTime(event.time))}</td>
+                            <td>${escapeHtml(event.source)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p class="note">No active events reported near this location.</p>'}
+
+        <h2>AI VISION Notes</h2>
+        ${report.answers.length ? report.answers.map(a => `
+            <div class="answer">
+                ${a.question ? `<p class="question">${escapeHtml(a.question)}</p>` : ''}
+                <div class="markdown">${renderMarkdown(a.answer)}</div>
+                <p class="note">${escapeHtml(formatEventTime(new Date(a.time)))}</p>
+            </div>
+        `).join('') : '<p class="note">No answers selected. Pin AI VISION answers with 📌 in the chat to include them here.</p>'}
+    </section>
+
+    <footer>
+        Hazard levels come from the hazard layers loaded in GeoVision and population from its exposure datasets; the bundled samples are simplified and are not official hazard maps or census products. Active events reflect the feeds at the time the report was generated. Verify with PHIVOLCS, PAGASA and local government offices before making decisions.
+    </footer>
+</main>
+</body>
+</html>`;
+}
+
+// Static map of the hazard layers around a site, as an SVG string. Uses a
+// local flat projection, which is accurate enough at this scale.
+function renderMapSnapshot(lat, lon, radiusKm, events = []) {
+    const width = 640;
+    const height = 420;
+    const pxPerKm = width / (2 * radiusKm);
+    const kmPerDegreeLon = 111.32 * Math.cos(lat * Math.PI / 180);
+    const kmPerDegreeLat = 110.57;
+
+    const project = ([pointLon, pointLat]) => [
+        (width / 2 + (pointLon - lon) * kmPerDegreeLon * pxPerKm).toFixed(1),
+        (height / 2 - (pointLat - lat) * kmPerDegreeLat * pxPerKm).toFixed(1)
+    ];
+    const view = {
+        west: lon - radiusKm / kmPerDegreeLon,
+        east: lon + radiusKm / kmPerDegreeLon,
+        south: lat - height / 2 / pxPerKm / kmPerDegreeLat,
+        north: lat + height / 2 / pxPerKm / kmPerDegreeLat
+    };
+    const inView = geometry => {
+        const points = getGeometryLines(geometry).flat();
+        return points.some(p => p[0] >= view.west) && points.some(p => p[0] <= view.east) &&
+            points.some(p => p[1] >= view.south) && points.some(p => p[1] <= view.north);
+    };
+    const pathData = (geometry, closed) => getGeometryLines(geometry)
+        .map(line => 'M' + line.map(p => project(p).join(',')).join('L') + (closed ? 'Z' : ''))
+        .join('');
+
+    const land = hazardSubLayers.find(l => l.id === config.report.landLayerId);
+    const landPaths = land ? land.features.filter(f => inView(f.geometry)).map(f =>
+        `<path d="${pathData(f.geometry, true)}" fill="#f4f1e8" stroke="#9fb3c8" stroke-width="1" fill-rule="evenodd"/>`
+    ) : [];
+
+    const hazardPaths = hazardSubLayers
+        .filter(l => l.showOnMap && l.visible)
+        .flatMap(l => l.features.filter(f => inView(f.geometry)))
+        .map(f => {
+            const color = getLevelColor(f.properties && f.properties.level);
+            const isLine = f.geometry.type === 'LineString' || f.geometry.type === 'MultiLineString';
+            return isLine
+                ? `<path d="${pathData(f.geometry, false)}" fill="none" stroke="${color}" stroke-width="2.5" stroke-dasharray="6 4"/>`
+                : `<path d="${pathData(f.geometry, true)}" fill="${color}" fill-opacity="0.25" stroke="${color}" stroke-width="1.5" fill-rule="evenodd"/>`;
+        });
+
+    const rings = config.exposure.radiiKm
+        .filter(km => km <= radiusKm)
+        .map(km => `<circle cx="${width / 2}" cy="${height / 2}" r="${(km * pxPerKm).toFixed(1)}" fill="none" stroke="#4a5a6a" stroke-width="1" stroke-dasharray="3 3"/>
+            <text x="${width / 2 + 4}" y="${(height / 2 - km * pxPerKm - 3).toFixed(1)}" font-size="10" fill="#4a5a6a">${km} km</text>`);
+
+    const eventMarks = events
+        .filter(e => e.lat >= view.south && e.lat <= view.north && e.lon >= view.west && e.lon <= view.east)
+        .map(e => {
+            const [x, y] = project([e.lon, e.lat]);
+            return `<circle cx="${x}" cy="${y}" r="6" fill="${getLevelColor(e.severity)}" stroke="#fff" stroke-width="1.5"><title>${escapeHtml(e.name)}</title></circle>`;
+        });
+
+    // Scale bar of a round length, about a quarter of the map width
+    const scaleKm = [1, 2, 5, 10, 20, 50, 100].filter(km => km <= radiusKm / 2).pop() || 1;
+    const scalePx = scaleKm * pxPerKm;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Hazard map around the site">
+        <rect width="${width}" height="${height}" fill="#dce9f5"/>
+        ${landPaths.join('')}
+        ${hazardPaths.join('')}
+        ${rings.join('')}
+        ${eventMarks.join('')}
+        <circle cx="${width / 2}" cy="${height / 2}" r="7" fill="#4a90e2" stroke="#fff" stroke-width="2"/>
+        <g transform="translate(${width - 30}, 20)">
+            <path d="M0,0 L7,18 L0,13 L-7,18 Z" fill="#1d2733"/>
+            <text x="0" y="32" font-size="12" text-anchor="middle" fill="#1d2733">N</text>
+        </g>
+        <g transform="translate(16, ${height - 20})">
+            <rect x="0" y="-4" width="${scalePx.toFixed(1)}" height="4" fill="#1d2733"/>
+            <text x="0" y="-8" font-size="11" fill="#1d2733">${scaleKm} km</text>
+        </g>
+        <rect width="${width}" height="${height}" fill="none" stroke="#9fb3c8"/>
+    </svg>`;
+}
+
+const siteReportStyles = `
+    @page { size: A4; margin: 15mm; }
+    * { box-sizing: border-box; }
+    body { margin: 0; color: #1d2733; background: #fff; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; font-size: 10.5pt; line-height: 1.45; }
+    .report { max-width: 180mm; margin: 0 auto; padding: 10mm 0; }
+    .report-toolbar { position: sticky; top: 0; display: flex; gap: 8px; justify-content: flex-end; padding: 8px 16px; background: #1d2733; }
+    .report-toolbar button { border: none; border-radius: 4px; padding: 6px 12px; background: #4a90e2; color: #fff; font: inherit; cursor: pointer; }
+    .report-kicker { margin: 0; color: #4a90e2; font-size: 9pt; text-transform: uppercase; letter-spacing: 0.08em; }
+    h1 { margin: 4px 0; font-size: 22pt; }
+    h2 { margin: 18px 0 8px; padding-bottom: 4px; border-bottom: 2px solid #4a90e2; font-size: 13pt; }
+    .report-meta, .note, small, figcaption { color: #5a6775; font-size: 9pt; }
+    .summary { display: flex; gap: 12px; margin: 16px 0; }
+    .summary-item { flex: 1; padding: 10px 12px; border: 1px solid #d5dde6; border-radius: 6px; }
+    .summary-label { color: #5a6775; font-size: 8.5pt; }
+    .summary-value { font-size: 15pt; font-weight: 600; }
+    .map-snapshot { margin: 0; }
+    .map-snapshot svg { display: block; width: 100%; height: auto; }
+    figcaption { margin-top: 6px; }
+    .legend-swatch { display: inline-block; width: 10px; height: 10px; margin: 0 4px 0 8px; opacity: 0.7; }
+    .legend-line { display: inline-block; width: 18px; margin: 0 4px 3px 8px; border-top: 2px dashed #d9534f; }
+    .legend-ring { display: inline-block; width: 10px; height: 10px; margin: 0 4px 0 8px; border: 1px dashed #4a5a6a; border-radius: 50%; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 8px; }
+    th, td { padding: 5px 6px; border-bottom: 1px solid #d5dde6; text-align: left; vertical-align: top; }
+    th { color: #5a6775; font-weight: 600; font-size: 9pt; }
+    .num { text-align: right; white-space: nowrap; }
+    tr.total td { font-weight: 600; border-top: 2px solid #1d2733; }
+    .level { padding: 1px 6px; border-radius: 3px; color: #fff; font-size: 8pt; font-weight: 600; }
+    .level.high { background: #d9534f; }
+    .level.moderate { background: #f0ad4e; }
+    .level.low { background: #5cb85c; }
+    .answer { margin-bottom: 12px; padding: 8px 12px; border-left: 3px solid #4a90e2; background: #f5f8fb; break-inside: avoid; }
+    .question { margin: 0 0 6px; font-weight: 600; }
+    .markdown p, .markdown ul, .markdown ol { margin: 0 0 6px; }
+    .markdown table { font-size: 9pt; }
+    .page-break { break-before: page; }
+    footer { margin-top: 24px; padding-top: 8px; border-top: 1px solid #d5dde6; color: #5a6775; font-size: 8pt; }
+    @media screen { .page-break { break-before: auto; margin-top: 24px; } }
+    @media print { .report-toolbar { display: none; } .report { padding: 0; } }
+`;
+
+// =====================================================
+// Hazard Identification
+// =====================================================
+const hazardLevelRank = { low: 1, moderate: 2, high: 3 };
+
+// Queries the loaded hazard geometries. The result only depends on the point
+// and the loaded data, so the same input always gives the same answer.
+function identifyHazards(lat, lon) {
+    const results = new Map();
+
+    hazardSubLayers.forEach(subLayer => {
+        subLayer.features.forEach(feature => {
+            const match = evaluateHazardFeature(feature, subLayer, lat, lon);
+            if (!match) return;
+
+            const best = results.get(subLayer.hazard);
+            if (!best || isStrongerHazardMatch(match, best)) {
+                results.set(subLayer.hazard, match);
+            }
+        });
+    });
+
+    // Keep the configured hazard order so the panel reads the same every time
+    const hazardNames = [...new Set(hazardSubLayers.map(subLayer => subLayer.hazard))];
+
+    return hazardNames.filter(name => results.has(name)).map(name => {
+        const match = results.get(name);
+        return {
+            name: name,
+            level: match.level || 'low',
+            layer: match.layer,
+            feature: match.feature,
+            properties: match.properties,
+            inside: match.inside,
+            distanceKm: match.distanceKm,
+            bearing: match.bearing,
+            evidence: describeHazardEvidence(match)
+        };
+    });
+}
+
+function evaluateHazardFeature(feature, subLayer, lat, lon) {
+    const analysis = subLayer.analysis;
+    const props = feature.properties || {};
+    const geometry = feature.geometry;
+    const isPolygon = geometry.type === 'Polygon' || geometry.type === 'MultiPolygon';
+
+    const inside = isPolygon && pointInGeometry(lat, lon, geometry);
+    let distanceKm = 0;
+    let bearing = null;
+    if (!inside || analysis.mode === 'boundary') {
+        const nearest = nearestPointOnGeometry(lat, lon, geometry);
+        distanceKm = nearest.distanceKm;
+        bearing = calculateBearing(lat, lon, nearest.lat, nearest.lon);
+    }
+
+    const featureLevel = hazardLevelRank[props.level] ? props.level : 'high';
+    let level = null;
+
+    if (analysis.mode === 'contains' && inside) {
+        level = featureLevel;
+    } else if (analysis.bufferKm) {
+        level = ['high', 'moderate', 'low'].find(l => analysis.bufferKm[l] !== undefined && distanceKm <= analysis.bufferKm[l]) || null;
+        if (level && hazardLevelRank[level] > hazardLevelRank[featureLevel]) {
+            level = featureLevel;
+        }
+    }
+
+    return {
+        level: level,
+        layer: subLayer.name,
+        feature: props.name || subLayer.name,
+        properties: props,
+        inside: inside,
+        distanceKm: distanceKm,
+        bearing: bearing,
+        mode: analysis.mode
+    };
+}
+
+// A match with a level beats one without; then higher level, then closer
+function isStrongerHazardMatch(candidate, current) {
+    const candidateRank = hazardLevelRank[candidate.level] || 0;
+    const currentRank = hazardLevelRank[current.level] || 0;
+
+    if (candidateRank !== currentRank) return candidateRank > currentRank;
+    return candidate.distanceKm < current.distanceKm;
+}
+
+function describeHazardEvidence(match) {
+    if (match.inside && match.mode !== 'boundary') {
+        return `Inside ${match.feature} (${match.layer})`;
+    }
+
+    const distance = formatDistance(match.distanceKm);
+    const direction = match.bearing !== null ? ` ${formatBearing(match.bearing)}` : '';
+    if (match.mode === 'boundary') {
+        return `${distance}${direction} to the ${match.feature} coastline`;
+    }
+    return `${distance}${direction} to ${match.feature} (${match.layer})`;
+}
+
+// =====================================================
+// Geometry Helpers
+// =====================================================
+function haversineDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371; // Earth radius in km
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * R * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Initial great-circle bearing in degrees clockwise from north
+function calculateBearing(lat1, lon1, lat2, lon2) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLon = toRad(lon2 - lon1);
+    const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+    const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+        Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function formatBearing(degrees) {
+    const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+    return directions[Math.round(degrees / 22.5) % 16];
+}
+
+// Point at a distance and bearing, as [lon, lat], using a local flat
+// projection around the starting point
+function offsetPoint(lat, lon, distanceKm, bearing) {
+    const angle = bearing * Math.PI / 180;
+    return [
+        lon + (distanceKm / (111.32 * Math.cos(lat * Math.PI / 180))) * Math.sin(angle),
+        lat + (distanceKm / 111.32) * Math.cos(angle)
+    ];
+}
+
+// Convex hull of [x, y] points, counter-clockwise (monotone chain)
+function convexHull(points) {
+    const sorted = points.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const half = list => {
+        const hull = [];
+        list.forEach(point => {
+            while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) hull.pop();
+            hull.push(point);
+        });
+        hull.pop();
+        return hull;
+    };
+    return half(sorted).concat(half(sorted.slice().reverse()));
+}
+
+function pointInRing(lat, lon, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function pointInPolygon(lat, lon, rings) {
+    if (!pointInRing(lat, lon, rings[0])) return false;
+    // Holes
+    return !rings.slice(1).some(hole => pointInRing(lat, lon, hole));
+}
+
+function pointInGeometry(lat, lon, geometry) {
+    if (geometry.type === 'Polygon') return pointInPolygon(lat, lon, geometry.coordinates);
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates.some(rings => pointInPolygon(lat, lon, rings));
+    return false;
+}
+
+// Whether a segment between two [lon, lat] points enters a polygon
+// geometry: one end lies inside it or the segment crosses one of its rings
+function segmentIntersectsGeometry(a, b, geometry) {
+    if (pointInGeometry(a[1], a[0], geometry) || pointInGeometry(b[1], b[0], geometry)) return true;
+    return getGeometryLines(geometry).some(ring =>
+        ring.some((point, i) => i > 0 && segmentsCross(a, b, ring[i - 1], point)));
+}
+
+// Proper crossing of segments ab and cd in the plane; touching ends do not count
+function segmentsCross(a, b, c, d) {
+    const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+    return cross(c, d, a) * cross(c, d, b) < 0 && cross(a, b, c) * cross(a, b, d) < 0;
+}
+
+// Nearest point of a segment to a point, using a local flat projection
+// around the point. Accurate to well under 1% at the scale of the Philippines.
+function nearestPointOnSegment(lat, lon, a, b) {
+    const kmPerDegLat = 110.574;
+    const kmPerDegLon = 111.320 * Math.cos(lat * Math.PI / 180);
+
+    const ax = (a[0] - lon) * kmPerDegLon;
+    const ay = (a[1] - lat) * kmPerDegLat;
+    const bx = (b[0] - lon) * kmPerDegLon;
+    const by = (b[1] - lat) * kmPerDegLat;
+
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+
+    const x = ax + t * dx;
+    const y = ay + t * dy;
+    return {
+        distanceKm: Math.hypot(x, y),
+        lat: lat + y / kmPerDegLat,
+        lon: lon + x / kmPerDegLon
+    };
+}
+
+function nearestPointOnLine(lat, lon, coordinates) {
+    if (coordinates.length === 1) {
+        const [pointLon, pointLat] = coordinates[0];
+        return { distanceKm: haversineDistance(lat, lon, pointLat, pointLon), lat: pointLat, lon: pointLon };
+    }
+
+    let nearest = { distanceKm: Infinity, lat: NaN, lon: NaN };
+    for (let i = 1; i < coordinates.length; i++) {
+        const candidate = nearestPointOnSegment(lat, lon, coordinates[i - 1], coordinates[i]);
+        if (candidate.distanceKm < nearest.distanceKm) nearest = candidate;
+    }
+    return nearest;
+}
+
+function nearestPointOnGeometry(lat, lon, geometry) {
+    return getGeometryLines(geometry).reduce((nearest, line) => {
+        const candidate = nearestPointOnLine(lat, lon, line);
+        return candidate.distanceKm < nearest.distanceKm ? candidate : nearest;
+    }, { distanceKm: Infinity, lat: NaN, lon: NaN });
+}
+
+function distanceToGeometry(lat, lon, geometry) {
+    return nearestPointOnGeometry(lat, lon, geometry).distanceKm;
+}
+
+// Flattens any line or polygon geometry into a list of coordinate paths
+function getGeometryLines(geometry) {
+    switch (geometry.type) {
+        case 'LineString': return [geometry.coordinates];
+        case 'MultiLineString': return geometry.coordinates;
+        case 'Polygon': return geometry.coordinates;
+        case 'MultiPolygon': return geometry.coordinates.flat();
+        case 'Point': return [[geometry.coordinates]];
+        default: return [];
+    }
+}
+
+function formatDistance(km) {
+    if (km < 1) return `${Math.round(km * 1000)} m`;
+    if (km < 10) return `${km.toFixed(1)} km`;
+    return `${Math.round(km)} km`;
+}
+
+// =====================================================
+// Resilience Scoring
+// =====================================================
+// Used when data/scoring-profiles.json cannot be loaded
+const fallbackScoringProfile = {
+    id: 'legacy',
+    name: 'Legacy (v1.0)',
+    description: 'The original 1.0 formula: 20 points per high and 10 per moderate hazard, clamped to 30-100.',
+    baseScore: 100,
+    minScore: 30,
+    maxScore: 100,
+    hazardWeights: { default: { high: 20, moderate: 10, low: 0 } },
+    exposure: [],
+    infrastructure: {}
+};
+
+function loadScoringProfiles() {
+    scoringProfilesReady = fetch(config.scoringProfilesUrl)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(data => {
+            scoringProfiles = data.profiles;
+            if (!scoringProfiles.some(p => p.id === activeScoringProfileId)) {
+                activeScoringProfileId = data.defaultProfile || scoringProfiles[0].id;
+            }
+        })
+        .catch(error => {
+            console.error('Error loading scoring profiles:', error);
+            scoringProfiles = [fallbackScoringProfile];
+            activeScoringProfileId = fallbackScoringProfile.id;
+        });
+
+    return scoringProfilesReady;
+}
+
+function getActiveScoringProfile() {
+    return scoringProfiles.find(p => p.id === activeScoringProfileId) || scoringProfiles[0] || fallbackScoringProfile;
+}
+
+function setScoringProfile(id) {
+    if (!scoringProfiles.some(p => p.id === id)) return;
+
+    activeScoringProfileId = id;
+    localStorage.setItem('geovision.scoringProfile', id);
+
+    // Re-score the area or location in the info panel with the same inputs
+    const section = document.getElementById('resilienceSection');
+    const target = currentArea ? currentArea.report : currentLocation;
+    if (section && target && target.resilienceInputs) {
+        const result = calculateResilience(target.lat, target.lon, target.resilienceInputs);
+        section.innerHTML = renderResilienceSection(result);
+    }
+    updatePlannerViews();
+}
+
+function loadInfrastructureData() {
+    infrastructureDataReady = fetch(config.infrastructureUrl)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(data => {
+            infrastructureAreas = data.features.filter(feature => feature.geometry);
+        })
+        .catch(error => {
+            console.error('Error loading infrastructure ratings:', error);
+            infrastructureAreas = [];
+        });
+
+    return infrastructureDataReady;
+}
+
+// The rating of the area containing the point, or null outside the rated
+// areas, in which case the score skips the infrastructure factor
+function getInfrastructureRating(lat, lon) {
+    const area = infrastructureAreas.find(feature => pointInGeometry(lat, lon, feature.geometry));
+    return area && area.properties.infrastructure ? area.properties.infrastructure : null;
+}
+
+// Scores a location against the active profile. `inputs` may carry
+// precomputed hazards, a numeric population and an infrastructure rating.
+// Returns the score together with the contribution of every factor.
+function calculateResilience(lat, lon, inputs = {}, profile = getActiveScoringProfile()) {
+    const hazards = inputs.hazards || identifyHazards(lat, lon);
+    const breakdown = [];
+
+    hazards.forEach(hazard => {
+        const weights = profile.hazardWeights[hazard.name] || profile.hazardWeights.default || {};
+        const points = -(weights[hazard.level] || 0);
+        breakdown.push({
+            factor: 'hazard',
+            label: hazard.name,
+            detail: `${hazard.level} risk${hazard.mitigatedFrom ? `, ${hazard.mitigatedFrom} before mitigation` : ''}`,
+            points: points
+        });
+    });
+
+    if (typeof inputs.population === 'number' && profile.exposure && profile.exposure.length) {
+        const band = profile.exposure.find(b => inputs.population >= b.min);
+        if (band) {
+            breakdown.push({
+                factor: 'exposure',
+                label: 'Exposure',
+                detail: `${band.label} (${inputs.populationLabel || inputs.population.toLocaleString()})`,
+                points: band.points
+            });
+        }
+    }
+
+    if (inputs.infrastructure && profile.infrastructure && profile.infrastructure[inputs.infrastructure] !== undefined) {
+        breakdown.push({
+            factor: 'infrastructure',
+            label: 'Infrastructure',
+            detail: `${inputs.infrastructure} capacity${inputs.infrastructureFrom ? `, ${inputs.infrastructureFrom} before mitigation` : ''}`,
+            points: profile.infrastructure[inputs.infrastructure]
+        });
+    }
+
+    const rawScore = breakdown.reduce((total, item) => total + item.points, profile.baseScore);
+    const score = Math.max(profile.minScore, Math.min(profile.maxScore, rawScore));
+
+    if (score !== rawScore) {
+        breakdown.push({
+            factor: 'clamp',
+            label: 'Range limit',
+            detail: `Score kept within ${profile.minScore}-${profile.maxScore}`,
+            points: score - rawScore
+        });
+    }
+
+    return {
+        score: score,
+        maxScore: profile.maxScore,
+        baseScore: profile.baseScore,
+        profile: { id: profile.id, name: profile.name, description: profile.description },
+        breakdown: breakdown,
+        inputs: Object.assign({}, inputs, { hazards: hazards })
+    };
+}
+
+function renderResilienceSection(resilience) {
+    const formatPoints = points => points > 0 ? `+${points}` : `${points}`;
+
+    return `
+        <h3>Resilience Score</h3>
+        <div class="info-item">
+            <div class="info-label">Overall Resilience</div>
+            <div class="info-value">${resilience.score}/${resilience.maxScore}</div>
+        </div>
+        <label class="scoring-profile">
+            <span class="info-label">Scoring profile</span>
+            <select id="scoringProfileSelect" class="scoring-select">
+                ${scoringProfiles.map(p => `
+                    <option value="${escapeHtml(p.id)}" ${p.id === resilience.profile.id ? 'selected' : ''}>${escapeHtml(p.name)}</option>
+                `).join('')}
+            </select>
+        </label>
+        <p class="scoring-description">${escapeHtml(resilience.profile.description || '')}</p>
+        <table class="score-breakdown">
+            <tr>
+                <td>Base score</td>
+                <td></td>
+                <td class="score-points">${resilience.baseScore}</td>
+            </tr>
+            ${resilience.breakdown.map(item => `
+                <tr class="score-${escapeHtml(item.factor)}">
+                    <td>${escapeHtml(item.label)}</td>
+                    <td class="score-detail">${escapeHtml(item.detail)}</td>
+                    <td class="score-points ${item.points < 0 ? 'negative' : item.points > 0 ? 'positive' : ''}">${formatPoints(item.points)}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+// =====================================================
+// Population Exposure
+// =====================================================
+function loadExposureData() {
+    const fetchJson = url => fetch(url).then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+    });
+
+    const units = fetchJson(config.exposure.adminUnitsUrl)
+        .then(data => {
+            adminUnits = data.features;
+        })
+        .catch(error => console.error('Error loading admin units:', error));
+
+    const grid = fetchJson(config.exposure.populationGridUrl)
+        .then(data => {
+            const cells = new Map();
+            data.cells.forEach(([row, col, people]) => cells.set(`${row},${col}`, people));
+            populationGrid = { cellSize: data.cellSize, year: data.year, cells: cells };
+        })
+        .catch(error => console.error('Error loading population grid:', error));
+
+    exposureDataReady = Promise.all([units, grid]);
+    return exposureDataReady;
+}
+
+// Population around a point: the admin unit it falls in and the people
+// within each configured radius. `covered` is false when the point lies
+// outside the loaded datasets, in which case no counts are reported.
+function computeExposure(lat, lon) {
+    const unit = adminUnits.find(feature => pointInGeometry(lat, lon, feature.geometry));
+    const radii = config.exposure.radiiKm.map(radiusKm => ({
+        radiusKm: radiusKm,
+        population: populationWithinRadius(lat, lon, radiusKm)
+    }));
+    const covered = Boolean(unit) || radii.some(r => r.population > 0);
+
+    const scoreRadiusKm = config.exposure.scoreRadiusKm;
+    const scoreRadius = radii.find(r => r.radiusKm === scoreRadiusKm);
+    const scorePopulation = scoreRadius ? scoreRadius.population : populationWithinRadius(lat, lon, scoreRadiusKm);
+
+    return {
+        covered: covered,
+        adminUnit: unit ? {
+            name: unit.properties.name,
+            province: unit.properties.province,
+            population: unit.properties.population,
+            censusYear: unit.properties.census_year
+        } : null,
+        radii: covered ? radii : [],
+        scoreRadiusKm: scoreRadiusKm,
+        scorePopulation: covered ? scorePopulation : null
+    };
+}
+
+function populationWithinRadius(lat, lon, radiusKm) {
+    const latSpan = radiusKm / 111.32;
+    const lonSpan = radiusKm / (111.32 * Math.cos(lat * Math.PI / 180));
+    const bounds = { south: lat - latSpan, north: lat + latSpan, west: lon - lonSpan, east: lon + lonSpan };
+
+    const cells = populationCellsWithin(bounds, (partLat, partLon) => haversineDistance(lat, lon, partLat, partLon) <= radiusKm);
+    return Math.round(cells.reduce((sum, cell) => sum + cell.people, 0));
+}
+
+// Grid cells inside an area, as { lat, lon, people } at the cell centre.
+// Each cell is split into 3x3 parts so partly covered cells at the edge of
+// the area only count the share that falls inside it.
+function populationCellsWithin(bounds, contains) {
+    if (!populationGrid) return [];
+
+    const size = populationGrid.cellSize;
+    const parts = 3;
+    const cells = [];
+
+    for (let row = Math.floor(bounds.south / size); row <= Math.floor(bounds.north / size); row++) {
+        for (let col = Math.floor(bounds.west / size); col <= Math.floor(bounds.east / size); col++) {
+            const people = populationGrid.cells.get(`${row},${col}`);
+            if (!people) continue;
+
+            let inside = 0;
+            for (let i = 0; i < parts; i++) {
+                for (let j = 0; j < parts; j++) {
+                    if (contains((row + (i + 0.5) / parts) * size, (col + (j + 0.5) / parts) * size)) inside++;
+                }
+            }
+            if (inside) {
+                cells.push({ lat: (row + 0.5) * size, lon: (col + 0.5) * size, people: people * inside / (parts * parts) });
+            }
+        }
+    }
+
+    return cells;
+}
+
+// Resilience inputs for the exposure factor
+function getExposureInputs(exposure) {
+    if (!exposure.covered) return {};
+    return {
+        population: exposure.scorePopulation,
+        populationLabel: `${formatPopulation(exposure.scorePopulation)} within ${exposure.scoreRadiusKm} km`
+    };
+}
+
+function formatPopulation(count) {
+    if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+    if (count >= 1e4) return `${Math.round(count / 1e3)}K`;
+    return count.toLocaleString();
+}
+
+function renderExposureSection(exposure) {
+    if (!exposure.covered) {
+        return `
+            <div class="info-item">
+                <div class="info-label">Population</div>
+                <div class="info-value">No data</div>
+            </div>
+            <p class="exposure-note">This location is outside the loaded population datasets.</p>
+        `;
+    }
+
+    const unit = exposure.adminUnit;
+    return `
+        ${unit ? `
+            <div class="info-item">
+                <div class="info-label">${escapeHtml(unit.name)}, ${escapeHtml(unit.province)}</div>
+                <div class="info-value">${unit.population.toLocaleString()}</div>
+                <div class="exposure-note">${escapeHtml(unit.censusYear)} census</div>
+            </div>
+        ` : ''}
+        <div class="info-grid exposure-radii">
+            ${exposure.radii.map(r => `
+                <div class="info-item">
+                    <div class="info-label">Within ${r.radiusKm} km</div>
+                    <div class="info-value">${formatPopulation(r.population)}</div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// =====================================================
+// Load Hazard Zones
+// =====================================================
+function loadHazardZones() {
+    hazardDataReady = Promise.all(config.hazardSources.map(loadHazardSource))
+        .then(layers => {
+            hazardSubLayers = layers.filter(Boolean);
+            renderHazardLegend();
+            return hazardSubLayers;
+        });
+
+    return hazardDataReady;
+}
+
+// Turn other formats into hazard GeoJSON. `parse` returns a
+// FeatureCollection; Point features are only kept when the adapter has a
+// `pointToLayer` to draw them, and are shown but not analyzed. `popup`
+// replaces buildHazardPopup().
+const hazardSourceAdapters = {
+    'volcano-registry': { parse: parseVolcanoRegistry, pointToLayer: createVolcanoMarker, popup: buildVolcanoPopup }
+};
+
+async function loadHazardSource(source) {
+    try {
+        const adapter = source.adapter ? hazardSourceAdapters[source.adapter] : null;
+        if (source.adapter && !adapter) throw new Error(`Unknown hazard source adapter "${source.adapter}"`);
+
+        let data = source.data;
+        if (!data) {
+            const response = await fetch(source.url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            trackCachedResponse(source.url, response);
+            data = await response.json();
+        }
+        if (adapter) data = adapter.parse(data, source);
+
+        const drawsPoints = Boolean(adapter && adapter.pointToLayer);
+        const layer = L.geoJSON(data, {
+            pane: 'hazards',
+            filter: feature => isAnalyzedHazardFeature(feature) || (drawsPoints && Boolean(feature.geometry) && feature.geometry.type === 'Point'),
+            pointToLayer: drawsPoints ? adapter.pointToLayer : undefined,
+            style: feature => getHazardFeatureStyle(feature),
+            onEachFeature: (feature, featureLayer) => {
+                featureLayer.bindPopup((adapter && adapter.popup ? adapter.popup : buildHazardPopup)(feature, source));
+            }
+        });
+
+        const showOnMap = source.showOnMap !== false;
+        if (showOnMap) {
+            hazardLayer.addLayer(layer);
+        }
+
+        return {
+            id: source.id,
+            name: source.name,
+            hazard: source.hazard,
+            analysis: source.analysis || { mode: 'contains' },
+            layer: layer,
+            features: (data.type === 'FeatureCollection' ? data.features : [data]).filter(isAnalyzedHazardFeature),
+            showOnMap: showOnMap,
+            visible: showOnMap
+        };
+    } catch (error) {
+        console.error(`Error loading hazard source "${source.id}":`, error);
+        return null;
+    }
+}
+
+// Polygons and lines are drawn and queried by identifyHazards(), which reads
+// the parsed features rather than the Leaflet layers. Points, such as
+// volcano summits, are only drawn, by adapters with a pointToLayer.
+function isAnalyzedHazardFeature(feature) {
+    return Boolean(feature.geometry) && ['Polygon', 'MultiPolygon', 'LineString', 'MultiLineString'].includes(feature.geometry.type);
+}
+
+function getHazardFeatureStyle(feature) {
+    const color = getLevelColor(feature.properties && feature.properties.level);
+    const isLine = feature.geometry.type === 'LineString' || feature.geometry.type === 'MultiLineString';
+
+    if (isLine) {
+        return { color: color, weight: 3, opacity: 0.9, dashArray: '6 4' };
+    }
+    return { color: color, fillColor: color, fillOpacity: 0.2, weight: 2 };
+}
+
+function buildHazardPopup(feature, source) {
+    const props = feature.properties || {};
+    const title = props.name || source.name;
+    const level = props.level ? String(props.level).toUpperCase() : 'UNKNOWN';
+
+    // Remaining properties are listed as-is below the title; a description
+    // may use Markdown
+    const details = Object.keys(props)
+        .filter(key => !['name', 'level', 'description'].includes(key) && props[key] !== null && typeof props[key] !== 'object')
+        .map(key => `<br>${escapeHtml(formatPropertyName(key))}: ${escapeHtml(props[key])}`)
+        .join('');
+    const description = props.description ? `<div class="markdown">${renderMarkdown(props.description)}</div>` : '';
+
+    return `<strong>${escapeHtml(title)}</strong><br>Layer: ${escapeHtml(source.name)}<br>Risk Level: ${escapeHtml(level)}${details}${description}`;
+}
+
+function toggleHazardSubLayer(id, visible) {
+    const subLayer = hazardSubLayers.find(l => l.id === id);
+    if (!subLayer) return;
+
+    if (visible) {
+        hazardLayer.addLayer(subLayer.layer);
+    } else {
+        hazardLayer.removeLayer(subLayer.layer);
+    }
+    subLayer.visible = visible;
+
+    const checkbox = document.querySelector(`#hazardLegend input[data-layer-id="${id}"]`);
+    if (checkbox) checkbox.checked = visible;
+}
+
+function renderHazardLegend() {
+    const legend = document.getElementById('hazardLegend');
+
+    legend.innerHTML = `
+        <h3>Hazard Layers</h3>
+        ${hazardSubLayers.filter(subLayer => subLayer.showOnMap).map(subLayer => `
+            <label class="legend-item legend-layer">
+                <input type="checkbox" data-layer-id="${escapeHtml(subLayer.id)}" ${subLayer.visible ? 'checked' : ''}>
+                <span>${escapeHtml(subLayer.name)}</span>
+            </label>
+        `).join('')}
+        <div class="legend-levels">
+            ${Object.keys(hazardLevelColors).map(level => `
+                <div class="legend-item">
+                    <div class="legend-color ${level}"></div>
+                    <span>${level.charAt(0).toUpperCase() + level.slice(1)} Risk</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    legend.querySelectorAll('input[data-layer-id]').forEach(input => {
+        input.addEventListener('change', () => toggleHazardSubLayer(input.dataset.layerId, input.checked));
+    });
+}
+
+// =====================================================
+// Volcanoes
+// =====================================================
+// The volcano registry lists { id, name, province, lat, lon, elevationM,
+// alertLevel, permanentDangerZoneKm, extendedDangerZoneKm, bulletin }. It is
+// loaded as the 'volcanic' hazard source: each volcano becomes a marker and
+// concentric danger-zone rings whose presence and level follow its alert
+// level, so identifyHazards() and area analysis treat them like any other
+// hazard zone.
+function parseVolcanoRegistry(data) {
+    volcanoes = (data.volcanoes || []).filter(volcano => isFinite(volcano.lat) && isFinite(volcano.lon));
+
+    return {
+        type: 'FeatureCollection',
+        features: volcanoes.flatMap(volcano => {
+            const zones = getVolcanoZones(volcano);
+            const rings = zones.map((zone, index) => {
+                const outer = circleRing(volcano.lat, volcano.lon, zone.radiusKm);
+                // Outer zones are drawn as bands around the inner ones
+                return index === 0 ? [outer] : [outer, circleRing(volcano.lat, volcano.lon, zones[index - 1].radiusKm)];
+            });
+
+            return [{
+                type: 'Feature',
+                properties: { name: volcano.name, id: volcano.id },
+                geometry: { type: 'Point', coordinates: [volcano.lon, volcano.lat] }
+            }].concat(zones.map((zone, index) => ({
+                type: 'Feature',
+                properties: {
+                    name: `${volcano.name} ${zone.name}`,
+                    level: zone.level,
+                    volcano: volcano.name,
+                    alert_level: volcano.alertLevel,
+                    radius_km: zone.radiusKm
+                },
+                geometry: { type: 'Polygon', coordinates: rings[index] }
+            })));
+        })
+    };
+}
+
+function getVolcanoAlertLevel(volcano) {
+    const levels = config.volcanoAlertLevels;
+    return levels[Math.max(0, Math.min(levels.length - 1, Math.round(volcano.alertLevel) || 0))];
+}
+
+// Danger zones in effect at the volcano's alert level, innermost first
+function getVolcanoZones(volcano) {
+    const alert = getVolcanoAlertLevel(volcano);
+    const zones = [];
+    if (volcano.permanentDangerZoneKm > 0) {
+        zones.push({ name: 'Permanent Danger Zone', radiusKm: volcano.permanentDangerZoneKm, level: alert.permanent });
+    }
+    if (alert.extended && volcano.extendedDangerZoneKm > (volcano.permanentDangerZoneKm || 0)) {
+        zones.push({ name: 'Extended Danger Zone', radiusKm: volcano.extendedDangerZoneKm, level: alert.extended });
+    }
+    return zones;
+}
+
+function createVolcanoMarker(feature, latlng) {
+    const volcano = volcanoes.find(v => v.id === feature.properties.id);
+    return L.marker(latlng, {
+        pane: 'hazards',
+        icon: L.divIcon({
+            className: `volcano-marker alert-${Math.round(volcano.alertLevel) || 0}`,
+            html: '▲',
+            iconSize: [20, 20],
+            iconAnchor: [10, 10]
+        }),
+        title: `${volcano.name} · Alert Level ${volcano.alertLevel}`
+    });
+}
+
+function buildVolcanoPopup(feature, source) {
+    if (feature.geometry.type !== 'Point') return buildHazardPopup(feature, source);
+
+    const volcano = volcanoes.find(v => v.id === feature.properties.id);
+    const zones = getVolcanoZones(volcano);
+    return `
+        <strong>▲ ${escapeHtml(volcano.name)}</strong>${volcano.province ? ` (${escapeHtml(volcano.province)})` : ''}<br>
+        Alert Level ${escapeHtml(volcano.alertLevel)} - ${escapeHtml(getVolcanoAlertLevel(volcano).name)}<br>
+        ${volcano.elevationM ? `Elevation: ${volcano.elevationM.toLocaleString()} m<br>` : ''}
+        ${zones.length ? `Danger zones: ${zones.map(zone => `${zone.radiusKm} km ${escapeHtml(zone.name.toLowerCase())}`).join(', ')}` : 'No danger zone in effect'}
+        ${volcano.bulletin ? `<div class="markdown">${renderMarkdown(volcano.bulletin)}</div>` : ''}
+    `;
+}
+
+// Distance from a point to the summit, and the innermost danger zone the
+// point falls in (or null)
+function measureVolcano(volcano, lat, lon) {
+    const distanceKm = haversineDistance(lat, lon, volcano.lat, volcano.lon);
+    return {
+        distanceKm: distanceKm,
+        bearing: calculateBearing(lat, lon, volcano.lat, volcano.lon),
+        zone: getVolcanoZones(volcano).find(zone => distanceKm <= zone.radiusKm) || null
+    };
+}
+
+// Volcanoes worth mentioning: the nearest ones to the reference location
+// and any above Alert Level 0
+function getRelevantVolcanoes(reference, limit = 3) {
+    const nearest = reference
+        ? volcanoes.slice()
+            .sort((a, b) => haversineDistance(reference.lat, reference.lon, a.lat, a.lon) -
+                haversineDistance(reference.lat, reference.lon, b.lat, b.lon))
+            .slice(0, limit)
+        : [];
+    const elevated = volcanoes.filter(volcano => volcano.alertLevel > 0 && !nearest.includes(volcano))
+        .sort((a, b) => b.alertLevel - a.alertLevel);
+    return nearest.concat(elevated);
+}
+
+// Compact form of a volcano for the chat context
+function summarizeVolcano(volcano, reference) {
+    const measured = reference ? measureVolcano(volcano, reference.lat, reference.lon) : null;
+    return {
+        name: volcano.name,
+        province: volcano.province,
+        alertLevel: volcano.alertLevel,
+        alertStatus: getVolcanoAlertLevel(volcano).name,
+        dangerZones: getVolcanoZones(volcano).map(zone => ({ name: zone.name, radiusKm: zone.radiusKm, level: zone.level })),
+        distanceKm: measured ? Math.round(measured.distanceKm * 10) / 10 : null,
+        insideZone: measured && measured.zone ? measured.zone.name : null,
+        bulletin: volcano.bulletin || null
+    };
+}
+
+function describeVolcano(volcano, reference) {
+    const zones = getVolcanoZones(volcano);
+    let text = `**${volcano.name}**${volcano.province ? ` (${volcano.province})` : ''}: Alert Level ${volcano.alertLevel} - ${getVolcanoAlertLevel(volcano).name}\n` +
+        `- Danger zones: ${zones.length ? zones.map(zone => `${zone.radiusKm} km ${zone.name.toLowerCase()}`).join(', ') : 'none in effect'}`;
+
+    if (reference) {
+        const measured = measureVolcano(volcano, reference.lat, reference.lon);
+        text += `\n- Distance from ${reference.label}: ${formatDistance(measured.distanceKm)} ${formatBearing(measured.bearing)}` +
+            (measured.zone ? ` - **inside the ${measured.zone.name}**` : '');
+    }
+    if (volcano.bulletin) text += `\n- ${volcano.bulletin}`;
+    return text;
+}
+
+// =====================================================
+// Load Active Hazards
+// =====================================================
+async function loadActiveHazards() {
+    if (feedLoadInProgress) return;
+    feedLoadInProgress = true;
+
+    const disasterList = document.getElementById('disasterList');
+    if (!activeEvents.length) {
+        disasterList.innerHTML = '<div class="loading">Loading active hazards...</div>';
+    }
+
+    try {
+        const results = await Promise.all(config.feeds.map(loadFeed));
+        const failedFeeds = results.filter(r => r.error).map(r => r.feed.name);
+
+        const events = dedupeEvents(results.flatMap(r => r.events))
+            .sort((a, b) => b.time - a.time)
+            .slice(0, config.maxActiveEvents);
+
+        activeEvents = events;
+        failedFeedNames = failedFeeds;
+        updateEventDistances();
+        renderActiveEventMarkers();
+        renderDisasterList();
+        evaluateWatches();
+    } finally {
+        feedLoadInProgress = false;
+    }
+}
+
+async function loadFeed(feed) {
+    const adapter = feedAdapters[feed.type];
+
+    try {
+        if (!adapter) throw new Error(`Unknown feed type "${feed.type}"`);
+
+        const response = await fetch(feed.url, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        trackCachedResponse(feed.url, response);
+
+        const body = adapter.format === 'json' ? await response.json() : await response.text();
+        const events = adapter.parse(body, feed).filter(event => isFinite(event.lat) && isFinite(event.lon));
+        return { feed, events };
+    } catch (error) {
+        console.error(`Error loading feed "${feed.id}":`, error);
+        return { feed, events: [], error };
+    }
+}
+
+function renderDisasterList() {
     const disasterList = document.getElementById('disasterList');
-    disasterList.innerHTML = '<div class="loading">Loading active hazards...</div>';
+    const reference = getReferenceLocation();
+
+    const items = activeEvents.map(event => {
+        const color = getLevelColor(event.severity);
+        return `
+            <div class="disaster-item" data-event-id="${escapeHtml(event.id)}">
+                <div class="disaster-header">
+                    <div class="disaster-title">${escapeHtml(event.name)}</div>
+                    <div class="disaster-badge" style="background-color: ${color}33; color: ${color}; border: 1px solid ${color};">
+                        ${escapeHtml(event.type)}
+                    </div>
+                </div>
+                <div class="disaster-info">
+                    <p><strong>Status:</strong> ${escapeHtml(event.status)}</p>
+                    <p><strong>Location:</strong> ${escapeHtml(event.location)}</p>
+                    ${event.distanceKm !== null ? `<p><strong>Distance:</strong> ${formatDistance(event.distanceKm)} ${formatBearing(event.bearing)} of ${escapeHtml(reference.label)}</p>` : ''}
+                    ${event.magnitude !== null ? `<p><strong>Magnitude:</strong> ${event.magnitude.toFixed(1)}</p>` : ''}
+                    <p><strong>Updated:</strong> ${formatEventTime(event.time)}</p>
+                    <p class="disaster-source">Source: ${escapeHtml(event.source)}</p>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    const errors = failedFeedNames.length
+        ? `<p class="feed-error">Unavailable: ${failedFeedNames.map(escapeHtml).join(', ')}</p>`
+        : '';
+
+    disasterList.innerHTML = (items || '<p class="placeholder-text">No active hazards reported</p>') + errors;
+}
+
+function renderActiveEventMarkers() {
+    activeEventLayer.clearLayers();
+    activeEventMarkers.clear();
+
+    activeEvents.forEach(event => {
+        const color = getLevelColor(event.severity);
+        const radius = event.magnitude !== null && event.type === 'Earthquake'
+            ? Math.max(5, event.magnitude * 2.5)
+            : 8;
+
+        const marker = L.circleMarker([event.lat, event.lon], {
+            radius: radius,
+            color: color,
+            fillColor: color,
+            fillOpacity: 0.6,
+            weight: 2
+        }).addTo(activeEventLayer);
+        activeEventMarkers.set(event.id, marker);
+
+        marker.bindPopup(`
+            <strong>${escapeHtml(event.name)}</strong><br>
+            ${escapeHtml(event.type)} - ${escapeHtml(event.status)}<br>
+            ${escapeHtml(event.location)}<br>
+            ${formatEventTime(event.time)}<br>
+            ${event.description ? `<div class="markdown">${renderMarkdown(event.description)}</div>` : ''}
+            <small>Source: ${escapeHtml(event.source)}</small>
+        `);
+    });
+}
+
+// Measures every active event from the reference location and, when there is
+// one, orders the list by proximity instead of recency
+function updateEventDistances() {
+    const reference = getReferenceLocation();
+
+    activeEvents.forEach(event => {
+        if (reference) {
+            event.distanceKm = haversineDistance(reference.lat, reference.lon, event.lat, event.lon);
+            event.bearing = calculateBearing(reference.lat, reference.lon, event.lat, event.lon);
+        } else {
+            event.distanceKm = null;
+            event.bearing = null;
+        }
+    });
+
+    if (reference) {
+        activeEvents.sort((a, b) => a.distanceKm - b.distanceKm);
+    } else {
+        activeEvents.sort((a, b) => b.time - a.time);
+    }
+}
+
+function flyToEvent(eventId) {
+    const event = activeEvents.find(e => e.id === eventId);
+    if (!event) return;
+
+    map.flyTo([event.lat, event.lon], Math.max(map.getZoom(), 9));
+
+    const marker = activeEventMarkers.get(eventId);
+    if (marker) {
+        map.once('moveend', () => marker.openPopup());
+    }
+}
+
+// The same earthquake is often reported by more than one feed. Keep the
+// first report of events of the same type within 50 km and 5 minutes.
+function dedupeEvents(events) {
+    const kept = [];
+    events.forEach(event => {
+        const duplicate = kept.some(other =>
+            other.type === event.type &&
+            Math.abs(other.time - event.time) <= 5 * 60 * 1000 &&
+            haversineDistance(other.lat, other.lon, event.lat, event.lon) <= 50
+        );
+        if (!duplicate) kept.push(event);
+    });
+    return kept;
+}
+
+// "in 5 h", "2 days ago"
+function formatRelativeTime(date) {
+    const hours = (date.getTime() - Date.now()) / 3600000;
+    if (Math.abs(hours) < 1) return 'now';
+    const span = Math.abs(hours) < 48 ? `${Math.round(Math.abs(hours))} h` : `${Math.round(Math.abs(hours) / 24)} days`;
+    return hours > 0 ? `in ${span}` : `${span} ago`;
+}
+
+function formatEventTime(date) {
+    return date.toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+// =====================================================
+// Event History
+// =====================================================
+// Past events are { id, type, name, time, lat, lon, magnitude, windKt,
+// location, source }; `magnitude` is set for earthquakes and `windKt` for
+// typhoons. The time slider shows the events of historyFilter.type ('all' or
+// one type) from `spanYears` before `toYear` up to it, or every year up to
+// it when `spanYears` is 0. Recurrence near a location is estimated over the
+// years the catalog covers for each type.
+const historyAdapters = {
+    'usgs-csv': parseUsgsCatalogCsv,
+    'geojson': parseHistoryGeoJSON
+};
+
+// Map colour, plural for lists and, where events have one, the measure the
+// largest event is picked by
+const historyEventTypes = {
+    Earthquake: { plural: 'Earthquakes', color: '#d9534f', size: event => event.magnitude, formatSize: event => `M${event.magnitude.toFixed(1)}` },
+    Typhoon: { plural: 'Typhoon landfalls', color: '#8e44ad', size: event => event.windKt, formatSize: event => formatWind(event.windKt) },
+    Flood: { plural: 'Floods', color: '#4a90e2', size: () => null, formatSize: () => '' }
+};
+
+function getHistoryEventType(type) {
+    return historyEventTypes[type] || { plural: type, color: '#95a5a6', size: () => null, formatSize: () => '' };
+}
+
+function loadEventHistory() {
+    historyDataReady = Promise.all(config.history.sources.map(loadHistorySource))
+        .then(results => {
+            historicalEvents = results.flat().sort((a, b) => a.time - b.time);
+            const years = getHistoryYears();
+            if (years) historyFilter.toYear = years.last;
+            renderHistoryEvents();
+            return historicalEvents;
+        });
+
+    return historyDataReady;
+}
+
+async function loadHistorySource(source) {
+    try {
+        const adapter = historyAdapters[source.type];
+        if (!adapter) throw new Error(`Unknown catalog type "${source.type}"`);
+
+        const response = await fetch(source.url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        trackCachedResponse(source.url, response);
+
+        return adapter(await response.text(), source)
+            .filter(event => isFinite(event.lat) && isFinite(event.lon) && !isNaN(event.time));
+    } catch (error) {
+        console.error(`Error loading event catalog "${source.id}":`, error);
+        return [];
+    }
+}
+
+// USGS earthquake catalog CSV, as exported from the search page or the
+// FDSN event service with format=csv. Quarry blasts and other non-earthquake
+// events are skipped.
+function parseUsgsCatalogCsv(text, source) {
+    const rows = parseCsv(text);
+    const header = rows[0].map(name => name.trim());
+    const events = [];
+
+    rows.slice(1).forEach((row, index) => {
+        const get = name => (row[header.indexOf(name)] || '').trim();
+        if (get('type') && get('type') !== 'earthquake') return;
+
+        // The place ("Rizal, Nueva Ecija, Philippines") names the event
+        const magnitude = parseFloat(get('mag'));
+        events.push({
+            id: get('id') || `${source.id}-${index + 1}`,
+            type: 'Earthquake',
+            name: get('place') || 'Earthquake',
+            time: new Date(get('time')),
+            lat: parseFloat(get('latitude')),
+            lon: parseFloat(get('longitude')),
+            magnitude: isFinite(magnitude) ? magnitude : null,
+            windKt: null,
+            location: null,
+            source: source.name
+        });
+    });
+
+    return events;
+}
+
+function parseHistoryGeoJSON(text, source) {
+    const data = JSON.parse(text);
+    return (data.features || [])
+        .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+        .map((feature, index) => {
+            const props = feature.properties || {};
+            const [lon, lat] = feature.geometry.coordinates;
+            const number = value => (value === undefined || value === null || value === '' || !isFinite(value) ? null : Number(value));
+            return {
+                id: props.id || `${source.id}-${index + 1}`,
+                type: props.type || 'Event',
+                name: props.name || props.type || `Event ${index + 1}`,
+                time: new Date(props.time),
+                lat: lat,
+                lon: lon,
+                magnitude: number(props.magnitude),
+                windKt: number(props.windKt),
+                location: props.location || null,
+                source: source.name
+            };
+        });
+}
+
+// First and last year in the catalog, or null when it is empty
+function getHistoryYears() {
+    if (!historicalEvents.length) return null;
+    return {
+        first: historicalEvents[0].time.getUTCFullYear(),
+        last: historicalEvents[historicalEvents.length - 1].time.getUTCFullYear()
+    };
+}
+
+function getHistoryFromYear() {
+    const years = getHistoryYears();
+    if (!years) return null;
+    return historyFilter.spanYears ? historyFilter.toYear - historyFilter.spanYears + 1 : years.first;
+}
+
+// Events matching the time slider
+function getFilteredHistoryEvents() {
+    const fromYear = getHistoryFromYear();
+    return historicalEvents.filter(event => {
+        const year = event.time.getUTCFullYear();
+        return year >= fromYear && year <= historyFilter.toYear &&
+            (historyFilter.type === 'all' || event.type === historyFilter.type);
+    });
+}
+
+// `changes` may set type, spanYears and toYear; the year is kept within the
+// catalog
+function setHistoryFilter(changes) {
+    Object.assign(historyFilter, changes);
+    const years = getHistoryYears();
+    if (years) historyFilter.toYear = Math.max(years.first, Math.min(years.last, historyFilter.toYear));
+    renderHistoryEvents();
+}
+
+function renderHistoryEvents() {
+    historyLayer.clearLayers();
+
+    getFilteredHistoryEvents().forEach(event => {
+        const type = getHistoryEventType(event.type);
+        let radius = 6;
+        if (event.magnitude !== null && event.type === 'Earthquake') radius = Math.max(4, event.magnitude * 2);
+        if (event.windKt !== null) radius = Math.max(4, event.windKt / 15);
+
+        L.circleMarker([event.lat, event.lon], {
+            radius: radius,
+            color: type.color,
+            fillColor: type.color,
+            fillOpacity: 0.35,
+            weight: 1.5
+        }).bindPopup(`
+            <strong>${escapeHtml(event.name)}</strong><br>
+            ${escapeHtml(event.type)}${type.size(event) !== null ? ` - ${escapeHtml(type.formatSize(event))}` : ''}<br>
+            ${event.location ? `${escapeHtml(event.location)}<br>` : ''}
+            ${formatEventDate(event.time)}<br>
+            <small>Source: ${escapeHtml(event.source)}</small>
+        `).addTo(historyLayer);
+    });
+
+    updateHistoryControl();
+}
+
+function toggleHistoryAnimation() {
+    if (historyAnimationTimer) {
+        stopHistoryAnimation();
+        return;
+    }
+
+    const years = getHistoryYears();
+    if (!years) return;
+    // Start over when the slider is already at the end
+    if (historyFilter.toYear >= years.last) setHistoryFilter({ toYear: years.first });
+    setOverlayVisible('history', true);
+
+    historyAnimationTimer = setInterval(() => {
+        if (historyFilter.toYear >= years.last) {
+            stopHistoryAnimation();
+            return;
+        }
+        setHistoryFilter({ toYear: historyFilter.toYear + 1 });
+    }, config.history.stepMs);
+    updateHistoryControl();
+}
+
+function stopHistoryAnimation() {
+    clearInterval(historyAnimationTimer);
+    historyAnimationTimer = null;
+    updateHistoryControl();
+}
+
+// Catalog events within `radiusKm` of a point, nearest first
+function findPastEvents(lat, lon, radiusKm) {
+    return historicalEvents
+        .map(event => ({ event: event, distanceKm: haversineDistance(lat, lon, event.lat, event.lon) }))
+        .filter(nearby => nearby.distanceKm <= radiusKm)
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+// Per event type near a point: the count, the largest and most recent event
+// and the recurrence. Rates are the count over the years between the first
+// and last event of that type anywhere in the catalog, so a type recorded
+// since 1968 is not averaged over a shorter span because the nearby events
+// are recent.
+function computePastEventStats(lat, lon) {
+    const nearby = findPastEvents(lat, lon, config.history.radiusKm);
+    const order = Object.keys(historyEventTypes);
+    const rank = type => (order.includes(type) ? order.indexOf(type) : order.length);
+    const types = [...new Set(nearby.map(n => n.event.type))].sort((a, b) => rank(a) - rank(b));
+
+    return types.map(type => {
+        const matches = nearby.filter(n => n.event.type === type);
+        const times = historicalEvents.filter(event => event.type === type).map(event => event.time.getTime());
+        const catalogYears = Math.max(1, (Math.max(...times) - Math.min(...times)) / (365.25 * 86400000));
+        const definition = getHistoryEventType(type);
+
+        const sized = matches.filter(n => definition.size(n.event) !== null);
+        const largest = sized.length
+            ? sized.reduce((a, b) => (definition.size(b.event) > definition.size(a.event) ? b : a))
+            : null;
+        const mostRecent = matches.reduce((a, b) => (b.event.time > a.event.time ? b : a));
+
+        return {
+            type: type,
+            count: matches.length,
+            catalogYears: catalogYears,
+            sinceYear: new Date(Math.min(...times)).getUTCFullYear(),
+            largest: largest,
+            mostRecent: mostRecent,
+            // Earthquakes of at least each magnitude in config.history.recurrenceMagnitudes
+            thresholds: type === 'Earthquake'
+                ? config.history.recurrenceMagnitudes.map(magnitude => ({
+                    magnitude: magnitude,
+                    count: matches.filter(n => n.event.magnitude !== null && n.event.magnitude >= magnitude).length
+                }))
+                : []
+        };
+    });
+}
+
+// Catalog times are UTC; the date is all that matters for past events
+function formatEventDate(date) {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+// "about once every 18 years (5% chance in a given year)", treating events
+// as a Poisson process
+function formatRecurrence(count, years) {
+    const rate = count / years;
+    const every = rate >= 1 ? `about ${rate.toFixed(rate < 10 ? 1 : 0)} a year` : `about once every ${Math.round(1 / rate)} years`;
+    return `${every} (${Math.round((1 - Math.exp(-rate)) * 100)}% chance in a given year)`;
+}
+
+function renderPastEventsSection(lat, lon) {
+    if (!historicalEvents.length) return '';
+    const stats = computePastEventStats(lat, lon);
+
+    return `
+        <div class="info-section">
+            <h3>Past Events within ${config.history.radiusKm} km</h3>
+            ${stats.length ? stats.map(stat => {
+                const definition = getHistoryEventType(stat.type);
+                const thresholds = stat.thresholds
+                    .filter(threshold => threshold.count)
+                    .map(threshold => `M${threshold.magnitude}+: ${formatRecurrence(threshold.count, stat.catalogYears)}.`)
+                    .join(' ');
+                return `
+                    <div class="info-item">
+                        <div class="info-label">${escapeHtml(definition.plural)}</div>
+                        <div class="info-value">
+                            ${stat.count} since ${stat.sinceYear}${stat.largest ? `, largest ${escapeHtml(definition.formatSize(stat.largest.event))} (${escapeHtml(stat.largest.event.name)}, ${stat.largest.event.time.getUTCFullYear()}, ${formatDistance(stat.largest.distanceKm)} away)` : ''}
+                        </div>
+                        <div class="exposure-note">
+                            Recurs ${formatRecurrence(stat.count, stat.catalogYears)}. ${thresholds}
+                            Most recent: ${escapeHtml(stat.mostRecent.event.name)}, ${formatEventDate(stat.mostRecent.event.time)}.
+                        </div>
+                    </div>
+                `;
+            }).join('') : '<p class="placeholder-text">No events in the catalog</p>'}
+            <button type="button" class="save-site-btn" data-action="show-past-events">Show on time slider</button>
+        </div>
+    `;
+}
+
+// Opens the time slider on the whole catalog around the selected location
+function showPastEventsNear(lat, lon) {
+    stopHistoryAnimation();
+    const years = getHistoryYears();
+    if (years) setHistoryFilter({ type: 'all', spanYears: 0, toYear: years.last });
+    setOverlayVisible('history', true);
+    document.querySelector('.history-control').classList.add('open');
+    map.fitBounds(L.latLng(lat, lon).toBounds(config.history.radiusKm * 2000));
+}
+
+// Compact form of computePastEventStats() for the chat context
+function summarizePastEvents(lat, lon) {
+    return {
+        radiusKm: config.history.radiusKm,
+        byType: computePastEventStats(lat, lon).map(stat => ({
+            type: stat.type,
+            count: stat.count,
+            since: stat.sinceYear,
+            perYear: Math.round(stat.count / stat.catalogYears * 1000) / 1000,
+            largest: stat.largest ? { name: stat.largest.event.name, time: stat.largest.event.time.toISOString(), distanceKm: Math.round(stat.largest.distanceKm) } : null,
+            mostRecent: { name: stat.mostRecent.event.name, time: stat.mostRecent.event.time.toISOString(), distanceKm: Math.round(stat.mostRecent.distanceKm) },
+            magnitudeThresholds: stat.thresholds.map(threshold => ({
+                minMagnitude: threshold.magnitude,
+                count: threshold.count,
+                perYear: Math.round(threshold.count / stat.catalogYears * 1000) / 1000
+            }))
+        }))
+    };
+}
+
+// Offline answer to questions about past events near the reference location
+function describePastEvents(reference) {
+    const stats = computePastEventStats(reference.lat, reference.lon);
+    if (!stats.length) {
+        return `The event catalog has no past events within ${config.history.radiusKm} km of ${reference.label}.`;
+    }
+
+    const lines = stats.map(stat => {
+        const definition = getHistoryEventType(stat.type);
+        const largest = stat.largest
+            ? ` The largest was ${stat.largest.event.name} (${definition.formatSize(stat.largest.event)}, ${stat.largest.event.time.getUTCFullYear()}), ${formatDistance(stat.largest.distanceKm)} away.`
+            : '';
+        const thresholds = stat.thresholds
+            .filter(threshold => threshold.count)
+            .map(threshold => ` M${threshold.magnitude}+: ${formatRecurrence(threshold.count, stat.catalogYears)}.`)
+            .join('');
+        return `- **${definition.plural}**: ${stat.count} since ${stat.sinceYear}, ${formatRecurrence(stat.count, stat.catalogYears)}.${largest}${thresholds}`;
+    });
+
+    return `**Past events within ${config.history.radiusKm} km of ${reference.label}**\n${lines.join('\n')}\n\n` +
+        'Recurrence is the average rate over the years the catalog covers; it is a rough guide, not a forecast. Use the 🕘 Past events slider to see them on the map.';
+}
+
+function initializeHistoryControl() {
+    const HistoryControl = L.Control.extend({
+        options: { position: 'bottomright' },
+        onAdd() {
+            const container = L.DomUtil.create('div', 'history-control');
+            container.innerHTML = `
+                <button type="button" class="history-toggle" data-history-action="toggle" title="Past events on a time slider">🕘 Past events</button>
+                <div class="history-panel">
+                    <div class="history-row">
+                        <select name="type" title="Event type">
+                            <option value="all">All events</option>
+                            ${Object.keys(historyEventTypes).map(type => `<option value="${type}">${historyEventTypes[type].plural}</option>`).join('')}
+                        </select>
+                        <select name="spanYears" title="Years shown">
+                            <option value="0">All years up to</option>
+                            <option value="1">1 year</option>
+                            <option value="5">5 years</option>
+                            <option value="10">10 years</option>
+                        </select>
+                    </div>
+                    <div class="history-row">
+                        <button type="button" class="history-play" data-history-action="play" title="Play">▶</button>
+                        <input type="range" name="toYear" step="1">
+                    </div>
+                    <div class="history-label"></div>
+                </div>
+            `;
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-history-action]');
+                if (!button) return;
+                if (button.dataset.historyAction === 'toggle') {
+                    // Opening the slider shows the events it filters
+                    if (container.classList.toggle('open')) setOverlayVisible('history', true);
+                }
+                if (button.dataset.historyAction === 'play') toggleHistoryAnimation();
+            });
+            container.addEventListener('input', (e) => {
+                if (e.target.name !== 'toYear') return;
+                stopHistoryAnimation();
+                setHistoryFilter({ toYear: Number(e.target.value) });
+            });
+            container.addEventListener('change', (e) => {
+                if (e.target.name === 'type') setHistoryFilter({ type: e.target.value });
+                if (e.target.name === 'spanYears') setHistoryFilter({ spanYears: Number(e.target.value) });
+            });
+            return container;
+        }
+    });
+
+    new HistoryControl().addTo(map);
+}
+
+// Syncs the slider with historyFilter
+function updateHistoryControl() {
+    const container = document.querySelector('.history-control');
+    if (!container) return;
+
+    const years = getHistoryYears();
+    const slider = container.querySelector('[name="toYear"]');
+    const label = container.querySelector('.history-label');
+    if (!years) {
+        slider.disabled = true;
+        label.textContent = 'The event catalog is empty';
+        return;
+    }
+
+    slider.disabled = false;
+    slider.min = years.first;
+    slider.max = years.last;
+    slider.value = historyFilter.toYear;
+    container.querySelector('[name="type"]').value = historyFilter.type;
+    container.querySelector('[name="spanYears"]').value = String(historyFilter.spanYears);
+    container.querySelector('.history-play').textContent = historyAnimationTimer ? '⏸' : '▶';
+
+    const fromYear = getHistoryFromYear();
+    const count = getFilteredHistoryEvents().length;
+    label.textContent = `${fromYear === historyFilter.toYear ? fromYear : `${fromYear}–${historyFilter.toYear}`}: ${count} event${count === 1 ? '' : 's'}`;
+}
+
+// =====================================================
+// Typhoon Tracks
+// =====================================================
+// Storms are { id, name, sources, track, forecast }. Track and forecast
+// points are { time, lat, lon, windKt, pressureHpa, radii, tau, coneKm },
+// where `radii` maps a wind threshold in knots (34, 50, 64) to its extent in
+// km in the NE, SE, SW and NW quadrants. `tau` (hours ahead) and `coneKm`
+// are only set on forecast points; forecast[0] is the position at issue.
+const trackAdapters = {
+    'ibtracs-csv': parseIbtracsCsv,
+    'atcf': parseAtcfDeck
+};
+
+// PAGASA tropical cyclone categories by maximum sustained wind
+const typhoonCategories = [
+    { code: 'STY', name: 'Super Typhoon', minKt: 100, color: '#8e44ad' },
+    { code: 'TY', name: 'Typhoon', minKt: 64, color: '#d9534f' },
+    { code: 'STS', name: 'Severe Tropical Storm', minKt: 48, color: '#e67e22' },
+    { code: 'TS', name: 'Tropical Storm', minKt: 34, color: '#f0ad4e' },
+    { code: 'TD', name: 'Tropical Depression', minKt: 0, color: '#5c9aa8' }
+];
+const windRadiiColors = { 34: '#f0ad4e', 50: '#e67e22', 64: '#d9534f' };
+const KM_PER_NM = 1.852;
+
+function loadTyphoonTracks() {
+    typhoonDataReady = Promise.all(config.typhoons.sources.map(loadTrackSource))
+        .then(results => {
+            typhoons = mergeStorms(results.flat());
+            renderTyphoonTracks();
+            return typhoons;
+        });
+
+    return typhoonDataReady;
+}
+
+async function loadTrackSource(source) {
+    try {
+        const adapter = trackAdapters[source.type];
+        if (!adapter) throw new Error(`Unknown track type "${source.type}"`);
+
+        const response = await fetch(source.url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        trackCachedResponse(source.url, response);
+
+        return adapter(await response.text(), source);
+    } catch (error) {
+        console.error(`Error loading typhoon tracks "${source.id}":`, error);
+        return [];
+    }
+}
+
+// Files describing the same storm are merged: track points by time, keeping
+// the first source's position, and the most recently issued forecast
+function mergeStorms(storms) {
+    const merged = new Map();
+    storms.forEach(storm => {
+        const existing = merged.get(storm.id);
+        if (!existing) {
+            merged.set(storm.id, storm);
+            return;
+        }
+
+        existing.name = existing.name || storm.name;
+        existing.sources = existing.sources.concat(storm.sources);
+        const times = new Set(existing.track.map(point => point.time.getTime()));
+        existing.track = existing.track
+            .concat(storm.track.filter(point => !times.has(point.time.getTime())))
+            .sort((a, b) => a.time - b.time);
+        if (storm.forecast.length && (!existing.forecast.length || storm.forecast[0].time > existing.forecast[0].time)) {
+            existing.forecast = storm.forecast;
+        }
+    });
+    return Array.from(merged.values());
+}
+
+// IBTrACS CSV: one row per position, with a row of units under the header.
+// Storms are keyed by their ATCF id when they have one, so they merge with
+// JTWC forecasts. Winds are the WMO agency's, or the US agency's when blank.
+function parseIbtracsCsv(text, source) {
+    const rows = parseCsv(text);
+    const header = rows[0].map(name => name.trim());
+    const storms = new Map();
+
+    rows.slice(1).forEach(row => {
+        const get = name => (row[header.indexOf(name)] || '').trim();
+        const number = name => {
+            const value = parseFloat(get(name));
+            return isFinite(value) ? value : null;
+        };
+
+        const lat = number('LAT');
+        const lon = number('LON');
+        if (!get('SID') || lat === null || lon === null) return;
+
+        const id = get('USA_ATCF_ID') || get('SID');
+        if (!storms.has(id)) {
+            const name = get('NAME');
+            storms.set(id, { id: id, name: name && name !== 'NOT_NAMED' ? name : null, sources: [source.name], track: [], forecast: [] });
+        }
+
+        const radii = {};
+        [34, 50, 64].forEach(threshold => {
+            const quadrants = ['NE', 'SE', 'SW', 'NW'].map(quadrant => number(`USA_R${threshold}_${quadrant}`) || 0);
+            if (quadrants.some(radius => radius > 0)) radii[threshold] = quadrants.map(radius => radius * KM_PER_NM);
+        });
+
+        storms.get(id).track.push({
+            time: new Date(`${get('ISO_TIME').replace(' ', 'T')}Z`),
+            lat: lat,
+            lon: lon,
+            windKt: number('WMO_WIND') !== null ? number('WMO_WIND') : number('USA_WIND'),
+            pressureHpa: number('WMO_PRES') !== null ? number('WMO_PRES') : number('USA_PRES'),
+            radii: radii,
+            tau: null,
+            coneKm: null
+        });
+    });
+
+    return Array.from(storms.values());
+}
+
+// JTWC (ATCF) a-deck and b-deck records: BASIN, CY, YYYYMMDDHH, TECHNUM,
+// TECH, TAU, LAT, LON, VMAX, MSLP, TY, RAD, WINDCODE, RAD1-RAD4, ... up to
+// STORMNAME in the 28th field. A position repeats once per wind radius
+// threshold. BEST records make up the track; the latest forecast of the
+// `source.aid` objective aid (JTWC by default) makes up the forecast.
+function parseAtcfDeck(text, source) {
+    const aid = source.aid || 'JTWC';
+    const storms = new Map();
+    const points = new Map();
+
+    text.split(/\r?\n/).forEach(line => {
+        const fields = line.split(',').map(field => field.trim());
+        const tech = fields[4];
+        if (fields.length < 11 || (tech !== 'BEST' && tech !== aid)) return;
+
+        const lat = parseAtcfCoordinate(fields[6]);
+        const lon = parseAtcfCoordinate(fields[7]);
+        const issued = fields[2];
+        if (!isFinite(lat) || !isFinite(lon) || !/^\d{10}$/.test(issued)) return;
+
+        const id = `${fields[0]}${fields[1]}${issued.slice(0, 4)}`;
+        if (!storms.has(id)) {
+            storms.set(id, { id: id, name: null, sources: [source.name], track: [], forecast: [], forecasts: new Map() });
+        }
+        const storm = storms.get(id);
+        if (fields[27] && !/^(INVEST|NONAME)$/.test(fields[27])) storm.name = fields[27];
+
+        const tau = tech === 'BEST' ? 0 : parseInt(fields[5], 10);
+        const key = `${id} ${tech} ${issued} ${tau}`;
+        let point = points.get(key);
+        if (!point) {
+            const issueTime = Date.UTC(issued.slice(0, 4), issued.slice(4, 6) - 1, issued.slice(6, 8), issued.slice(8, 10));
+            const vmax = parseFloat(fields[8]);
+            const mslp = parseFloat(fields[9]);
+            point = {
+                time: new Date(issueTime + tau * 3600000),
+                lat: lat,
+                lon: lon,
+                windKt: vmax > 0 ? vmax : null,
+                pressureHpa: mslp > 0 ? mslp : null,
+                radii: {},
+                tau: tech === 'BEST' ? null : tau,
+                coneKm: tech === 'BEST' ? null : getConeRadius(tau)
+            };
+            points.set(key, point);
+
+            if (tech === 'BEST') {
+                storm.track.push(point);
+            } else {
+                if (!storm.forecasts.has(issued)) storm.forecasts.set(issued, []);
+                storm.forecasts.get(issued).push(point);
+            }
+        }
+
+        const threshold = parseInt(fields[11], 10);
+        const quadrants = fields.slice(13, 17).map(value => parseFloat(value) || 0);
+        if (threshold > 0 && fields[12] === 'NEQ' && quadrants.some(radius => radius > 0)) {
+            point.radii[threshold] = quadrants.map(radius => radius * KM_PER_NM);
+        }
+    });
+
+    return Array.from(storms.values()).map(storm => {
+        const latest = Array.from(storm.forecasts.keys()).sort().pop();
+        const forecast = latest ? storm.forecasts.get(latest).sort((a, b) => a.tau - b.tau) : [];
+        return {
+            id: storm.id,
+            name: storm.name,
+            sources: storm.sources,
+            track: storm.track.sort((a, b) => a.time - b.time),
+            forecast: forecast
+        };
+    });
+}
+
+// "119N" and "1271E" are tenths of a degree
+function parseAtcfCoordinate(text) {
+    const match = /^(\d+)([NSEW])$/.exec(text || '');
+    if (!match) return NaN;
+    const value = parseInt(match[1], 10) / 10;
+    return match[2] === 'S' || match[2] === 'W' ? -value : value;
+}
+
+// Forecast uncertainty radius for a lead time, interpolated between the
+// hours in config.typhoons.coneRadiiKm
+function getConeRadius(tau) {
+    const radii = config.typhoons.coneRadiiKm;
+    const hours = Object.keys(radii).map(Number).sort((a, b) => a - b);
+    if (tau <= hours[0]) return radii[hours[0]];
+
+    for (let i = 1; i < hours.length; i++) {
+        if (tau <= hours[i]) {
+            const t = (tau - hours[i - 1]) / (hours[i] - hours[i - 1]);
+            return radii[hours[i - 1]] + t * (radii[hours[i]] - radii[hours[i - 1]]);
+        }
+    }
+    return radii[hours[hours.length - 1]];
+}
+
+function getTyphoonCategory(windKt) {
+    return typhoonCategories.find(category => (windKt || 0) >= category.minKt);
+}
+
+// The latest known position: the forecast's starting point, unless the best
+// track is more recent
+function getStormPosition(storm) {
+    const lastTrack = storm.track[storm.track.length - 1];
+    const start = storm.forecast[0];
+    if (start && (!lastTrack || start.time >= lastTrack.time)) return start;
+    return lastTrack;
+}
+
+function getStormName(storm) {
+    const position = getStormPosition(storm);
+    return `${getTyphoonCategory(position.windKt).name} ${storm.name || storm.id}`;
+}
+
+// Storms last seen, or last forecast, within config.typhoons.activeHours.
+// An old forecast file must not keep a storm active once its times are past.
+function getActiveTyphoons() {
+    return typhoons.filter(storm => Date.now() - getStormPosition(storm).time <= config.typhoons.activeHours * 3600000);
+}
+
+function renderTyphoonTracks() {
+    typhoonLayer.clearLayers();
+
+    typhoons.forEach(storm => {
+        const position = getStormPosition(storm);
+        const pastTrack = storm.track.includes(position) ? storm.track : storm.track.concat([position]);
+        const forecast = storm.forecast[0] === position ? storm.forecast : [];
+
+        // Drawn from the bottom up: cone, wind radii, track, positions
+        if (forecast.length > 1) {
+            L.polygon(buildForecastCone(forecast), {
+                stroke: false, fillColor: '#f0ad4e', fillOpacity: 0.15, fillRule: 'nonzero', interactive: false
+            }).addTo(typhoonLayer);
+        }
+        [34, 50, 64].forEach(threshold => {
+            if (!position.radii[threshold]) return;
+            L.polygon(windRadiiRing(position.lat, position.lon, position.radii[threshold]).map(([lon, lat]) => [lat, lon]), {
+                color: windRadiiColors[threshold], weight: 1, fillOpacity: 0.12, interactive: false
+            }).addTo(typhoonLayer);
+        });
+
+        if (pastTrack.length > 1) {
+            L.polyline(pastTrack.map(point => [point.lat, point.lon]), { color: '#e0e0e0', weight: 2 }).addTo(typhoonLayer);
+        }
+        if (forecast.length > 1) {
+            L.polyline(forecast.map(point => [point.lat, point.lon]), { color: '#e0e0e0', weight: 2, dashArray: '6 6' }).addTo(typhoonLayer);
+        }
+
+        pastTrack.concat(forecast.slice(1)).forEach(point => {
+            if (point === position) return;
+            const color = getTyphoonCategory(point.windKt).color;
+            L.circleMarker([point.lat, point.lon], { radius: 4, color: color, fillColor: color, fillOpacity: 0.9, weight: 1 })
+                .bindPopup(buildTrackPointPopup(storm, point))
+                .addTo(typhoonLayer);
+        });
+
+        L.marker([position.lat, position.lon], {
+            icon: L.divIcon({ className: 'typhoon-marker', html: '🌀', iconSize: [28, 28], iconAnchor: [14, 14] }),
+            title: getStormName(storm)
+        })
+            .bindPopup(() => buildStormPopup(storm))
+            .addTo(typhoonLayer);
+    });
+}
+
+function buildTrackPointPopup(storm, point) {
+    const category = getTyphoonCategory(point.windKt);
+    return `
+        <strong>${escapeHtml(storm.name || storm.id)}</strong><br>
+        ${point.tau !== null ? `Forecast +${point.tau} h · ` : ''}${formatEventTime(point.time)}<br>
+        ${escapeHtml(category.name)}${point.windKt !== null ? ` · ${formatWind(point.windKt)}` : ''}
+        ${point.pressureHpa !== null ? `<br>${point.pressureHpa} hPa` : ''}
+        ${point.coneKm ? `<br>Position uncertainty ±${formatDistance(point.coneKm)}` : ''}
+    `;
+}
+
+// Computed when opened, so the closest approach follows the selection
+function buildStormPopup(storm) {
+    const position = getStormPosition(storm);
+    const reference = getReferenceLocation();
+    const approach = reference ? computeClosestApproach(storm, reference.lat, reference.lon) : null;
+
+    return `
+        <strong>🌀 ${escapeHtml(getStormName(storm))}</strong><br>
+        ${position.windKt !== null ? `${formatWind(position.windKt)} · ` : ''}${formatEventTime(position.time)}<br>
+        ${approach ? `Closest to ${escapeHtml(reference.label)}: ${formatDistance(approach.distanceKm)}, ${formatEventTime(approach.time)}<br>` : ''}
+        <small>Source: ${escapeHtml(storm.sources.join(', '))}</small>
+    `;
+}
+
+// Closest approach of a storm to a point over the rest of its forecast
+// track, sampled every hour or so. Also reports whether the point is inside
+// the forecast cone and when 34-kt (gale-force) winds are forecast to reach
+// it. Without a forecast, the latest position is the closest approach.
+function computeClosestApproach(storm, lat, lon) {
+    const position = getStormPosition(storm);
+    const path = storm.forecast[0] === position ? storm.forecast : [position];
+    const samples = [path[0]];
+    for (let i = 1; i < path.length; i++) {
+        const steps = Math.max(1, Math.round((path[i].time - path[i - 1].time) / 3600000));
+        for (let step = 1; step <= steps; step++) {
+            samples.push(interpolateTrackPoint(path[i - 1], path[i], step / steps));
+        }
+    }
+
+    let closest = null;
+    let withinCone = false;
+    let galeWindsAt = null;
+    samples.forEach(sample => {
+        const distanceKm = haversineDistance(lat, lon, sample.lat, sample.lon);
+        if (!closest || distanceKm < closest.distanceKm) {
+            closest = { distanceKm: distanceKm, point: sample };
+        }
+        if (sample.coneKm !== null && distanceKm <= sample.coneKm) withinCone = true;
+
+        if (!galeWindsAt && sample.radii[34]) {
+            const quadrant = Math.floor(((calculateBearing(sample.lat, sample.lon, lat, lon) % 360) + 360) % 360 / 90) % 4;
+            if (distanceKm <= sample.radii[34][quadrant]) galeWindsAt = sample.time;
+        }
+    });
+
+    return {
+        distanceKm: closest.distanceKm,
+        time: closest.point.time,
+        windKt: closest.point.windKt,
+        bearing: calculateBearing(lat, lon, closest.point.lat, closest.point.lon),
+        currentDistanceKm: haversineDistance(lat, lon, position.lat, position.lon),
+        withinCone: path.length > 1 ? withinCone : null,
+        galeWindsAt: galeWindsAt
+    };
+}
+
+function interpolateTrackPoint(a, b, t) {
+    const mix = (x, y) => (x === null || y === null ? (t < 0.5 ? x : y) : x + t * (y - x));
+    const radii = {};
+    Object.keys(Object.assign({}, a.radii, b.radii)).forEach(threshold => {
+        const from = a.radii[threshold] || [0, 0, 0, 0];
+        const to = b.radii[threshold] || [0, 0, 0, 0];
+        radii[threshold] = from.map((radius, i) => radius + t * (to[i] - radius));
+    });
+
+    return {
+        time: new Date(a.time.getTime() + t * (b.time - a.time)),
+        lat: a.lat + t * (b.lat - a.lat),
+        lon: a.lon + t * (b.lon - a.lon),
+        windKt: mix(a.windKt, b.windKt),
+        pressureHpa: mix(a.pressureHpa, b.pressureHpa),
+        radii: radii,
+        tau: mix(a.tau, b.tau),
+        coneKm: mix(a.coneKm, b.coneKm)
+    };
+}
+
+// The cone is the area swept by the uncertainty circle along the forecast:
+// the convex hull of each pair of consecutive circles. The hulls overlap,
+// so they are drawn as one shape with the nonzero fill rule.
+function buildForecastCone(forecast) {
+    const rings = [];
+    for (let i = 1; i < forecast.length; i++) {
+        const points = [forecast[i - 1], forecast[i]]
+            .flatMap(point => circleRing(point.lat, point.lon, Math.max(point.coneKm, 1), 32));
+        rings.push([convexHull(points).map(([lon, lat]) => [lat, lon])]);
+    }
+    return rings;
+}
+
+// Outline of the wind radii in the NE, SE, SW and NW quadrants, as [lon, lat]
+function windRadiiRing(lat, lon, radiiKm) {
+    const ring = [];
+    radiiKm.forEach((radiusKm, quadrant) => {
+        for (let bearing = quadrant * 90; bearing <= quadrant * 90 + 90; bearing += 15) {
+            ring.push(offsetPoint(lat, lon, radiusKm, bearing));
+        }
+    });
+    return ring;
+}
+
+function formatWind(windKt) {
+    return `${Math.round(windKt)} kt (${Math.round(windKt * KM_PER_NM)} km/h)`;
+}
+
+function renderTyphoonSection(lat, lon) {
+    const storms = getActiveTyphoons();
+    if (!storms.length) return '';
+
+    return `
+        <div class="info-section">
+            <h3>Tropical Cyclones</h3>
+            ${storms.map(storm => {
+                const approach = computeClosestApproach(storm, lat, lon);
+                const position = getStormPosition(storm);
+                return `
+                    <div class="info-item">
+                        <div class="info-label">🌀 ${escapeHtml(getStormName(storm))}</div>
+                        <div class="info-value">
+                            Closest approach ${formatDistance(approach.distanceKm)} ${formatBearing(approach.bearing)},
+                            ${formatEventTime(approach.time)} (${formatRelativeTime(approach.time)})
+                        </div>
+                        <div class="exposure-note">
+                            Now ${formatDistance(approach.currentDistanceKm)} away${position.windKt !== null ? `, ${formatWind(position.windKt)}` : ''}.
+                            ${approach.withinCone === null ? 'No forecast track.' : approach.withinCone ? 'Inside the forecast cone.' : 'Outside the forecast cone.'}
+                            ${approach.galeWindsAt ? `Gale-force winds forecast from ${formatEventTime(approach.galeWindsAt)}.` : ''}
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+// Compact form of a storm and its closest approach for the chat context
+function summarizeTyphoon(storm, reference) {
+    const position = getStormPosition(storm);
+    const approach = reference ? computeClosestApproach(storm, reference.lat, reference.lon) : null;
+    return {
+        name: storm.name || storm.id,
+        category: getTyphoonCategory(position.windKt).name,
+        maxWindKt: position.windKt,
+        position: { lat: position.lat, lon: position.lon, time: position.time.toISOString() },
+        forecastHours: storm.forecast.length ? storm.forecast[storm.forecast.length - 1].tau : 0,
+        closestApproach: approach ? {
+            distanceKm: Math.round(approach.distanceKm),
+            time: approach.time.toISOString(),
+            withinForecastCone: approach.withinCone,
+            galeForceWindsFrom: approach.galeWindsAt ? approach.galeWindsAt.toISOString() : null
+        } : null
+    };
+}
+
+// Offline answer to typhoon questions, from the track data and any wind
+// signals in the active hazard feeds
+function describeTyphoons() {
+    const storms = getActiveTyphoons();
+    const signals = activeEvents.filter(event => event.type === 'Typhoon' && event.signal !== null);
+    const reference = getReferenceLocation();
+
+    if (!storms.length) {
+        return 'There are no tropical cyclones in the loaded track data. Check PAGASA bulletins for the latest advisories.';
+    }
+
+    const details = storms.map(storm => {
+        const position = getStormPosition(storm);
+        let text = `**${getStormName(storm)}**: ${formatCoordinates(position.lat, position.lon)} at ${formatEventTime(position.time)}` +
+            (position.windKt !== null ? `, ${formatWind(position.windKt)}` : '');
+
+        if (reference) {
+            const approach = computeClosestApproach(storm, reference.lat, reference.lon);
+            text += `\n- Closest approach to ${reference.label}: ${formatDistance(approach.distanceKm)} ${formatBearing(approach.bearing)}, ` +
+                `${formatEventTime(approach.time)} (${formatRelativeTime(approach.time)})`;
+            if (approach.withinCone !== null) {
+                text += `\n- ${reference.label} is ${approach.withinCone ? 'inside' : 'outside'} the forecast cone`;
+            }
+            if (approach.galeWindsAt) {
+                text += `\n- Gale-force winds forecast from ${formatEventTime(approach.galeWindsAt)}`;
+            }
+        }
+        return text;
+    }).join('\n\n');
+
+    const signalText = signals.length
+        ? `\n\n**Wind signals in effect**:\n${signals.map(event => `- Signal No. ${event.signal}: ${event.location}`).join('\n')}`
+        : '';
+
+    return `Tropical Cyclone Update:\n\n${details}${signalText}` +
+        (reference ? '' : '\n\nSelect a location on the map to see how close the storm will pass.');
+}
+
+// =====================================================
+// Evacuation Routing
+// =====================================================
+// Evacuation centers are { id, name, municipality, type, capacity, lat, lon }.
+// The road network comes from an OpenStreetMap XML extract: every way with a
+// `highway` class in config.evacuation.speedsKmh becomes segments
+// { from, to, name, distanceKm, minutes, oneway } between its consecutive
+// nodes, and each node lists the segments that touch it. Routes are searched
+// whenever a location is selected, as the hazard zones they avoid change
+// with volcano alert levels.
+function loadEvacuationData() {
+    const fetchFile = url => fetch(url).then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        trackCachedResponse(url, response);
+        return response;
+    });
+
+    const centers = fetchFile(config.evacuation.centersUrl)
+        .then(response => response.json())
+        .then(data => {
+            evacuationCenters = parseEvacuationCenters(data);
+            renderEvacuationCenters();
+        })
+        .catch(error => console.error('Error loading evacuation centers:', error));
+
+    const roads = fetchFile(config.evacuation.roadsUrl)
+        .then(response => response.text())
+        .then(text => {
+            roadNetwork = parseOsmRoads(text);
+        })
+        .catch(error => console.error('Error loading road network:', error));
+
+    evacuationDataReady = Promise.all([centers, roads]);
+    return evacuationDataReady;
+}
+
+function parseEvacuationCenters(data) {
+    return (data.features || [])
+        .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+        .map((feature, index) => {
+            const props = feature.properties || {};
+            const [lon, lat] = feature.geometry.coordinates;
+            return {
+                id: props.id || `center-${index + 1}`,
+                name: props.name || `Evacuation center ${index + 1}`,
+                municipality: props.municipality || null,
+                type: props.type || null,
+                capacity: Number(props.capacity) || null,
+                lat: lat,
+                lon: lon
+            };
+        });
+}
+
+// A way's `maxspeed` tag overrides the speed of its highway class
+function parseOsmRoads(xmlText) {
+    const doc = parseXml(xmlText);
+    const nodes = new Map();
+    Array.from(doc.getElementsByTagName('node')).forEach(element => {
+        nodes.set(element.getAttribute('id'), {
+            lat: parseFloat(element.getAttribute('lat')),
+            lon: parseFloat(element.getAttribute('lon')),
+            segments: []
+        });
+    });
+
+    const segments = [];
+    Array.from(doc.getElementsByTagName('way')).forEach(way => {
+        const tags = {};
+        Array.from(way.getElementsByTagName('tag')).forEach(tag => {
+            tags[tag.getAttribute('k')] = tag.getAttribute('v');
+        });
+        const classSpeed = config.evacuation.speedsKmh[tags.highway];
+        if (!classSpeed) return;
+
+        const speedKmh = parseFloat(tags.maxspeed) || classSpeed;
+        const wayNodes = Array.from(way.getElementsByTagName('nd'))
+            .map(nd => nodes.get(nd.getAttribute('ref')))
+            .filter(Boolean);
+        for (let i = 1; i < wayNodes.length; i++) {
+            const distanceKm = haversineDistance(wayNodes[i - 1].lat, wayNodes[i - 1].lon, wayNodes[i].lat, wayNodes[i].lon);
+            const segment = {
+                from: wayNodes[i - 1],
+                to: wayNodes[i],
+                name: tags.name || tags.ref || null,
+                distanceKm: distanceKm,
+                minutes: distanceKm / speedKmh * 60,
+                oneway: tags.oneway === 'yes'
+            };
+            segment.from.segments.push(segment);
+            segment.to.segments.push(segment);
+            segments.push(segment);
+        }
+    });
+
+    return { segments: segments };
+}
+
+// Nearest point on the road network as { segment, t, lat, lon, distanceKm },
+// where `t` is the position along the segment from 0 (from) to 1 (to)
+function snapToRoad(lat, lon) {
+    let nearest = null;
+    roadNetwork.segments.forEach(segment => {
+        const a = [segment.from.lon, segment.from.lat];
+        const b = [segment.to.lon, segment.to.lat];
+        const point = nearestPointOnSegment(lat, lon, a, b);
+        if (nearest && point.distanceKm >= nearest.distanceKm) return;
+
+        const toStart = haversineDistance(segment.from.lat, segment.from.lon, point.lat, point.lon);
+        nearest = {
+            segment: segment,
+            t: segment.distanceKm ? Math.min(1, toStart / segment.distanceKm) : 0,
+            lat: point.lat,
+            lon: point.lon,
+            distanceKm: point.distanceKm
+        };
+    });
+    return nearest;
+}
+
+// High-level zones of the config.evacuation.avoidSources hazard layers, as
+// { feature, bounds, surroundsOrigin }. Routes may leave the zones around
+// the origin but not enter any other; a zone surrounds the origin when the
+// origin is inside its outer boundary, so bands such as the extended danger
+// zone around a volcano's permanent one count too.
+function getEvacuationHazardZones(lat, lon) {
+    return hazardSubLayers
+        .filter(subLayer => config.evacuation.avoidSources.includes(subLayer.id))
+        .flatMap(subLayer => subLayer.features)
+        .filter(feature => feature.properties && feature.properties.level === 'high' &&
+            ['Polygon', 'MultiPolygon'].includes(feature.geometry.type))
+        .map(feature => {
+            const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+            const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+            polygons.forEach(rings => rings[0].forEach(([x, y]) => {
+                bounds[0] = Math.min(bounds[0], x);
+                bounds[1] = Math.min(bounds[1], y);
+                bounds[2] = Math.max(bounds[2], x);
+                bounds[3] = Math.max(bounds[3], y);
+            }));
+            return {
+                feature: feature,
+                bounds: bounds,
+                surroundsOrigin: polygons.some(rings => pointInRing(lat, lon, rings[0]))
+            };
+        });
+}
+
+function segmentTouchesZone(segment, zone) {
+    const [west, south, east, north] = zone.bounds;
+    if (Math.max(segment.from.lon, segment.to.lon) < west || Math.min(segment.from.lon, segment.to.lon) > east ||
+        Math.max(segment.from.lat, segment.to.lat) < south || Math.min(segment.from.lat, segment.to.lat) > north) {
+        return false;
+    }
+    return segmentIntersectsGeometry([segment.from.lon, segment.from.lat], [segment.to.lon, segment.to.lat], zone.feature.geometry);
+}
+
+// Quickest routes by road from a point to the nearest reachable evacuation
+// centers, at most config.evacuation.maxCenters. Returns null when the
+// point is more than `maxSnapKm` from the road network, otherwise
+// { routes, closedSegments, unsafeCenters }. Each route is
+// { center, path, distanceKm, minutes, walkingMinutes }, with the path as
+// [lat, lon] pairs from the point to the center. The legs between the point
+// or center and the nearest road are walked, and count in every estimate.
+function findEvacuationRoutes(lat, lon) {
+    const settings = config.evacuation;
+    if (!roadNetwork || !roadNetwork.segments.length) return null;
+
+    const start = snapToRoad(lat, lon);
+    if (!start || start.distanceKm > settings.maxSnapKm) return null;
+
+    const zones = getEvacuationHazardZones(lat, lon);
+    const closed = new Set(roadNetwork.segments.filter(segment =>
+        zones.some(zone => !zone.surroundsOrigin && segmentTouchesZone(segment, zone))));
+    const unsafeCenters = evacuationCenters.filter(center =>
+        zones.some(zone => pointInGeometry(center.lat, center.lon, zone.feature.geometry)));
+
+    // Dijkstra over travel time. The start's own segment is always open,
+    // so a route can get off it in either allowed direction.
+    const reached = new Map();
+    const queue = [];
+    const visit = (node, minutes, distanceKm, previous) => {
+        const current = reached.get(node);
+        if (current && current.minutes <= minutes) return;
+        reached.set(node, { minutes, distanceKm, previous, done: false });
+        heapPush(queue, { node, minutes });
+    };
+    if (!start.segment.oneway) {
+        visit(start.segment.from, start.t * start.segment.minutes, start.t * start.segment.distanceKm, null);
+    }
+    visit(start.segment.to, (1 - start.t) * start.segment.minutes, (1 - start.t) * start.segment.distanceKm, null);
+
+    while (queue.length) {
+        const { node } = heapPop(queue);
+        const state = reached.get(node);
+        if (state.done) continue;
+        state.done = true;
+
+        node.segments.forEach(segment => {
+            if (closed.has(segment) || (segment.oneway && segment.to === node)) return;
+            const next = segment.from === node ? segment.to : segment.from;
+            visit(next, state.minutes + segment.minutes, state.distanceKm + segment.distanceKm, node);
+        });
+    }
+
+    const walkMinutes = distanceKm => distanceKm / settings.walkingKmh * 60;
+    const routes = evacuationCenters
+        .filter(center => !unsafeCenters.includes(center))
+        .map(center => {
+            const end = snapToRoad(center.lat, center.lon);
+            if (end.distanceKm > settings.maxSnapKm) return null;
+
+            // Arrive along the center's segment from either end, or stay on
+            // the start's segment when both are on the same one
+            const segment = end.segment;
+            const arrivals = [];
+            if (reached.has(segment.from)) {
+                arrivals.push({ node: segment.from, fraction: end.t });
+            }
+            if (reached.has(segment.to) && !segment.oneway) {
+                arrivals.push({ node: segment.to, fraction: 1 - end.t });
+            }
+            const options = arrivals.map(arrival => {
+                const state = reached.get(arrival.node);
+                return {
+                    node: arrival.node,
+                    minutes: state.minutes + arrival.fraction * segment.minutes,
+                    distanceKm: state.distanceKm + arrival.fraction * segment.distanceKm
+                };
+            });
+            if (segment === start.segment && (!segment.oneway || end.t >= start.t)) {
+                const fraction = Math.abs(end.t - start.t);
+                options.push({ node: null, minutes: fraction * segment.minutes, distanceKm: fraction * segment.distanceKm });
+            }
+            if (!options.length) return null;
+
+            const best = options.reduce((a, b) => (b.minutes < a.minutes ? b : a));
+            const nodes = [];
+            for (let node = best.node; node; node = reached.get(node).previous) nodes.unshift(node);
+
+            const offRoadKm = start.distanceKm + end.distanceKm;
+            const distanceKm = best.distanceKm + offRoadKm;
+            return {
+                center: center,
+                path: [[lat, lon], [start.lat, start.lon]]
+                    .concat(nodes.map(node => [node.lat, node.lon]))
+                    .concat([[end.lat, end.lon], [center.lat, center.lon]]),
+                distanceKm: distanceKm,
+                minutes: best.minutes + walkMinutes(offRoadKm),
+                walkingMinutes: walkMinutes(distanceKm)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.minutes - b.minutes)
+        .slice(0, settings.maxCenters);
+
+    return { routes: routes, closedSegments: closed.size, unsafeCenters: unsafeCenters };
+}
+
+// Binary min-heap of { minutes } entries, kept in a plain array
+function heapPush(heap, item) {
+    heap.push(item);
+    for (let i = heap.length - 1; i > 0;) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent].minutes <= heap[i].minutes) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+        heap[0] = last;
+        for (let i = 0; ;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left].minutes < heap[smallest].minutes) smallest = left;
+            if (right < heap.length && heap[right].minutes < heap[smallest].minutes) smallest = right;
+            if (smallest === i) break;
+            [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+            i = smallest;
+        }
+    }
+    return top;
+}
+
+// All centers, drawn as the Evacuation centers overlay
+function renderEvacuationCenters() {
+    evacuationLayer.clearLayers();
+    evacuationCenters.forEach(center => {
+        L.marker([center.lat, center.lon], {
+            icon: L.divIcon({ className: 'evacuation-marker', html: '⛺', iconSize: [22, 22], iconAnchor: [11, 11] }),
+            title: center.name
+        })
+            .bindPopup(() => buildEvacuationCenterPopup(center))
+            .addTo(evacuationLayer);
+    });
+}
+
+// Computed when opened, so it reflects the hazard zones in effect
+function buildEvacuationCenterPopup(center) {
+    const unsafe = getEvacuationHazardZones(center.lat, center.lon)
+        .some(zone => pointInGeometry(center.lat, center.lon, zone.feature.geometry));
+    return `
+        <strong>⛺ ${escapeHtml(center.name)}</strong><br>
+        ${center.municipality ? `${escapeHtml(center.municipality)}<br>` : ''}
+        ${center.type ? `${escapeHtml(center.type.charAt(0).toUpperCase() + center.type.slice(1))}<br>` : ''}
+        Capacity: ${center.capacity ? `${center.capacity.toLocaleString()} people` : 'unknown'}
+        ${unsafe ? '<br><strong>Inside a high-hazard zone; not used for routing</strong>' : ''}
+    `;
+}
+
+// Draws the routes for the selected location, the quickest one on top
+function showEvacuationRoutes(result) {
+    evacuationRouteLayer.clearLayers();
+    evacuationRoutes = result ? result.routes : [];
+
+    evacuationRoutes.slice().reverse().forEach(route => {
+        const quickest = route === evacuationRoutes[0];
+        route.layer = L.polyline(route.path, {
+            color: quickest ? '#2ecc71' : '#5c9aa8',
+            weight: quickest ? 5 : 3,
+            opacity: 0.9,
+            dashArray: quickest ? null : '6 6'
+        })
+            .bindPopup(`
+                <strong>⛺ ${escapeHtml(route.center.name)}</strong><br>
+                ${formatDuration(route.minutes)} by road · ${formatDistance(route.distanceKm)}<br>
+                Capacity: ${route.center.capacity ? `${route.center.capacity.toLocaleString()} people` : 'unknown'}
+            `)
+            .addTo(evacuationRouteLayer);
+    });
+}
+
+function clearEvacuationRoutes() {
+    showEvacuationRoutes(null);
+}
+
+function focusEvacuationRoute(index) {
+    const route = evacuationRoutes[index];
+    if (!route) return;
+
+    map.fitBounds(route.layer.getBounds(), { padding: [40, 40] });
+    route.layer.openPopup();
+}
+
+function renderEvacuationSection(result) {
+    if (!evacuationCenters.length) return '';
+
+    let body;
+    if (!result) {
+        body = `<p class="exposure-note">No road network within ${formatDistance(config.evacuation.maxSnapKm)} of this location in the loaded data.</p>`;
+    } else if (!result.routes.length) {
+        body = '<p class="exposure-note">No evacuation center can be reached from here without crossing a high-hazard zone.</p>';
+    } else {
+        body = result.routes.map((route, index) => `
+            <div class="info-item evacuation-route" data-action="show-evacuation-route" data-route-index="${index}" title="Show the route">
+                <div class="info-label">⛺ ${escapeHtml(route.center.name)}${route.center.municipality ? `, ${escapeHtml(route.center.municipality)}` : ''}</div>
+                <div class="info-value">${formatDuration(route.minutes)} by road · ${formatDistance(route.distanceKm)}</div>
+                <div class="exposure-note">
+                    Capacity ${route.center.capacity ? `${route.center.capacity.toLocaleString()} people` : 'unknown'}.
+                    About ${formatDuration(route.walkingMinutes)} on foot.
+                </div>
+            </div>
+        `).join('');
+    }
+
+    const notes = [];
+    if (result && result.closedSegments) {
+        notes.push(`${result.closedSegments} road segment${result.closedSegments === 1 ? '' : 's'} avoided for crossing high-hazard zones.`);
+    }
+    if (result && result.unsafeCenters.length) {
+        notes.push(`Not offered, being inside a high-hazard zone: ${result.unsafeCenters.map(center => escapeHtml(center.name)).join(', ')}.`);
+    }
+
+    return `
+        <div class="info-section">
+            <h3>Evacuation</h3>
+            ${body}
+            ${notes.length ? `<p class="exposure-note">${notes.join(' ')}</p>` : ''}
+        </div>
+    `;
+}
+
+// Compact form of findEvacuationRoutes() for the chat context
+function summarizeEvacuation(result) {
+    if (!result) return null;
+    return {
+        routes: result.routes.map(route => ({
+            center: route.center.name,
+            municipality: route.center.municipality,
+            capacity: route.center.capacity,
+            distanceKm: Math.round(route.distanceKm * 10) / 10,
+            etaMinutes: Math.round(route.minutes),
+            walkingMinutes: Math.round(route.walkingMinutes)
+        })),
+        closedRoadSegments: result.closedSegments,
+        centersInsideHazardZones: result.unsafeCenters.map(center => center.name)
+    };
+}
+
+// Offline answer to evacuation questions about the selected location
+function describeEvacuation(result, label) {
+    if (!result) {
+        return `The loaded road network does not reach ${label}, so I can't route to an evacuation center from there. Routing currently covers the sample extract in data/evacuation/.`;
+    }
+    if (!result.routes.length) {
+        return `No evacuation center can be reached from ${label} without crossing a high-hazard zone. Follow the instructions of your local DRRM office.`;
+    }
+
+    const routes = result.routes.map((route, index) =>
+        `${index + 1}. **${route.center.name}**${route.center.municipality ? `, ${route.center.municipality}` : ''}: ` +
+        `${formatDuration(route.minutes)} by road (${formatDistance(route.distanceKm)}), about ${formatDuration(route.walkingMinutes)} on foot. ` +
+        `Capacity ${route.center.capacity ? `${route.center.capacity.toLocaleString()} people` : 'unknown'}.`
+    ).join('\n');
+    const avoided = result.closedSegments
+        ? `\n\nThe routes avoid ${result.closedSegments} road segment${result.closedSegments === 1 ? '' : 's'} crossing high-hazard zones.`
+        : '';
+
+    return `Nearest evacuation centers from ${label}:\n\n${routes}${avoided}\n\nThe routes are drawn on the map.`;
+}
+
+function formatDuration(minutes) {
+    const rounded = Math.max(1, Math.round(minutes));
+    if (rounded < 60) return `${rounded} min`;
+    return `${Math.floor(rounded / 60)} h${rounded % 60 ? ` ${rounded % 60} min` : ''}`;
+}
+
+// =====================================================
+// Flood Scenarios
+// =====================================================
+// A scenario floods the elevation model in config.flood.dem, either from the
+// sea up to a storm surge height or from a river seed up to a water level
+// above its banks. Reading the model and the flood fill run in
+// config.flood.workerUrl so the map stays responsive; the model is loaded
+// once, on the first run. The last result is kept in floodScenario as
+// { mode, levelM, seedName, surfaceM, areaKm2, population, maxDepthM, depths,
+// width, height, bounds, projection }, with `depths` in metres per cell.
+const floodWorkerRequests = new Map();
+
+function getFloodWorker() {
+    if (floodWorker) return floodWorker;
+
+    floodWorker = new Worker(config.flood.workerUrl);
+    floodWorker.addEventListener('message', event => {
+        const request = floodWorkerRequests.get(event.data.id);
+        if (!request) return;
+        floodWorkerRequests.delete(event.data.id);
+        if (event.data.error) request.reject(new Error(event.data.error));
+        else request.resolve(event.data);
+    });
+    floodWorker.addEventListener('error', event => {
+        console.error('Flood worker error:', event.message);
+        floodWorkerRequests.forEach(request => request.reject(new Error(event.message || 'Flood worker failed')));
+        floodWorkerRequests.clear();
+    });
+    return floodWorker;
+}
+
+function runFloodWorker(message, transfer) {
+    const id = createId('flood');
+    return new Promise((resolve, reject) => {
+        floodWorkerRequests.set(id, { resolve, reject });
+        getFloodWorker().postMessage(Object.assign({ id: id }, message), transfer || []);
+    });
+}
+
+// Resolves to the model's { width, height, bounds, projection }. A failed
+// load is retried on the next run.
+function loadFloodModel() {
+    if (floodModelReady) return floodModelReady;
+
+    const dem = config.flood.dem;
+    const fetchFile = async url => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+        trackCachedResponse(url, response);
+        return response;
+    };
+
+    floodModelReady = (async () => {
+        if (dem.type === 'terrain-rgb') {
+            const tiles = getTerrainTiles(dem);
+            const blobs = await Promise.all(tiles.map(tile => fetchFile(getTileUrl(dem, tile.z, tile.x, tile.y)).then(response => response.blob())));
+            const loaded = await runFloodWorker({ type: 'load', format: 'terrain-rgb', tiles: tiles.map((tile, i) => Object.assign({ blob: blobs[i] }, tile)) });
+            return loaded.dem;
+        }
+
+        const buffer = await (await fetchFile(dem.url)).arrayBuffer();
+        const loaded = await runFloodWorker({ type: 'load', format: 'geotiff', buffer: buffer }, [buffer]);
+        return loaded.dem;
+    })();
+    floodModelReady.catch(() => {
+        floodModelReady = null;
+    });
+    return floodModelReady;
+}
+
+// The Terrain-RGB tiles covering the configured bounds
+function getTerrainTiles(dem) {
+    const [west, south, east, north] = dem.bounds;
+    const topLeft = lonLatToTile(west, north, dem.zoom);
+    const bottomRight = lonLatToTile(east, south, dem.zoom);
+    const count = (bottomRight.x - topLeft.x + 1) * (bottomRight.y - topLeft.y + 1);
+    if (count > config.flood.maxTerrainTiles) {
+        throw new Error(`The elevation model needs ${count} tiles; the limit is ${config.flood.maxTerrainTiles}. Use a smaller area or zoom.`);
+    }
+
+    const tiles = [];
+    for (let y = topLeft.y; y <= bottomRight.y; y++) {
+        for (let x = topLeft.x; x <= bottomRight.x; x++) tiles.push({ x, y, z: dem.zoom });
+    }
+    return tiles;
+}
+
+// `seed` is the id of one of config.flood.riverSeeds, or 'location' for the
+// selected location; it is only used for river floods
+async function runFloodScenario(mode, levelM, seed) {
+    if (!(levelM > 0) || levelM > config.flood.maxLevelM) {
+        throw new Error(`The water level must be between 0 and ${config.flood.maxLevelM} m`);
+    }
+
+    let seedPoint = null;
+    if (mode === 'river') {
+        if (seed === 'location') {
+            if (!currentLocation) throw new Error('Select a location on the map to use as the river seed');
+            seedPoint = { name: currentLocation.placeName ? currentLocation.placeName.split(',')[0] : 'the selected location', lat: currentLocation.lat, lon: currentLocation.lon };
+        } else {
+            seedPoint = config.flood.riverSeeds.find(s => s.id === seed) || config.flood.riverSeeds[0];
+            if (!seedPoint) throw new Error('No river seed configured');
+        }
+    }
+
+    const model = await loadFloodModel();
+    const result = await runFloodWorker({
+        type: 'flood',
+        scenario: {
+            mode: mode,
+            levelM: levelM,
+            seeds: seedPoint ? [[seedPoint.lat, seedPoint.lon]] : [],
+            depthColors: config.flood.depthColors,
+            opacity: config.flood.opacity
+        }
+    });
+
+    floodScenario = {
+        mode: mode,
+        levelM: levelM,
+        seedName: seedPoint ? seedPoint.name : null,
+        surfaceM: result.surfaceM,
+        areaKm2: result.areaKm2,
+        population: null,
+        maxDepthM: result.maxDepthM,
+        depths: result.depths,
+        width: result.width,
+        height: result.height,
+        bounds: model.bounds,
+        projection: model.projection
+    };
+
+    await exposureDataReady;
+    const [west, south, east, north] = model.bounds;
+    const cells = populationCellsWithin({ south, north, west, east }, (lat, lon) => getFloodDepth(lat, lon) > 0);
+    floodScenario.population = Math.round(cells.reduce((sum, cell) => sum + cell.people, 0));
+
+    renderFloodOverlay(result.image);
+    updateFloodViews();
+
+    // Bring the model into view when it is off screen
+    const modelBounds = L.latLngBounds([[south, west], [north, east]]);
+    if (!map.getBounds().intersects(modelBounds)) map.fitBounds(modelBounds);
+    return floodScenario;
+}
+
+function clearFloodScenario() {
+    floodScenario = null;
+    floodLayer.clearLayers();
+    updateFloodViews();
+}
+
+// Water depth in metres at a point under the current scenario: 0 when dry,
+// null outside the elevation model or without a scenario
+function getFloodDepth(lat, lon) {
+    if (!floodScenario) return null;
+
+    const [west, south, east, north] = floodScenario.bounds;
+    if (lon < west || lon >= east || lat <= south || lat > north) return null;
+
+    const mercator = value => Math.log(Math.tan(Math.PI / 4 + value * Math.PI / 360));
+    const rowFraction = floodScenario.projection === 'mercator'
+        ? (mercator(north) - mercator(lat)) / (mercator(north) - mercator(south))
+        : (north - lat) / (north - south);
+    const row = Math.floor(rowFraction * floodScenario.height);
+    const col = Math.floor((lon - west) / (east - west) * floodScenario.width);
+    return floodScenario.depths[row * floodScenario.width + col];
+}
+
+// The worker colours the depths; the image is stretched over the model's
+// bounds, which is exact for Terrain-RGB and close enough for a GeoTIFF a
+// few tenths of a degree across
+function renderFloodOverlay(pixels) {
+    const canvas = document.createElement('canvas');
+    canvas.width = floodScenario.width;
+    canvas.height = floodScenario.height;
+    canvas.getContext('2d').putImageData(new ImageData(pixels, floodScenario.width, floodScenario.height), 0, 0);
+
+    const [west, south, east, north] = floodScenario.bounds;
+    floodLayer.clearLayers();
+    L.imageOverlay(canvas.toDataURL(), [[south, west], [north, east]], { className: 'flood-overlay' }).addTo(floodLayer);
+}
+
+function describeFloodScenarioName(scenario) {
+    return scenario.mode === 'river'
+        ? `River flood ${scenario.levelM} m above ${scenario.seedName}`
+        : `Storm surge of ${scenario.levelM} m`;
+}
+
+// Refreshes the panel summary and the info panel section
+function updateFloodViews() {
+    const summary = document.querySelector('.flood-summary');
+    if (summary) summary.innerHTML = renderFloodSummary();
+
+    const section = document.getElementById('floodSection');
+    if (section && currentLocation) {
+        section.innerHTML = renderFloodSection(currentLocation.lat, currentLocation.lon);
+        section.hidden = !floodScenario;
+    }
+}
+
+function renderFloodSummary() {
+    if (!floodScenario) return '';
+    return `
+        <strong>${escapeHtml(describeFloodScenarioName(floodScenario))}</strong><br>
+        ${formatArea(floodScenario.areaKm2)} inundated, up to ${floodScenario.maxDepthM.toFixed(1)} m deep<br>
+        About ${formatPopulation(floodScenario.population)} people in the flooded area
+    `;
+}
+
+function renderFloodSection(lat, lon) {
+    if (!floodScenario) return '';
+
+    const depth = getFloodDepth(lat, lon);
+    let value = 'Outside the elevation model';
+    if (depth !== null) value = depth > 0 ? `${depth.toFixed(1)} m of water` : 'Not flooded';
+
+    return `
+        <h3>Flood Scenario</h3>
+        <div class="info-item">
+            <div class="info-label">${escapeHtml(describeFloodScenarioName(floodScenario))}</div>
+            <div class="info-value">${value}</div>
+            <div class="exposure-note">
+                ${formatArea(floodScenario.areaKm2)} inundated, up to ${floodScenario.maxDepthM.toFixed(1)} m deep;
+                about ${formatPopulation(floodScenario.population)} people live in the flooded area.
+            </div>
+        </div>
+    `;
+}
+
+function initializeFloodControl() {
+    const FloodControl = L.Control.extend({
+        options: { position: 'topright' },
+        onAdd() {
+            const settings = config.flood;
+            const container = L.DomUtil.create('div', 'flood-control');
+            container.innerHTML = `
+                <button type="button" class="flood-toggle" data-flood-action="toggle" title="Simulate a storm surge or river flood">🌊 Flood scenario</button>
+                <form class="flood-panel">
+                    <label>
+                        Scenario
+                        <select name="mode">
+                            <option value="surge">Storm surge</option>
+                            <option value="river">River flood</option>
+                        </select>
+                    </label>
+                    <label>
+                        <span class="flood-level-label">Surge height (m)</span>
+                        <input type="number" name="levelM" min="0.1" max="${settings.maxLevelM}" step="0.1" value="${settings.defaultLevelM}" required>
+                    </label>
+                    <label class="flood-seed" hidden>
+                        From
+                        <select name="seed">
+                            ${settings.riverSeeds.map(seed => `<option value="${escapeHtml(seed.id)}">${escapeHtml(seed.name)}</option>`).join('')}
+                            <option value="location">Selected location</option>
+                        </select>
+                    </label>
+                    <div class="flood-actions">
+                        <button type="submit">Run</button>
+                        <button type="button" data-flood-action="clear">Clear</button>
+                    </div>
+                    <div class="flood-summary"></div>
+                </form>
+            `;
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-flood-action]');
+                if (!button) return;
+                if (button.dataset.floodAction === 'toggle') container.classList.toggle('open');
+                if (button.dataset.floodAction === 'clear') clearFloodScenario();
+            });
+            container.addEventListener('change', (e) => {
+                if (e.target.name !== 'mode') return;
+                const river = e.target.value === 'river';
+                container.querySelector('.flood-seed').hidden = !river;
+                container.querySelector('.flood-level-label').textContent = river ? 'Water level above the river (m)' : 'Surge height (m)';
+            });
+            container.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const form = e.target;
+                const summary = container.querySelector('.flood-summary');
+                form.querySelector('[type="submit"]').disabled = true;
+                summary.textContent = 'Running…';
+                try {
+                    await runFloodScenario(form.elements.mode.value, parseFloat(form.elements.levelM.value), form.elements.seed.value);
+                } catch (error) {
+                    console.error('Flood scenario failed:', error);
+                    summary.textContent = error.message;
+                } finally {
+                    form.querySelector('[type="submit"]').disabled = false;
+                }
+            });
+            return container;
+        }
+    });
+
+    new FloodControl().addTo(map);
+}
+
+// Compact form of the scenario for the chat context and tool results
+function summarizeFloodScenario(reference) {
+    if (!floodScenario) return null;
+    const depth = reference ? getFloodDepth(reference.lat, reference.lon) : null;
+    return {
+        scenario: describeFloodScenarioName(floodScenario),
+        mode: floodScenario.mode,
+        levelM: floodScenario.levelM,
+        waterSurfaceM: Math.round(floodScenario.surfaceM * 10) / 10,
+        inundatedAreaKm2: Math.round(floodScenario.areaKm2 * 10) / 10,
+        inundatedPopulation: floodScenario.population,
+        maxDepthM: Math.round(floodScenario.maxDepthM * 10) / 10,
+        depthAtLocationM: depth === null ? null : Math.round(depth * 10) / 10
+    };
+}
+
+function describeFloodScenario() {
+    const reference = getReferenceLocation();
+    const summary = summarizeFloodScenario(reference);
+    let text = `**${summary.scenario}**\n- Inundated area: ${formatArea(floodScenario.areaKm2)}\n` +
+        `- People in the flooded area: about ${formatPopulation(summary.inundatedPopulation)}\n` +
+        `- Deepest water: ${summary.maxDepthM} m`;
+    if (reference) {
+        text += summary.depthAtLocationM === null
+            ? `\n- ${reference.label} is outside the elevation model`
+            : `\n- At ${reference.label}: ${summary.depthAtLocationM > 0 ? `${summary.depthAtLocationM} m of water` : 'not flooded'}`;
+    }
+    return `${text}\n\nThe flooded area is shown on the map. Depths come from a bare-earth elevation model and ignore drainage, defences and timing.`;
+}
+
+// =====================================================
+// Mitigation Planner
+// =====================================================
+// The catalog in config.mitigation.catalogUrl lists interventions
+// { id, name, icon, geometry ('line', 'polygon' or 'point'), unit, unitCost,
+// description, effects, radiusKm, color, heightM, widthM, footprintM }.
+// A plan is a list of placed interventions { id, interventionId, geometry },
+// kept in localStorage. Costs are the unit cost times the length (m), area
+// (m²) or count.
+//
+// An intervention within its `radiusKm` of a location changes the inputs of
+// the resilience score there: `effects.hazards` lowers the level of each named
+// hazard by that many steps, `effects.infrastructure` raises the
+// infrastructure rating. Each catalog entry counts once however many are
+// placed; different entries add up. The score itself comes from the active
+// scoring profile, as for any location.
+const hazardLevelSteps = ['low', 'moderate', 'high'];
+const infrastructureSteps = ['Low', 'Moderate', 'High'];
+
+// Extrusions are drawn like OSM Buildings draws buildings: seen from a camera
+// this many pixels above the bottom centre of the map, so roofs lean away
+// from it by height / (EXTRUSION_CAMERA_Z - height)
+const EXTRUSION_CAMERA_Z = 450;
+
+function loadMitigationCatalog() {
+    mitigationCatalogReady = fetch(config.mitigation.catalogUrl)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            trackCachedResponse(config.mitigation.catalogUrl, response);
+            return response.json();
+        })
+        .then(data => {
+            mitigationCatalog = data;
+            mitigationPlan = loadMitigationPlan().filter(item => getIntervention(item.interventionId));
+            renderPlannerCatalog();
+            renderMitigationPlan();
+        })
+        .catch(error => console.error('Error loading the mitigation catalog:', error));
+
+    return mitigationCatalogReady;
+}
+
+function loadMitigationPlan() {
+    try {
+        return JSON.parse(localStorage.getItem('geovision.mitigationPlan')) || [];
+    } catch (error) {
+        console.warn('Ignoring unreadable mitigation plan:', error);
+        return [];
+    }
+}
+
+function saveMitigationPlan() {
+    localStorage.setItem('geovision.mitigationPlan', JSON.stringify(mitigationPlan.map(item => ({
+        id: item.id,
+        interventionId: item.interventionId,
+        geometry: item.geometry
+    }))));
+}
+
+function getIntervention(id) {
+    return mitigationCatalog ? mitigationCatalog.interventions.find(intervention => intervention.id === id) || null : null;
+}
+
+// Places an intervention from the points drawn for it
+function addIntervention(interventionId, points) {
+    const intervention = getIntervention(interventionId);
+    const coordinates = points.map(p => [p.lng, p.lat]);
+    let geometry = null;
+
+    if (intervention.geometry === 'point' && coordinates.length) {
+        geometry = { type: 'Point', coordinates: coordinates[0] };
+    } else if (intervention.geometry === 'line' && coordinates.length >= 2) {
+        geometry = { type: 'LineString', coordinates: coordinates };
+    } else if (intervention.geometry === 'polygon' && coordinates.length >= 3) {
+        geometry = { type: 'Polygon', coordinates: [coordinates.concat([coordinates[0]])] };
+    }
+    if (!geometry) return null;
+
+    const item = { id: createId('intervention'), interventionId: interventionId, geometry: geometry };
+    mitigationPlan.push(item);
+    saveMitigationPlan();
+    renderMitigationPlan();
+    return item;
+}
+
+function removeIntervention(id) {
+    mitigationPlan = mitigationPlan.filter(item => item.id !== id);
+    saveMitigationPlan();
+    renderMitigationPlan();
+}
+
+function clearMitigationPlan() {
+    mitigationPlan = [];
+    saveMitigationPlan();
+    renderMitigationPlan();
+}
+
+// Length in m, area in m² or a count of 1, in the catalog entry's unit
+function measureIntervention(item) {
+    if (item.geometry.type === 'LineString') {
+        const line = item.geometry.coordinates;
+        let km = 0;
+        for (let i = 1; i < line.length; i++) km += haversineDistance(line[i - 1][1], line[i - 1][0], line[i][1], line[i][0]);
+        return km * 1000;
+    }
+    if (item.geometry.type === 'Polygon') return ringAreaKm2(item.geometry.coordinates[0]) * 1e6;
+    return 1;
+}
+
+function getInterventionCost(item) {
+    return measureIntervention(item) * getIntervention(item.interventionId).unitCost;
+}
+
+function getMitigationTotalCost() {
+    return mitigationPlan.reduce((total, item) => total + getInterventionCost(item), 0);
+}
+
+function formatQuantity(item) {
+    const intervention = getIntervention(item.interventionId);
+    const quantity = measureIntervention(item);
+    if (intervention.unit === 'each') return '1 unit';
+    return `${Math.round(quantity).toLocaleString()} ${intervention.unit}`;
+}
+
+function formatCost(amount) {
+    const symbol = mitigationCatalog ? mitigationCatalog.currencySymbol : '';
+    if (amount >= 1e9) return `${symbol}${(amount / 1e9).toFixed(2)}B`;
+    if (amount >= 1e6) return `${symbol}${(amount / 1e6).toFixed(1)}M`;
+    if (amount >= 1e4) return `${symbol}${Math.round(amount / 1e3)}K`;
+    return `${symbol}${Math.round(amount).toLocaleString()}`;
+}
+
+function formatUnitCost(intervention) {
+    return intervention.unit === 'each'
+        ? `${formatCost(intervention.unitCost)} each`
+        : `${formatCost(intervention.unitCost)} per ${intervention.unit}`;
+}
+
+// Scoring inputs at a point with the plan in place, and the interventions
+// that changed them: [{ intervention, distanceKm, changes }]
+function applyMitigation(lat, lon, inputs) {
+    const reached = new Map();
+    mitigationPlan.forEach(item => {
+        const intervention = getIntervention(item.interventionId);
+        const distanceKm = pointInGeometry(lat, lon, item.geometry) ? 0 : distanceToGeometry(lat, lon, item.geometry);
+        if (distanceKm > intervention.radiusKm) return;
+
+        const nearest = reached.get(intervention.id);
+        if (!nearest || distanceKm < nearest.distanceKm) reached.set(intervention.id, { intervention, distanceKm, changes: [] });
+    });
+
+    const applied = Array.from(reached.values());
+    const hazards = inputs.hazards.map(hazard => Object.assign({}, hazard));
+    let infrastructure = inputs.infrastructure;
+
+    applied.forEach(entry => {
+        const effects = entry.intervention.effects || {};
+        hazards.forEach(hazard => {
+            const steps = (effects.hazards || {})[hazard.name];
+            const index = hazardLevelSteps.indexOf(hazard.level);
+            if (!steps || index <= 0) return;
+
+            const level = hazardLevelSteps[Math.max(0, index - steps)];
+            entry.changes.push(`${hazard.name} ${hazard.level} → ${level}`);
+            hazard.mitigatedFrom = hazard.mitigatedFrom || hazard.level;
+            hazard.level = level;
+        });
+
+        const index = infrastructureSteps.indexOf(infrastructure);
+        if (effects.infrastructure && index >= 0 && index < infrastructureSteps.length - 1) {
+            const rating = infrastructureSteps[Math.min(infrastructureSteps.length - 1, index + effects.infrastructure)];
+            entry.changes.push(`Infrastructure ${infrastructure} → ${rating}`);
+            infrastructure = rating;
+        }
+    });
+
+    return {
+        inputs: Object.assign({}, inputs, {
+            hazards: hazards,
+            infrastructure: infrastructure,
+            infrastructureFrom: infrastructure !== inputs.infrastructure ? inputs.infrastructure : null
+        }),
+        applied: applied.filter(entry => entry.changes.length)
+    };
+}
+
+// Resilience at a point before and after the plan. Await the hazard,
+// scoring and exposure data first.
+function computeMitigationEffect(lat, lon) {
+    const before = assessLocation(lat, lon).resilience;
+    const mitigated = applyMitigation(lat, lon, before.inputs);
+    const after = calculateResilience(lat, lon, mitigated.inputs);
+    return { before, after, applied: mitigated.applied };
+}
+
+function renderMitigationPlan() {
+    mitigationLayer.clearLayers();
+
+    mitigationPlan.forEach(item => {
+        const intervention = getIntervention(item.interventionId);
+        const style = { color: intervention.color, fillColor: intervention.color, weight: 3, fillOpacity: 0.35 };
+        const toLatLng = ([lon, lat]) => [lat, lon];
+        let layer;
+        if (item.geometry.type === 'LineString') {
+            layer = L.polyline(item.geometry.coordinates.map(toLatLng), style);
+        } else if (item.geometry.type === 'Polygon') {
+            layer = L.polygon(item.geometry.coordinates[0].map(toLatLng), style);
+        } else {
+            layer = L.circleMarker(toLatLng(item.geometry.coordinates), Object.assign({}, style, { radius: 7, weight: 2 }));
+        }
+
+        layer.bindPopup(`
+            <strong>${escapeHtml(intervention.icon || '')} ${escapeHtml(intervention.name)}</strong><br>
+            ${escapeHtml(intervention.description || '')}<br>
+            ${formatQuantity(item)} - ${formatCost(getInterventionCost(item))}
+        `).addTo(mitigationLayer);
+    });
+
+    renderMitigation3D();
+    updatePlannerViews();
+}
+
+// Footprints of an intervention as closed rings of [lon, lat]: polygons as
+// drawn, lines as a strip `widthM` wide (one per segment) and points as a
+// square `footprintM` across
+function getInterventionFootprints(item) {
+    const intervention = getIntervention(item.interventionId);
+    if (item.geometry.type === 'Polygon') return [item.geometry.coordinates[0]];
+
+    if (item.geometry.type === 'LineString') {
+        const halfKm = (intervention.widthM || 4) / 2000;
+        const line = item.geometry.coordinates;
+        return line.slice(1).map((end, i) => {
+            const start = line[i];
+            const side = calculateBearing(start[1], start[0], end[1], end[0]) + 90;
+            const a = offsetPoint(start[1], start[0], halfKm, side);
+            const b = offsetPoint(end[1], end[0], halfKm, side);
+            const c = offsetPoint(end[1], end[0], halfKm, side + 180);
+            const d = offsetPoint(start[1], start[0], halfKm, side + 180);
+            return [a, b, c, d, a];
+        });
+    }
+
+    const [lon, lat] = item.geometry.coordinates;
+    const halfDiagonalKm = (intervention.footprintM || 10) / 1000 * Math.SQRT1_2;
+    const corners = [45, 135, 225, 315].map(bearing => offsetPoint(lat, lon, halfDiagonalKm, bearing));
+    return [corners.concat([corners[0]])];
+}
+
+// Draws the plan as extruded prisms while 3D buildings are shown. The walls
+// and roof are projected in screen space and redrawn after every move, as
+// the perspective depends on where a shape is on screen.
+function renderMitigation3D() {
+    mitigation3DLayer.clearLayers();
+    if (!is3DMode || !mitigationPlan.length) return;
+
+    const size = map.getSize();
+    const camera = L.point(size.x / 2, size.y);
+    const metersPerPixel = lat => 40075016.686 * Math.cos(lat * Math.PI / 180) / Math.pow(2, map.getZoom() + 8);
+
+    const prisms = [];
+    mitigationPlan.forEach(item => {
+        const intervention = getIntervention(item.interventionId);
+        getInterventionFootprints(item).forEach(ring => {
+            const base = ring.slice(0, -1).map(([lon, lat]) => map.latLngToContainerPoint([lat, lon]));
+            const center = base.reduce((sum, p) => sum.add(p), L.point(0, 0)).divideBy(base.length);
+            const heightPx = Math.min(EXTRUSION_CAMERA_Z - 50, intervention.heightM / metersPerPixel(ring[0][1]));
+            const scale = EXTRUSION_CAMERA_Z / (EXTRUSION_CAMERA_Z - heightPx);
+            const roof = base.map(p => camera.add(p.subtract(camera).multiplyBy(scale)));
+            prisms.push({ intervention, base, roof, distance: center.distanceTo(camera) });
+        });
+    });
+
+    // Far prisms first, and within a prism far walls first, so near faces
+    // cover them
+    prisms.sort((a, b) => b.distance - a.distance);
+    const toLatLngs = points => points.map(p => map.containerPointToLatLng(p));
+    prisms.forEach(({ intervention, base, roof }) => {
+        const walls = base.map((p, i) => {
+            const next = (i + 1) % base.length;
+            return { points: [p, base[next], roof[next], roof[i]], distance: p.add(base[next]).divideBy(2).distanceTo(camera) };
+        }).sort((a, b) => b.distance - a.distance);
+
+        const options = { pane: 'mitigation3d', interactive: false, weight: 0.5, fillOpacity: 0.9 };
+        walls.forEach(wall => {
+            L.polygon(toLatLngs(wall.points), Object.assign({ color: shadeColor(intervention.color, 0.5), fillColor: shadeColor(intervention.color, 0.7) }, options)).addTo(mitigation3DLayer);
+        });
+        L.polygon(toLatLngs(roof), Object.assign({ color: shadeColor(intervention.color, 0.6), fillColor: intervention.color }, options)).addTo(mitigation3DLayer);
+    });
+}
+
+// '#4a90e2' darkened to `factor` of its brightness, as rgb()
+function shadeColor(color, factor) {
+    const value = parseInt(color.replace('#', ''), 16);
+    const channels = [value >> 16, (value >> 8) & 255, value & 255].map(channel => Math.round(channel * factor));
+    return `rgb(${channels.join(', ')})`;
+}
+
+function initializePlannerControl() {
+    const PlannerControl = L.Control.extend({
+        options: { position: 'topleft' },
+        onAdd() {
+            const container = L.DomUtil.create('div', 'planner-control');
+            container.innerHTML = `
+                <button type="button" class="planner-toggle" data-planner-action="toggle" title="Plan mitigation measures and compare their cost and effect">🛠 Mitigation plan</button>
+                <div class="planner-panel">
+                    <h4>Add</h4>
+                    <div class="planner-catalog"><p class="placeholder-text">Loading catalog...</p></div>
+                    <h4>Plan <button type="button" class="planner-clear" data-planner-action="clear">Clear</button></h4>
+                    <div class="planner-summary"></div>
+                </div>
+            `;
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-planner-action]');
+                if (!button) return;
+
+                switch (button.dataset.plannerAction) {
+                    case 'toggle':
+                        container.classList.toggle('open');
+                        break;
+                    case 'add': {
+                        const intervention = getIntervention(button.dataset.interventionId);
+                        if (drawState && drawState.interventionId === intervention.id) {
+                            cancelDrawing();
+                            break;
+                        }
+                        startDrawing(intervention.geometry, points => addIntervention(intervention.id, points));
+                        drawState.interventionId = intervention.id;
+                        button.classList.add('active');
+                        break;
+                    }
+                    case 'remove':
+                        removeIntervention(button.dataset.itemId);
+                        break;
+                    case 'focus': {
+                        const item = mitigationPlan.find(i => i.id === button.dataset.itemId);
+                        if (item) map.fitBounds(L.geoJSON(item.geometry).getBounds(), { maxZoom: 17 });
+                        break;
+                    }
+                    case 'clear':
+                        clearMitigationPlan();
+                        break;
+                }
+            });
+            return container;
+        }
+    });
+
+    new PlannerControl().addTo(map);
+}
+
+function renderPlannerCatalog() {
+    const catalog = document.querySelector('.planner-catalog');
+    if (!catalog) return;
+
+    const hints = { point: 'Click the map to place it', line: 'Click along the route; double-click to finish', polygon: 'Click the corners of the footprint; double-click to finish' };
+    catalog.innerHTML = mitigationCatalog.interventions.map(intervention => `
+        <button type="button" class="planner-item" data-planner-action="add" data-intervention-id="${escapeHtml(intervention.id)}"
+            title="${escapeHtml(`${intervention.description || ''}. ${hints[intervention.geometry] || ''}`)}">
+            <span>${escapeHtml(intervention.icon || '')} ${escapeHtml(intervention.name)}</span>
+            <span class="planner-cost">${formatUnitCost(intervention)}</span>
+        </button>
+    `).join('');
+}
+
+// Refreshes the plan list, total and score comparison in the panel
+function updatePlannerViews() {
+    const summary = document.querySelector('.planner-summary');
+    if (!summary) return;
+
+    if (!mitigationPlan.length) {
+        summary.innerHTML = '<p class="placeholder-text">Pick an intervention above and place it on the map</p>';
+        return;
+    }
+
+    const items = mitigationPlan.map(item => {
+        const intervention = getIntervention(item.interventionId);
+        return `
+            <div class="planner-entry">
+                <button type="button" class="planner-entry-name" data-planner-action="focus" data-item-id="${escapeHtml(item.id)}" title="Zoom to it">
+                    ${escapeHtml(intervention.icon || '')} ${escapeHtml(intervention.name)}
+                    <span class="planner-cost">${formatQuantity(item)} - ${formatCost(getInterventionCost(item))}</span>
+                </button>
+                <button type="button" class="planner-remove" data-planner-action="remove" data-item-id="${escapeHtml(item.id)}" title="Remove">✕</button>
+            </div>
+        `;
+    }).join('');
+
+    summary.innerHTML = `
+        ${items}
+        <div class="planner-total">Total cost <strong>${formatCost(getMitigationTotalCost())}</strong></div>
+        ${renderMitigationEffect()}
+    `;
+}
+
+function renderMitigationEffect() {
+    const reference = getReferenceLocation();
+    if (!reference) return '<p class="placeholder-text">Select a location to compare its resilience score with and without the plan</p>';
+    if (!hazardSubLayers.length || !scoringProfiles.length) return '';
+
+    const effect = computeMitigationEffect(reference.lat, reference.lon);
+    const change = effect.after.score - effect.before.score;
+    return `
+        <div class="planner-effect">
+            <div class="info-label">Resilience at ${escapeHtml(reference.label)}</div>
+            <div class="planner-scores">
+                ${effect.before.score} → <strong>${effect.after.score}</strong>/${effect.after.maxScore}
+                <span class="${change > 0 ? 'positive' : ''}">(${change > 0 ? '+' : ''}${change})</span>
+            </div>
+            ${effect.applied.length
+                ? `<ul>${effect.applied.map(entry => `<li>${escapeHtml(entry.intervention.name)} (${formatDistance(entry.distanceKm)} away): ${escapeHtml(entry.changes.join(', '))}</li>`).join('')}</ul>`
+                : '<p class="placeholder-text">No intervention in the plan reaches this location</p>'}
+        </div>
+    `;
+}
+
+// Compact form of the plan and its effect for the chat context
+function summarizeMitigationPlan(reference) {
+    if (!mitigationCatalog || !mitigationPlan.length) return null;
+
+    const effect = reference ? computeMitigationEffect(reference.lat, reference.lon) : null;
+    return {
+        currency: mitigationCatalog.currency,
+        totalCost: Math.round(getMitigationTotalCost()),
+        interventions: mitigationPlan.map(item => {
+            const intervention = getIntervention(item.interventionId);
+            return {
+                name: intervention.name,
+                quantity: Math.round(measureIntervention(item)),
+                unit: intervention.unit,
+                cost: Math.round(getInterventionCost(item))
+            };
+        }),
+        resilience: effect ? {
+            location: reference.label,
+            before: effect.before.score,
+            after: effect.after.score,
+            maxScore: effect.after.maxScore,
+            changes: effect.applied.map(entry => `${entry.intervention.name}: ${entry.changes.join(', ')}`)
+        } : null
+    };
+}
+
+// "one level", "two levels"
+function formatSteps(count, unit) {
+    const words = ['zero', 'one', 'two', 'three'];
+    return `${words[count] || count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+// Offline answer to "how can this location be improved": the catalog
+// entries that address its hazards, then the plan's effect if there is one
+function describeMitigationOptions(lat, lon, hazards) {
+    const significant = hazards.filter(hazard => hazard.level !== 'low');
+    const options = mitigationCatalog.interventions
+        .map(intervention => {
+            const effects = intervention.effects || {};
+            const addressed = significant.filter(hazard => (effects.hazards || {})[hazard.name]);
+            if (addressed.length) {
+                const lowered = addressed.map(h => `${h.name.toLowerCase()} risk (${h.level} here) by ${formatSteps(effects.hazards[h.name], 'level')}`);
+                return `**${intervention.name}** (${formatUnitCost(intervention)}): ${intervention.description}. Lowers ${lowered.join(' and ')} within ${formatDistance(intervention.radiusKm)}.`;
+            }
+            if (effects.infrastructure) {
+                return `**${intervention.name}** (${formatUnitCost(intervention)}): ${intervention.description}. Raises the infrastructure rating by ${formatSteps(effects.infrastructure, 'step')} within ${formatDistance(intervention.radiusKm)}.`;
+            }
+            return null;
+        })
+        .filter(Boolean);
+
+    let text = options.map((option, i) => `${i + 1}. ${option}`).join('\n\n');
+    const plan = summarizeMitigationPlan({ lat, lon, label: 'this location' });
+    if (plan) {
+        text += `\n\nYour current plan has ${plan.interventions.length} intervention${plan.interventions.length === 1 ? '' : 's'} costing ${formatCost(plan.totalCost)} in total. ` +
+            `It takes the resilience score here from ${plan.resilience.before} to ${plan.resilience.after}/${plan.resilience.maxScore}` +
+            (plan.resilience.changes.length ? ` (${plan.resilience.changes.join('; ')}).` : '; none of its interventions reaches this location.');
+    }
+    return text;
+}
+
+// =====================================================
+// Watch Areas
+// =====================================================
+// A watch is { id, name, shape, center, radiusKm, geometry, rules, enabled,
+// createdAt }, shaped like a drawn area so areaContains() works on it:
+// 'buffer' watches are a point and a radius (0 for the point alone), and
+// 'polygon' watches carry their outline in `geometry`.
+//
+// A rule is { eventType, minMagnitude, minSignal, minSeverity, withinKm }.
+// Empty conditions are ignored; `withinKm` null means the event must cover
+// the watch. An event triggers a watch when it matches any of its rules.
+const watchEventTypes = ['Earthquake', 'Typhoon', 'Volcano', 'Flood', 'Tsunami', 'Landslide', 'Drought', 'Wildfire', 'Other'];
+let watchDraft = null;
+
+async function loadWatches() {
+    try {
+        const [storedWatches, storedAlerts] = await Promise.all([dbGetAll('watches'), dbGetAll('alerts')]);
+        watches = storedWatches.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        alertLog = storedAlerts.sort((a, b) => b.triggeredAt.localeCompare(a.triggeredAt));
+    } catch (error) {
+        console.warn('Watches unavailable:', error);
+    }
+    renderWatches();
+    renderAlertHistory();
+
+    // Feeds that loaded first were checked against no watches
+    evaluateWatches();
+}
+
+function createWatch({ name, shape, center, radiusKm, geometry }) {
+    return {
+        id: createId('watch'),
+        name: name,
+        shape: shape,
+        center: center,
+        radiusKm: shape === 'buffer' ? radiusKm : null,
+        geometry: shape === 'polygon' ? geometry : null,
+        rules: config.alerts.defaultRules.map(rule => Object.assign({}, rule)),
+        enabled: true,
+        createdAt: new Date().toISOString()
+    };
+}
+
+// Opens the form for a new watch on the selected location or drawn area
+function startWatchDraft(source) {
+    if (source === 'area' && currentArea) {
+        const area = currentArea;
+        const center = area.report
+            ? { lat: area.report.lat, lon: area.report.lon }
+            : area.center;
+        watchDraft = createWatch({
+            name: `Area near ${formatCoordinates(center.lat, center.lon)}`,
+            shape: area.shape === 'buffer' ? 'buffer' : 'polygon',
+            center: center,
+            radiusKm: area.radiusKm,
+            geometry: area.geometry
+        });
+    } else if (source === 'location' && currentLocation) {
+        const { lat, lon, placeName } = currentLocation;
+        watchDraft = createWatch({
+            name: placeName ? placeName.split(',')[0] : formatCoordinates(lat, lon),
+            shape: 'buffer',
+            center: { lat: lat, lon: lon },
+            radiusKm: 0
+        });
+    } else {
+        return;
+    }
+
+    setAlertsPanelOpen(true);
+    renderWatches();
+}
+
+async function saveWatch(watch) {
+    if (!watch.rules.length) {
+        alert('Add at least one rule to the watch.');
+        return;
+    }
+
+    const index = watches.findIndex(w => w.id === watch.id);
+    if (index >= 0) watches[index] = watch; else watches.push(watch);
+    watchDraft = null;
+    renderWatches();
+    requestNotificationPermission();
+
+    try {
+        await dbPut('watches', watch);
+    } catch (error) {
+        console.warn('Could not save watch:', error);
+    }
+    evaluateWatches();
+}
+
+async function deleteWatch(id) {
+    const watch = watches.find(w => w.id === id);
+    if (!watch || !confirm(`Stop watching "${watch.name}"? Its alerts stay in the history.`)) return;
+
+    watches = watches.filter(w => w !== watch);
+    renderWatches();
+
+    try {
+        await dbDelete('watches', id);
+    } catch (error) {
+        console.warn('Could not delete watch:', error);
+    }
+}
+
+async function setWatchEnabled(id, enabled) {
+    const watch = watches.find(w => w.id === id);
+    if (!watch) return;
+
+    watch.enabled = enabled;
+    renderWatches();
+
+    try {
+        await dbPut('watches', watch);
+    } catch (error) {
+        console.warn('Could not save watch:', error);
+    }
+    if (enabled) evaluateWatches();
+}
+
+// Checks every active event against the enabled watches. An event alerts a
+// watch once; later feed updates of the same event are ignored.
+function evaluateWatches() {
+    const alerted = new Set(alertLog.map(entry => `${entry.watchId} ${entry.eventId}`));
+    const triggered = [];
+
+    watches.filter(watch => watch.enabled).forEach(watch => {
+        activeEvents.forEach(event => {
+            if (alerted.has(`${watch.id} ${event.id}`)) return;
+
+            const distanceKm = eventDistanceToWatch(event, watch);
+            const rule = watch.rules.find(r => matchWatchRule(r, event, distanceKm));
+            if (rule) triggered.push(createAlert(watch, event, rule, distanceKm));
+        });
+    });
+
+    if (triggered.length) recordAlerts(triggered);
+    return triggered;
+}
+
+function matchWatchRule(rule, event, distanceKm) {
+    if (rule.eventType !== 'any' && event.type !== rule.eventType) return false;
+    if (rule.minMagnitude !== null && (event.magnitude === null || event.magnitude < rule.minMagnitude)) return false;
+    if (rule.minSignal !== null && (event.signal === null || event.signal < rule.minSignal)) return false;
+    if (rule.minSeverity && (hazardLevelRank[event.severity] || 0) < hazardLevelRank[rule.minSeverity]) return false;
+    return rule.withinKm === null ? distanceKm === 0 : distanceKm <= rule.withinKm;
+}
+
+// Distance in km between an event and a watch, 0 when they overlap. Events
+// with a CAP area are measured from the area, so a warning polygon covering
+// the watch counts even when its centre is far away.
+function eventDistanceToWatch(event, watch) {
+    let distance = distanceToWatch(watch, event.lat, event.lon);
+    const area = event.area;
+    if (!area || distance === 0) return distance;
+
+    if (area.type === 'Point') {
+        const [lon, lat] = area.coordinates;
+        return Math.min(distance, Math.max(0, distanceToWatch(watch, lat, lon) - (area.radiusKm || 0)));
+    }
+
+    // The watch centre or a vertex inside the area, or an area vertex inside
+    // the watch, means they overlap
+    const watchPoints = watch.shape === 'polygon'
+        ? watch.geometry.coordinates[0].concat([[watch.center.lon, watch.center.lat]])
+        : [[watch.center.lon, watch.center.lat]];
+    if (watchPoints.some(([lon, lat]) => pointInGeometry(lat, lon, area))) return 0;
+    if (getGeometryLines(area).flat().some(([lon, lat]) => areaContains(watch, lat, lon))) return 0;
+
+    const edgeDistance = watch.shape === 'polygon'
+        ? Math.min(...watchPoints.map(([lon, lat]) => distanceToGeometry(lat, lon, area)))
+        : Math.max(0, distanceToGeometry(watch.center.lat, watch.center.lon, area) - watch.radiusKm);
+    return Math.min(distance, edgeDistance);
+}
+
+function distanceToWatch(watch, lat, lon) {
+    if (watch.shape === 'buffer') {
+        return Math.max(0, haversineDistance(watch.center.lat, watch.center.lon, lat, lon) - watch.radiusKm);
+    }
+    return pointInGeometry(lat, lon, watch.geometry) ? 0 : distanceToGeometry(lat, lon, watch.geometry);
+}
+
+function describeWatchRule(rule) {
+    const parts = [rule.eventType === 'any' ? 'Any event' : rule.eventType];
+    if (rule.minMagnitude !== null) parts.push(`M≥${rule.minMagnitude}`);
+    if (rule.minSignal !== null) parts.push(`signal ≥${rule.minSignal}`);
+    if (rule.minSeverity) parts.push(`${rule.minSeverity} severity or higher`);
+    parts.push(rule.withinKm === null ? 'covering the watch' : `within ${formatDistance(rule.withinKm)}`);
+    return parts.join(' ');
+}
+
+function initializeAlertsControl() {
+    const AlertsControl = L.Control.extend({
+        options: { position: 'topright' },
+        onAdd() {
+            const container = L.DomUtil.create('div', 'alerts-control');
+            container.innerHTML = `
+                <button type="button" class="alerts-toggle" data-alert-action="toggle" title="Watched locations and alerts">
+                    🔔 Alerts <span class="alerts-count" hidden>0</span>
+                </button>
+                <div class="alerts-panel">
+                    <h4>Watches</h4>
+                    <div class="watch-list"></div>
+                    <h4>
+                        Alert history
+                        <button type="button" class="alerts-mark-read" data-alert-action="mark-read">Mark all read</button>
+                    </h4>
+                    <div class="alert-history"></div>
+                </div>
+            `;
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            container.addEventListener('click', handleAlertsPanelClick);
+            container.addEventListener('change', (e) => {
+                if (e.target.matches('[data-watch-enabled]')) {
+                    setWatchEnabled(e.target.closest('[data-watch-id]').dataset.watchId, e.target.checked);
+                }
+            });
+            container.addEventListener('submit', (e) => {
+                e.preventDefault();
+                readWatchForm(e.target);
+                saveWatch(watchDraft);
+            });
+            return container;
+        }
+    });
+
+    new AlertsControl().addTo(map);
+}
+
+function handleAlertsPanelClick(e) {
+    const button = e.target.closest('[data-alert-action]');
+    if (!button) return;
+
+    const item = button.closest('[data-watch-id]');
+    const watch = item ? watches.find(w => w.id === item.dataset.watchId) : null;
+    const form = button.closest('.watch-form');
+    if (form) readWatchForm(form);
+
+    switch (button.dataset.alertAction) {
+        case 'toggle':
+            setAlertsPanelOpen(!document.querySelector('.alerts-control').classList.contains('open'));
+            break;
+        case 'show':
+            map.flyToBounds(getWatchBounds(watch), { padding: [60, 60], maxZoom: 12 });
+            break;
+        case 'edit':
+            watchDraft = JSON.parse(JSON.stringify(watch));
+            renderWatches();
+            break;
+        case 'delete':
+            deleteWatch(watch.id);
+            break;
+        case 'add-rule':
+            watchDraft.rules.push({ eventType: 'any', minMagnitude: null, minSignal: null, minSeverity: 'moderate', withinKm: 50 });
+            renderWatches();
+            break;
+        case 'remove-rule':
+            watchDraft.rules.splice(Number(button.closest('[data-rule-index]').dataset.ruleIndex), 1);
+            renderWatches();
+            break;
+        case 'cancel':
+            watchDraft = null;
+            renderWatches();
+            break;
+        case 'show-alert':
+            showAlertEvent(alertLog.find(entry => entry.id === button.dataset.alertId));
+            break;
+        case 'mark-read':
+            markAlertsRead(alertLog.filter(entry => !entry.read));
+            break;
+    }
+}
+
+// Copies the form fields into watchDraft, so they survive re-rendering
+function readWatchForm(form) {
+    const number = input => {
+        const value = parseFloat(input.value);
+        return isFinite(value) ? value : null;
+    };
+
+    watchDraft.name = form.elements.name.value.trim() || watchDraft.name;
+    if (watchDraft.shape === 'buffer') {
+        watchDraft.radiusKm = Math.max(0, number(form.elements.radiusKm) || 0);
+    }
+    watchDraft.rules = Array.from(form.querySelectorAll('.watch-rule')).map(row => ({
+        eventType: row.querySelector('[name="eventType"]').value,
+        minMagnitude: number(row.querySelector('[name="minMagnitude"]')),
+        minSignal: number(row.querySelector('[name="minSignal"]')),
+        minSeverity: row.querySelector('[name="minSeverity"]').value || null,
+        withinKm: number(row.querySelector('[name="withinKm"]'))
+    }));
+}
+
+function setAlertsPanelOpen(open) {
+    const control = document.querySelector('.alerts-control');
+    if (control) control.classList.toggle('open', open);
+}
+
+function getWatchLayer(watch) {
+    const style = { color: '#f0ad4e', weight: 2, dashArray: '6 4', fillOpacity: 0.05, opacity: watch.enabled ? 1 : 0.4 };
+    if (watch.shape === 'polygon') {
+        return L.polygon(watch.geometry.coordinates[0].map(([lon, lat]) => [lat, lon]), style);
+    }
+    if (watch.radiusKm > 0) {
+        return L.circle([watch.center.lat, watch.center.lon], Object.assign({ radius: watch.radiusKm * 1000 }, style));
+    }
+    return L.circleMarker([watch.center.lat, watch.center.lon], Object.assign({}, style, { radius: 7, dashArray: '3 3', fill: false }));
+}
+
+function getWatchBounds(watch) {
+    if (watch.shape === 'polygon') {
+        return L.latLngBounds(watch.geometry.coordinates[0].map(([lon, lat]) => [lat, lon]));
+    }
+    return L.latLng(watch.center.lat, watch.center.lon).toBounds(Math.max(watch.radiusKm * 2000, 1000));
+}
+
+function renderWatches() {
+    watchLayer.clearLayers();
+    watches.forEach(watch => {
+        getWatchLayer(watch)
+            .bindPopup(`<strong>🔔 ${escapeHtml(watch.name)}</strong><br>${watch.rules.map(rule => escapeHtml(describeWatchRule(rule))).join('<br>')}`)
+            .addTo(watchLayer);
+    });
+
+    const list = document.querySelector('.watch-list');
+    if (!list) return;
+
+    const items = watches.filter(watch => !watchDraft || watch.id !== watchDraft.id).map(watch => `
+        <div class="watch-item" data-watch-id="${escapeHtml(watch.id)}">
+            <label class="watch-main">
+                <input type="checkbox" data-watch-enabled ${watch.enabled ? 'checked' : ''} title="Enabled">
+                <span class="watch-name">${escapeHtml(watch.name)}</span>
+            </label>
+            <div class="watch-rules">${watch.rules.map(rule => escapeHtml(describeWatchRule(rule))).join('<br>')}</div>
+            <div class="site-buttons">
+                <button type="button" data-alert-action="show">Show</button>
+                <button type="button" data-alert-action="edit">Edit</button>
+                <button type="button" data-alert-action="delete">Delete</button>
+            </div>
+        </div>
+    `).join('');
+
+    list.innerHTML = (watchDraft ? renderWatchForm(watchDraft) : '') +
+        (items || (watchDraft ? '' : '<p class="placeholder-text">No watches. Select a location or draw an area and click "🔔 Watch".</p>'));
+
+    const editing = list.querySelector('.watch-form input[name="name"]');
+    if (editing) editing.focus();
+}
+
+function renderWatchForm(watch) {
+    const option = (value, label, selected) =>
+        `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    const value = number => number === null ? '' : number;
+
+    return `
+        <form class="watch-form" data-watch-id="${escapeHtml(watch.id)}">
+            <input type="text" name="name" value="${escapeHtml(watch.name)}" placeholder="Name">
+            ${watch.shape === 'buffer' ? `
+                <label class="watch-radius">
+                    Radius (km)
+                    <input type="number" name="radiusKm" min="0" step="any" value="${watch.radiusKm}">
+                </label>
+            ` : ''}
+            <div class="watch-rule-header">
+                <span>Event</span><span>Min M</span><span>Signal</span><span>Level</span><span>Within km</span>
+            </div>
+            ${watch.rules.map((rule, index) => `
+                <div class="watch-rule" data-rule-index="${index}">
+                    <select name="eventType">
+                        ${option('any', 'Any', rule.eventType)}
+                        ${watchEventTypes.map(type => option(type, type, rule.eventType)).join('')}
+                    </select>
+                    <input type="number" name="minMagnitude" min="0" step="0.1" value="${value(rule.minMagnitude)}" title="Minimum magnitude">
+                    <input type="number" name="minSignal" min="1" max="5" step="1" value="${value(rule.minSignal)}" title="Minimum tropical cyclone wind signal">
+                    <select name="minSeverity" title="Minimum severity">
+                        ${option('', 'Any', rule.minSeverity || '')}
+                        ${Object.keys(hazardLevelRank).map(level => option(level, level, rule.minSeverity)).join('')}
+                    </select>
+                    <input type="number" name="withinKm" min="0" step="any" value="${value(rule.withinKm)}" placeholder="covering" title="Distance from the watch; leave empty for events covering it">
+                    <button type="button" class="layers-remove" data-alert-action="remove-rule" title="Remove rule">×</button>
+                </div>
+            `).join('')}
+            <div class="site-buttons">
+                <button type="button" data-alert-action="add-rule">Add rule</button>
+                <button type="submit">Save watch</button>
+                <button type="button" data-alert-action="cancel">Cancel</button>
+            </div>
+        </form>
+    `;
+}
+
+// =====================================================
+// Alerts
+// =====================================================
+// An alert records which event triggered which watch and by which rule:
+// { id, watchId, watchName, eventId, eventName, eventType, eventStatus,
+//   eventTime, lat, lon, rule, distanceKm, triggeredAt, read }. Alerts are
+// kept in the `alerts` store and outlive the watch and the event.
+function createAlert(watch, event, rule, distanceKm) {
+    return {
+        id: createId('alert'),
+        watchId: watch.id,
+        watchName: watch.name,
+        eventId: event.id,
+        eventName: event.name,
+        eventType: event.type,
+        eventStatus: event.status,
+        eventTime: isNaN(event.time) ? null : event.time.toISOString(),
+        lat: event.lat,
+        lon: event.lon,
+        rule: describeWatchRule(rule),
+        distanceKm: distanceKm,
+        triggeredAt: new Date().toISOString(),
+        read: false
+    };
+}
+
+async function recordAlerts(alerts) {
+    // evaluateWatches() finds what was already alerted in the log, so alerts
+    // for events still in the feeds are kept past maxHistory; dropping them
+    // would alert on those events again
+    const activeEventIds = new Set(activeEvents.map(event => event.id));
+    alertLog = alerts.concat(alertLog);
+    const expired = alertLog.slice(config.alerts.maxHistory).filter(entry => !activeEventIds.has(entry.eventId));
+    alertLog = alertLog.filter(entry => !expired.includes(entry));
+    renderAlertHistory();
+
+    // A burst of alerts, such as the first check of a new watch, gets one
+    // summary notification
+    if (alerts.length <= 3) {
+        alerts.forEach(entry => notifyAlert(entry.watchName, describeAlert(entry), () => showAlertEvent(entry), entry.id));
+    } else {
+        notifyAlert(`${alerts.length} new alerts`, alerts.slice(0, 3).map(entry => `${entry.watchName}: ${entry.eventName}`).join('\n'), () => setAlertsPanelOpen(true), null);
+    }
+
+    try {
+        await Promise.all(alerts.map(entry => dbPut('alerts', entry))
+            .concat(expired.map(entry => dbDelete('alerts', entry.id))));
+    } catch (error) {
+        console.warn('Could not save alerts:', error);
+    }
+}
+
+function describeAlert(entry) {
+    const where = entry.distanceKm === 0 ? 'covers the watch' : `${formatDistance(entry.distanceKm)} away`;
+    return `${entry.eventName} (${entry.eventStatus}), ${where}`;
+}
+
+// Shows an in-app toast and, when the user has allowed it, a browser
+// notification. Either one runs `onOpen` when clicked.
+function notifyAlert(title, body, onOpen, tag) {
+    let toasts = document.getElementById('alertToasts');
+    if (!toasts) {
+        toasts = document.createElement('div');
+        toasts.id = 'alertToasts';
+        toasts.className = 'alert-toasts';
+        document.body.appendChild(toasts);
+    }
+
+    const toast = document.createElement('div');
+    toast.className = 'alert-toast';
+    toast.innerHTML = `
+        <button type="button" class="alert-toast-close" title="Dismiss">×</button>
+        <strong>🔔 ${escapeHtml(title)}</strong>
+        <p>${escapeHtml(body)}</p>
+    `;
+    toast.addEventListener('click', (e) => {
+        if (!e.target.closest('.alert-toast-close')) onOpen();
+        toast.remove();
+    });
+    toasts.appendChild(toast);
+    setTimeout(() => toast.remove(), config.alerts.toastSeconds * 1000);
+
+    if ('Notification' in window && Notification.permission === 'granted') {
+        try {
+            const notification = new Notification(`GeoVision: ${title}`, { body: body, tag: tag || undefined });
+            notification.onclick = () => {
+                window.focus();
+                onOpen();
+                notification.close();
+            };
+        } catch (error) {
+            // Some mobile browsers only allow notifications from a service worker
+            console.warn('Could not show notification:', error);
+        }
+    }
+}
+
+function requestNotificationPermission() {
+    if (!('Notification' in window) || Notification.permission !== 'default') return;
+    Promise.resolve(Notification.requestPermission())
+        .catch(error => console.warn('Notification permission request failed:', error));
+}
+
+// Flies to the event behind an alert, or to where it was when it has left
+// the feeds
+function showAlertEvent(entry) {
+    if (!entry) return;
+
+    markAlertsRead([entry]);
+    if (activeEvents.some(event => event.id === entry.eventId)) {
+        flyToEvent(entry.eventId);
+    } else {
+        map.flyTo([entry.lat, entry.lon], Math.max(map.getZoom(), 9));
+    }
+}
+
+async function markAlertsRead(entries) {
+    entries = entries.filter(entry => !entry.read);
+    if (!entries.length) return;
+
+    entries.forEach(entry => { entry.read = true; });
+    renderAlertHistory();
+
+    try {
+        await Promise.all(entries.map(entry => dbPut('alerts', entry)));
+    } catch (error) {
+        console.warn('Could not save alerts:', error);
+    }
+}
+
+function renderAlertHistory() {
+    const count = document.querySelector('.alerts-count');
+    const list = document.querySelector('.alert-history');
+    if (!list) return;
+
+    const unread = alertLog.filter(entry => !entry.read).length;
+    count.textContent = unread;
+    count.hidden = unread === 0;
+
+    list.innerHTML = alertLog.length ? alertLog.map(entry => `
+        <button type="button" class="alert-entry ${entry.read ? '' : 'unread'}" data-alert-action="show-alert" data-alert-id="${escapeHtml(entry.id)}">
+            <span class="alert-entry-title">${escapeHtml(entry.eventName)}</span>
+            <span class="alert-entry-watch">${escapeHtml(entry.watchName)} · ${escapeHtml(entry.rule)}</span>
+            <span class="alert-entry-time">${entry.distanceKm === 0 ? 'Covering' : formatDistance(entry.distanceKm)} · ${formatEventTime(new Date(entry.triggeredAt))}</span>
+        </button>
+    `).join('') : '<p class="placeholder-text">No alerts yet</p>';
+}
+
+// =====================================================
+// Feed Adapters
+// =====================================================
+// Each adapter turns a feed body into normalized events:
+// { id, source, type, name, status, severity, magnitude, location,
+//   lat, lon, depthKm, time, url, description, signal, area }
+const feedAdapters = {
+    'usgs-geojson': { format: 'json', parse: parseUsgsGeoJSON },
+    'cap-xml': { format: 'text', parse: parseCapAlerts },
+    'gdacs-rss': { format: 'text', parse: parseGdacsRss }
+};
+
+function parseUsgsGeoJSON(data, feed) {
+    return (data.features || []).map(feature => {
+        const props = feature.properties || {};
+        const [lon, lat, depth] = feature.geometry.coordinates;
+        const magnitude = typeof props.mag === 'number' ? props.mag : null;
+
+        return {
+            id: `${feed.id}:${feature.id}`,
+            source: feed.name,
+            type: 'Earthquake',
+            name: props.title || 'Earthquake',
+            status: magnitude !== null ? `Magnitude ${magnitude.toFixed(1)}` : 'Reported',
+            severity: magnitude >= 6 ? 'high' : magnitude >= 4.5 ? 'moderate' : 'low',
+            magnitude: magnitude,
+            location: props.place || '',
+            lat: lat,
+            lon: lon,
+            depthKm: typeof depth === 'number' ? depth : null,
+            time: new Date(props.time),
+            url: props.url || null,
+            description: '',
+            signal: null,
+            area: null
+        };
+    });
+}
+
+function parseCapAlerts(xmlText, feed) {
+    const doc = parseXml(xmlText);
+    const alerts = Array.from(doc.getElementsByTagNameNS('*', 'alert'));
+
+    return alerts.flatMap(alert => {
+        const identifier = getXmlText(alert, 'identifier');
+        const sent = getXmlText(alert, 'sent');
+
+        return Array.from(alert.getElementsByTagNameNS('*', 'info')).map((info, index) => {
+            const parameters = {};
+            Array.from(info.getElementsByTagNameNS('*', 'parameter')).forEach(param => {
+                parameters[getXmlText(param, 'valueName')] = getXmlText(param, 'value');
+            });
+
+            const areaElement = info.getElementsByTagNameNS('*', 'area')[0];
+            const area = areaElement ? parseCapArea(areaElement) : null;
+            const event = getXmlText(info, 'event');
+            const type = classifyEventType(`${getXmlText(info, 'category')} ${event}`);
+
+            let status = getXmlText(info, 'severity') || 'Unknown';
+            if (parameters.TCWS) status = `Signal No. ${parameters.TCWS}`;
+            else if (parameters.AlertLevel) status = `Alert Level ${parameters.AlertLevel}`;
+
+            return {
+                id: `${feed.id}:${identifier}:${index}`,
+                source: feed.name,
+                type: type,
+                name: getXmlText(info, 'headline') || event,
+                status: status,
+                severity: capSeverityToLevel(getXmlText(info, 'severity')),
+                magnitude: null,
+                location: area ? area.description : '',
+                lat: area ? area.lat : NaN,
+                lon: area ? area.lon : NaN,
+                depthKm: null,
+                time: new Date(getXmlText(info, 'effective') || sent),
+                url: getXmlText(info, 'web') || null,
+                description: getXmlText(info, 'description'),
+                signal: parameters.TCWS ? parseInt(parameters.TCWS, 10) : null,
+                area: area ? area.geometry : null
+            };
+        });
+    });
+}
+
+// CAP polygons are "lat,lon lat,lon ..." and circles are "lat,lon radiusKm"
+function parseCapArea(areaElement) {
+    const description = getXmlText(areaElement, 'areaDesc');
+    const polygonText = getXmlText(areaElement, 'polygon');
+    const circleText = getXmlText(areaElement, 'circle');
+
+    if (polygonText) {
+        const ring = polygonText.trim().split(/\s+/).map(pair => {
+            const [lat, lon] = pair.split(',').map(Number);
+            return [lon, lat];
+        });
+        const points = ring.slice(0, -1);
+        return {
+            description: description,
+            lat: points.reduce((sum, p) => sum + p[1], 0) / points.length,
+            lon: points.reduce((sum, p) => sum + p[0], 0) / points.length,
+            geometry: { type: 'Polygon', coordinates: [ring] }
+        };
+    }
+
+    if (circleText) {
+        const [center, radius] = circleText.trim().split(/\s+/);
+        const [lat, lon] = center.split(',').map(Number);
+        return {
+            description: description,
+            lat: lat,
+            lon: lon,
+            geometry: { type: 'Point', coordinates: [lon, lat], radiusKm: parseFloat(radius) }
+        };
+    }
+
+    return { description: description, lat: NaN, lon: NaN, geometry: null };
+}
+
+function parseGdacsRss(xmlText, feed) {
+    const doc = parseXml(xmlText);
+    const gdacsTypes = { EQ: 'Earthquake', TC: 'Typhoon', FL: 'Flood', VO: 'Volcano', DR: 'Drought', WF: 'Wildfire', TS: 'Tsunami' };
+    const gdacsLevels = { red: 'high', orange: 'moderate', green: 'low' };
+
+    return Array.from(doc.getElementsByTagName('item')).map(item => {
+        let lat = parseFloat(getXmlText(item, 'lat'));
+        let lon = parseFloat(getXmlText(item, 'long'));
+        const georssPoint = getXmlText(item, 'point');
+        if ((!isFinite(lat) || !isFinite(lon)) && georssPoint) {
+            [lat, lon] = georssPoint.trim().split(/\s+/).map(Number);
+        }
+
+        const eventType = getXmlText(item, 'eventtype');
+        const alertLevel = getXmlText(item, 'alertlevel');
+        const severityElement = item.getElementsByTagNameNS('*', 'severity')[0];
+        const magnitude = eventType === 'EQ' && severityElement
+            ? parseFloat(severityElement.getAttribute('value'))
+            : null;
+
+        return {
+            id: `${feed.id}:${eventType}${getXmlText(item, 'eventid')}`,
+            source: feed.name,
+            type: gdacsTypes[eventType] || 'Other',
+            name: getXmlText(item, 'title'),
+            status: severityElement && (eventType === 'EQ' || eventType === 'TC')
+                ? severityElement.textContent.trim()
+                : `${alertLevel} alert`,
+            severity: gdacsLevels[alertLevel.toLowerCase()] || 'low',
+            magnitude: isFinite(magnitude) ? magnitude : null,
+            location: getXmlText(item, 'country'),
+            lat: lat,
+            lon: lon,
+            depthKm: null,
+            time: new Date(getXmlText(item, 'pubDate')),
+            url: getXmlText(item, 'link') || null,
+            description: getXmlText(item, 'description'),
+            signal: null,
+            area: null
+        };
+    });
+}
+
+function parseXml(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error('Invalid XML');
+    }
+    return doc;
+}
+
+// Text of the first descendant with this local name, ignoring namespaces
+function getXmlText(parent, localName) {
+    const element = parent.getElementsByTagNameNS('*', localName)[0];
+    return element ? element.textContent.trim() : '';
+}
+
+function capSeverityToLevel(severity) {
+    switch (severity) {
+        case 'Extreme':
+        case 'Severe':
+            return 'high';
+        case 'Moderate':
+            return 'moderate';
+        default:
+            return 'low';
+    }
+}
+
+function classifyEventType(text) {
+    const lower = text.toLowerCase();
+    if (lower.includes('volcan')) return 'Volcano';
+    if (lower.includes('earthquake') || lower.includes('seismic')) return 'Earthquake';
+    if (lower.includes('tsunami')) return 'Tsunami';
+    if (lower.includes('flood')) return 'Flood';
+    if (lower.includes('typhoon') || lower.includes('tropical') || lower.includes('cyclone') || lower.includes('storm')) return 'Typhoon';
+    if (lower.includes('landslide')) return 'Landslide';
+    return 'Other';
+}
+
+// =====================================================
+// Map Layers
+// =====================================================
+// One base map at a time from config.tileLayers and the user's custom
+// sources, plus any number of overlays: tile overlays, the hazard zones,
+// typhoon tracks, past events, evacuation centers and 3D buildings. Only
+// tile overlays and the hazard zones have an opacity; the others are drawn
+// as they are. The active layers are kept in the URL as
+//   #layers=<base>,<overlay>[:<opacity %>],...
+const layerState = { base: null, baseLayer: null, overlays: new Map(), tileOverlays: new Map() };
+
+function initializeLayerManager() {
+    initializeLayerControl();
+    applyLayerParam(getUrlParam('layers'));
+}
+
+// Sets the base map and overlays from a `layers` URL value; without one,
+// the default base map with the hazard zones and typhoon tracks
+function applyLayerParam(value) {
+    const fromUrl = parseLayerParam(value);
+    const definitions = getLayerDefinitions();
+    setBaseLayer(fromUrl && definitions[fromUrl.base] ? fromUrl.base : config.defaultBaseLayer);
+
+    const overlays = fromUrl ? fromUrl.overlays : [{ id: 'hazards' }, { id: 'typhoons' }];
+    getOverlayDefinitions().forEach(overlay => {
+        const requested = overlays.find(o => o.id === overlay.id);
+        if (requested || layerState.overlays.has(overlay.id)) {
+            const defaultOpacity = overlay.opacity === null ? null : Math.round(overlay.opacity * 100);
+            const opacity = requested && requested.opacity !== undefined ? requested.opacity : defaultOpacity;
+            setOverlayVisible(overlay.id, Boolean(requested), opacity);
+        }
+    });
+    if (!layerState.overlays.has('hazards')) applyHazardsVisible(false);
+}
+
+// Built-in layers and custom sources, keyed by id
+function getLayerDefinitions() {
+    const definitions = Object.assign({}, config.tileLayers);
+    loadCustomLayers().forEach(layer => {
+        definitions[layer.id] = layer;
+    });
+    return definitions;
+}
+
+// Overlays in display order: tile overlays, then hazards, typhoon tracks,
+// past events, evacuation centers and 3D buildings
+function getOverlayDefinitions() {
+    const definitions = getLayerDefinitions();
+    return Object.keys(definitions)
+        .filter(id => definitions[id].role === 'overlay')
+        .map(id => ({ id, name: definitions[id].name, opacity: definitions[id].opacity || 1, custom: definitions[id].custom }))
+        .concat([
+            { id: 'hazards', name: 'Hazard zones', opacity: 1 },
+            { id: 'typhoons', name: 'Typhoon tracks', opacity: null },
+            { id: 'history', name: 'Past events', opacity: null },
+            { id: 'evacuation', name: 'Evacuation centers', opacity: null },
+            { id: '3d', name: '3D buildings', opacity: null }
+        ]);
+}
+
+function createTileLayer(definition, zIndex) {
+    const options = {
+        attribution: definition.attribution || '',
+        maxZoom: definition.maxZoom || 19,
+        zIndex: zIndex
+    };
+    if (definition.subdomains) options.subdomains = definition.subdomains;
+    if (definition.maxNativeZoom) options.maxNativeZoom = definition.maxNativeZoom;
+
+    if (definition.type === 'wms') {
+        return L.tileLayer.wms(definition.url, Object.assign(options, {
+            layers: definition.layers,
+            format: 'image/png',
+            transparent: definition.role === 'overlay'
+        }));
+    }
+    return L.tileLayer(definition.url, options);
+}
+
+function setBaseLayer(id) {
+    const definition = getLayerDefinitions()[id];
+    if (!definition || definition.role !== 'base') return false;
+    if (id === layerState.base) return true;
+
+    if (layerState.baseLayer) map.removeLayer(layerState.baseLayer);
+    layerState.base = id;
+    layerState.baseLayer = createTileLayer(definition, 0).addTo(map);
+
+    renderLayerControl();
+    updateLayerUrl();
+    return true;
+}
+
+// `opacity` is a percentage; it defaults to the current or configured value
+function setOverlayVisible(id, visible, opacity) {
+    const overlay = getOverlayDefinitions().find(o => o.id === id);
+    if (!overlay) return false;
+
+    if (!visible) {
+        layerState.overlays.delete(id);
+    } else {
+        const current = layerState.overlays.get(id);
+        const percent = opacity !== undefined ? opacity : (current !== undefined ? current : Math.round(overlay.opacity * 100));
+        layerState.overlays.set(id, overlay.opacity === null ? null : Math.max(0, Math.min(100, percent)));
+    }
+
+    if (id === 'hazards') {
+        applyHazardsVisible(visible);
+    } else if (id === 'typhoons') {
+        if (visible) map.addLayer(typhoonLayer); else map.removeLayer(typhoonLayer);
+    } else if (id === 'history') {
+        if (visible) map.addLayer(historyLayer); else map.removeLayer(historyLayer);
+    } else if (id === 'evacuation') {
+        if (visible) map.addLayer(evacuationLayer); else map.removeLayer(evacuationLayer);
+    } else if (id === '3d') {
+        apply3DMode(visible);
+    } else {
+        if (layerState.tileOverlays.has(id)) {
+            map.removeLayer(layerState.tileOverlays.get(id));
+            layerState.tileOverlays.delete(id);
+        }
+        if (visible) {
+            const index = getOverlayDefinitions().findIndex(o => o.id === id);
+            layerState.tileOverlays.set(id, createTileLayer(getLayerDefinitions()[id], 10 + index).addTo(map));
+        }
+    }
+    if (visible) setOverlayOpacity(id, layerState.overlays.get(id));
+
+    renderLayerControl();
+    updateLayerUrl();
+    return true;
+}
+
+function setOverlayOpacity(id, percent) {
+    if (percent === null || !layerState.overlays.has(id)) return;
+    layerState.overlays.set(id, percent);
+
+    if (id === 'hazards') {
+        map.getPane('hazards').style.opacity = percent / 100;
+    } else if (layerState.tileOverlays.has(id)) {
+        layerState.tileOverlays.get(id).setOpacity(percent / 100);
+    }
+}
+
+function applyHazardsVisible(visible) {
+    const legend = document.getElementById('hazardLegend');
+    if (visible) {
+        map.addLayer(hazardLayer);
+        legend.style.display = 'block';
+    } else {
+        map.removeLayer(hazardLayer);
+        legend.style.display = 'none';
+    }
+}
+
+// The OSM Buildings layer is created on first use and then only added to
+// and removed from the map
+function apply3DMode(enabled) {
+    if (enabled) {
+        if (!osmb) {
+            osmb = new OSMBuildings(map).load();
+        } else if (!map.hasLayer(osmb)) {
+            map.addLayer(osmb);
+        }
+    } else if (osmb && map.hasLayer(osmb)) {
+        map.removeLayer(osmb);
+    }
+    is3DMode = enabled;
+    renderMitigation3D();
+}
+
+// The header buttons are shortcuts for the satellite base map, 3D buildings
+// and the hazard overlay
+function toggle3DView() {
+    set3DMode(!is3DMode);
+}
+
+function set3DMode(enabled) {
+    setOverlayVisible('3d', enabled);
+}
+
+function toggleSatellite() {
+    setSatelliteMode(layerState.base !== 'satellite');
+}
+
+function setSatelliteMode(enabled) {
+    setBaseLayer(enabled ? 'satellite' : config.defaultBaseLayer);
+}
+
+function toggleHazards() {
+    setHazardsVisible(!layerState.overlays.has('hazards'));
+}
+
+function setHazardsVisible(visible) {
+    setOverlayVisible('hazards', visible);
+}
+
+function initializeLayerControl() {
+    const LayerControl = L.Control.extend({
+        options: { position: 'topright' },
+        onAdd() {
+            const container = L.DomUtil.create('div', 'layers-control');
+            container.innerHTML = `
+                <button type="button" class="layers-toggle" data-layer-action="toggle" title="Base maps and overlays">⧉ Layers</button>
+                <div class="layers-panel">
+                    <h4>Base map</h4>
+                    <div class="layers-base"></div>
+                    <h4>Overlays</h4>
+                    <div class="layers-overlays"></div>
+                    <h4>Custom sources</h4>
+                    <div class="layers-custom"></div>
+                    <form class="layers-add">
+                        <input type="text" name="name" placeholder="Name" required>
+                        <div class="layers-add-row">
+                            <select name="type">
+                                <option value="xyz">XYZ tiles</option>
+                                <option value="wms">WMS</option>
+                                <option value="wmts">WMTS</option>
+                            </select>
+                            <select name="role">
+                                <option value="overlay">Overlay</option>
+                                <option value="base">Base map</option>
+                            </select>
+                        </div>
+                        <input type="url" name="url" placeholder="https://example.com/tiles/{z}/{x}/{y}.png" required>
+                        <input type="text" name="layers" placeholder="Layer name(s) (WMS, WMTS)">
+                        <input type="text" name="matrixSet" placeholder="Tile matrix set (WMTS, default GoogleMapsCompatible)">
+                        <input type="text" name="attribution" placeholder="Attribution">
+                        <button type="submit">Add source</button>
+                    </form>
+                </div>
+            `;
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            container.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-layer-action]');
+                if (!action) return;
+                if (action.dataset.layerAction === 'toggle') container.classList.toggle('open');
+                if (action.dataset.layerAction === 'remove') removeCustomLayer(action.dataset.layerId);
+            });
+            container.addEventListener('change', (e) => {
+                if (e.target.name === 'base-layer') setBaseLayer(e.target.value);
+                if (e.target.matches('[data-overlay-id]')) setOverlayVisible(e.target.dataset.overlayId, e.target.checked);
+            });
+            container.addEventListener('input', (e) => {
+                if (!e.target.matches('[data-opacity-id]')) return;
+                setOverlayOpacity(e.target.dataset.opacityId, Number(e.target.value));
+                updateLayerUrl();
+            });
+            container.addEventListener('submit', (e) => {
+                e.preventDefault();
+                addCustomLayer(e.target);
+            });
+            return container;
+        }
+    });
+
+    map.addControl(new LayerControl());
+}
+
+function renderLayerControl() {
+    const control = document.querySelector('.layers-control');
+    if (!control) return;
+
+    const definitions = getLayerDefinitions();
+    const removeButton = id => definitions[id].custom
+        ? `<button type="button" class="layers-remove" data-layer-action="remove" data-layer-id="${escapeHtml(id)}" title="Remove this source">×</button>`
+        : '';
+
+    control.querySelector('.layers-base').innerHTML = Object.keys(definitions)
+        .filter(id => definitions[id].role === 'base')
+        .map(id => `
+            <label class="layers-row">
+                <input type="radio" name="base-layer" value="${escapeHtml(id)}" ${id === layerState.base ? 'checked' : ''}>
+                <span>${escapeHtml(definitions[id].name)}</span>
+                ${removeButton(id)}
+            </label>
+        `).join('');
+
+    control.querySelector('.layers-overlays').innerHTML = getOverlayDefinitions().map(overlay => {
+        const visible = layerState.overlays.has(overlay.id);
+        const opacity = visible ? layerState.overlays.get(overlay.id) : Math.round((overlay.opacity || 1) * 100);
+        return `
+            <div class="layers-row">
+                <label>
+                    <input type="checkbox" data-overlay-id="${escapeHtml(overlay.id)}" ${visible ? 'checked' : ''}>
+                    <span>${escapeHtml(overlay.name)}</span>
+                </label>
+                ${overlay.opacity !== null ? `
+                    <input type="range" min="0" max="100" value="${opacity}" data-opacity-id="${escapeHtml(overlay.id)}"
+                        title="Opacity" ${visible ? '' : 'disabled'}>
+                ` : ''}
+                ${overlay.custom ? removeButton(overlay.id) : ''}
+            </div>
+        `;
+    }).join('');
+
+    const customCount = loadCustomLayers().length;
+    control.querySelector('.layers-custom').innerHTML = customCount
+        ? `<p class="layers-note">${customCount} saved in this browser</p>`
+        : '<p class="layers-note">Add an XYZ, WMS or WMTS source below.</p>';
+
+    document.getElementById('toggleSatellite').classList.toggle('active', layerState.base === 'satellite');
+    document.getElementById('toggle3D').classList.toggle('active', layerState.overlays.has('3d'));
+    document.getElementById('toggleHazards').classList.toggle('active', layerState.overlays.has('hazards'));
+}
+
+function updateLayerUrl() {
+    if (layerState.base) setUrlParam('layers', formatLayerParam());
+}
+
+// Base map first, then the overlays. An overlay's opacity is only written
+// when it differs from the layer's default.
+function formatLayerParam() {
+    const defaults = new Map(getOverlayDefinitions().map(o => [o.id, o.opacity === null ? null : Math.round(o.opacity * 100)]));
+    const overlays = Array.from(layerState.overlays.entries())
+        .map(([id, opacity]) => (opacity === defaults.get(id) ? id : `${id}:${opacity}`));
+    return [layerState.base].concat(overlays).join(',');
+}
+
+function parseLayerParam(value) {
+    if (!value) return null;
+    const [base, ...overlays] = value.split(',');
+    return {
+        base: base,
+        overlays: overlays.filter(Boolean).map(item => {
+            const [id, opacity] = item.split(':');
+            return { id, opacity: opacity !== undefined && isNumberParam(opacity) ? Number(opacity) : undefined };
+        })
+    };
+}
+
+// =====================================================
+// Custom Map Sources
+// =====================================================
+// User-added sources are saved in localStorage as
+// { id, name, type, role, url, layers, attribution, custom: true }.
+// XYZ and WMTS sources are stored as tile URL templates; WMS keeps the
+// service URL and layer names.
+function loadCustomLayers() {
+    try {
+        return JSON.parse(localStorage.getItem('geovision.customLayers')) || [];
+    } catch (error) {
+        console.warn('Ignoring unreadable custom map sources:', error);
+        return [];
+    }
+}
+
+function saveCustomLayers(layers) {
+    localStorage.setItem('geovision.customLayers', JSON.stringify(layers));
+}
+
+function addCustomLayer(form) {
+    let layer;
+    try {
+        layer = buildCustomLayer({
+            name: form.elements.name.value,
+            type: form.elements.type.value,
+            role: form.elements.role.value,
+            url: form.elements.url.value,
+            layers: form.elements.layers.value,
+            matrixSet: form.elements.matrixSet.value,
+            attribution: form.elements.attribution.value
+        });
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    saveCustomLayers(loadCustomLayers().concat(layer));
+    form.reset();
+
+    if (layer.role === 'base') setBaseLayer(layer.id);
+    else setOverlayVisible(layer.id, true);
+}
+
+function buildCustomLayer(fields) {
+    const name = fields.name.trim();
+    const url = fields.url.trim();
+    const layerNames = fields.layers.trim();
+    if (!name) throw new Error('Give the source a name.');
+    if (!/^https?:\/\//i.test(url)) throw new Error('The URL must start with http:// or https://.');
+
+    const layer = {
+        id: createId('layer'),
+        name: name,
+        type: fields.type,
+        role: fields.role === 'base' ? 'base' : 'overlay',
+        attribution: escapeHtml(fields.attribution.trim()),
+        custom: true
+    };
+
+    if (fields.type === 'wms') {
+        if (!layerNames) throw new Error('Enter the WMS layer name(s), separated by commas.');
+        layer.url = url;
+        layer.layers = layerNames;
+        return layer;
+    }
+
+    if (fields.type === 'wmts') {
+        // RESTful templates use {TileMatrix}/{TileRow}/{TileCol}; otherwise
+        // build a KVP GetTile request. Both assume a Web Mercator matrix set
+        // whose matrix identifiers are the zoom levels.
+        if (url.includes('{')) {
+            layer.url = url
+                .replace(/\{TileMatrix\}/gi, '{z}')
+                .replace(/\{TileRow\}/gi, '{y}')
+                .replace(/\{TileCol\}/gi, '{x}');
+        } else {
+            if (!layerNames) throw new Error('Enter the WMTS layer name.');
+            const params = new URLSearchParams({
+                SERVICE: 'WMTS',
+                REQUEST: 'GetTile',
+                VERSION: '1.0.0',
+                LAYER: layerNames,
+                STYLE: 'default',
+                TILEMATRIXSET: fields.matrixSet.trim() || 'GoogleMapsCompatible',
+                FORMAT: 'image/png'
+            });
+            layer.url = `${url.split('?')[0]}?${params}&TILEMATRIX={z}&TILEROW={y}&TILECOL={x}`;
+        }
+    } else {
+        layer.type = 'xyz';
+        layer.url = url;
+    }
+
+    if (!['{z}', '{x}', '{y}'].every(placeholder => layer.url.includes(placeholder))) {
+        throw new Error('The tile URL needs {z}, {x} and {y} placeholders.');
+    }
+    return layer;
+}
+
+function removeCustomLayer(id) {
+    const layer = loadCustomLayers().find(l => l.id === id);
+    if (!layer || !confirm(`Remove the map source "${layer.name}"?`)) return;
+
+    if (layerState.base === id) setBaseLayer(config.defaultBaseLayer);
+    if (layerState.overlays.has(id)) setOverlayVisible(id, false);
+    saveCustomLayers(loadCustomLayers().filter(l => l.id !== id));
+    renderLayerControl();
+}
+
+// =====================================================
+// URL State
+// =====================================================
+// The map state is kept in the URL fragment, so the address bar is always a
+// link to what is on screen:
+//   map=<zoom>/<lat>/<lon>                 map view
+//   loc=<lat>,<lon>                        selected location
+//   layers=<base>,<overlay>[:<opacity>]    see Map Layers
+//   area=<shape>:<lat>,<lon>;...           one per drawn area, or
+//   area=buffer:<lat>,<lon>,<radius km>
+//   chat=<session id>                      chat session (stored per browser)
+// Selecting a location adds a history entry, so back and forward step
+// through the selections; every other change replaces the current entry.
+let restoringUrlState = false;
+
+function initializeUrlState() {
+    map.on('moveend', () => setUrlParam('map', formatMapParam()));
+    window.addEventListener('popstate', restoreUrlState);
+    restoreUrlState();
+}
+
+function getUrlParam(name) {
+    return new URLSearchParams(window.location.hash.slice(1)).get(name);
+}
+
+// `value` may be an array for a repeated parameter; a falsy value removes it
+function setUrlParam(name, value, addHistoryEntry = false) {
+    // Restoring a state must not rewrite the entry being restored
+    if (restoringUrlState) return;
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    params.delete(name);
+    [].concat(value || []).forEach(item => params.append(name, item));
+
+    // Coordinates and lists stay readable
+    const hash = params.toString()
+        .replace(/%2C/g, ',')
+        .replace(/%3A/g, ':')
+        .replace(/%3B/g, ';')
+        .replace(/%2F/g, '/');
+    if (`#${hash}` === (window.location.hash || '#')) return;
+
+    const url = hash ? `#${hash}` : window.location.pathname + window.location.search;
+    if (addHistoryEntry) {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(history.state, '', url);
+    }
+}
+
+// Applies the state in the URL: on load, on back/forward and when a link
+// is pasted into the address bar of an open page. Only the parts that
+// differ from the current state are changed.
+function restoreUrlState() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    restoringUrlState = true;
+
+    try {
+        const view = parseMapParam(params.get('map'));
+        if (view && params.get('map') !== formatMapParam()) {
+            map.setView([view.lat, view.lon], view.zoom);
+        }
+
+        if (params.get('layers') !== formatLayerParam()) {
+            applyLayerParam(params.get('layers'));
+        }
+
+        const areas = params.getAll('area');
+        if (areas.join(' ') !== drawnAreas.map(formatAreaParam).join(' ')) {
+            clearDrawnAreas();
+            areas.map(parseAreaParam).filter(Boolean).forEach(area => createDrawnArea(area.shape, area));
+        }
+
+        const chatId = params.get('chat');
+        if (chatId && activeChatSession && chatId !== activeChatSession.id) {
+            switchChatSession(chatId);
+        }
+
+        const location = parseLatLonParam(params.get('loc'));
+        if (location) {
+            if (!currentLocation || formatLatLonParam(currentLocation.lat, currentLocation.lon) !== params.get('loc')) {
+                setSelectionMarker(location.lat, location.lon);
+                loadLocationInfo(location.lat, location.lon);
+            }
+        } else if (currentLocation) {
+            // Back past the first selection
+            if (selectionMarker) map.removeLayer(selectionMarker);
+            selectionMarker = null;
+            currentLocation = null;
+            clearEvacuationRoutes();
+            document.getElementById('infoPanel').style.display = 'none';
+        }
+    } finally {
+        restoringUrlState = false;
+    }
+}
+
+// isFinite('') is true, so an empty value would read as 0
+function isNumberParam(value) {
+    return value !== '' && isFinite(value);
+}
+
+function formatMapParam() {
+    const center = map.getCenter();
+    return `${map.getZoom()}/${center.lat.toFixed(5)}/${center.lng.toFixed(5)}`;
+}
+
+function parseMapParam(value) {
+    const parts = (value || '').split('/');
+    if (parts.length !== 3 || !parts.every(isNumberParam)) return null;
+    const [zoom, lat, lon] = parts.map(Number);
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return { zoom, lat, lon };
+}
+
+function formatLatLonParam(lat, lon) {
+    return `${lat.toFixed(5)},${lon.toFixed(5)}`;
+}
+
+function parseLatLonParam(value) {
+    const parts = (value || '').split(',');
+    if (parts.length !== 2 || !parts.every(isNumberParam)) return null;
+    const [lat, lon] = parts.map(Number);
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return { lat, lon };
+}
+
+function updateAreaUrl() {
+    setUrlParam('area', drawnAreas.map(formatAreaParam));
+}
+
+function formatAreaParam(area) {
+    if (area.shape === 'buffer') {
+        return `buffer:${formatLatLonParam(area.center.lat, area.center.lon)},${area.radiusKm.toFixed(3)}`;
+    }
+    // The stored ring is closed; the link lists each vertex once
+    const ring = area.geometry.coordinates[0].slice(0, -1);
+    return `${area.shape}:${ring.map(([lon, lat]) => formatLatLonParam(lat, lon)).join(';')}`;
+}
+
+// The createDrawnArea() arguments for an `area` value, or null
+function parseAreaParam(value) {
+    const match = value.match(/^(polygon|rectangle|buffer):(.+)$/);
+    if (!match) return null;
+
+    if (match[1] === 'buffer') {
+        const parts = match[2].split(',');
+        const center = parseLatLonParam(parts.slice(0, 2).join(','));
+        const radiusKm = Number(parts[2]);
+        if (parts.length !== 3 || !center || !(radiusKm > 0)) return null;
+        return { shape: 'buffer', center: center, radiusKm: radiusKm };
+    }
+
+    const points = match[2].split(';').map(parseLatLonParam);
+    if (points.length < 3 || points.some(point => !point)) return null;
+    return { shape: match[1], ring: points.map(point => [point.lon, point.lat]) };
+}
+
+async function copyLocationLink() {
+    const button = document.querySelector('[data-action="copy-link"]');
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        if (button) button.textContent = '✓ Link copied';
+    } catch (error) {
+        // Clipboard access can be refused; the address bar has the same link
+        console.warn('Could not copy the link:', error);
+        prompt('Copy this link:', window.location.href);
+    }
+}
+
+// =====================================================
+// Chat Functionality
+// =====================================================
+async function sendChatMessage(isModal = false) {
+    const inputId = isModal ? 'modalChatInput' : 'chatInput';
+    
+    const input = document.getElementById(inputId);
+    const message = input.value.trim();
+    
+    if (!message) return;
+
+    // Add user message to chat
+    addChatMessage('user', message);
+    input.value = '';
+
+    await respondToChat(message);
+}
+
+// Streams the AI response into a new message
+async function respondToChat(userMessage, extras = {}) {
+    const reply = createStreamingMessage();
+    let streamedText = '';
+    let aiResponse;
+
+    try {
+        aiResponse = await generateAIResponse(
+            userMessage,
+            text => {
+                streamedText = text;
+                reply.update(text);
+            },
+            (action, result) => reply.addStep(action, result),
+            extras
+        );
+    } catch (error) {
+        // Keep whatever arrived before the failure
+        console.error('Error answering chat message:', error);
+        aiResponse = {
+            text: streamedText || 'Sorry, I could not answer that.',
+            note: `No answer could be generated (${error.message}).`
+        };
+    }
+    reply.finish(aiResponse.text, aiResponse.note);
+}
+
+// =====================================================
+// Chat Store
+// =====================================================
+// `chatMessages` is the active session's message list. Every message is
+// rendered into both the sidebar and the full-screen chat, and the session is
+// saved to IndexedDB after each change. A message looks like
+// { id, type, content, time, location, image, actions, note }.
+const chatViewIds = ['chatMessages', 'modalChatMessages'];
+const chatMessageViews = new Map();
+let chatWelcomeMarkup = '';
+
+function addChatMessage(type, content, extras = {}) {
+    const message = Object.assign({
+        id: createId('msg'),
+        type: type,
+        content: content,
+        time: new Date().toISOString(),
+        location: snapshotCurrentLocation(),
+        actions: []
+    }, extras);
+
+    chatMessages.push(message);
+    renderChatMessage(message);
+    saveActiveChatSession();
+    return message;
+}
+
+// Adds an AI message that fills in as the provider streams its reply. The
+// reply belongs to the session active when it started, even if the user
+// switches sessions before it finishes.
+function createStreamingMessage() {
+    const session = activeChatSession;
+    const message = {
+        id: createId('msg'),
+        type: 'ai',
+        content: '',
+        time: new Date().toISOString(),
+        location: null,
+        actions: [],
+        streaming: true
+    };
+
+    chatMessages.push(message);
+    renderChatMessage(message);
+
+    return {
+        addStep(action, result) {
+            message.actions.push({ name: action.name, input: action.input, error: result && result.error ? result.error : null });
+            updateChatMessageViews(message);
+        },
+        update(text) {
+            message.content = text;
+            updateChatMessageViews(message);
+        },
+        finish(text, note) {
+            message.content = text;
+            message.note = note || null;
+            // Map actions may have moved the selection while answering
+            message.location = snapshotCurrentLocation();
+            delete message.streaming;
+            updateChatMessageViews(message);
+            saveChatSession(session);
+        }
+    };
+}
+
+function updateChatMessage(message, changes) {
+    Object.assign(message, changes);
+    updateChatMessageViews(message);
+    saveActiveChatSession();
+}
+
+function snapshotCurrentLocation() {
+    if (!currentLocation) return null;
+    return { lat: currentLocation.lat, lon: currentLocation.lon, placeName: currentLocation.placeName || null };
+}
+
+function renderChatMessage(message) {
+    const elements = chatViewIds.map(viewId => {
+        const container = document.getElementById(viewId);
+        const messageDiv = document.createElement('div');
+        messageDiv.className = message.type === 'ai' ? 'ai-message' : 'user-message';
+        messageDiv.innerHTML = `
+            <div class="message-avatar">${message.type === 'ai' ? 'AI' : 'U'}</div>
+            <div class="message-content"></div>
+        `;
+        fillChatMessageContent(messageDiv.querySelector('.message-content'), message);
+
+        container.appendChild(messageDiv);
+        container.scrollTop = container.scrollHeight;
+        return messageDiv;
+    });
+
+    chatMessageViews.set(message.id, elements);
+}
+
+function updateChatMessageViews(message) {
+    const elements = chatMessageViews.get(message.id) || [];
+    elements.forEach(messageDiv => {
+        fillChatMessageContent(messageDiv.querySelector('.message-content'), message);
+        const container = messageDiv.parentElement;
+        if (container) container.scrollTop = container.scrollHeight;
+    });
+}
+
+function fillChatMessageContent(contentDiv, message) {
+    contentDiv.innerHTML = '';
+
+    if (message.image) {
+        const image = document.createElement('img');
+        image.className = 'message-image';
+        image.alt = 'Uploaded image';
+        image.src = `data:${message.image.mediaType};base64,${message.image.data}`;
+        contentDiv.appendChild(image);
+    }
+
+    if (message.actions && message.actions.length) {
+        const steps = document.createElement('div');
+        steps.className = 'chat-steps';
+        message.actions.forEach(action => steps.appendChild(createChatStep(action)));
+        contentDiv.appendChild(steps);
+    }
+
+    const body = document.createElement('div');
+    body.className = 'markdown';
+    body.innerHTML = renderMarkdown(message.content);
+    if (message.streaming) body.classList.add('streaming');
+    contentDiv.appendChild(body);
+
+    if (message.note) {
+        const note = document.createElement('p');
+        note.className = 'message-note';
+        note.textContent = message.note;
+        contentDiv.appendChild(note);
+    }
+
+    if (message.type === 'ai' && !message.streaming) {
+        const pin = document.createElement('button');
+        pin.type = 'button';
+        pin.className = 'message-pin' + (message.inReport ? ' active' : '');
+        pin.textContent = '📌';
+        pin.title = message.inReport ? 'Remove from site reports' : 'Include in site reports';
+        pin.addEventListener('click', () => updateChatMessage(message, { inReport: !message.inReport }));
+        contentDiv.appendChild(pin);
+    }
+
+    if (message.location && !message.streaming) {
+        const { lat, lon, placeName } = message.location;
+        const locationButton = document.createElement('button');
+        locationButton.type = 'button';
+        locationButton.className = 'message-location';
+        locationButton.textContent = `📍 ${placeName ? placeName.split(',')[0] : formatCoordinates(lat, lon)}`;
+        locationButton.title = `${placeName || ''} ${formatCoordinates(lat, lon)}`.trim();
+        locationButton.addEventListener('click', () => {
+            map.setView([lat, lon], Math.max(map.getZoom(), 13));
+            loadLocationInfo(lat, lon, placeName);
+        });
+        contentDiv.appendChild(locationButton);
+    }
+}
+
+// A map action the assistant ran. Clicking it runs the action again.
+function createChatStep(action) {
+    const step = document.createElement('button');
+    step.type = 'button';
+    step.className = 'chat-step' + (action.error ? ' failed' : '');
+    step.textContent = describeMapAction(action);
+    step.title = action.error ? action.error : 'Click to replay';
+    step.addEventListener('click', () => executeMapAction(action));
+    return step;
+}
+
+// =====================================================
+// Chat Sessions
+// =====================================================
+async function initializeChatStore() {
+    // Keep the welcome message from the page markup at the top of every session
+    chatWelcomeMarkup = document.getElementById('chatMessages').innerHTML;
+    initializeChatSessionBars();
+
+    try {
+        chatSessions = await dbGetAll('chatSessions');
+        chatSessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    } catch (error) {
+        console.warn('Saved chat sessions unavailable:', error);
+        chatSessions = [];
+    }
+
+    // A link may name the session to open
+    const linked = chatSessions.find(s => s.id === getUrlParam('chat'));
+    if (linked || chatSessions.length) {
+        switchChatSession((linked || chatSessions[0]).id);
+    } else {
+        startNewChatSession();
+    }
+}
+
+// New sessions are only saved once they have a message
+function startNewChatSession() {
+    const now = new Date().toISOString();
+    const session = { id: createId('session'), title: 'New session', createdAt: now, updatedAt: now, messages: [] };
+
+    chatSessions.unshift(session);
+    switchChatSession(session.id);
+}
+
+function switchChatSession(id) {
+    const session = chatSessions.find(s => s.id === id);
+    if (!session) return;
+
+    activeChatSession = session;
+    chatMessages = session.messages;
+    setUrlParam('chat', session.id);
+
+    chatMessageViews.clear();
+    chatViewIds.forEach(viewId => {
+        document.getElementById(viewId).innerHTML = chatWelcomeMarkup;
+    });
+    chatMessages.forEach(renderChatMessage);
+
+    renderChatSessionBars();
+}
+
+function saveActiveChatSession() {
+    return saveChatSession(activeChatSession);
+}
+
+// Sessions deleted in the meantime are not saved again
+async function saveChatSession(session) {
+    if (!session || !session.messages.length || !chatSessions.includes(session)) return;
+
+    session.updatedAt = new Date().toISOString();
+    const firstUserMessage = session.messages.find(m => m.type === 'user');
+    if (firstUserMessage) {
+        session.title = truncateText(firstUserMessage.content, 48);
+    }
+    renderChatSessionBars();
+
+    try {
+        await dbPut('chatSessions', serializeChatSession(session));
+    } catch (error) {
+        console.warn('Could not save chat session:', error);
+    }
+}
+
+async function deleteActiveChatSession() {
+    const session = activeChatSession;
+    if (!session || !confirm(`Delete the chat session "${session.title}"?`)) return;
+
+    chatSessions = chatSessions.filter(s => s !== session);
+    try {
+        await dbDelete('chatSessions', session.id);
+    } catch (error) {
+        console.warn('Could not delete chat session:', error);
+    }
+
+    if (chatSessions.length) {
+        switchChatSession(chatSessions[0].id);
+    } else {
+        startNewChatSession();
+    }
+}
+
+// Messages still streaming are left out
+function serializeChatSession(session) {
+    return {
+        id: session.id,
+        title: session.title,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        messages: session.messages.filter(m => !m.streaming).map(m => Object.assign({}, m))
+    };
+}
 
-    // Simulate loading active disasters
-    // In production, this would fetch from PHIVOLCS, PAGASA APIs
-    setTimeout(() => {
-        const hazards = [
-            {
-                type: 'Volcano',
-                name: 'Mayon Volcano',
-                status: 'Alert Level 2',
-                location: 'Albay',
-                distance: '245 km',
-                magnitude: 'N/A',
-                updated: 'Feb 6, 2026 10:30 AM'
-            },
-            {
-                type: 'Earthquake',
-                name: 'Recent Seismic Activity',
-                status: 'Magnitude 4.2',
-                location: 'Mindoro',
-                distance: '180 km',
-                magnitude: '4.2',
-                updated: 'Feb 6, 2026 08:15 AM'
-            },
-            {
-                type: 'Typhoon',
-                name: 'Tropical Depression',
-                status: 'Signal No. 1',
-                location: 'Eastern Visayas',
-                distance: '320 km',
-                magnitude: 'N/A',
-                updated: 'Feb 6, 2026 06:00 AM'
-            }
-        ];
-
-        disasterList.innerHTML = hazards.map(hazard => `
-            <div class="disaster-item">
-                <div class="disaster-header">
-                    <div class="disaster-title">${hazard.name}</div>
-                    <div class="disaster-badge" style="background-color: rgba(217, 83, 79, 0.2); color: #d9534f; border: 1px solid #d9534f;">
-                        ${hazard.type}
-                    </div>
-                </div>
-                <div class="disaster-info">
-                    <p><strong>Status:</strong> ${hazard.status}</p>
-                    <p><strong>Location:</strong> ${hazard.location}</p>
-                    <p><strong>Distance:</strong> ${hazard.distance}</p>
-                    ${hazard.magnitude !== 'N/A' ? `<p><strong>Magnitude:</strong> ${hazard.magnitude}</p>` : ''}
-                    <p><strong>Updated:</strong> ${hazard.updated}</p>
-                </div>
-            </div>
+function initializeChatSessionBars() {
+    const containers = [
+        document.querySelector('#aiChatPanel .panel-header'),
+        document.querySelector('#aiModal .modal-header')
+    ];
+
+    containers.forEach(header => {
+        const bar = document.createElement('div');
+        bar.className = 'chat-session-bar';
+        bar.innerHTML = `
+            <select class="chat-session-select" title="Chat sessions"></select>
+            <button type="button" data-chat-action="new" title="New session">+</button>
+            <button type="button" data-chat-action="export-md" title="Export as Markdown">MD</button>
+            <button type="button" data-chat-action="export-json" title="Export as JSON">JSON</button>
+            <button type="button" data-chat-action="delete" title="Delete session">✕</button>
+        `;
+        header.after(bar);
+
+        bar.querySelector('select').addEventListener('change', e => switchChatSession(e.target.value));
+        bar.addEventListener('click', e => {
+            const button = e.target.closest('[data-chat-action]');
+            if (!button) return;
+
+            switch (button.dataset.chatAction) {
+                case 'new': startNewChatSession(); break;
+                case 'export-md': exportChatSession('markdown'); break;
+                case 'export-json': exportChatSession('json'); break;
+                case 'delete': deleteActiveChatSession(); break;
+            }
+        });
+    });
+}
+
+function renderChatSessionBars() {
+    document.querySelectorAll('.chat-session-select').forEach(select => {
+        select.innerHTML = chatSessions.map(session => `
+            <option value="${escapeHtml(session.id)}" ${session === activeChatSession ? 'selected' : ''}>
+                ${escapeHtml(session.title)} (${formatEventTime(new Date(session.updatedAt))})
+            </option>
         `).join('');
-    }, 1000);
+    });
 }
 
 // =====================================================
-// 3D View Toggle
+// Chat Export
 // =====================================================
-function toggle3DView() {
-    const btn = document.getElementById('toggle3D');
-    
-    if (!is3DMode) {
-        // Enable 3D mode
-        if (!osmb) {
-            osmb = new OSMBuildings(map).load();
-        }
-        btn.classList.add('active');
-        is3DMode = true;
+function exportChatSession(format) {
+    const session = serializeChatSession(activeChatSession);
+    const fileName = `geovision-chat-${session.createdAt.slice(0, 10)}-${slugify(session.title)}`;
+
+    if (format === 'json') {
+        const data = { format: 'geovision-chat-session', version: 1, exportedAt: new Date().toISOString(), session: session };
+        downloadFile(`${fileName}.json`, JSON.stringify(data, null, 2), 'application/json');
     } else {
-        // Disable 3D mode
-        if (osmb) {
-            map.removeLayer(osmb);
-            osmb = null;
+        downloadFile(`${fileName}.md`, chatSessionToMarkdown(session), 'text/markdown');
+    }
+}
+
+function chatSessionToMarkdown(session) {
+    const lines = [
+        `# ${session.title}`,
+        '',
+        `Exported from GeoVision on ${formatEventTime(new Date())}. Session started ${formatEventTime(new Date(session.createdAt))}.`,
+        ''
+    ];
+
+    session.messages.forEach(message => {
+        lines.push(`## ${message.type === 'ai' ? 'AI VISION' : 'You'} · ${formatEventTime(new Date(message.time))}`, '');
+
+        if (message.image) {
+            lines.push(`![Attached image](data:${message.image.mediaType};base64,${message.image.data})`, '');
+        }
+        if (message.actions && message.actions.length) {
+            lines.push(`Map actions: ${message.actions.map(describeMapAction).join(' → ')}`, '');
         }
-        btn.classList.remove('active');
-        is3DMode = false;
+
+        lines.push(message.content, '');
+
+        if (message.note) {
+            lines.push(`> ${message.note}`, '');
+        }
+        if (message.location) {
+            const { lat, lon, placeName } = message.location;
+            const link = `https://www.openstreetmap.org/?mlat=${lat.toFixed(5)}&mlon=${lon.toFixed(5)}#map=14/${lat.toFixed(5)}/${lon.toFixed(5)}`;
+            lines.push(`📍 Location: ${placeName ? `${placeName} ` : ''}([${formatCoordinates(lat, lon)}](${link}))`, '');
+        }
+    });
+
+    return lines.join('\n');
+}
+
+function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// =====================================================
+// Local Database
+// =====================================================
+// Object stores in the IndexedDB database. Bump config.database.version
+// when adding one so existing databases are upgraded.
+const databaseStores = {
+    chatSessions: { keyPath: 'id' },
+    sites: { keyPath: 'id' },
+    watches: { keyPath: 'id' },
+    alerts: { keyPath: 'id' }
+};
+let databasePromise = null;
+
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(config.database.name, config.database.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.keys(databaseStores).forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, databaseStores[name]);
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
+    return databasePromise;
+}
+
+async function dbRequest(storeName, mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function dbGetAll(storeName) {
+    return dbRequest(storeName, 'readonly', store => store.getAll());
+}
+
+function dbPut(storeName, value) {
+    return dbRequest(storeName, 'readwrite', store => store.put(value));
+}
+
+function dbDelete(storeName, key) {
+    return dbRequest(storeName, 'readwrite', store => store.delete(key));
 }
 
 // =====================================================
-// Satellite Toggle
+// Generate AI Response
 // =====================================================
-let satelliteLayer = null;
-function toggleSatellite() {
-    const btn = document.getElementById('toggleSatellite');
-    
-    if (!satelliteLayer) {
-        // Add satellite layer
-        satelliteLayer = L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
-            attribution: 'Tiles &copy; Esri'
-        }).addTo(map);
-        btn.classList.add('active');
-    } else {
-        // Remove satellite layer
-        map.removeLayer(satelliteLayer);
-        satelliteLayer = null;
-        btn.classList.remove('active');
+// Sends the chat history and location context to the selected provider.
+// `onDelta` receives the reply so far each time more text arrives and
+// `onStep` each map action the provider runs. `extras` is merged into the
+// provider request (e.g. `photo` for an uploaded image). Falls back to the
+// offline provider if the selected one fails before running any map action.
+async function generateAIResponse(userMessage, onDelta = () => {}, onStep = () => {}, extras = {}) {
+    const settings = getChatSettings();
+    const provider = chatProviders[settings.provider] || chatProviders.offline;
+    const actions = [];
+    let streamedText = '';
+
+    const request = Object.assign({
+        messages: buildProviderMessages(),
+        context: await buildChatContext(),
+        settings: settings,
+        tools: getMapToolDefinitions(),
+        onDelta: text => {
+            streamedText = text;
+            onDelta(text);
+        },
+        runTool: async (name, input) => {
+            const action = { name: name, input: input || {} };
+            const result = await executeMapAction(action);
+            actions.push(action);
+            onStep(action, result);
+            return result;
+        }
+    }, extras);
+
+    try {
+        const text = await provider.send(request);
+        return { text: text, provider: provider.name, actions: actions };
+    } catch (error) {
+        if (provider === chatProviders.offline) throw error;
+
+        console.error(`Chat provider "${provider.name}" failed:`, error);
+
+        // The offline assistant would run the message's map actions again
+        if (actions.length) {
+            return {
+                text: streamedText || 'Sorry, I could not finish that answer.',
+                provider: provider.name,
+                actions: actions,
+                note: `${provider.name} failed after running map actions (${error.message}).`
+            };
+        }
+
+        const text = await chatProviders.offline.send(request);
+        return {
+            text: text,
+            provider: chatProviders.offline.name,
+            actions: actions,
+            note: `${provider.name} unavailable (${error.message}). Showing an offline answer.`
+        };
     }
 }
 
 // =====================================================
-// Hazards Toggle
+// Chat Providers
 // =====================================================
-function toggleHazards() {
-    const btn = document.getElementById('toggleHazards');
-    const legend = document.getElementById('hazardLegend');
-    
-    if (map.hasLayer(hazardLayer)) {
-        map.removeLayer(hazardLayer);
-        btn.classList.remove('active');
-        legend.style.display = 'none';
-    } else {
-        map.addLayer(hazardLayer);
-        btn.classList.add('active');
-        legend.style.display = 'block';
+// A provider exposes `name` and
+// `send({ messages, context, settings, tools, onDelta, runTool })`, which
+// resolves to the full reply text. Providers run map actions through
+// `runTool(name, input)`; `tools` describes them in Messages API format.
+const chatProviders = {
+    anthropic: {
+        name: 'Claude',
+        send(request) {
+            if (!request.settings.apiKey) {
+                throw new Error('no API key set');
+            }
+            return streamMessagesApi(config.apiEndpoint, {
+                'x-api-key': request.settings.apiKey,
+                'anthropic-version': '2023-06-01',
+                'anthropic-dangerous-direct-browser-access': 'true'
+            }, request);
+        }
+    },
+    mock: {
+        name: 'Local mock server',
+        send(request) {
+            return streamMessagesApi(request.settings.mockEndpoint || config.chat.mockEndpoint, {}, request);
+        }
+    },
+    offline: {
+        name: 'Offline assistant',
+        async send(request) {
+            const lastUserMessage = [...request.messages].reverse().find(m => m.role === 'user');
+            const message = lastUserMessage ? getMessageText(lastUserMessage.content) : '';
+
+            if (request.photo) {
+                const text = generateOfflinePhotoResponse(request.photo, request.context);
+                request.onDelta(text);
+                return text;
+            }
+
+            const plan = planOfflineMapActions(message);
+            const text = plan
+                ? await runOfflineMapPlan(plan, request)
+                : await generateOfflineResponse(message);
+
+            request.onDelta(text);
+            return text;
+        }
+    }
+};
+
+// Streams a reply from an endpoint that speaks the Anthropic Messages API
+// with server-sent events. Tool calls are run through `request.runTool` and
+// their results sent back until the model finishes its answer.
+async function streamMessagesApi(endpoint, headers, request) {
+    const messages = request.messages.slice();
+    let text = '';
+
+    for (let turn = 0; turn < config.chat.maxToolTurns; turn++) {
+        const reply = await requestMessagesTurn(endpoint, headers, request, messages, delta => {
+            text += delta;
+            request.onDelta(text);
+        });
+
+        const toolUses = reply.content.filter(block => block.type === 'tool_use');
+        if (reply.stopReason !== 'tool_use' || !toolUses.length) break;
+
+        const results = [];
+        for (const toolUse of toolUses) {
+            const result = await request.runTool(toolUse.name, toolUse.input);
+            results.push({
+                type: 'tool_result',
+                tool_use_id: toolUse.id,
+                content: JSON.stringify(result),
+                is_error: Boolean(result && result.error)
+            });
+        }
+
+        messages.push({ role: 'assistant', content: reply.content });
+        messages.push({ role: 'user', content: results });
+
+        if (text && !text.endsWith('\n')) {
+            text += '\n\n';
+        }
+    }
+
+    return text;
+}
+
+async function requestMessagesTurn(endpoint, headers, request, messages, onText) {
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+        body: JSON.stringify({
+            model: request.settings.model || config.chat.model,
+            max_tokens: config.chat.maxTokens,
+            system: buildSystemPrompt(request.context),
+            messages: messages,
+            tools: request.tools,
+            stream: true
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const blocks = [];
+    const partialInputs = [];
+    let stopReason = null;
+    let buffer = '';
+
+    const handleEvent = data => {
+        switch (data.type) {
+            case 'error':
+                throw new Error(data.error.message);
+            case 'content_block_start':
+                blocks[data.index] = Object.assign({}, data.content_block);
+                partialInputs[data.index] = '';
+                break;
+            case 'content_block_delta':
+                if (data.delta.type === 'text_delta') {
+                    blocks[data.index].text += data.delta.text;
+                    onText(data.delta.text);
+                } else if (data.delta.type === 'input_json_delta') {
+                    partialInputs[data.index] += data.delta.partial_json;
+                }
+                break;
+            case 'content_block_stop':
+                if (blocks[data.index].type === 'tool_use') {
+                    blocks[data.index].input = JSON.parse(partialInputs[data.index] || '{}');
+                }
+                break;
+            case 'message_delta':
+                stopReason = data.delta.stop_reason;
+                break;
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        events.forEach(event => {
+            const dataLine = event.split('\n').find(line => line.startsWith('data:'));
+            if (dataLine) handleEvent(JSON.parse(dataLine.slice(5)));
+        });
+    }
+
+    return { content: blocks.filter(Boolean), stopReason: stopReason };
+}
+
+// The Messages API expects alternating user/assistant turns starting with the
+// user. Messages with an image attachment become image + text content blocks.
+function buildProviderMessages() {
+    const messages = [];
+
+    chatMessages.forEach(message => {
+        if (!message.content) return;
+
+        const role = message.type === 'ai' ? 'assistant' : 'user';
+        const previous = messages[messages.length - 1];
+        let content = message.content;
+
+        if (message.image) {
+            content = [
+                { type: 'image', source: { type: 'base64', media_type: message.image.mediaType, data: message.image.data } },
+                { type: 'text', text: message.content }
+            ];
+        }
+
+        if (!previous && role === 'assistant') return;
+        if (previous && previous.role === role) {
+            previous.content = mergeMessageContent(previous.content, content);
+        } else {
+            messages.push({ role: role, content: content });
+        }
+    });
+
+    return messages;
+}
+
+function mergeMessageContent(first, second) {
+    if (typeof first === 'string' && typeof second === 'string') {
+        return `${first}\n\n${second}`;
+    }
+
+    const toBlocks = content => typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+    return toBlocks(first).concat(toBlocks(second));
+}
+
+function getMessageText(content) {
+    if (typeof content === 'string') return content;
+    return content.filter(block => block.type === 'text').map(block => block.text).join('\n\n');
+}
+
+async function buildChatContext() {
+    await Promise.all([hazardDataReady, scoringProfilesReady, exposureDataReady, typhoonDataReady, historyDataReady, evacuationDataReady, mitigationCatalogReady]);
+
+    const context = {
+        currentLocation: null,
+        hazards: [],
+        exposure: null,
+        resilience: null,
+        evacuation: null,
+        pastEvents: null,
+        drawnArea: currentArea && currentArea.report ? summarizeAreaReport(currentArea.report) : null,
+        activeEvents: activeEvents.slice(0, 10).map(event => ({
+            type: event.type,
+            name: event.name,
+            status: event.status,
+            location: event.location,
+            lat: event.lat,
+            lon: event.lon,
+            time: event.time.toISOString(),
+            distanceKm: event.distanceKm !== null ? Math.round(event.distanceKm) : null
+        })),
+        typhoons: getActiveTyphoons().map(storm => summarizeTyphoon(storm, getReferenceLocation())),
+        floodScenario: summarizeFloodScenario(getReferenceLocation()),
+        mitigationPlan: summarizeMitigationPlan(getReferenceLocation()),
+        volcanoes: getRelevantVolcanoes(getReferenceLocation()).map(volcano => summarizeVolcano(volcano, getReferenceLocation()))
+    };
+
+    if (currentLocation) {
+        const { lat, lon, placeName } = currentLocation;
+        const hazards = identifyHazards(lat, lon);
+        const exposure = computeExposure(lat, lon);
+        const resilience = calculateResilience(lat, lon, Object.assign({}, currentLocation.resilienceInputs, { hazards: hazards }, getExposureInputs(exposure)));
+
+        context.currentLocation = { lat: lat, lon: lon, placeName: placeName };
+        context.exposure = summarizeExposure(exposure);
+        context.hazards = hazards.map(hazard => ({
+            name: hazard.name,
+            level: hazard.level,
+            evidence: hazard.evidence,
+            distanceKm: Math.round(hazard.distanceKm * 10) / 10
+        }));
+        context.resilience = {
+            score: resilience.score,
+            maxScore: resilience.maxScore,
+            profile: resilience.profile.name,
+            breakdown: resilience.breakdown.map(item => ({ label: item.label, detail: item.detail, points: item.points }))
+        };
+        context.evacuation = summarizeEvacuation(findEvacuationRoutes(lat, lon));
+        context.pastEvents = summarizePastEvents(lat, lon);
     }
+
+    return context;
+}
+
+function buildSystemPrompt(context) {
+    return [
+        'You are AI VISION, the spatial analysis assistant of GeoVision, a disaster resilience mapping platform for the Philippines.',
+        'Answer questions about locations, hazards, resilience and active disasters using the location context below.',
+        'Cite the hazard evidence and distances it contains, and say so when the context does not cover a question.',
+        'When drawnArea is set, the user has drawn an area on the map and questions about "this area" refer to it.',
+        'typhoons lists tropical cyclones from the track data with their closest forecast approach to the selected location.',
+        'volcanoes lists the nearest and any restive volcanoes from the PHIVOLCS registry with their alert levels and danger zones.',
+        'mitigationPlan lists the interventions the user has placed with the planner, their costs and the resilience score at the selected location before and after them; suggest interventions from the planner catalog when asked how to improve resilience.',
+        'floodScenario is the flood scenario last simulated on the elevation model, if any, with the water depth at the selected location.',
+        'pastEvents summarizes the historical event catalog within radiusKm of the selected location: counts by type since the catalog starts, the largest and most recent events and average yearly rates. Present rates as long-term averages, not forecasts.',
+        'evacuation lists the quickest road routes from the selected location to evacuation centers outside high-hazard zones, with travel times and capacities; it is null where the road data does not reach.',
+        'Use the map tools when the user asks to see, find, compare or focus on places or layers, then describe what you did.',
+        'Format answers in Markdown.',
+        '',
+        'Location context (JSON):',
+        JSON.stringify(context, null, 2)
+    ].join('\n');
 }
 
 // =====================================================
-// Chat Functionality
+// Map Tools
 // =====================================================
-async function sendChatMessage(isModal = false) {
-    const inputId = isModal ? 'modalChatInput' : 'chatInput';
-    const messagesId = isModal ? 'modalChatMessages' : 'chatMessages';
-    
-    const input = document.getElementById(inputId);
-    const message = input.value.trim();
-    
-    if (!message) return;
+// Actions the assistant can run on the map. Each has a Messages API schema,
+// a short label for the chat step and a `run` function returning a result
+// object for the model (or `{ error }`).
+const mapTools = {
+    search_place: {
+        description: 'Geocode a place name, fly the map to it and drop a marker. Returns the coordinates and the hazards identified there.',
+        input_schema: {
+            type: 'object',
+            properties: { query: { type: 'string', description: 'Place name, e.g. "Tacloban City"' } },
+            required: ['query']
+        },
+        label: input => `Find ${input.query}`,
+        async run(input) {
+            const location = await geocodePlace(input.query);
+            if (!location) return { error: `No results for "${input.query}"` };
 
-    // Add user message to chat
-    addChatMessage('user', message, isModal);
-    input.value = '';
+            map.flyTo([location.lat, location.lon], 12);
+            addMarker(location.lat, location.lon, location.displayName);
+            return Object.assign({ placeName: location.displayName }, await summarizeLocation(location.lat, location.lon));
+        }
+    },
+    fly_to: {
+        description: 'Fly the map to coordinates.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                lat: { type: 'number' },
+                lon: { type: 'number' },
+                zoom: { type: 'integer', minimum: 3, maximum: 18 }
+            },
+            required: ['lat', 'lon']
+        },
+        label: input => `Fly to ${formatCoordinates(input.lat, input.lon)}`,
+        run(input) {
+            map.flyTo([input.lat, input.lon], input.zoom || 12);
+            return { ok: true };
+        }
+    },
+    fit_view: {
+        description: 'Fit the map view around several points, e.g. places being compared.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                points: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: { lat: { type: 'number' }, lon: { type: 'number' } },
+                        required: ['lat', 'lon']
+                    }
+                }
+            },
+            required: ['points']
+        },
+        label: input => `Show ${input.points.length} places`,
+        run(input) {
+            if (!input.points.length) return { error: 'No points given' };
+            map.flyToBounds(L.latLngBounds(input.points.map(p => [p.lat, p.lon])), { padding: [60, 60], maxZoom: 12 });
+            return { ok: true };
+        }
+    },
+    add_marker: {
+        description: 'Drop a marker with an optional label.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                lat: { type: 'number' },
+                lon: { type: 'number' },
+                label: { type: 'string' }
+            },
+            required: ['lat', 'lon']
+        },
+        label: input => `Mark ${input.label || formatCoordinates(input.lat, input.lon)}`,
+        run(input) {
+            addMarker(input.lat, input.lon, input.label).openPopup();
+            return { ok: true };
+        }
+    },
+    set_map_layer: {
+        description: 'Show or hide a map layer: a base map (street, satellite imagery, terrain), a tile overlay such as hillshade or place labels, the hazard overlay, typhoon tracks and forecast cones, past events from the historical catalog, evacuation centers, or 3D buildings. Hiding a base map returns to the street map.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                layer: { type: 'string', enum: Object.keys(config.tileLayers).concat(['hazards', 'typhoons', 'history', 'evacuation', '3d']) },
+                visible: { type: 'boolean' }
+            },
+            required: ['layer', 'visible']
+        },
+        label: input => {
+            const names = { hazards: 'hazard overlay', typhoons: 'typhoon tracks', history: 'past events', evacuation: 'evacuation centers', '3d': '3D buildings' };
+            const definition = config.tileLayers[input.layer];
+            return `${input.visible ? 'Show' : 'Hide'} ${definition ? definition.name.toLowerCase() : names[input.layer] || input.layer}`;
+        },
+        run(input) {
+            const definition = config.tileLayers[input.layer];
+            if (definition && definition.role === 'base') {
+                if (input.visible) setBaseLayer(input.layer);
+                else if (layerState.base === input.layer) setBaseLayer(config.defaultBaseLayer);
+            } else if (!setOverlayVisible(input.layer, input.visible)) {
+                return { error: `Unknown layer "${input.layer}"` };
+            }
+            return { ok: true };
+        }
+    },
+    set_hazard_layer: {
+        description: 'Show or hide one hazard layer, e.g. flood zones or active faults. Showing a layer also turns on the hazard overlay.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                layer_id: { type: 'string', enum: config.hazardSources.filter(s => s.showOnMap !== false).map(s => s.id) },
+                visible: { type: 'boolean' }
+            },
+            required: ['layer_id', 'visible']
+        },
+        label: input => {
+            const source = config.hazardSources.find(s => s.id === input.layer_id);
+            return `${input.visible ? 'Show' : 'Hide'} ${source ? source.name : input.layer_id}`;
+        },
+        run(input) {
+            if (!hazardSubLayers.some(l => l.id === input.layer_id)) {
+                return { error: `Unknown hazard layer "${input.layer_id}"` };
+            }
+            toggleHazardSubLayer(input.layer_id, input.visible);
+            if (input.visible) setHazardsVisible(true);
+            return { ok: true };
+        }
+    },
+    show_location_info: {
+        description: 'Select a location and open its analysis in the info panel. Returns its hazards and resilience score.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                lat: { type: 'number' },
+                lon: { type: 'number' },
+                place_name: { type: 'string' }
+            },
+            required: ['lat', 'lon']
+        },
+        label: input => `Analyze ${input.place_name || formatCoordinates(input.lat, input.lon)}`,
+        async run(input) {
+            await loadLocationInfo(input.lat, input.lon, input.place_name || null);
+            return Object.assign({ placeName: currentLocation.placeName }, await summarizeLocation(input.lat, input.lon));
+        }
+    },
+    run_flood_scenario: {
+        description: 'Simulate flooding on the elevation model and show the inundated area on the map: a storm surge of level_m above mean sea level flooding inland from the coast, or a river flood rising level_m above a river seed (the configured river or the selected location). Returns the inundated area, population, deepest water and the depth at the selected location.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                mode: { type: 'string', enum: ['surge', 'river'] },
+                level_m: { type: 'number', description: 'Surge height or river rise in metres' },
+                seed: { type: 'string', enum: config.flood.riverSeeds.map(seed => seed.id).concat(['location']) }
+            },
+            required: ['mode', 'level_m']
+        },
+        label: input => (input.mode === 'river' ? `Simulate a ${input.level_m} m river flood` : `Simulate a ${input.level_m} m storm surge`),
+        async run(input) {
+            await runFloodScenario(input.mode, input.level_m, input.seed);
+            return summarizeFloodScenario(getReferenceLocation());
+        }
+    },
+    show_past_events: {
+        description: 'Show past events from the historical catalog (earthquakes, typhoon landfalls, floods) on the map with the time slider, for a range of years and optionally one event type. Without years, shows the whole catalog. Returns the years and the number of events shown, with the largest earthquakes and typhoons among them.',
+        input_schema: {
+            type: 'object',
+            properties: {
+                from_year: { type: 'integer' },
+                to_year: { type: 'integer' },
+                event_type: { type: 'string', enum: ['all'].concat(Object.keys(historyEventTypes)) }
+            }
+        },
+        label: input => {
+            const type = input.event_type && input.event_type !== 'all' ? getHistoryEventType(input.event_type).plural.toLowerCase() : 'past events';
+            const years = input.from_year || input.to_year ? ` ${input.from_year || ''}–${input.to_year || ''}` : '';
+            return `Show ${type}${years}`;
+        },
+        async run(input) {
+            await historyDataReady;
+            const years = getHistoryYears();
+            if (!years) return { error: 'The event catalog is empty' };
+
+            stopHistoryAnimation();
+            const toYear = input.to_year || years.last;
+            setHistoryFilter({
+                type: input.event_type || 'all',
+                spanYears: input.from_year && input.from_year > years.first ? Math.max(1, toYear - input.from_year + 1) : 0,
+                toYear: toYear
+            });
+            setOverlayVisible('history', true);
+
+            const shown = getFilteredHistoryEvents();
+            const largest = type => shown
+                .filter(event => event.type === type && historyEventTypes[type].size(event) !== null)
+                .sort((a, b) => historyEventTypes[type].size(b) - historyEventTypes[type].size(a))
+                .slice(0, 3)
+                .map(event => ({ name: event.name, time: event.time.toISOString(), size: historyEventTypes[type].formatSize(event) }));
+            return {
+                fromYear: getHistoryFromYear(),
+                toYear: historyFilter.toYear,
+                count: shown.length,
+                largestEarthquakes: largest('Earthquake'),
+                strongestTyphoons: largest('Typhoon')
+            };
+        }
+    }
+};
+
+function getMapToolDefinitions() {
+    return Object.keys(mapTools).map(name => ({
+        name: name,
+        description: mapTools[name].description,
+        input_schema: mapTools[name].input_schema
+    }));
+}
+
+async function executeMapAction(action) {
+    const tool = mapTools[action.name];
+    if (!tool) return { error: `Unknown tool "${action.name}"` };
+
+    try {
+        return await tool.run(action.input);
+    } catch (error) {
+        console.error(`Map action "${action.name}" failed:`, error);
+        return { error: error.message };
+    }
+}
+
+function describeMapAction(action) {
+    const tool = mapTools[action.name];
+    return tool ? tool.label(action.input) : action.name;
+}
+
+async function summarizeLocation(lat, lon) {
+    await Promise.all([hazardDataReady, scoringProfilesReady, infrastructureDataReady, exposureDataReady]);
+    const { hazards, exposure, resilience } = assessLocation(lat, lon);
+
+    return {
+        lat: lat,
+        lon: lon,
+        hazards: hazards.map(h => ({ name: h.name, level: h.level, evidence: h.evidence })),
+        exposure: summarizeExposure(exposure),
+        resilience: `${resilience.score}/${resilience.maxScore}`
+    };
+}
+
+// Compact form of computeExposure() for the chat context and tool results
+function summarizeExposure(exposure) {
+    if (!exposure.covered) return null;
+    return {
+        adminUnit: exposure.adminUnit,
+        populationWithinKm: Object.fromEntries(exposure.radii.map(r => [r.radiusKm, r.population]))
+    };
+}
 
-    // Generate AI response
-    const aiResponse = await generateAIResponse(message);
-    addChatMessage('ai', aiResponse, isModal);
+// The offline assistant cannot see image contents, but it can report on the
+// location the photo's geotag points to
+function generateOfflinePhotoResponse(photo, context) {
+    const location = context.currentLocation;
+
+    if (!photo.exif || !photo.exif.gps || !location) {
+        return "This photo has no GPS geotag, so I can't place it on the map. " +
+            'Click the map where it was taken to analyze that spot, or enable location tagging in the camera settings for future site photos. ' +
+            'Image content analysis needs an online AI provider.';
+    }
+
+    return `The photo's geotag places it at **${location.placeName || formatCoordinates(location.lat, location.lon)}**. ` +
+        "I've marked the spot on the map and opened its analysis.\n\n" +
+        `Hazards at this location:\n${context.hazards.map(h => `• ${h.name} (${h.level}): ${h.evidence}`).join('\n')}\n\n` +
+        `Resilience score: ${context.resilience.score}/${context.resilience.maxScore}. ` +
+        'Image content analysis needs an online AI provider.';
 }
 
 // =====================================================
-// Add Chat Message
+// Offline Map Actions
 // =====================================================
-function addChatMessage(type, content, isModal = false) {
-    const messagesContainer = document.getElementById(isModal ? 'modalChatMessages' : 'chatMessages');
-    
-    const messageDiv = document.createElement('div');
-    messageDiv.className = type === 'ai' ? 'ai-message' : 'user-message';
-    
-    messageDiv.innerHTML = `
-        <div class="message-avatar">${type === 'ai' ? 'AI' : 'U'}</div>
-        <div class="message-content">
-            <p>${content}</p>
-        </div>
+// Recognizes simple map requests such as "show me flood zones near Tacloban"
+// or "compare Cebu and Davao". Returns null when the message is not one.
+function planOfflineMapActions(message) {
+    const lower = message.toLowerCase();
+    const wantsDisplay = /\b(show|display|turn on|enable|hide|turn off|disable|toggle|highlight|fly|go to|zoom|take me|find|where is)\b/.test(lower);
+    const turnOff = /\b(hide|turn off|disable|remove)\b/.test(lower);
+
+    const plan = { layers: [], places: [], compare: false };
+
+    const compareMatch = message.match(/\bcompare\s+(.+?)[?.!]*$/i);
+    if (compareMatch) {
+        plan.compare = true;
+        plan.places = compareMatch[1]
+            .split(/\s*(?:,|\band\b|\bwith\b|\bvs\.?|\bversus\b)\s*/i)
+            .map(place => place.trim())
+            .filter(Boolean);
+        if (plan.places.length < 2) return null;
+        return plan;
+    }
+
+    if (!wantsDisplay) return null;
+
+    // "typhoon track" asks for the storm tracks rather than the typhoon zones,
+    // and "past earthquakes" for the event catalog rather than the faults
+    const wantsTracks = /\b(typhoon|storm|cyclone)s? tracks?\b|\bforecast cones?\b/.test(lower);
+    const pastMatch = lower.match(/\b(?:past|historical|previous)\s+(events|disasters|earthquakes|typhoons|landfalls|floods)\b/);
+
+    config.hazardSources.forEach(source => {
+        if (source.showOnMap === false || !source.keywords || pastMatch) return;
+        if (wantsTracks && source.hazard === 'Typhoon') return;
+        if (source.keywords.some(keyword => lower.includes(keyword))) {
+            plan.layers.push({ name: 'set_hazard_layer', input: { layer_id: source.id, visible: !turnOff } });
+        }
+    });
+
+    if (lower.includes('satellite')) {
+        plan.layers.push({ name: 'set_map_layer', input: { layer: 'satellite', visible: !turnOff } });
+    } else if (/\b(terrain|topo(graphic)?)\b/.test(lower)) {
+        plan.layers.push({ name: 'set_map_layer', input: { layer: 'terrain', visible: !turnOff } });
+    }
+    if (/\bhillshade\b/.test(lower)) {
+        plan.layers.push({ name: 'set_map_layer', input: { layer: 'hillshade', visible: !turnOff } });
+    }
+    if (wantsTracks) {
+        plan.layers.push({ name: 'set_map_layer', input: { layer: 'typhoons', visible: !turnOff } });
+    }
+    if (/\b(evacuation centers?|evacuation centres?|shelters)\b/.test(lower)) {
+        plan.layers.push({ name: 'set_map_layer', input: { layer: 'evacuation', visible: !turnOff } });
+    }
+    // "show past earthquakes from 1990 to 2000"
+    if (pastMatch && turnOff) {
+        plan.layers.push({ name: 'set_map_layer', input: { layer: 'history', visible: false } });
+    } else if (pastMatch) {
+        const types = { earthquakes: 'Earthquake', typhoons: 'Typhoon', landfalls: 'Typhoon', floods: 'Flood' };
+        const years = (lower.match(/\b(?:19|20)\d\d\b/g) || []).map(Number).sort((a, b) => a - b);
+        const input = { event_type: types[pastMatch[1]] || 'all' };
+        if (years.length) {
+            input.from_year = years[0];
+            input.to_year = years[years.length - 1];
+        }
+        plan.layers.push({ name: 'show_past_events', input: input });
+    }
+    if (/\b3d\b/.test(lower)) {
+        plan.layers.push({ name: 'set_map_layer', input: { layer: '3d', visible: !turnOff } });
+    }
+    if (!plan.layers.some(a => a.name === 'set_hazard_layer') && /\bhazard(s| layer| zones)?\b/.test(lower)) {
+        plan.layers.push({ name: 'set_map_layer', input: { layer: 'hazards', visible: !turnOff } });
+    }
+
+    const placeMatch = message.match(/\b(?:near|around|in|at|to|on|of|is)\s+([A-Z][\w\s.,'-]*?)[?.!]*$/);
+    if (placeMatch) {
+        plan.places.push(placeMatch[1].trim());
+    }
+
+    return plan.layers.length || plan.places.length ? plan : null;
+}
+
+async function runOfflineMapPlan(plan, request) {
+    for (const action of plan.layers) {
+        await request.runTool(action.name, action.input);
+    }
+
+    const found = [];
+    const missing = [];
+    for (const place of plan.places) {
+        const result = await request.runTool('search_place', { query: place });
+        if (result.error) missing.push(place);
+        else found.push(Object.assign({ query: place }, result));
+    }
+
+    if (found.length > 1) {
+        await request.runTool('fit_view', { points: found.map(p => ({ lat: p.lat, lon: p.lon })) });
+    } else if (found.length === 1 && !plan.compare) {
+        await request.runTool('show_location_info', { lat: found[0].lat, lon: found[0].lon, place_name: found[0].placeName });
+    }
+
+    const lines = [];
+    if (plan.layers.length) {
+        lines.push(`I've updated the map: ${plan.layers.map(describeMapAction).join(', ')}.`);
+    }
+    if (missing.length) {
+        lines.push(`I couldn't find ${missing.join(', ')}.`);
+    }
+
+    if (plan.compare && found.length > 1) {
+        const hazardNames = [...new Set(found.flatMap(p => p.hazards.map(h => h.name)))];
+        lines.push(
+            `Comparison of ${found.map(p => p.query).join(', ')}:`,
+            '',
+            `| | ${found.map(p => p.query).join(' | ')} |`,
+            `|---|${found.map(() => '---').join('|')}|`,
+            ...hazardNames.map(name => `| ${name} | ${found.map(p => {
+                const hazard = p.hazards.find(h => h.name === name);
+                return hazard ? hazard.level : '-';
+            }).join(' | ')} |`),
+            `| Population (${config.exposure.scoreRadiusKm} km) | ${found.map(p => p.exposure ? formatPopulation(p.exposure.populationWithinKm[config.exposure.scoreRadiusKm]) : '-').join(' | ')} |`,
+            `| Resilience | ${found.map(p => p.resilience).join(' | ')} |`
+        );
+    } else if (found.length) {
+        const place = found[0];
+        lines.push(
+            `Here is **${place.placeName}**. Hazards at this location:`,
+            ...place.hazards.map(h => `• ${h.name} (${h.level}): ${h.evidence}`)
+        );
+    }
+
+    return lines.join('\n');
+}
+
+// =====================================================
+// Chat Settings
+// =====================================================
+function getChatSettings() {
+    const defaults = {
+        provider: config.chat.defaultProvider,
+        apiKey: '',
+        model: config.chat.model,
+        mockEndpoint: config.chat.mockEndpoint
+    };
+
+    try {
+        return Object.assign(defaults, JSON.parse(localStorage.getItem('geovision.chatSettings')));
+    } catch (error) {
+        return defaults;
+    }
+}
+
+function saveChatSettings(settings) {
+    localStorage.setItem('geovision.chatSettings', JSON.stringify(settings));
+}
+
+function initializeChatSettings() {
+    const panel = document.getElementById('aiChatPanel');
+    const actions = panel.querySelector('.header-actions');
+
+    const button = document.createElement('button');
+    button.className = 'expand-btn';
+    button.id = 'chatSettingsBtn';
+    button.title = 'Chat settings';
+    button.textContent = '⚙';
+    actions.prepend(button);
+
+    const form = document.createElement('form');
+    form.className = 'chat-settings';
+    form.id = 'chatSettings';
+    form.innerHTML = `
+        <label>
+            <span>Provider</span>
+            <select name="provider">
+                ${Object.keys(chatProviders).map(id => `<option value="${escapeHtml(id)}">${escapeHtml(chatProviders[id].name)}</option>`).join('')}
+            </select>
+        </label>
+        <label>
+            <span>API key</span>
+            <input type="password" name="apiKey" autocomplete="off" placeholder="Stored in this browser only">
+        </label>
+        <label>
+            <span>Model</span>
+            <input type="text" name="model">
+        </label>
+        <label>
+            <span>Mock endpoint</span>
+            <input type="url" name="mockEndpoint">
+        </label>
     `;
-    
-    messagesContainer.appendChild(messageDiv);
-    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    panel.querySelector('.panel-header').after(form);
+
+    const settings = getChatSettings();
+    Object.keys(settings).forEach(key => {
+        if (form.elements[key]) form.elements[key].value = settings[key];
+    });
 
-    // Store in chat history
-    chatMessages.push({ type, content });
+    button.addEventListener('click', () => form.classList.toggle('active'));
+    form.addEventListener('submit', (e) => e.preventDefault());
+    form.addEventListener('change', (e) => {
+        // Entering a key switches from the offline default to Claude
+        if (e.target.name === 'apiKey' && form.elements.apiKey.value.trim() && form.elements.provider.value === 'offline') {
+            form.elements.provider.value = 'anthropic';
+        }
+        saveChatSettings({
+            provider: form.elements.provider.value,
+            apiKey: form.elements.apiKey.value.trim(),
+            model: form.elements.model.value.trim() || config.chat.model,
+            mockEndpoint: form.elements.mockEndpoint.value.trim() || config.chat.mockEndpoint
+        });
+    });
 }
 
 // =====================================================
-// Generate AI Response
+// Offline Assistant
 // =====================================================
-async function generateAIResponse(userMessage) {
-    // Simulated AI responses based on common queries
-    // In production, this would integrate with Claude API or similar
-    
+// Keyword-matched answers used when no AI provider is reachable
+async function generateOfflineResponse(userMessage) {
     const lowerMessage = userMessage.toLowerCase();
+
+    // Flood scenarios, e.g. "simulate a 4 m storm surge" or "what if the
+    // river rises 3 m"
+    const levelMatch = lowerMessage.match(/(\d+(?:\.\d+)?)\s*(?:m|meters?|metres?)\b/);
+    if (/\b(surge|inundat\w*|flood scenarios?)\b/.test(lowerMessage) || (levelMatch && /\b(flood\w*|river)\b/.test(lowerMessage))) {
+        if (levelMatch) {
+            try {
+                await runFloodScenario(/\briver\b/.test(lowerMessage) ? 'river' : 'surge', parseFloat(levelMatch[1]));
+            } catch (error) {
+                return `I couldn't run the flood scenario: ${error.message}`;
+            }
+        }
+        if (floodScenario) return describeFloodScenario();
+        return 'Tell me a water level to simulate, e.g. "simulate a 4 m storm surge" or "what if the river rises 3 m", or use the 🌊 Flood scenario panel on the map.';
+    }
+
+    // Past events and how often they recur near the reference location
+    if (/\b(history|historical|past (events|disasters|earthquakes|typhoons|floods)|recurrence|how often)\b/.test(lowerMessage)) {
+        await historyDataReady;
+        const reference = getReferenceLocation();
+        if (!reference) return 'Please select a location on the map to see the past events around it.';
+        return describePastEvents(reference);
+    }
+
+    // Questions about a drawn area
+    if (currentArea && currentArea.report && /\b(area|drawn|polygon|rectangle|buffer|selection)\b/.test(lowerMessage)) {
+        return describeAreaReport(currentArea.report);
+    }
     
     // Population queries
     if (lowerMessage.includes('population') || lowerMessage.includes('people') || lowerMessage.includes('ppl')) {
         if (currentLocation) {
-            return `Based on available data, the estimated population in ${currentLocation.placeName || 'this area'} is approximately ${estimatePopulation(currentLocation.placeName)}. This is an estimate based on regional census data and recent demographic trends.`;
+            const exposure = computeExposure(currentLocation.lat, currentLocation.lon);
+            const place = currentLocation.placeName ? currentLocation.placeName.split(',')[0] : 'this location';
+            if (!exposure.covered) {
+                return `${place} is outside the loaded population datasets, so I can't give a count for it. Population data currently covers the sample cities in data/exposure/.`;
+            }
+
+            const unit = exposure.adminUnit;
+            return (unit ? `**${unit.name}, ${unit.province}** had **${unit.population.toLocaleString()}** residents in the ${unit.censusYear} census.\n\n` : '') +
+                `People living around ${place}:\n` +
+                exposure.radii.map(r => `- Within ${r.radiusKm} km: ${r.population.toLocaleString()}`).join('\n');
         }
         return "To provide population data, please click on a specific location on the map first.";
     }
     
+    // Evacuation queries
+    if (/\b(evacuat\w*|shelters?)\b/.test(lowerMessage)) {
+        if (currentLocation) {
+            await Promise.all([hazardDataReady, evacuationDataReady]);
+            const evacuation = findEvacuationRoutes(currentLocation.lat, currentLocation.lon);
+            showEvacuationRoutes(evacuation);
+            return describeEvacuation(evacuation, getReferenceLocation().label);
+        }
+        return 'Please select a location on the map to find the nearest evacuation centers.';
+    }
+
     // Hazard queries
     if (lowerMessage.includes('hazard') || lowerMessage.includes('risk') || lowerMessage.includes('danger') || lowerMessage.includes('safe')) {
         if (currentLocation) {
+            await hazardDataReady;
             const hazards = identifyHazards(currentLocation.lat, currentLocation.lon);
-            const hazardList = hazards.map(h => `${h.name} (${h.level} risk)`).join(', ');
-            return `The primary hazards identified for this location include: ${hazardList}. I recommend implementing structural reinforcements, early warning systems, and community preparedness programs. Would you like detailed architectural solutions for specific hazards?`;
+            const hazardList = hazards.map(h => `• **${h.name}** (${h.level} risk): ${h.evidence}`).join('\n');
+            return `The hazards identified for this location are:\n\n${hazardList}\n\nI recommend implementing structural reinforcements, early warning systems, and community preparedness programs. Would you like detailed architectural solutions for specific hazards?`;
         }
         return "Please select a location on the map to analyze hazard risks.";
     }
@@ -526,24 +8528,90 @@ async function generateAIResponse(userMessage) {
     // Solution queries
     if (lowerMessage.includes('solution') || lowerMessage.includes('fix') || lowerMessage.includes('improve') || lowerMessage.includes('help')) {
         if (currentLocation) {
-            return `For ${currentLocation.placeName || 'this location'}, I recommend the following solutions:\n\n1. **Flood Mitigation**: Install improved drainage systems with 2.5m deep channels, capacity for 150mm/hour rainfall\n\n2. **Earthquake Resilience**: Retrofit critical buildings with base isolation systems, estimated cost ₱2.5M per structure\n\n3. **Evacuation Infrastructure**: Establish 3 evacuation centers within 500m radius, capacity 500 people each\n\n4. **Early Warning System**: Deploy IoT sensors for real-time monitoring, estimated setup ₱850K\n\nWould you like 3D architectural mockups for any of these solutions?`;
+            await Promise.all([hazardDataReady, scoringProfilesReady, exposureDataReady, evacuationDataReady, mitigationCatalogReady]);
+            const { lat, lon } = currentLocation;
+            const evacuation = findEvacuationRoutes(lat, lon);
+            const nearest = evacuation && evacuation.routes[0];
+            const evacuationText = nearest
+                ? `The nearest safe evacuation center is ${nearest.center.name}, ${formatDuration(nearest.minutes)} by road` +
+                    (nearest.center.capacity ? ` with room for ${nearest.center.capacity.toLocaleString()} people` : '') + '. Ask about evacuation routes for alternatives.'
+                : 'No evacuation center in the loaded data can be reached by road from here; identify safe shelters and the routes to them.';
+            if (!mitigationCatalog) {
+                return `The mitigation catalog could not be loaded, so I can't cost options for ${currentLocation.placeName || 'this location'}. ${evacuationText}`;
+            }
+            return `For ${currentLocation.placeName || 'this location'}, these interventions from the mitigation catalog address its hazards:\n\n` +
+                `${describeMitigationOptions(lat, lon, identifyHazards(lat, lon))}\n\n**Evacuation**: ${evacuationText}\n\n` +
+                'Open 🛠 Mitigation plan on the map to place them, see them in 3D and compare the resilience score before and after.';
         }
         return "Please select a specific location to receive tailored solutions.";
     }
     
+    // Typhoon queries
+    if (/\b(typhoons?|cyclones?|storms?|bagyo|signal)\b/.test(lowerMessage)) {
+        await typhoonDataReady;
+        return describeTyphoons();
+    }
+
     // Weather queries
-    if (lowerMessage.includes('weather') || lowerMessage.includes('forecast') || lowerMessage.includes('rain') || lowerMessage.includes('typhoon')) {
-        return `Current weather conditions:\n- Temperature: 28°C\n- Humidity: 75%\n- Wind: 15 km/h NE\n- Conditions: Partly cloudy\n\n7-Day Forecast: Mixed conditions with possible rain showers on Feb 8-9. No tropical cyclones currently threatening the area.\n\nWould you like detailed impact analysis on local infrastructure?`;
+    if (lowerMessage.includes('weather') || lowerMessage.includes('forecast') || lowerMessage.includes('rain')) {
+        return `Current weather conditions:\n- Temperature: 28°C\n- Humidity: 75%\n- Wind: 15 km/h NE\n- Conditions: Partly cloudy\n\n7-Day Forecast: Mixed conditions with possible rain showers on Feb 8-9.\n\nWould you like detailed impact analysis on local infrastructure?`;
     }
     
     // Volcano queries
-    if (lowerMessage.includes('volcano') || lowerMessage.includes('eruption') || lowerMessage.includes('mayon') || lowerMessage.includes('taal')) {
-        return `Active Volcano Status:\n\n**Mayon Volcano**: Alert Level 2 (Increasing unrest)\n- Distance from you: ~245 km\n- Last activity: Minor ash emission Feb 4, 2026\n- Danger zone: 6km radius\n\n**Taal Volcano**: Alert Level 1 (Abnormal)\n- Distance from you: ~180 km\n- Last activity: Phreatic eruption Jan 2026\n- Danger zone: Crater area\n\nRecommendations: Monitor PHIVOLCS bulletins, prepare evacuation plans for communities within 10km.`;
+    await hazardDataReady;
+    const namedVolcanoes = volcanoes.filter(volcano => lowerMessage.includes(volcano.name.toLowerCase()));
+    if (namedVolcanoes.length || lowerMessage.includes('volcan') || lowerMessage.includes('eruption')) {
+        if (!volcanoes.length) {
+            return 'The volcano registry could not be loaded. Monitor PHIVOLCS bulletins for the current alert levels.';
+        }
+
+        const reference = getReferenceLocation();
+        const selected = namedVolcanoes.length ? namedVolcanoes : getRelevantVolcanoes(reference);
+        const details = selected.map(volcano => describeVolcano(volcano, reference)).join('\n\n');
+
+        const bulletins = activeEvents.filter(event => event.type === 'Volcano');
+        const bulletinText = bulletins.length
+            ? `\n\n**Latest bulletins**:\n${bulletins.map(event => `- ${event.name} (${formatEventTime(event.time)})`).join('\n')}`
+            : '';
+
+        return `Volcano Status:\n\n${details}${bulletinText}\n\nEntry into permanent danger zones is prohibited at all alert levels. Follow PHIVOLCS advisories for changes.`;
     }
     
     // Earthquake queries
     if (lowerMessage.includes('earthquake') || lowerMessage.includes('seismic') || lowerMessage.includes('quake')) {
-        return `Recent Seismic Activity:\n\n**Latest Event**: Magnitude 4.2\n- Location: 15km NE of Mindoro\n- Depth: 10km\n- Time: Feb 6, 2026 08:15 AM\n- Intensity: III (Weak)\n\n**Fault Lines Nearby**:\n- West Valley Fault: 35km\n- East Valley Fault: 42km\n- Marikina Fault: 28km\n\nRisk Assessment: Moderate seismic risk. Buildings should comply with NSCP 2015 earthquake-resistant standards.`;
+        const quakes = activeEvents.filter(event => event.type === 'Earthquake');
+        const reference = getReferenceLocation();
+        let reply = 'Recent Seismic Activity:\n\n';
+
+        if (quakes.length) {
+            const latest = quakes.reduce((a, b) => (b.time > a.time ? b : a));
+            reply += `**Latest Event**: ${latest.status}\n- Location: ${latest.location}\n` +
+                (latest.depthKm !== null ? `- Depth: ${Math.round(latest.depthKm)}km\n` : '') +
+                `- Time: ${formatEventTime(latest.time)}` +
+                (latest.distanceKm !== null ? `\n- Distance from ${reference.label}: ${formatDistance(latest.distanceKm)} ${formatBearing(latest.bearing)}` : '');
+        } else {
+            reply += 'No earthquakes reported in the active hazard feeds.';
+        }
+
+        if (reference) {
+            await hazardDataReady;
+            const faults = hazardSubLayers
+                .filter(subLayer => subLayer.hazard === 'Earthquake')
+                .flatMap(subLayer => subLayer.features)
+                .map(feature => ({
+                    name: feature.properties.name,
+                    distanceKm: distanceToGeometry(reference.lat, reference.lon, feature.geometry)
+                }))
+                .sort((a, b) => a.distanceKm - b.distanceKm)
+                .slice(0, 3);
+
+            if (faults.length) {
+                reply += `\n\n**Fault Lines Nearest ${reference.label}**:\n` +
+                    faults.map(fault => `- ${fault.name}: ${formatDistance(fault.distanceKm)}`).join('\n');
+            }
+        }
+
+        return `${reply}\n\nBuildings should comply with NSCP 2015 earthquake-resistant standards.`;
     }
     
     // Default response
@@ -553,56 +8621,782 @@ async function generateAIResponse(userMessage) {
 // =====================================================
 // Image Upload Handler
 // =====================================================
-function handleImageUpload(event, isModal = false) {
+async function handleImageUpload(event) {
     const file = event.target.files[0];
     if (!file) return;
 
-    const reader = new FileReader();
-    reader.onload = async function(e) {
-        const imageData = e.target.result;
-        
-        // Add image message
-        const messagesContainer = document.getElementById(isModal ? 'modalChatMessages' : 'chatMessages');
-        const messageDiv = document.createElement('div');
-        messageDiv.className = 'user-message';
-        messageDiv.innerHTML = `
-            <div class="message-avatar">U</div>
-            <div class="message-content">
-                <img src="${imageData}" class="message-image" alt="Uploaded image">
-                <p>Analyzing image...</p>
-            </div>
-        `;
-        messagesContainer.appendChild(messageDiv);
-        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    // Allow the same file to be picked again
+    event.target.value = '';
+
+    let buffer;
+    let imageData;
+    try {
+        [buffer, imageData] = await Promise.all([
+            readFile(file, 'readAsArrayBuffer'),
+            readFile(file, 'readAsDataURL')
+        ]);
+    } catch (error) {
+        console.error('Error reading photo:', error);
+        addChatMessage('ai', `I couldn't read "${file.name}" (${error ? error.message : 'unknown error'}). Please pick the file again.`);
+        return;
+    }
+
+    let exif = null;
+    try {
+        exif = readExifMetadata(buffer);
+    } catch (error) {
+        console.warn('Could not read EXIF metadata:', error);
+    }
+
+    // HEIC, TIFF and damaged files may not decode in the browser; the
+    // geotag can still be used without the image
+    let image = null;
+    try {
+        image = await prepareImageForProvider(imageData, file.type);
+    } catch (error) {
+        console.warn('Could not decode photo:', error);
+    }
+
+    const hasGeotag = Boolean(exif && exif.gps);
+    const format = file.type ? file.type.replace(/^image\//, '').toUpperCase() : 'unknown format';
+    if (!image && !hasGeotag) {
+        addChatMessage('ai', `I couldn't open "${file.name}" (${format}): the browser can't decode it or the file is damaged, and it has no GPS geotag. ` +
+            'Convert it to JPEG or PNG and upload it again.');
+        return;
+    }
+
+    // Posted before the photo message so the provider still gets the user's
+    // turn last
+    if (!image) {
+        addChatMessage('ai', `The browser can't decode "${file.name}" (${format}), so the image itself can't be analyzed. ` +
+            'Its geotag was read, so the location it was taken is analyzed instead. Convert it to JPEG or PNG to have the photo analyzed too.');
+    }
+
+    const prompt = describePhotoMetadata(file.name, exif, Boolean(image));
+    const message = addChatMessage('user', prompt, {
+        image: image,
+        location: null
+    });
+
+    // Place the photo on the map and analyze the spot it was taken
+    if (hasGeotag) {
+        addPhotoMarker(exif, file.name);
+        map.setView([exif.gps.lat, exif.gps.lon], 15);
+        await loadLocationInfo(exif.gps.lat, exif.gps.lon);
+        updateChatMessage(message, { location: snapshotCurrentLocation() });
+    }
+
+    await respondToChat(prompt, { photo: { fileName: file.name, exif: exif } });
+}
+
+function readFile(file, method) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader[method](file);
+    });
+}
+
+// The text sent with the photo; it tells the provider what the tags say.
+// Without the decoded image only the location can be assessed.
+function describePhotoMetadata(fileName, exif, hasImage = true) {
+    if (!exif || !exif.gps) {
+        return `Site photo "${fileName}". It has no GPS geotag, so its location is unknown. ` +
+            'Analyze the photo for visible hazards and structural issues.';
+    }
+
+    const details = [`GPS ${formatCoordinates(exif.gps.lat, exif.gps.lon)}`];
+    if (exif.gps.altitude !== null) details.push(`altitude ${Math.round(exif.gps.altitude)} m`);
+    if (exif.timestamp) details.push(`taken ${formatEventTime(exif.timestamp)}`);
+    if (exif.heading !== null) details.push(`camera facing ${Math.round(exif.heading)}° (${formatBearing(exif.heading)})`);
+    if (exif.camera) details.push(`camera ${exif.camera}`);
+
+    return `Site photo "${fileName}" (${details.join(', ')}). ` + (hasImage
+        ? 'Analyze the photo for visible hazards and structural issues at this location.'
+        : 'The image could not be decoded; assess the hazards at this location.');
+}
+
+function addPhotoMarker(exif, fileName) {
+    const heading = exif.heading !== null
+        ? `<div class="photo-heading" style="transform: rotate(${exif.heading}deg)"></div>`
+        : '';
+
+    const marker = L.marker([exif.gps.lat, exif.gps.lon], {
+        icon: L.divIcon({
+            className: 'photo-marker',
+            html: `${heading}<div class="photo-marker-icon">📷</div>`,
+            iconSize: [32, 32],
+            iconAnchor: [16, 16]
+        })
+    }).addTo(map);
+
+    marker.bindPopup(`
+        <strong>${escapeHtml(fileName)}</strong><br>
+        ${formatCoordinates(exif.gps.lat, exif.gps.lon)}
+        ${exif.timestamp ? `<br>Taken: ${formatEventTime(exif.timestamp)}` : ''}
+        ${exif.heading !== null ? `<br>Heading: ${Math.round(exif.heading)}° ${formatBearing(exif.heading)}` : ''}
+    `);
+    markers.push(marker);
+    return marker;
+}
+
+// Providers accept images up to about 5 MB; downscale large photos to JPEG
+async function prepareImageForProvider(dataUrl, mediaType) {
+    const maxDimension = 1568;
+    const image = new Image();
+    image.src = dataUrl;
+    await image.decode();
 
-        // Simulate image analysis
-        setTimeout(() => {
-            const analysis = "Based on the image analysis, this appears to be an urban area with mixed residential and commercial development. Structural analysis indicates standard concrete construction. I've identified potential drainage issues and recommend installing retention basins. Coordinates estimated at approximately 14.5995°N, 120.9842°E (Metro Manila area). Would you like detailed infrastructure recommendations?";
-            addChatMessage('ai', analysis, isModal);
-        }, 2000);
+    const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+    const supported = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'].includes(mediaType);
+
+    if (scale === 1 && supported) {
+        return { mediaType: mediaType, data: dataUrl.split(',')[1] };
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return { mediaType: 'image/jpeg', data: canvas.toDataURL('image/jpeg', 0.85).split(',')[1] };
+}
+
+// =====================================================
+// EXIF Metadata
+// =====================================================
+const exifTags = {
+    make: 0x010F,
+    model: 0x0110,
+    exifIfd: 0x8769,
+    gpsIfd: 0x8825,
+    dateTimeOriginal: 0x9003,
+    offsetTimeOriginal: 0x9011,
+    gpsLatitudeRef: 0x0001,
+    gpsLatitude: 0x0002,
+    gpsLongitudeRef: 0x0003,
+    gpsLongitude: 0x0004,
+    gpsAltitudeRef: 0x0005,
+    gpsAltitude: 0x0006,
+    gpsTimeStamp: 0x0007,
+    gpsImgDirection: 0x0011,
+    gpsDateStamp: 0x001D
+};
+
+// Byte size of each TIFF field type
+const exifTypeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Reads GPS position, capture time and heading from a JPEG's EXIF block.
+// Returns null when the file has no EXIF data; `gps` is null without a geotag.
+function readExifMetadata(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        if ((marker & 0xFF00) !== 0xFF00) return null;
+
+        const size = view.getUint16(offset + 2);
+        // APP1 segment starting with "Exif\0\0"
+        if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+            return parseExifTiff(view, offset + 10);
+        }
+        // Start of scan: no metadata after this point
+        if (marker === 0xFFDA) break;
+
+        offset += 2 + size;
+    }
+    return null;
+}
+
+function parseExifTiff(view, tiffStart) {
+    const littleEndian = view.getUint16(tiffStart) === 0x4949;
+    const ifd0 = readExifIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian);
+
+    const exifIfd = ifd0.has(exifTags.exifIfd)
+        ? readExifIfd(view, tiffStart, ifd0.get(exifTags.exifIfd)[0], littleEndian)
+        : new Map();
+    const gpsIfd = ifd0.has(exifTags.gpsIfd)
+        ? readExifIfd(view, tiffStart, ifd0.get(exifTags.gpsIfd)[0], littleEndian)
+        : new Map();
+
+    const camera = [ifd0.get(exifTags.make), ifd0.get(exifTags.model)].filter(Boolean).join(' ').trim();
+
+    return {
+        gps: readExifGps(gpsIfd),
+        timestamp: readExifTimestamp(exifIfd, gpsIfd),
+        heading: gpsIfd.has(exifTags.gpsImgDirection) ? gpsIfd.get(exifTags.gpsImgDirection)[0] : null,
+        camera: camera || null
     };
-    reader.readAsDataURL(file);
+}
+
+// Reads one IFD into a Map of tag -> value (string or array of numbers)
+function readExifIfd(view, tiffStart, ifdOffset, littleEndian) {
+    const entries = new Map();
+    const start = tiffStart + ifdOffset;
+    const count = view.getUint16(start, littleEndian);
+
+    for (let i = 0; i < count; i++) {
+        const entry = start + 2 + i * 12;
+        const tag = view.getUint16(entry, littleEndian);
+        const type = view.getUint16(entry + 2, littleEndian);
+        const valueCount = view.getUint32(entry + 4, littleEndian);
+        const typeSize = exifTypeSizes[type];
+        if (!typeSize) continue;
+
+        // Values up to 4 bytes are stored in the entry itself
+        const valueOffset = typeSize * valueCount > 4
+            ? tiffStart + view.getUint32(entry + 8, littleEndian)
+            : entry + 8;
+        if (valueOffset + typeSize * valueCount > view.byteLength) continue;
+
+        entries.set(tag, readExifValue(view, valueOffset, type, valueCount, littleEndian));
+    }
+    return entries;
+}
+
+function readExifValue(view, offset, type, count, littleEndian) {
+    if (type === 2) {
+        let text = '';
+        for (let i = 0; i < count; i++) {
+            const code = view.getUint8(offset + i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text;
+    }
+
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        switch (type) {
+            case 1:
+            case 7:
+                values.push(view.getUint8(offset + i));
+                break;
+            case 3:
+                values.push(view.getUint16(offset + i * 2, littleEndian));
+                break;
+            case 4:
+                values.push(view.getUint32(offset + i * 4, littleEndian));
+                break;
+            case 9:
+                values.push(view.getInt32(offset + i * 4, littleEndian));
+                break;
+            case 5:
+            case 10: {
+                const read = type === 5 ? 'getUint32' : 'getInt32';
+                const numerator = view[read](offset + i * 8, littleEndian);
+                const denominator = view[read](offset + i * 8 + 4, littleEndian);
+                values.push(denominator ? numerator / denominator : 0);
+                break;
+            }
+        }
+    }
+    return values;
+}
+
+function readExifGps(gpsIfd) {
+    const latitude = gpsIfd.get(exifTags.gpsLatitude);
+    const longitude = gpsIfd.get(exifTags.gpsLongitude);
+    if (!latitude || !longitude || latitude.length < 3 || longitude.length < 3) return null;
+
+    const toDecimal = ([degrees, minutes, seconds]) => degrees + minutes / 60 + seconds / 3600;
+    let lat = toDecimal(latitude);
+    let lon = toDecimal(longitude);
+    if (gpsIfd.get(exifTags.gpsLatitudeRef) === 'S') lat = -lat;
+    if (gpsIfd.get(exifTags.gpsLongitudeRef) === 'W') lon = -lon;
+
+    // Some cameras write 0,0 when they have no fix
+    if (lat === 0 && lon === 0) return null;
+
+    let altitude = null;
+    if (gpsIfd.has(exifTags.gpsAltitude)) {
+        altitude = gpsIfd.get(exifTags.gpsAltitude)[0];
+        const altitudeRef = gpsIfd.get(exifTags.gpsAltitudeRef);
+        if (altitudeRef && altitudeRef[0] === 1) altitude = -altitude;
+    }
+
+    return { lat: lat, lon: lon, altitude: altitude };
+}
+
+// Prefers the capture time (with its UTC offset when recorded), then the
+// GPS time, which is always UTC
+function readExifTimestamp(exifIfd, gpsIfd) {
+    const original = exifIfd.get(exifTags.dateTimeOriginal);
+    if (original) {
+        const match = original.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+        if (match) {
+            const offset = exifIfd.get(exifTags.offsetTimeOriginal) || '';
+            const date = new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${offset}`);
+            if (!isNaN(date)) return date;
+        }
+    }
+
+    const gpsDate = gpsIfd.get(exifTags.gpsDateStamp);
+    const gpsTime = gpsIfd.get(exifTags.gpsTimeStamp);
+    if (gpsDate && gpsTime && gpsTime.length === 3) {
+        const [year, month, day] = gpsDate.split(':').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day, gpsTime[0], gpsTime[1], Math.floor(gpsTime[2])));
+        if (!isNaN(date)) return date;
+    }
+
+    return null;
 }
 
 // =====================================================
 // Full Screen Chat
 // =====================================================
+// Both views render from the same chat store, so only visibility changes
 function openFullScreenChat() {
     const modal = document.getElementById('aiModal');
     const modalMessages = document.getElementById('modalChatMessages');
-    
-    // Copy messages to modal
-    modalMessages.innerHTML = document.getElementById('chatMessages').innerHTML;
-    
+
     modal.classList.add('active');
+    modalMessages.scrollTop = modalMessages.scrollHeight;
+    document.getElementById('modalChatInput').focus();
 }
 
 function closeFullScreenChat() {
     const modal = document.getElementById('aiModal');
+    const chatMessagesView = document.getElementById('chatMessages');
+
     modal.classList.remove('active');
-    
-    // Sync messages back
-    document.getElementById('chatMessages').innerHTML = document.getElementById('modalChatMessages').innerHTML;
+    chatMessagesView.scrollTop = chatMessagesView.scrollHeight;
+}
+
+// =====================================================
+// Markdown Rendering
+// =====================================================
+// Renders the Markdown used in chat replies and popups: headings, paragraphs,
+// bold and italic, inline and fenced code, links, block quotes, bullet and
+// numbered lists, and pipe tables. Text is escaped before any formatting is
+// applied and links are limited to safe protocols, so the result can be
+// assigned to innerHTML.
+const markdownListPattern = /^\s*([-*+•]|\d{1,3}[.)])\s+(.*)$/;
+const markdownTableDivider = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function renderMarkdown(text) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        if (/^\s*```/.test(line)) {
+            const code = [];
+            i++;
+            while (i < lines.length && !/^\s*```/.test(lines[i])) {
+                code.push(lines[i++]);
+            }
+            i++;
+            html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+        if (heading) {
+            // Keep headings small inside chat bubbles and popups
+            const level = Math.min(6, heading[1].length + 2);
+            html.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (isMarkdownTableStart(lines, i)) {
+            const header = splitMarkdownRow(lines[i]);
+            const alignments = splitMarkdownRow(lines[i + 1]).map(cell => {
+                if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+                return cell.endsWith(':') ? 'right' : '';
+            });
+            const cell = (tag, value, index) => alignments[index]
+                ? `<${tag} style="text-align: ${alignments[index]}">${renderInlineMarkdown(value)}</${tag}>`
+                : `<${tag}>${renderInlineMarkdown(value)}</${tag}>`;
+
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                rows.push(splitMarkdownRow(lines[i++]));
+            }
+
+            const head = `<tr>${header.map((value, n) => cell('th', value, n)).join('')}</tr>`;
+            const body = rows.map(row => `<tr>${header.map((_, n) => cell('td', row[n] || '', n)).join('')}</tr>`).join('');
+            html.push(`<table><thead>${head}</thead><tbody>${body}</tbody></table>`);
+            continue;
+        }
+
+        const listItem = line.match(markdownListPattern);
+        if (listItem) {
+            const ordered = /\d/.test(listItem[1]);
+            const items = [];
+            while (i < lines.length) {
+                const item = lines[i].match(markdownListPattern);
+                if (!item || /\d/.test(item[1]) !== ordered) break;
+                items.push(`<li>${renderInlineMarkdown(item[2])}</li>`);
+                i++;
+            }
+
+            const start = ordered ? parseInt(listItem[1], 10) : 1;
+            html.push(ordered
+                ? `<ol${start !== 1 ? ` start="${start}"` : ''}>${items.join('')}</ol>`
+                : `<ul>${items.join('')}</ul>`);
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            const quote = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quote.push(lines[i++].replace(/^\s*>\s?/, ''));
+            }
+            html.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+            continue;
+        }
+
+        // Paragraph: runs until a blank line or the start of another block
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && lines[i].trim() && !isMarkdownBlockStart(lines, i)) {
+            paragraph.push(lines[i++].trim());
+        }
+        html.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+    }
+
+    return html.join('');
+}
+
+function isMarkdownBlockStart(lines, index) {
+    const line = lines[index];
+    return /^\s*```/.test(line) ||
+        /^\s*#{1,6}\s/.test(line) ||
+        /^\s*>/.test(line) ||
+        markdownListPattern.test(line) ||
+        isMarkdownTableStart(lines, index);
+}
+
+function isMarkdownTableStart(lines, index) {
+    return lines[index].includes('|') &&
+        index + 1 < lines.length &&
+        lines[index + 1].includes('-') &&
+        markdownTableDivider.test(lines[index + 1]);
+}
+
+function splitMarkdownRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+// Code spans and links are set aside before emphasis is applied so their
+// contents and URLs are never reformatted
+function renderInlineMarkdown(text) {
+    const tokens = [];
+    const stash = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    let html = escapeHtml(String(text).replace(/\u0000/g, ''));
+
+    html = html.replace(/`([^`]+)`/g, (match, code) => stash(`<code>${code}</code>`));
+
+    html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        const href = sanitizeLinkUrl(url);
+        return href ? stash(`<a href="${href}" target="_blank" rel="noopener noreferrer">${renderEmphasis(label)}</a>`) : label;
+    });
+
+    html = html.replace(/(^|[\s(])(https?:\/\/[^\s<()]+[^\s<().,;:!?'"])/g, (match, lead, url) =>
+        lead + stash(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`));
+
+    html = renderEmphasis(html);
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+}
+
+function renderEmphasis(html) {
+    return html
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)(.+?)__/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w*])\*(?=\S)([^*]+?)\*(?!\w)/g, '$1<em>$2</em>');
+}
+
+// Only web and mail links are allowed; anything with another scheme
+// (javascript:, data:, vbscript:) is dropped
+function sanitizeLinkUrl(url) {
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme && !['http', 'https', 'mailto'].includes(scheme[1].toLowerCase())) {
+        return null;
+    }
+    // A colon before any path separator could still be read as a scheme
+    if (!scheme && /^[^/?#]*:/.test(url)) {
+        return null;
+    }
+    return url;
+}
+
+// =====================================================
+// Offline Mode
+// =====================================================
+// sw.js caches the app shell and every fetch() response, and answers from
+// the cache when the network is down. Map tiles are only cached when the
+// user downloads an area from the offline control.
+const offlineState = { cachedData: new Map(), download: null };
+
+function initializeOfflineMode() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register(config.offline.serviceWorkerUrl)
+            .catch(error => console.warn('Service worker registration failed:', error));
+    }
+
+    initializeOfflineControl();
+    window.addEventListener('online', renderOfflineStatus);
+    window.addEventListener('offline', renderOfflineStatus);
+    setInterval(renderOfflineStatus, 60 * 1000);
+    renderOfflineStatus();
+}
+
+// Responses the service worker served from its cache carry the time they
+// were stored. Keeps track of which data on screen is cached, and since
+// when, for the offline indicator.
+function trackCachedResponse(url, response) {
+    const cachedAt = response.headers.get('X-GeoVision-Cached-At');
+    if (cachedAt) {
+        offlineState.cachedData.set(url, new Date(cachedAt));
+    } else {
+        offlineState.cachedData.delete(url);
+    }
+    renderOfflineStatus();
+}
+
+function initializeOfflineControl() {
+    const OfflineControl = L.Control.extend({
+        options: { position: 'bottomleft' },
+        onAdd() {
+            const container = L.DomUtil.create('div', 'offline-control');
+            container.innerHTML = `
+                <div class="offline-status">
+                    <span class="offline-dot"></span>
+                    <span class="offline-label">Online</span>
+                    <button type="button" class="offline-toggle" data-offline-action="toggle" title="Save map tiles for offline use">⤓ Offline maps</button>
+                </div>
+                <div class="offline-age"></div>
+                <form class="offline-panel" hidden>
+                    <div class="offline-row">
+                        Zoom
+                        <input type="number" name="minZoom" min="1" max="${config.offline.maxZoom}">
+                        to
+                        <input type="number" name="maxZoom" min="1" max="${config.offline.maxZoom}">
+                    </div>
+                    <div class="offline-layers"></div>
+                    <p class="offline-estimate"></p>
+                    <div class="offline-actions">
+                        <button type="submit">Download visible area</button>
+                        <button type="button" data-offline-action="cancel">Cancel</button>
+                        <button type="button" data-offline-action="clear">Clear tiles</button>
+                    </div>
+                    <p class="offline-progress"></p>
+                </form>
+            `;
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            container.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-offline-action]');
+                if (!action) return;
+                if (action.dataset.offlineAction === 'toggle') toggleOfflinePanel();
+                if (action.dataset.offlineAction === 'cancel' && offlineState.download) offlineState.download.cancelled = true;
+                if (action.dataset.offlineAction === 'clear') clearOfflineTiles();
+            });
+            container.addEventListener('input', renderTileEstimate);
+            container.addEventListener('submit', (e) => {
+                e.preventDefault();
+                startTileDownload();
+            });
+            return container;
+        }
+    });
+
+    map.addControl(new OfflineControl());
+    map.on('moveend', () => {
+        if (!document.querySelector('.offline-panel').hidden) renderTileEstimate();
+    });
+}
+
+function renderOfflineStatus() {
+    const control = document.querySelector('.offline-control');
+    if (!control) return;
+
+    const online = navigator.onLine;
+    control.classList.toggle('offline', !online);
+    control.querySelector('.offline-label').textContent = online ? 'Online' : 'Offline';
+
+    // The oldest cached response still on screen
+    const times = Array.from(offlineState.cachedData.values());
+    const oldest = times.length ? new Date(Math.min(...times)) : null;
+    control.querySelector('.offline-age').textContent = oldest
+        ? `Showing cached data from ${formatAge(oldest)} ago`
+        : (online ? '' : 'Data shown was loaded before going offline');
+}
+
+function toggleOfflinePanel() {
+    const form = document.querySelector('.offline-panel');
+    form.hidden = !form.hidden;
+    if (form.hidden) return;
+
+    // Tiled layers can be downloaded; WMS images aren't on a tile grid
+    const definitions = getLayerDefinitions();
+    form.querySelector('.offline-layers').innerHTML = Object.keys(definitions)
+        .filter(id => definitions[id].type !== 'wms')
+        .map(id => `
+            <label class="offline-row">
+                <input type="checkbox" name="layer" value="${escapeHtml(id)}"
+                    ${id === layerState.base || layerState.overlays.has(id) ? 'checked' : ''}>
+                ${escapeHtml(definitions[id].name)}
+            </label>
+        `).join('');
+
+    const zoom = Math.min(map.getZoom(), config.offline.maxZoom);
+    form.elements.minZoom.value = zoom;
+    form.elements.maxZoom.value = Math.min(zoom + 3, config.offline.maxZoom);
+    renderTileEstimate();
+}
+
+function getTileDownloadRequest() {
+    const form = document.querySelector('.offline-panel');
+    const minZoom = parseInt(form.elements.minZoom.value, 10);
+    const maxZoom = parseInt(form.elements.maxZoom.value, 10);
+    const layers = Array.from(form.querySelectorAll('input[name="layer"]:checked')).map(input => input.value);
+    const urls = isFinite(minZoom) && isFinite(maxZoom)
+        ? listTileUrls(map.getBounds(), Math.max(1, minZoom), Math.min(maxZoom, config.offline.maxZoom), layers)
+        : [];
+    return { minZoom, maxZoom, layers, urls };
+}
+
+async function renderTileEstimate() {
+    const form = document.querySelector('.offline-panel');
+    if (offlineState.download) return;
+
+    const { urls } = getTileDownloadRequest();
+    const saved = 'caches' in window ? (await (await caches.open(config.offline.tileCache)).keys()).length : 0;
+    const tooMany = urls.length > config.offline.maxTiles;
+    form.querySelector('.offline-estimate').textContent =
+        `${urls.length.toLocaleString()} tiles for the visible area` +
+        (tooMany ? ` - the limit is ${config.offline.maxTiles.toLocaleString()}, zoom in or lower the maximum zoom` : '') +
+        `. ${saved.toLocaleString()} tiles saved.`;
+    form.querySelector('button[type="submit"]').disabled = tooMany || !urls.length;
+}
+
+// Tile URLs covering the bounds at every zoom level, for each tile layer
+function listTileUrls(bounds, minZoom, maxZoom, layerIds) {
+    const definitions = getLayerDefinitions();
+    const urls = [];
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+        const topLeft = lonLatToTile(bounds.getWest(), bounds.getNorth(), zoom);
+        const bottomRight = lonLatToTile(bounds.getEast(), bounds.getSouth(), zoom);
+        for (let x = topLeft.x; x <= bottomRight.x; x++) {
+            for (let y = topLeft.y; y <= bottomRight.y; y++) {
+                layerIds.forEach(id => {
+                    if (definitions[id]) urls.push(getTileUrl(definitions[id], zoom, x, y));
+                });
+            }
+        }
+        // No point counting further once over the limit
+        if (urls.length > config.offline.maxTiles) break;
+    }
+    return urls;
+}
+
+// The URL Leaflet requests for a tile, including its choice of subdomain, so
+// downloaded tiles are found in the cache while browsing
+function getTileUrl(definition, zoom, x, y) {
+    const subdomains = definition.subdomains || 'abc';
+    return definition.url
+        .replace('{s}', subdomains[Math.abs(x + y) % subdomains.length])
+        .replace('{z}', zoom)
+        .replace('{x}', x)
+        .replace('{y}', y)
+        .replace('{r}', '');
+}
+
+// Web Mercator tile containing a point
+function lonLatToTile(lon, lat, zoom) {
+    const count = 2 ** zoom;
+    const latRad = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180;
+    const clamp = value => Math.max(0, Math.min(count - 1, Math.floor(value)));
+    return {
+        x: clamp((lon + 180) / 360 * count),
+        y: clamp((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * count)
+    };
+}
+
+async function startTileDownload() {
+    if (offlineState.download || !('caches' in window)) return;
+
+    const { urls } = getTileDownloadRequest();
+    if (!urls.length || urls.length > config.offline.maxTiles) return;
+
+    const cache = await caches.open(config.offline.tileCache);
+    const download = { total: urls.length, done: 0, failed: 0, cancelled: false };
+    offlineState.download = download;
+    renderDownloadProgress();
+
+    // A couple of requests at a time, to go easy on the tile servers
+    let next = 0;
+    const worker = async () => {
+        while (next < urls.length && !download.cancelled) {
+            const url = urls[next++];
+            try {
+                if (!(await cache.match(url))) {
+                    // 'no-store' keeps the service worker from also filing
+                    // the tile under cached data
+                    const response = await fetch(url, { mode: 'cors', cache: 'no-store' });
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    await cache.put(url, response);
+                }
+            } catch (error) {
+                download.failed++;
+            }
+            download.done++;
+            renderDownloadProgress();
+        }
+    };
+    await Promise.all(Array.from({ length: config.offline.concurrency }, worker));
+
+    offlineState.download = null;
+    renderDownloadProgress(download);
+    renderTileEstimate();
+}
+
+function renderDownloadProgress(finished) {
+    const progress = document.querySelector('.offline-progress');
+    const download = finished || offlineState.download;
+    const failed = download.failed ? `, ${download.failed} failed` : '';
+
+    if (!finished) {
+        progress.textContent = `Downloading ${download.done} of ${download.total} tiles${failed}...`;
+    } else if (download.cancelled) {
+        progress.textContent = `Cancelled after ${download.done} of ${download.total} tiles${failed}.`;
+    } else {
+        progress.textContent = `Saved ${download.total - download.failed} tiles for offline use${failed}.`;
+    }
+}
+
+async function clearOfflineTiles() {
+    if (offlineState.download || !('caches' in window)) return;
+    if (!confirm('Remove all map tiles saved for offline use?')) return;
+
+    await caches.delete(config.offline.tileCache);
+    document.querySelector('.offline-progress').textContent = 'Saved tiles removed.';
+    renderTileEstimate();
+}
+
+function formatAge(date) {
+    const minutes = Math.round((Date.now() - date.getTime()) / 60000);
+    if (minutes < 60) return `${Math.max(minutes, 1)} min`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} h`;
+    return `${Math.round(hours / 24)} days`;
 }
 
 // =====================================================
@@ -622,33 +9416,68 @@ function clearMarkers() {
     markers = [];
 }
 
-function estimatePopulation(placeName) {
-    if (!placeName) return 'Unknown';
-    
-    // Simplified population estimates
-    const lower = placeName.toLowerCase();
-    if (lower.includes('metro manila') || lower.includes('manila')) return '~13.5M';
-    if (lower.includes('quezon city')) return '~2.9M';
-    if (lower.includes('cebu')) return '~950K';
-    if (lower.includes('davao')) return '~1.6M';
-    if (lower.includes('camarines')) return '~580K';
-    
-    // Random estimate for other locations
-    const estimates = ['50K-100K', '100K-250K', '250K-500K', '20K-50K'];
-    return estimates[Math.floor(Math.random() * estimates.length)];
+function getLevelColor(level) {
+    return hazardLevelColors[level] || hazardLevelColors.low;
 }
 
-function calculateResilience(lat, lon) {
-    // Simplified resilience calculation
-    const hazards = identifyHazards(lat, lon);
-    const highRiskCount = hazards.filter(h => h.level === 'high').length;
-    const moderateRiskCount = hazards.filter(h => h.level === 'moderate').length;
-    
-    let score = 100;
-    score -= (highRiskCount * 20);
-    score -= (moderateRiskCount * 10);
-    
-    return Math.max(30, Math.min(100, score));
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatPropertyName(key) {
+    const label = key.replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+// The selected location, or the browser's position when nothing is selected
+function getReferenceLocation() {
+    if (currentLocation) {
+        return {
+            lat: currentLocation.lat,
+            lon: currentLocation.lon,
+            label: currentLocation.placeName ? currentLocation.placeName.split(',')[0] : 'the selected location'
+        };
+    }
+    if (userPosition) {
+        return { lat: userPosition.lat, lon: userPosition.lon, label: 'your location' };
+    }
+    return null;
+}
+
+function requestUserPosition() {
+    if (!navigator.geolocation) return;
+
+    navigator.geolocation.getCurrentPosition(position => {
+        userPosition = { lat: position.coords.latitude, lon: position.coords.longitude };
+        if (!currentLocation) {
+            updateEventDistances();
+            renderDisasterList();
+        }
+    }, error => {
+        console.warn('Geolocation unavailable:', error.message);
+    });
+}
+
+function createId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function truncateText(text, maxLength) {
+    const singleLine = String(text).replace(/\s+/g, ' ').trim();
+    return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 1)}…` : singleLine;
+}
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'session';
+}
+
+function formatCoordinates(lat, lon) {
+    return `${lat.toFixed(4)}°, ${lon.toFixed(4)}°`;
 }
 
 function showWelcomeMessage() {
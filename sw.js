@@ -0,0 +1,129 @@
+// =====================================================
+// GeoVision - Service Worker
+// Offline caching for the app shell, data and map tiles
+// =====================================================
+
+// TILE_CACHE must match config.offline.tileCache in main.js, which fills it
+// when the user downloads an area. Bump the version of the other caches when
+// the lists below change.
+const SHELL_CACHE = 'geovision-shell-v2';
+const DATA_CACHE = 'geovision-data-v7';
+const TILE_CACHE = 'geovision-tiles';
+
+// Data served from the cache carries the time it was stored, so the page
+// can show how old it is
+const CACHED_AT_HEADER = 'X-GeoVision-Cached-At';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'main.js',
+    'flood-worker.js',
+    'style.css'
+];
+
+// Bundled datasets, cached on install so analysis works offline from the
+// first visit
+const DATA_FILES = [
+    'data/scoring-profiles.json',
+    'data/infrastructure.geojson',
+    'data/hazards/active-faults.geojson',
+    'data/hazards/coastline.geojson',
+    'data/hazards/flood-zones.geojson',
+    'data/hazards/landslide-susceptibility.geojson',
+    'data/hazards/typhoon-exposure.geojson',
+    'data/exposure/admin-units.geojson',
+    'data/exposure/population-grid.json',
+    'data/geocoder/places.json',
+    'data/typhoons/ibtracs-sample.csv',
+    'data/typhoons/awp252026.dat',
+    'data/history/earthquakes.csv',
+    'data/history/events.geojson',
+    'data/volcanoes/registry.json',
+    'data/evacuation/centers.geojson',
+    'data/mitigation/interventions.json',
+    'data/evacuation/legazpi-roads.osm',
+    'data/elevation/tacloban-dem.tif',
+    'data/feeds/usgs-earthquakes.geojson',
+    'data/feeds/cap-typhoon-signal.xml',
+    'data/feeds/cap-volcano-mayon.xml',
+    'data/feeds/gdacs-rss.xml'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(Promise.all([
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+        caches.open(DATA_CACHE).then(cache => Promise.all(DATA_FILES.map(async url => {
+            const response = await fetch(url);
+            if (response.ok) await cache.put(url, await stampResponse(response));
+        })))
+    ]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    const current = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith('geovision-') && !current.includes(name))
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    // 'no-store' requests, such as tile downloads, bypass the worker
+    if (request.method !== 'GET' || request.cache === 'no-store') return;
+
+    const url = new URL(request.url);
+    if (request.destination === 'image') {
+        // Map tiles from any source, including user-added ones. They are
+        // only served from the cache, never added to it while browsing; see
+        // config.offline in main.js.
+        event.respondWith(fromCacheOrNetwork(TILE_CACHE, request));
+    } else if (request.destination === '') {
+        // fetch() calls: hazard layers, feeds, geocoding and other data
+        event.respondWith(fromNetworkOrCache(DATA_CACHE, request, true));
+    } else if (url.origin === self.location.origin || ['script', 'style', 'font'].includes(request.destination)) {
+        // The page itself, its scripts and styles, and libraries from CDNs
+        event.respondWith(fromNetworkOrCache(SHELL_CACHE, request, false));
+    }
+});
+
+async function fromCacheOrNetwork(cacheName, request) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    return cached || fetch(request);
+}
+
+// Network first so online users always get fresh data; the stored copy is
+// the fallback when the request fails
+async function fromNetworkOrCache(cacheName, request, stamp) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            const copy = response.clone();
+            (stamp ? stampResponse(copy) : Promise.resolve(copy))
+                .then(entry => cache.put(request, entry))
+                .catch(error => console.warn('Could not cache', request.url, error));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request) ||
+            (request.mode === 'navigate' ? await cache.match('index.html') : null);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function stampResponse(response) {
+    if (response.type === 'opaque') return response;
+
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, new Date().toISOString());
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: headers
+    });
+}
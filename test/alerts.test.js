@@ -0,0 +1,46 @@
+// Watches alert once per event, also after the alert history is trimmed
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMain } = require('./helpers/load-main');
+
+const main = loadMain();
+main.evaluate(`
+    notifyAlert = () => {};
+    renderAlertHistory = () => {};
+    dbPut = async () => {};
+    dbDelete = async () => {};
+    config.alerts.maxHistory = 3;
+`);
+
+function createEvent(n) {
+    return {
+        id: `usgs-${n}`, name: `M5.${n} - Leyte`, type: 'Earthquake', status: 'Actual', time: new Date('2026-10-18T00:00:00Z'),
+        lat: 11.2 + n / 100, lon: 125.0, magnitude: 5 + n / 10, signal: null, severity: 'moderate', area: null
+    };
+}
+
+function setActiveEvents(events) {
+    main.feedEvents = events;
+    main.evaluate('activeEvents = feedEvents');
+}
+
+test('does not alert again on active events trimmed from the history', () => {
+    main.evaluate(`watches = [{
+        id: 'watch-tacloban', name: 'Tacloban', shape: 'buffer', center: { lat: 11.2443, lon: 125.0039 }, radiusKm: 0, geometry: null,
+        enabled: true, rules: [{ eventType: 'Earthquake', minMagnitude: 4.5, minSignal: null, minSeverity: null, withinKm: 100 }]
+    }]; alertLog = [];`);
+    const evaluateWatches = main.evaluate('evaluateWatches');
+
+    const events = [1, 2, 3, 4, 5].map(createEvent);
+    setActiveEvents(events);
+    assert.strictEqual(evaluateWatches().length, 5);
+    assert.strictEqual(main.evaluate('alertLog.length'), 5, 'alerts for active events are kept past maxHistory');
+    assert.strictEqual(evaluateWatches().length, 0);
+
+    // The log is now usgs-6 and 1 to 5. Past the newest three, usgs-3 has
+    // left the feeds and is trimmed; usgs-4 and 5 are still active and stay.
+    setActiveEvents(events.slice(3).concat(createEvent(6)));
+    assert.deepStrictEqual(Array.from(evaluateWatches(), entry => entry.eventId), ['usgs-6']);
+    assert.deepStrictEqual(Array.from(main.evaluate('alertLog'), entry => entry.eventId), ['usgs-6', 'usgs-1', 'usgs-2', 'usgs-4', 'usgs-5']);
+    assert.strictEqual(evaluateWatches().length, 0);
+});
@@ -0,0 +1,145 @@
+// Chat providers: a streaming round trip through tools/mock-chat-server.js,
+// which speaks the Messages API protocol, and how failures reach the chat
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMain } = require('./helpers/load-main');
+const mockServer = require('../tools/mock-chat-server');
+
+const main = loadMain();
+main.fetch = fetch;
+let endpoint;
+
+test.before(() => new Promise(resolve => {
+    mockServer.listen(0, '127.0.0.1', () => {
+        endpoint = `http://127.0.0.1:${mockServer.address().port}/v1/messages`;
+        resolve();
+    });
+}));
+
+test.after(() => new Promise(resolve => mockServer.close(resolve)));
+
+// A request as generateAIResponse() builds it, recording what the provider
+// streams and which tools it runs
+function createRequest(question, context) {
+    const request = {
+        messages: [{ role: 'user', content: question }],
+        context: context,
+        settings: { provider: 'mock', mockEndpoint: endpoint },
+        tools: main.evaluate('getMapToolDefinitions')(),
+        deltas: [],
+        toolCalls: [],
+        onDelta: text => request.deltas.push(text),
+        runTool: async (name, input) => {
+            request.toolCalls.push({ name, input });
+            return { placeName: 'Cebu City, Cebu' };
+        }
+    };
+    return request;
+}
+
+test('streams a text reply from the mock server', async () => {
+    const context = {
+        currentLocation: { placeName: 'Tacloban City', lat: 11.2443, lon: 125.0039 },
+        hazards: [{ name: 'Flooding', level: 'high', evidence: 'Inside Tacloban Coastal Lowlands' }],
+        resilience: { score: 55, maxScore: 100, profile: 'Balanced' },
+        activeEvents: []
+    };
+    const request = createRequest('What hazards affect this place?', context);
+
+    const text = await main.evaluate('chatProviders').mock.send(request);
+
+    assert.ok(text.startsWith('Mock reply to: "What hazards affect this place?"'), text);
+    assert.ok(text.includes('**Location**: Tacloban City (11.2443, 125.0039)'), text);
+    assert.ok(text.includes('- Flooding: high (Inside Tacloban Coastal Lowlands)'), text);
+    assert.ok(text.includes('**Resilience**: 55/100 (Balanced)'), text);
+    assert.ok(request.deltas.length > 1, 'reply arrives in several deltas');
+    assert.strictEqual(request.deltas[request.deltas.length - 1], text);
+    assert.deepStrictEqual(request.toolCalls, []);
+});
+
+test('runs a tool_use turn and sends the result back', async () => {
+    const request = createRequest('fly to Cebu', null);
+
+    const text = await main.evaluate('chatProviders').mock.send(request);
+
+    assert.strictEqual(request.toolCalls.length, 1);
+    assert.strictEqual(request.toolCalls[0].name, 'search_place');
+    assert.strictEqual(request.toolCalls[0].input.query, 'Cebu');
+    assert.strictEqual(text, 'Done: Cebu City, Cebu');
+});
+
+test('reports HTTP errors from the endpoint', async () => {
+    const request = createRequest('Hello', null);
+    request.settings.mockEndpoint = endpoint.replace('/v1/messages', '/missing');
+
+    await assert.rejects(main.evaluate('chatProviders').mock.send(request), /HTTP 404/);
+});
+
+test('starts on the offline assistant until an API key is saved', () => {
+    assert.strictEqual(main.evaluate('getChatSettings')().provider, 'offline');
+});
+
+test('finishes the reply with a note when answering fails', async () => {
+    main.evaluate('chatMessages = []');
+    main.evaluate('buildChatContext = async () => { throw new Error("context unavailable"); }');
+
+    await main.evaluate('respondToChat')('What hazards affect this place?');
+
+    const reply = main.evaluate('chatMessages[chatMessages.length - 1]');
+    assert.strictEqual(reply.type, 'ai');
+    assert.strictEqual(reply.streaming, undefined);
+    assert.ok(reply.content);
+    assert.match(reply.note, /context unavailable/);
+});
+
+test('falls back to the offline assistant only before any map action ran', async () => {
+    const chat = loadMain();
+    const offlineQuestions = [];
+    chat.localStorage.setItem('geovision.chatSettings', JSON.stringify({ provider: 'mock' }));
+    chat.recordOffline = question => offlineQuestions.push(question);
+    chat.evaluate('executeMapAction = async () => ({ placeName: "Cebu City, Cebu" })');
+    chat.evaluate('chatProviders.offline.send = async request => { recordOffline(request.messages[request.messages.length - 1].content); return "Offline answer"; }');
+    chat.evaluate('chatMessages = [{ type: "user", content: "fly to Cebu" }]');
+
+    chat.evaluate('chatProviders.mock.send = async () => { throw new Error("connection refused"); }');
+    const beforeActions = await chat.evaluate('generateAIResponse')('fly to Cebu');
+    assert.strictEqual(beforeActions.text, 'Offline answer');
+    assert.strictEqual(offlineQuestions.length, 1);
+
+    chat.evaluate(`chatProviders.mock.send = async request => {
+        request.onDelta('Flying to Cebu');
+        await request.runTool('search_place', { query: 'Cebu' });
+        throw new Error('connection lost');
+    }`);
+    const afterActions = await chat.evaluate('generateAIResponse')('fly to Cebu');
+    assert.strictEqual(offlineQuestions.length, 1, 'the offline assistant is not asked again');
+    assert.strictEqual(afterActions.text, 'Flying to Cebu');
+    assert.strictEqual(afterActions.actions.length, 1);
+    assert.match(afterActions.note, /connection lost/);
+});
+
+test('saves a streamed reply to its own session after a switch', async () => {
+    const saved = [];
+    main.savedSessions = saved;
+    main.evaluate('dbPut = async (storeName, value) => { savedSessions.push(value); }');
+
+    const now = new Date().toISOString();
+    main.evaluate(`
+        chatSessions = [
+            { id: 'session-a', title: 'A', createdAt: '${now}', updatedAt: '${now}', messages: [] },
+            { id: 'session-b', title: 'B', createdAt: '${now}', updatedAt: '${now}', messages: [] }
+        ];
+        switchChatSession('session-a');
+    `);
+    main.evaluate('addChatMessage')('user', 'Is Tacloban exposed to storm surge?');
+    const reply = main.evaluate('createStreamingMessage')();
+    main.evaluate('switchChatSession')('session-b');
+    saved.length = 0;
+
+    reply.finish('Yes, the coastal lowlands are.');
+
+    assert.strictEqual(saved.length, 1);
+    assert.strictEqual(saved[0].id, 'session-a');
+    assert.deepStrictEqual(Array.from(saved[0].messages, m => m.content), ['Is Tacloban exposed to storm surge?', 'Yes, the coastal lowlands are.']);
+    assert.strictEqual(main.evaluate('chatSessions[1].messages.length'), 0);
+});
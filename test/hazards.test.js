@@ -0,0 +1,33 @@
+// identifyHazards() queries the bundled hazard geometries in data/hazards
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMain } = require('./helpers/load-main');
+
+const main = loadMain();
+main.evaluate('hazardLayer = L.featureGroup()');
+
+test.before(() => main.evaluate('loadHazardZones')());
+
+function summarize(hazards) {
+    return Array.from(hazards, h => `${h.name}: ${h.level} - ${h.evidence}`);
+}
+
+test('gives the same hazards and evidence for the same point', () => {
+    const identifyHazards = main.evaluate('identifyHazards');
+
+    [[14.64, 121.095], [11.24, 125.0], [13.25, 123.68]].forEach(([lat, lon]) => {
+        const first = summarize(identifyHazards(lat, lon));
+        const second = summarize(identifyHazards(lat, lon));
+        assert.ok(first.length > 0);
+        assert.deepStrictEqual(second, first);
+    });
+});
+
+test('reports the source feature and distance as evidence', () => {
+    const marikina = summarize(main.evaluate('identifyHazards')(14.64, 121.095));
+    const tacloban = summarize(main.evaluate('identifyHazards')(11.24, 125.0));
+
+    assert.ok(marikina.includes('Earthquake: high - 0 m N to West Valley Fault (Active Faults)'), marikina.join('\n'));
+    assert.ok(marikina.includes('Flooding: high - Inside Marikina River Floodplain (Flood Zones)'), marikina.join('\n'));
+    assert.ok(tacloban.includes('Tsunami: high - 619 m ENE to the Leyte coastline'), tacloban.join('\n'));
+});
@@ -0,0 +1,78 @@
+// Loads main.js into a fresh vm context so its functions can be tested in
+// Node. The browser globals it uses (document, window, L, localStorage,
+// location, history) are simple stand-ins; tests replace them where they
+// need real behaviour. fetch() reads files from the repository, like the page does
+// when served from its root.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..', '..');
+
+// Accepts any property access, call or construction and returns another stub
+function createStub() {
+    return new Proxy(function () {}, {
+        get: (target, key) => key === 'then' ? undefined : createStub(),
+        apply: () => createStub(),
+        construct: () => createStub()
+    });
+}
+
+function createLocalStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// Keeps the URL hash up to date, which setUrlParam() reads back
+function createHistory(location) {
+    const update = (state, title, url) => {
+        const next = new URL(url, location);
+        location.hash = next.hash;
+        history.state = state;
+    };
+    const history = { state: null, pushState: update, replaceState: update };
+    return history;
+}
+
+async function readRepoFile(url) {
+    const body = fs.readFileSync(path.join(root, url), 'utf8');
+    return {
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        text: async () => body,
+        json: async () => JSON.parse(body)
+    };
+}
+
+function loadMain() {
+    const location = new URL('http://localhost/');
+    const context = {
+        console: { log() {}, warn() {}, error() {} },
+        document: createStub(),
+        L: createStub(),
+        navigator: createStub(),
+        location: location,
+        history: createHistory(location),
+        localStorage: createLocalStorage(),
+        fetch: readRepoFile,
+        setTimeout, clearTimeout, setInterval, clearInterval,
+        URL, URLSearchParams, AbortController, DOMException, TextDecoder, TextEncoder
+    };
+    context.window = context;
+    context.self = context;
+
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(root, 'main.js'), 'utf8'), context, { filename: 'main.js' });
+
+    // Top-level let/const bindings are not properties of the context, so
+    // tests read and assign them through evaluate()
+    context.evaluate = source => vm.runInContext(source, context);
+    return context;
+}
+
+module.exports = { loadMain, createStub, root };
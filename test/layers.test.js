@@ -0,0 +1,36 @@
+// The active map layers are kept in the URL as
+// #layers=<base>,<overlay>[:<opacity %>],...
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMain } = require('./helpers/load-main');
+
+const main = loadMain();
+const parseLayerParam = main.evaluate('parseLayerParam');
+
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+test('writes the active layers to the URL and reads them back', () => {
+    main.evaluate(`
+        layerState.base = 'satellite';
+        layerState.overlays = new Map([['hazards', 80], ['3d', null], ['labels', 100], ['hillshade', 50]]);
+        updateLayerUrl();
+    `);
+    const value = main.evaluate('getUrlParam')('layers');
+
+    // Opacities equal to the layer's default are left out
+    assert.strictEqual(value, 'satellite,hazards:80,3d,labels,hillshade');
+    assert.strictEqual(main.evaluate('formatLayerParam')(), value);
+    assert.deepStrictEqual(plain(parseLayerParam(value)), {
+        base: 'satellite',
+        overlays: [{ id: 'hazards', opacity: 80 }, { id: '3d' }, { id: 'labels' }, { id: 'hillshade' }]
+    });
+});
+
+test('uses the default opacity when the value is missing or not a number', () => {
+    const parsed = parseLayerParam('streets,hazards:,roads:abc,flood:0');
+
+    assert.deepStrictEqual(Array.from(parsed.overlays, overlay => overlay.opacity), [undefined, undefined, 0]);
+    assert.strictEqual(parseLayerParam(''), null);
+});
@@ -0,0 +1,198 @@
+// Injection cases for the Markdown renderer and the escaping of external
+// strings (geocoder names, GeoJSON properties) in panels and popups
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMain } = require('./helpers/load-main');
+
+const main = loadMain();
+const renderMarkdown = main.evaluate('renderMarkdown');
+const sanitizeLinkUrl = main.evaluate('sanitizeLinkUrl');
+const escapeHtml = main.evaluate('escapeHtml');
+
+const imagePayload = '<img src=x onerror=alert(1)>';
+
+// Decodes the character references a browser resolves in attribute values
+function decodeEntities(value) {
+    return value
+        .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/&#(\d+);?/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// The scheme a browser would read from an href, after it strips leading
+// control characters and any tabs or newlines; null for relative URLs
+function getLinkScheme(href) {
+    const match = href.replace(/[\t\n\r]/g, '').replace(/^[\u0000-\u0020]+/, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    return match ? match[1].toLowerCase() : null;
+}
+
+function getHrefs(html) {
+    return [...html.matchAll(/<a\s[^>]*?href="([^"]*)"/g)].map(match => decodeEntities(match[1]));
+}
+
+// Every tag the renderer emits, with its attribute names
+function getTags(html) {
+    return [...html.matchAll(/<([a-z0-9]+)((?:\s[^>]*)?)>/gi)].map(match => ({
+        name: match[1].toLowerCase(),
+        // Parsed the way a browser does, so `href="a"onclick="b"` yields two
+        attributes: [...match[2].matchAll(/([^\s="'>/]+)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?/g)]
+            .map(attribute => attribute[1].toLowerCase())
+    }));
+}
+
+function assertNoActiveContent(html) {
+    const allowedTags = ['p', 'br', 'strong', 'em', 'code', 'pre', 'a', 'ul', 'ol', 'li', 'blockquote',
+        'h3', 'h4', 'h5', 'h6', 'table', 'thead', 'tbody', 'tr', 'th', 'td'];
+    const allowedAttributes = ['href', 'target', 'rel', 'style', 'start'];
+
+    getTags(html).forEach(tag => {
+        assert.ok(allowedTags.includes(tag.name), `unexpected <${tag.name}> in ${html}`);
+        tag.attributes.forEach(attribute => {
+            assert.ok(allowedAttributes.includes(attribute), `unexpected ${attribute} attribute in ${html}`);
+        });
+    });
+    getHrefs(html).forEach(href => {
+        const scheme = getLinkScheme(href);
+        assert.ok(scheme === null || ['http', 'https', 'mailto'].includes(scheme), `unsafe link ${href}`);
+    });
+}
+
+test('renders the supported Markdown', () => {
+    const html = renderMarkdown('# Risk\n\n**Flooding** is *high*\n\n- one\n- two\n\n1. first\n\n| Hazard | Level |\n|---|:---:|\n| Flood | high |\n\n`code` [USGS](https://earthquake.usgs.gov)');
+
+    assert.ok(html.includes('<h3>Risk</h3>'));
+    assert.ok(html.includes('<strong>Flooding</strong> is <em>high</em>'));
+    assert.ok(html.includes('<ul><li>one</li><li>two</li></ul>'));
+    assert.ok(html.includes('<ol><li>first</li></ol>'));
+    assert.ok(html.includes('<td style="text-align: center">high</td>'));
+    assert.ok(html.includes('<code>code</code>'));
+    assert.ok(html.includes('<a href="https://earthquake.usgs.gov" target="_blank" rel="noopener noreferrer">USGS</a>'));
+});
+
+test('escapes raw HTML in every block type', () => {
+    [
+        imagePayload,
+        `**${imagePayload}**`,
+        `# ${imagePayload}`,
+        `- ${imagePayload}`,
+        `> ${imagePayload}`,
+        `\`${imagePayload}\``,
+        `\`\`\`\n${imagePayload}\n\`\`\``,
+        `| a |\n|---|\n| ${imagePayload} |`,
+        '<script>alert(1)</script>',
+        '<svg/onload=alert(1)>',
+        `[${imagePayload}](https://example.com)`
+    ].forEach(text => {
+        const html = renderMarkdown(text);
+        assertNoActiveContent(html);
+        assert.ok(!/<(img|script|svg)/i.test(html), html);
+    });
+});
+
+test('drops javascript: links in any case', () => {
+    [
+        '[x](javascript:alert(1))',
+        '[x](JavaScript:alert(1))',
+        '[x](JAVASCRIPT:alert(1))',
+        '[x](vbscript:msgbox(1))',
+        '[x](data:text/html,<script>alert(1)</script>)'
+    ].forEach(text => {
+        const html = renderMarkdown(text);
+        assert.deepStrictEqual(getHrefs(html), [], html);
+        assertNoActiveContent(html);
+    });
+});
+
+test('keeps entity-encoded schemes inert', () => {
+    [
+        '[x](&#106;avascript:alert(1))',
+        '[x](&#x6A;avascript:alert(1))',
+        '[x](javascript&#58;alert(1))',
+        '[x](javascript&colon;alert(1))',
+        '[x](java&#x09;script:alert(1))'
+    ].forEach(text => {
+        const html = renderMarkdown(text);
+        getHrefs(html).forEach(href => assert.strictEqual(getLinkScheme(href), null, `${text} gave ${href}`));
+        assertNoActiveContent(html);
+    });
+});
+
+test('does not let link URLs break out of the href attribute', () => {
+    [
+        '[x](https://example.com/"onmouseover="alert(1))',
+        '[x](https://example.com/\'onmouseover=\'alert(1))',
+        'https://example.com/"onmouseover="alert(1)',
+        '[x](https://example.com/"><img src=x onerror=alert(1)>)'
+    ].forEach(text => {
+        const html = renderMarkdown(text);
+        assertNoActiveContent(html);
+        assert.ok(!/<img/i.test(html), html);
+    });
+});
+
+test('drops data: and javascript: links in table cells', () => {
+    const html = renderMarkdown([
+        '| Source | Link |',
+        '|---|---|',
+        '| a | [open](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==) |',
+        '| b | [open](javascript:alert(1)) |',
+        '| c | [open](https://example.com) |'
+    ].join('\n'));
+
+    assert.deepStrictEqual(getHrefs(html), ['https://example.com']);
+    assertNoActiveContent(html);
+});
+
+test('sanitizeLinkUrl allows web, mail and relative links only', () => {
+    assert.strictEqual(sanitizeLinkUrl('https://example.com'), 'https://example.com');
+    assert.strictEqual(sanitizeLinkUrl('mailto:ops@example.com'), 'mailto:ops@example.com');
+    assert.strictEqual(sanitizeLinkUrl('/reports/1'), '/reports/1');
+    assert.strictEqual(sanitizeLinkUrl('?loc=14.6,121.0'), '?loc=14.6,121.0');
+    assert.strictEqual(sanitizeLinkUrl('javascript:alert(1)'), null);
+    assert.strictEqual(sanitizeLinkUrl('JaVaScRiPt:alert(1)'), null);
+    assert.strictEqual(sanitizeLinkUrl('data:text/html,x'), null);
+    assert.strictEqual(sanitizeLinkUrl('file:///etc/passwd'), null);
+});
+
+test('escapeHtml escapes markup and both quote characters', () => {
+    assert.strictEqual(escapeHtml(imagePayload), '&lt;img src=x onerror=alert(1)&gt;');
+    assert.strictEqual(escapeHtml('"\'&'), '&quot;&#39;&amp;');
+    assert.strictEqual(escapeHtml(42), '42');
+});
+
+test('escapes geocoder names in search results and the info panel', async () => {
+    const displayName = `Barangay ${imagePayload}, "Quezon City", Philippines`;
+
+    const list = { innerHTML: '', hidden: true };
+    main.document = { getElementById: () => list, querySelectorAll: () => [] };
+    main.evaluate('renderSearchResults')([{ lat: 14.6, lon: 121.0, displayName, type: 'Village' }], 0);
+    assert.ok(!list.innerHTML.includes('<img'), list.innerHTML);
+    assert.ok(list.innerHTML.includes('&lt;img src=x onerror=alert(1)&gt;'));
+
+    const panel = await main.evaluate('analyzeLocation')(14.6, 121.0, displayName);
+    assert.ok(!panel.includes('<img'));
+    assert.ok(panel.includes(`<h3 class="location-title">${escapeHtml(displayName)}</h3>`));
+
+    assertNoActiveContent(renderMarkdown(displayName));
+});
+
+test('escapes GeoJSON properties in hazard and evacuation popups', () => {
+    const feature = {
+        properties: {
+            name: imagePayload,
+            level: '<b>high</b>',
+            basin: '"><script>alert(1)</script>',
+            description: `Floodplain [details](javascript:alert(1)) ${imagePayload}`
+        }
+    };
+    const hazardPopup = main.evaluate('buildHazardPopup')(feature, { name: 'Flood <zones>' });
+    assert.ok(!/<(img|script|b>)/i.test(hazardPopup), hazardPopup);
+    assert.ok(!/href=/.test(hazardPopup), hazardPopup);
+
+    const centerPopup = main.evaluate('buildEvacuationCenterPopup')({ name: imagePayload, municipality: '<script>alert(1)</script>', type: 'school', capacity: 500, lat: 14.6, lon: 121.0 });
+    assert.ok(!/<(img|script)/i.test(centerPopup), centerPopup);
+});
@@ -0,0 +1,67 @@
+// Mitigation planner: costs, the effect of a plan on the resilience inputs
+// and the offline description of the catalog
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMain } = require('./helpers/load-main');
+
+const main = loadMain();
+main.evaluate('map = L.map(); mitigationLayer = L.layerGroup(); mitigation3DLayer = L.layerGroup()');
+
+const site = { lat: 14.64, lon: 121.095 };
+const hazards = [
+    { name: 'Flooding', level: 'high', evidence: 'Inside Marikina River Floodplain' },
+    { name: 'Earthquake', level: 'moderate', evidence: '4.0 km from West Valley Fault' }
+];
+
+test.before(async () => {
+    await main.evaluate('loadMitigationCatalog')();
+    // A channel large enough to lower flooding two levels
+    main.evaluate('mitigationCatalog.interventions').push({
+        id: 'floodway', name: 'Floodway', icon: '〰', geometry: 'line', unit: 'm', unitCost: 120000,
+        description: 'Diversion channel to the lake', effects: { hazards: { Flooding: 2 } }, radiusKm: 2, color: '#4a90e2'
+    });
+});
+
+test.beforeEach(() => main.evaluate('mitigationPlan = []'));
+
+test('costs a plan from the catalog unit costs', () => {
+    const addIntervention = main.evaluate('addIntervention');
+    addIntervention('flood-sensor', [{ lat: 14.65, lng: 121.1 }]);
+    addIntervention('drainage-channel', [{ lat: 14.635, lng: 121.09 }, { lat: 14.645, lng: 121.1 }]);
+
+    const total = main.evaluate('getMitigationTotalCost')();
+    const channelMetres = main.evaluate('measureIntervention')(main.evaluate('mitigationPlan[1]'));
+    assert.ok(channelMetres > 1500 && channelMetres < 1600, String(channelMetres));
+    assert.strictEqual(Math.round(total), Math.round(850000 + channelMetres * 45000));
+});
+
+test('lowers hazard levels by the number of steps in the catalog', () => {
+    main.evaluate('addIntervention')('floodway', [{ lat: 14.635, lng: 121.09 }, { lat: 14.645, lng: 121.1 }]);
+
+    const result = main.evaluate('applyMitigation')(site.lat, site.lon, { hazards: hazards, infrastructure: 'Moderate' });
+    const flooding = Array.from(result.inputs.hazards).find(h => h.name === 'Flooding');
+    assert.strictEqual(flooding.level, 'low');
+    assert.strictEqual(flooding.mitigatedFrom, 'high');
+    assert.deepStrictEqual(Array.from(result.applied[0].changes), ['Flooding high → low']);
+});
+
+test('leaves the infrastructure factor alone where the rating is unknown', () => {
+    main.evaluate('addIntervention')('flood-sensor', [{ lat: 14.65, lng: 121.1 }]);
+
+    const known = main.evaluate('applyMitigation')(site.lat, site.lon, { hazards: [], infrastructure: 'Moderate' });
+    assert.strictEqual(known.inputs.infrastructure, 'High');
+    assert.strictEqual(known.inputs.infrastructureFrom, 'Moderate');
+
+    const unknown = main.evaluate('applyMitigation')(site.lat, site.lon, { hazards: [], infrastructure: null });
+    assert.strictEqual(unknown.inputs.infrastructure, null);
+    assert.strictEqual(unknown.applied.length, 0);
+});
+
+test('describes each option with its own number of steps', () => {
+    const text = main.evaluate('describeMitigationOptions')(site.lat, site.lon, hazards);
+
+    assert.match(text, /\*\*Drainage channel\*\* \(₱45K per m\): .*Lowers flooding risk \(high here\) by one level within 1\.0 km\./);
+    assert.match(text, /\*\*Floodway\*\* .*Lowers flooding risk \(high here\) by two levels within 2\.0 km\./);
+    assert.match(text, /\*\*Seismic retrofit\*\* .*Lowers earthquake risk \(moderate here\) by one level within 200 m\./);
+    assert.match(text, /\*\*Early warning sensor\*\* .*Raises the infrastructure rating by one step within 3\.0 km\./);
+});
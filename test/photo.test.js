@@ -0,0 +1,60 @@
+// Photo uploads that cannot be read or decoded end in a chat message
+// instead of an unhandled rejection
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMain } = require('./helpers/load-main');
+
+const main = loadMain();
+
+// FileReader and Image stand-ins: reads fail when `failRead` is set, and
+// every image fails to decode, as HEIC and TIFF photos do in most browsers
+function stubFileApis(failRead) {
+    main.FileReader = class {
+        readAsArrayBuffer() { this.finish(new ArrayBuffer(16)); }
+        readAsDataURL() { this.finish('data:image/heic;base64,AAAA'); }
+        finish(result) {
+            if (failRead) {
+                this.error = new Error('The file could not be read');
+                this.onerror();
+            } else {
+                this.onload({ target: { result } });
+            }
+        }
+    };
+    main.Image = class {
+        decode() { return Promise.reject(new Error('The source image cannot be decoded')); }
+    };
+}
+
+function upload(file) {
+    main.evaluate('chatMessages = []');
+    return main.evaluate('handleImageUpload')({ target: { files: [file], value: 'C:\\\\fakepath\\\\photo' } });
+}
+
+test('reports a file that cannot be read', async () => {
+    stubFileApis(true);
+    await upload({ name: 'site.jpg', type: 'image/jpeg' });
+
+    const messages = main.evaluate('chatMessages');
+    assert.strictEqual(messages.length, 1);
+    assert.strictEqual(messages[0].type, 'ai');
+    assert.match(messages[0].content, /couldn't read "site.jpg" \(The file could not be read\)/);
+});
+
+test('reports a photo the browser cannot decode and has no geotag', async () => {
+    stubFileApis(false);
+    await upload({ name: 'IMG_0042.HEIC', type: 'image/heic' });
+
+    const messages = main.evaluate('chatMessages');
+    assert.strictEqual(messages.length, 1);
+    assert.strictEqual(messages[0].type, 'ai');
+    assert.match(messages[0].content, /couldn't open "IMG_0042.HEIC" \(HEIC\)/);
+});
+
+test('words the prompt for a geotag without a decoded image', () => {
+    const exif = { gps: { lat: 13.14, lon: 123.74, altitude: null }, timestamp: null, heading: null, camera: null };
+    const prompt = main.evaluate('describePhotoMetadata')('IMG_0042.HEIC', exif, false);
+
+    assert.match(prompt, /GPS 13\.14/);
+    assert.match(prompt, /could not be decoded; assess the hazards at this location/);
+});
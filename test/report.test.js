@@ -0,0 +1,32 @@
+// Site reports open in a new window; a failure while building one must
+// replace the "Preparing report..." placeholder with an error
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMain } = require('./helpers/load-main');
+
+const main = loadMain();
+
+// A pop-up window whose document keeps what was last written to it
+function openReportWindow() {
+    const reportWindow = {
+        document: {
+            html: '',
+            open() { this.html = ''; },
+            write(html) { this.html += html; },
+            close() {}
+        }
+    };
+    main.open = () => reportWindow;
+    return reportWindow;
+}
+
+test('shows an error in the report window when building the report fails', async () => {
+    const reportWindow = openReportWindow();
+    main.evaluate('currentLocation = { lat: 11.2443, lon: 125.0039, placeName: "Tacloban City" }');
+    main.evaluate('buildSiteReport = () => { throw new Error("hazard data <missing>"); }');
+
+    await main.evaluate('generateSiteReport')();
+
+    assert.ok(!reportWindow.document.html.includes('Preparing report'));
+    assert.ok(reportWindow.document.html.includes('The report could not be generated: hazard data &lt;missing&gt;'), reportWindow.document.html);
+});
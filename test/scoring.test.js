@@ -0,0 +1,52 @@
+// The resilience score's infrastructure factor comes from the rated areas in
+// data/infrastructure.geojson
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMain } = require('./helpers/load-main');
+
+const main = loadMain();
+
+test.before(() => Promise.all([
+    main.evaluate('loadScoringProfiles')(),
+    main.evaluate('loadInfrastructureData')()
+]));
+
+function getFactor(resilience, factor) {
+    return resilience.breakdown.find(item => item.factor === factor) || null;
+}
+
+function scoreInfrastructure(lat, lon) {
+    const infrastructure = main.evaluate('getInfrastructureRating')(lat, lon);
+    const resilience = main.evaluate('calculateResilience')(lat, lon, { hazards: [], infrastructure: infrastructure });
+    return { infrastructure, factor: getFactor(resilience, 'infrastructure') };
+}
+
+test('takes the infrastructure rating from the rated areas', () => {
+    const makati = scoreInfrastructure(14.555, 121.025);
+    const tacloban = scoreInfrastructure(11.24, 125.0);
+
+    assert.strictEqual(makati.infrastructure, 'High');
+    assert.strictEqual(makati.factor.points, 10);
+    assert.strictEqual(tacloban.infrastructure, 'Low');
+    assert.strictEqual(tacloban.factor.points, -10);
+});
+
+test('skips the infrastructure factor where no rating is recorded', () => {
+    const outside = scoreInfrastructure(16.0, 118.0);
+
+    assert.strictEqual(outside.infrastructure, null);
+    assert.strictEqual(outside.factor, null);
+});
+
+test('rates an area by the infrastructure covering most of its people', async () => {
+    await main.evaluate('loadExposureData')();
+    const area = {
+        shape: 'rectangle',
+        geometry: { type: 'Polygon', coordinates: [[[121.0, 14.54], [121.05, 14.54], [121.05, 14.57], [121.0, 14.57], [121.0, 14.54]]] }
+    };
+    const report = main.evaluate('computeAreaReport')(area);
+
+    assert.ok(report.adminUnits.includes('Makati'), report.adminUnits.join(', '));
+    assert.strictEqual(report.resilienceInputs.infrastructure, 'High');
+    assert.strictEqual(getFactor(report.resilience, 'infrastructure').points, 10);
+});
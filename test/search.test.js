@@ -0,0 +1,74 @@
+// Search input: coordinates in the formats listed in the README are parsed
+// locally, and place names go to the geocoder, here the bundled mock
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMain } = require('./helpers/load-main');
+
+const main = loadMain();
+main.localStorage.setItem('geovision.geocoder', 'mock');
+// Zoomed out over the Philippines, so searches use the default viewbox
+main.evaluate('map = { getCenter: () => ({ lat: 12.8797, lng: 121.774 }), getZoom: () => 6 }');
+
+// Manila City Hall, in every format
+const manila = { lat: 14.5995, lon: 120.9842 };
+
+function assertNear(result, expected, type) {
+    assert.ok(result, 'parsed');
+    assert.strictEqual(result.type, type);
+    assert.ok(Math.abs(result.lat - expected.lat) < 1e-4 && Math.abs(result.lon - expected.lon) < 1e-4,
+        `${result.lat}, ${result.lon}`);
+}
+
+function parse(text, referenceLat, referenceLon) {
+    return main.evaluate('parseCoordinateInput')(text, referenceLat, referenceLon);
+}
+
+test('parses decimal degrees', () => {
+    assertNear(parse('14.5995, 120.9842'), manila, 'Coordinates');
+    assertNear(parse('14.5995N 120.9842E'), manila, 'Coordinates');
+    assertNear(parse('-14.5995, -120.9842'), { lat: -14.5995, lon: -120.9842 }, 'Coordinates');
+});
+
+test('parses degrees, minutes and seconds', () => {
+    assertNear(parse('14°35\'58"N 120°59\'3"E'), { lat: 14.59944, lon: 120.98417 }, 'Coordinates');
+    assertNear(parse('N14 35.97 E120 59.05'), { lat: 14.5995, lon: 120.98417 }, 'Coordinates');
+});
+
+test('parses full and short Plus Codes', () => {
+    assertNear(parse('7Q62HXXM+RM'), manila, 'Plus Code');
+    assertNear(parse('7q62hxxm+rm'), manila, 'Plus Code');
+    assertNear(parse('HXXM+RM', 14.6, 121.0), manila, 'Plus Code');
+    assert.strictEqual(parse('HXXM+RM'), null, 'a short code needs a reference point');
+});
+
+test('parses MGRS and UTM', () => {
+    assertNear(parse('51P TS 82848 14992'), manila, 'MGRS');
+    assertNear(parse('51PTS8284814992'), manila, 'MGRS');
+    assertNear(parse('51P 282848 1614992'), manila, 'UTM');
+});
+
+test('leaves place names and out-of-range values to the geocoder', () => {
+    assert.strictEqual(parse('Manila'), null);
+    assert.strictEqual(parse('Quezon City'), null);
+    assert.strictEqual(parse('14.5, 200'), null);
+    assert.strictEqual(parse('95, 120'), null);
+});
+
+test('looks place names up in the mock geocoder', async () => {
+    const results = await main.evaluate('searchPlaces')('Taclo');
+    assert.deepStrictEqual(Array.from(results, r => r.displayName), ['Tacloban, Leyte, Philippines']);
+    assert.strictEqual(results[0].type, 'City');
+
+    const cebu = await main.evaluate('geocodePlace')('Cebu');
+    assert.match(cebu.displayName, /^Cebu City/);
+
+    const nearest = await main.evaluate('getGeocoder')().reverse(11.25, 125.0);
+    assert.strictEqual(nearest.displayName, 'Tacloban, Leyte, Philippines');
+});
+
+test('recovers a short Plus Code around a place found by the geocoder', async () => {
+    const [result] = await main.evaluate('searchPlaces')('HXXM+RM Manila');
+
+    assertNear(result, manila, 'Plus Code');
+    assert.strictEqual(result.displayName, 'HXXM+RM, Manila, Metro Manila, Philippines');
+});
@@ -0,0 +1,46 @@
+// Saved sites exported as CSV import unchanged, so re-importing an export
+// skips the sites that are already saved
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMain } = require('./helpers/load-main');
+
+const main = loadMain();
+
+// The CSV text exportSites() would download for these sites
+function exportCsv(sites) {
+    main.sitesToExport = sites;
+    main.evaluate('savedSites = sitesToExport; downloadFile = (fileName, text) => { exportedCsv = text; }');
+    main.evaluate('exportSites')('csv');
+    return main.exportedCsv;
+}
+
+test('round-trips names and notes that start with formula characters', () => {
+    const sites = [
+        { id: 'site-1', name: '=Barangay 1', lat: 11.2443, lon: 125.0039, notes: '- check drainage', createdAt: '2026-10-01T00:00:00.000Z' },
+        { id: 'site-2', name: '@Mayon rim', lat: 13.257, lon: 123.685, notes: '+2 m surge, "worst case"', createdAt: '2026-10-02T00:00:00.000Z' },
+        { id: 'site-3', name: 'Legazpi port', lat: 13.14, lon: 123.74, notes: 'Sea wall, 3 km', createdAt: '2026-10-03T00:00:00.000Z' }
+    ];
+
+    const csv = exportCsv(sites);
+    assert.ok(csv.includes('\'=Barangay 1'), 'export guards formulas');
+
+    const imported = main.evaluate('parseSitesCsv')(csv);
+    assert.deepStrictEqual(Array.from(imported, site => [site.name, site.notes]), sites.map(site => [site.name, site.notes]));
+
+    const again = main.evaluate('parseSitesCsv')(exportCsv(Array.from(imported, (site, i) => Object.assign({ id: `copy-${i}`, createdAt: sites[i].createdAt }, site))));
+    assert.deepStrictEqual(Array.from(again, site => site.notes), sites.map(site => site.notes));
+});
+
+test('finds the saved copy of a re-imported site', () => {
+    const site = { id: 'site-1', name: '-Ormoc wharf', lat: 11.005, lon: 124.607, notes: '', createdAt: '2026-10-01T00:00:00.000Z' };
+    const [entry] = main.evaluate('parseSitesCsv')(exportCsv([site]));
+
+    assert.strictEqual(main.evaluate('findDuplicateSite')(entry).id, 'site-1');
+});
+
+test('keeps a leading quote that does not guard a formula', () => {
+    const [entry] = main.evaluate('parseSitesCsv')('name,lat,lon,notes\n\'Tis the season,14.6,121.0,\'quoted\'\n');
+
+    assert.strictEqual(entry.name, '\'Tis the season');
+    assert.strictEqual(entry.notes, '\'quoted\'');
+});
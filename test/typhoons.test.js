@@ -0,0 +1,41 @@
+// Storms from the bundled track files count as active for activeHours after
+// their latest position or forecast issue time
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMain } = require('./helpers/load-main');
+
+const main = loadMain();
+main.evaluate('typhoonLayer = L.layerGroup()');
+
+const forecastIssued = Date.UTC(2026, 9, 19, 6);
+const hour = 3600000;
+
+test.before(() => main.evaluate('loadTyphoonTracks')());
+
+function getActiveStormIds(now) {
+    main.now = now;
+    main.evaluate('Date.now = () => now');
+    return Array.from(main.evaluate('getActiveTyphoons')(), storm => storm.id);
+}
+
+test('keeps a storm with a forecast active for activeHours after issue', () => {
+    const storm = main.evaluate('typhoons').find(s => s.forecast.length);
+    assert.ok(storm, 'the sample has a forecast');
+    assert.strictEqual(storm.forecast[0].time.getTime(), forecastIssued);
+
+    assert.ok(getActiveStormIds(forecastIssued + 12 * hour).includes(storm.id));
+    assert.ok(getActiveStormIds(forecastIssued + 47 * hour).includes(storm.id));
+    assert.ok(!getActiveStormIds(forecastIssued + 49 * hour).includes(storm.id));
+    assert.ok(!getActiveStormIds(forecastIssued + 30 * 24 * hour).includes(storm.id));
+});
+
+test('keeps a storm without a forecast active for activeHours after its last position', () => {
+    const lastSeen = forecastIssued - 24 * hour;
+    main.evaluate('typhoons').push({
+        id: 'WP242026', name: null, sources: ['IBTrACS'], forecast: [],
+        track: [{ time: new Date(lastSeen), lat: 18.2, lon: 121.5, windKt: 45, pressureHpa: 990, radii: {}, tau: null, coneKm: null }]
+    });
+
+    assert.ok(getActiveStormIds(lastSeen + 47 * hour).includes('WP242026'));
+    assert.ok(!getActiveStormIds(lastSeen + 49 * hour).includes('WP242026'));
+});
@@ -0,0 +1,95 @@
+// The map state in the URL fragment: a link written by one page load is
+// rebuilt by the next, without adding history entries
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadMain, createStub } = require('./helpers/load-main');
+
+// A map stub with a real view, which formatMapParam() reads
+function createMap() {
+    let view = { lat: 12.8797, lng: 121.774, zoom: 6 };
+    const methods = {
+        getCenter: () => ({ lat: view.lat, lng: view.lng }),
+        getZoom: () => view.zoom,
+        setView: ([lat, lng], zoom) => {
+            view = { lat, lng, zoom };
+        }
+    };
+    return new Proxy(createStub(), { get: (target, key) => methods[key] || target[key] });
+}
+
+// Loads main.js with the given URL fragment and counts history entries
+function loadPage(hash) {
+    const main = loadMain();
+    main.location.hash = hash || '';
+    main.map = createMap();
+    main.evaluate('map = window.map; drawnAreaLayer = L.featureGroup(); hazardLayer = L.featureGroup(); evacuationRouteLayer = L.layerGroup()');
+
+    main.pushedStates = 0;
+    const pushState = main.history.pushState;
+    main.history.pushState = (...args) => {
+        main.pushedStates++;
+        pushState(...args);
+    };
+    return main;
+}
+
+test('formats and parses drawn areas', () => {
+    const main = loadMain();
+    const formatAreaParam = main.evaluate('formatAreaParam');
+    const parseAreaParam = main.evaluate('parseAreaParam');
+
+    const polygon = 'polygon:14.60000,121.00000;14.65000,121.05000;14.55000,121.08000';
+    const parsed = parseAreaParam(polygon);
+    assert.strictEqual(parsed.shape, 'polygon');
+    assert.strictEqual(formatAreaParam(main.evaluate('createDrawnArea')(parsed.shape, parsed)), polygon);
+
+    const buffer = 'buffer:11.24440,125.00390,2.500';
+    assert.strictEqual(formatAreaParam(main.evaluate('createDrawnArea')('buffer', parseAreaParam(buffer))), buffer);
+
+    assert.strictEqual(parseAreaParam('buffer:11.2444,,2.5'), null);
+    assert.strictEqual(parseAreaParam('buffer:11.2444,125.0039,0'), null);
+    assert.strictEqual(parseAreaParam('polygon:14.6,121;14.65,121.05'), null, 'fewer than three vertices');
+    assert.strictEqual(main.evaluate('parseLatLonParam')('14.6,'), null);
+    assert.strictEqual(main.evaluate('parseMapParam')('12//121.774'), null);
+});
+
+test('restores the selection, layers and drawn areas from a reloaded link', async () => {
+    // First load: pick a location, change the layers and draw two areas
+    const first = loadPage();
+    first.evaluate(`
+        applyLayerParam('satellite,labels,hazards:60');
+        updateLayerUrl();
+        createDrawnArea('rectangle', { ring: [[121.0, 14.5], [121.1, 14.5], [121.1, 14.6], [121.0, 14.6]] });
+        createDrawnArea('buffer', { center: { lat: 11.2444, lon: 125.0039 }, radiusKm: 2 });
+        updateAreaUrl();
+    `);
+    await first.evaluate('loadLocationInfo')(14.5995, 120.9842, 'Manila');
+    assert.strictEqual(first.pushedStates, 1, 'selecting a location adds a history entry');
+
+    const link = first.location.hash;
+    const params = new URLSearchParams(link.slice(1));
+    assert.strictEqual(params.get('loc'), '14.59950,120.98420');
+    assert.strictEqual(params.get('layers'), 'satellite,labels,hazards:60');
+    assert.strictEqual(params.getAll('area').length, 2);
+
+    // Reload with the same link
+    const second = loadPage(link);
+    second.evaluate('restoreUrlState')();
+
+    assert.strictEqual(second.evaluate('layerState.base'), 'satellite');
+    assert.deepStrictEqual(
+        Array.from(second.evaluate('layerState.overlays').entries(), ([id, opacity]) => `${id}:${opacity}`),
+        ['labels:100', 'hazards:60']
+    );
+    assert.deepStrictEqual(
+        Array.from(second.evaluate('drawnAreas.map(formatAreaParam)')),
+        Array.from(first.evaluate('drawnAreas.map(formatAreaParam)'))
+    );
+    assert.deepStrictEqual(
+        [second.evaluate('currentLocation.lat'), second.evaluate('currentLocation.lon')],
+        [14.5995, 120.9842]
+    );
+
+    assert.strictEqual(second.pushedStates, 0);
+    assert.strictEqual(second.location.hash, link);
+});
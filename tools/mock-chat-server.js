@@ -0,0 +1,180 @@
+// =====================================================
+// GeoVision - Mock Chat Server
+// Stand-in for the Anthropic Messages API during development and testing
+// =====================================================
+//
+// Usage: node tools/mock-chat-server.js [port]
+// Then select "Local mock server" in the AI VISION chat settings.
+//
+// Replies are deterministic: they echo the last user message and summarize
+// the location context from the system prompt, streamed as server-sent events.
+// When tools are offered and the message reads like "fly to Cebu" or
+// "show me Tacloban", the first turn is a search_place tool call instead.
+//
+// Tests require() this file and start the exported server on a free port.
+
+const http = require('http');
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+function readContext(system) {
+    const marker = 'Location context (JSON):';
+    const index = (system || '').indexOf(marker);
+    if (index === -1) return null;
+
+    try {
+        return JSON.parse(system.slice(index + marker.length));
+    } catch (error) {
+        return null;
+    }
+}
+
+function buildReply(body) {
+    const messages = body.messages || [];
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const question = lastUser ? textOf(lastUser.content) : '';
+    const context = readContext(body.system);
+
+    const lines = [`Mock reply to: "${question}"`];
+
+    if (context && context.currentLocation) {
+        const { placeName, lat, lon } = context.currentLocation;
+        lines.push('', `**Location**: ${placeName || 'Unnamed'} (${lat.toFixed(4)}, ${lon.toFixed(4)})`);
+        context.hazards.forEach(h => lines.push(`- ${h.name}: ${h.level} (${h.evidence})`));
+        if (context.resilience) {
+            lines.push('', `**Resilience**: ${context.resilience.score}/${context.resilience.maxScore} (${context.resilience.profile})`);
+        }
+    } else {
+        lines.push('', 'No location selected.');
+    }
+
+    if (context) {
+        lines.push('', `Active events in context: ${context.activeEvents.length}`);
+    }
+
+    return lines.join('\n');
+}
+
+function textOf(content) {
+    if (typeof content === 'string') return content;
+    return content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+}
+
+// Place name for a search_place call, or null
+function findPlaceRequest(body) {
+    const tools = body.tools || [];
+    if (!tools.some(tool => tool.name === 'search_place')) return null;
+
+    const messages = body.messages || [];
+    const last = messages[messages.length - 1];
+    if (!last || last.role !== 'user' || typeof last.content !== 'string') return null;
+
+    const match = last.content.match(/\b(?:show me|fly to|go to|find)\s+(?:.*\b(?:near|in)\s+)?([A-Z][\w\s'-]*?)[?.!]*$/);
+    return match ? match[1].trim() : null;
+}
+
+function toolResultSummary(body) {
+    const messages = body.messages || [];
+    const last = messages[messages.length - 1];
+    if (!last || !Array.isArray(last.content)) return null;
+
+    const results = last.content.filter(block => block.type === 'tool_result');
+    if (!results.length) return null;
+
+    return results.map(result => {
+        const data = JSON.parse(result.content);
+        return data.error ? `Error: ${data.error}` : `Done: ${data.placeName || 'map updated'}`;
+    }).join('\n');
+}
+
+function sendEvent(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(Object.assign({ type }, data))}\n\n`);
+}
+
+function streamToolCall(res, body, query) {
+    const input = JSON.stringify({ query });
+
+    res.writeHead(200, Object.assign({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache'
+    }, corsHeaders));
+
+    sendEvent(res, 'message_start', {
+        message: { id: 'msg_mock', type: 'message', role: 'assistant', model: body.model, content: [] }
+    });
+    sendEvent(res, 'content_block_start', {
+        index: 0,
+        content_block: { type: 'tool_use', id: `toolu_mock_${Date.now()}`, name: 'search_place', input: {} }
+    });
+    sendEvent(res, 'content_block_delta', { index: 0, delta: { type: 'input_json_delta', partial_json: input.slice(0, 5) } });
+    sendEvent(res, 'content_block_delta', { index: 0, delta: { type: 'input_json_delta', partial_json: input.slice(5) } });
+    sendEvent(res, 'content_block_stop', { index: 0 });
+    sendEvent(res, 'message_delta', { delta: { stop_reason: 'tool_use' } });
+    sendEvent(res, 'message_stop', {});
+    res.end();
+}
+
+function streamReply(res, body) {
+    const chunks = (toolResultSummary(body) || buildReply(body)).split(/(?<=\s)/);
+
+    res.writeHead(200, Object.assign({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache'
+    }, corsHeaders));
+
+    sendEvent(res, 'message_start', {
+        message: { id: 'msg_mock', type: 'message', role: 'assistant', model: body.model, content: [] }
+    });
+    sendEvent(res, 'content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+    chunks.forEach(text => sendEvent(res, 'content_block_delta', { index: 0, delta: { type: 'text_delta', text } }));
+    sendEvent(res, 'content_block_stop', { index: 0 });
+    sendEvent(res, 'message_delta', { delta: { stop_reason: 'end_turn' } });
+    sendEvent(res, 'message_stop', {});
+    res.end();
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST' || req.url !== '/v1/messages') {
+        res.writeHead(404, corsHeaders);
+        res.end();
+        return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        let body;
+        try {
+            body = JSON.parse(raw);
+        } catch (error) {
+            res.writeHead(400, Object.assign({ 'Content-Type': 'application/json' }, corsHeaders));
+            res.end(JSON.stringify({ type: 'error', error: { type: 'invalid_request_error', message: 'Invalid JSON' } }));
+            return;
+        }
+        const place = findPlaceRequest(body);
+        if (place) {
+            streamToolCall(res, body, place);
+        } else {
+            streamReply(res, body);
+        }
+    });
+});
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+    server.listen(port, () => {
+        console.log(`Mock chat server listening on http://localhost:${port}/v1/messages`);
+    });
+}
+
+module.exports = server;